@@ -1,9 +1,101 @@
+// 📥 TRAINING CALENDAR IMPORT - Excel workbook -> data/courses.json (see webhook/course-importer.js)
+//
+//   npm run convert-data -- [workbook.xlsx] [--sheet "Sheet1"] [--dry-run] [--out data/courses.json] [--report report.json]
+//
+// Prints a validation report (rows with missing or malformed data) and what changes compared
+// with the current courses.json. --dry-run only reports; nothing is written. The running bot
+// picks the new file up by itself (the course repository watches it).
+
 const XLSX = require('xlsx');
 const fs = require('fs');
+const path = require('path');
+const { rowsFromSheet, importRows, diffCourseData } = require('../webhook/course-importer');
+
+const DEFAULT_WORKBOOK = 'With_Link_Final_Training_Calendar_for_website_25-26(1).xlsx';
+const DEFAULT_OUTPUT = path.join(__dirname, '../data/courses.json');
+const MAX_VALUE_LENGTH = 60;
+
+// --flag value / --flag / positional workbook path
+function parseArguments(argv) {
+  const options = { workbook: DEFAULT_WORKBOOK, sheet: null, dryRun: false, out: DEFAULT_OUTPUT, report: null };
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === '--dry-run') options.dryRun = true;
+    else if (argument === '--sheet') options.sheet = argv[++i];
+    else if (argument === '--out') options.out = argv[++i];
+    else if (argument === '--report') options.report = argv[++i];
+    else if (argument.startsWith('--')) throw new Error(`Unknown option ${argument}`);
+    else options.workbook = argument;
+  }
+  return options;
+}
+
+const shorten = (value) => {
+  const text = JSON.stringify(value === undefined ? null : value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
+
+function printReport(report, diff) {
+  console.log(`\n📋 Header on row ${report.headerRow}: ${report.sheetRows} rows -> ${report.courses} courses, ${report.batches} batches (${report.skippedRows} rows skipped)`);
+  if (report.unknownHeaders.length > 0) {
+    console.log(`ℹ️ Columns not used: ${report.unknownHeaders.join(' | ')}`);
+  }
+
+  const errors = report.problems.filter(problem => problem.level === 'error');
+  const warnings = report.problems.filter(problem => problem.level === 'warning');
+  console.log(`\n${errors.length > 0 || warnings.length > 0 ? '⚠️' : '✅'} ${errors.length} error(s), ${warnings.length} warning(s)`);
+  report.problems.forEach(problem => console.log(`   ${problem.level === 'error' ? '❌' : '⚠️'} Row ${problem.row}: ${problem.message}`));
+
+  console.log(`\n🔁 Compared with the current courses.json: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+  diff.added.forEach(course => console.log(`   ➕ ${course.name}`));
+  diff.removed.forEach(course => console.log(`   ➖ ${course.name} (${course.id})`));
+  diff.changed.forEach(course => {
+    console.log(`   ✏️ ${course.name}`);
+    Object.entries(course.changes).forEach(([field, { from, to }]) => console.log(`      ${field}: ${shorten(from)} -> ${shorten(to)}`));
+  });
+}
+
+function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const workbook = XLSX.readFile(options.workbook);
+  const sheetName = options.sheet || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found (sheets: ${workbook.SheetNames.join(', ')})`);
+  }
+  console.log(`📥 Importing ${path.basename(options.workbook)} / ${sheetName}`);
+
+  // Raw cells: dates stay Excel serials (the importer converts them), blank rows keep row numbers right
+  const cells = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: true });
+  const { courses, report } = importRows(rowsFromSheet(cells));
+  const current = fs.existsSync(options.out) ? JSON.parse(fs.readFileSync(options.out, 'utf8')) : [];
+  const diff = diffCourseData(current, courses);
+  printReport(report, diff);
+
+  if (options.report) {
+    fs.writeFileSync(options.report, `${JSON.stringify({ report, diff }, null, 2)}\n`);
+    console.log(`\n🧾 Report saved to ${options.report}`);
+  }
+  if (report.missingColumns.length > 0) {
+    console.error(`\n❌ Required column(s) missing: ${report.missingColumns.join(', ')} - nothing written`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.dryRun) {
+    console.log('\n🧪 Dry run - courses.json was not changed');
+    return;
+  }
 
-const workbook = XLSX.readFile('With_Link_Final_Training_Calendar_for_website_25-26(1).xlsx');
-const sheet = workbook.Sheets[workbook.SheetNames[0]];
-const jsonData = XLSX.utils.sheet_to_json(sheet);
-fs.writeFileSync('./data/courses.json', JSON.stringify(jsonData, null, 2));
+  // Write next to the target and rename, so the bot's file watcher never reads half a file
+  const tempFile = `${options.out}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(courses, null, 2)}\n`);
+  fs.renameSync(tempFile, options.out);
+  console.log(`\n✅ ${options.out} written (${courses.length} courses)`);
+}
 
-console.log('courses.json created successfully.'); 
\ No newline at end of file
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Import failed: ${error.message}`);
+  process.exitCode = 1;
+}
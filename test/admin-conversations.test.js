@@ -0,0 +1,195 @@
+// 📜 Admin conversations tests - the transcript store, the /admin/conversations API support staff
+// read it through, and the per-user admin tokens that protect it. Run with: npm test
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { createMemoryTranscriptStore } = require('../webhook/stores/transcript-store');
+const { requireAdminAuth, getAdminTokens } = require('../webhook/admin-auth');
+
+console.log = () => {};
+console.error = () => {};
+
+const at = (minute) => new Date(Date.UTC(2025, 10, 20, 6, minute));
+
+describe('memory transcript store', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryTranscriptStore();
+    await store.add({ userId: '919800000031', userName: 'Asha', direction: 'inbound', text: 'fee for SMS', createdAt: at(1) });
+    await store.add({ userId: '919800000031', direction: 'outbound', text: 'The fee (per day) is ₹7600', handler: 'course_search', createdAt: at(2) });
+    await store.add({ userId: '919800000032', userName: 'Vikram', direction: 'inbound', text: 'hostel charges?', createdAt: at(3) });
+  });
+
+  it('lists users with their latest message, most recent first', async () => {
+    const { items, total } = await store.listUsers();
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(items.map(user => [user.userId, user.userName, user.messageCount, user.lastDirection]), [
+      ['919800000032', 'Vikram', 1, 'inbound'],
+      ['919800000031', 'Asha', 2, 'outbound']
+    ]);
+    assert.strictEqual(items[1].lastText, 'The fee (per day) is ₹7600');
+  });
+
+  it('pages through a transcript, newest first', async () => {
+    const first = await store.getTranscript('919800000031', { page: 1, limit: 1 });
+    const second = await store.getTranscript('919800000031', { page: '2', limit: '1' });
+    assert.deepStrictEqual([first.items[0].direction, second.items[0].direction], ['outbound', 'inbound']);
+    assert.deepStrictEqual([first.total, first.page, first.limit], [2, 1, 1]);
+
+    const clamped = await store.getTranscript('919800000031', { page: 0, limit: 5000 });
+    assert.deepStrictEqual([clamped.page, clamped.limit], [1, 100], 'paging from a query string is clamped');
+    assert.strictEqual(clamped.items[0].messageType, 'text', 'missing fields get their defaults');
+  });
+
+  it('searches the text literally, optionally for one user', async () => {
+    assert.strictEqual((await store.search('FEE')).total, 2);
+    assert.strictEqual((await store.search('(per day)')).total, 1, 'brackets are not read as a pattern');
+    assert.strictEqual((await store.search('.*')).total, 0);
+    assert.strictEqual((await store.search('fee', { userId: '919800000032' })).total, 0);
+  });
+});
+
+describe('admin conversations API', () => {
+  let simulator;
+  const previousEnv = {};
+  const env = ['ADMIN_API_TOKENS', 'ADMIN_API_TOKEN'];
+
+  const get = (path, token) => fetch(`${simulator.baseUrl}/admin/conversations${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(async () => {
+    simulator.reset();
+    env.forEach(key => { previousEnv[key] = process.env[key]; });
+    process.env.ADMIN_API_TOKENS = 'alice:alice-token, bob : bob-token';
+    delete process.env.ADMIN_API_TOKEN;
+
+    await simulator.send('hi', { phone: '919800000033', name: 'Meena' });
+    await simulator.send('fee for GeM Procurement', { phone: '919800000034', name: 'Karan' });
+  });
+
+  afterEach(() => {
+    env.forEach(key => {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    });
+  });
+
+  it('lists the users who wrote in, and pages through them', async () => {
+    const response = await get('/users', 'alice-token');
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.deepStrictEqual(body.items.map(user => user.userId), ['919800000034', '919800000033']);
+    assert.strictEqual(body.items[0].userName, 'Karan');
+
+    const secondPage = await (await get('/users?page=2&limit=1', 'bob-token')).json();
+    assert.deepStrictEqual([secondPage.total, secondPage.page, secondPage.limit], [2, 2, 1]);
+    assert.deepStrictEqual(secondPage.items.map(user => user.userId), ['919800000033']);
+  });
+
+  it("shows one user's transcript, question and reply", async () => {
+    const body = await (await get('/+91 98000 00034', 'alice-token')).json();
+    assert.strictEqual(body.userId, '919800000034', 'the id is read as digits');
+    assert.deepStrictEqual(body.items.map(entry => entry.direction), ['outbound', 'inbound']);
+    assert.strictEqual(body.items[1].text, 'fee for GeM Procurement');
+
+    assert.strictEqual((await get('/not-a-number', 'alice-token')).status, 400);
+  });
+
+  it('searches messages, optionally for one user', async () => {
+    const body = await (await get('/search?q=fee%20for%20gem', 'alice-token')).json();
+    assert.strictEqual(body.query, 'fee for gem');
+    assert.deepStrictEqual(body.items.map(entry => [entry.userId, entry.direction, entry.text]), [
+      ['919800000034', 'inbound', 'fee for GeM Procurement']
+    ]);
+
+    // The welcome message names GeM Procurement as an example
+    assert.strictEqual((await (await get('/search?q=gem%20procurement', 'alice-token')).json()).total, 3);
+    const otherUser = await (await get('/search?q=gem%20procurement&userId=919800000033', 'alice-token')).json();
+    assert.deepStrictEqual(otherUser.items.map(entry => entry.direction), ['outbound']);
+    assert.strictEqual((await get('/search?q=a', 'alice-token')).status, 400);
+  });
+
+  it('answers 401 without a valid token, and 503 when no token is configured', async () => {
+    assert.strictEqual((await get('/users')).status, 401);
+    assert.strictEqual((await get('/users', 'alice-toke')).status, 401, 'a prefix of a token is not enough');
+    assert.strictEqual((await get('/users', 'alice:alice-token')).status, 401);
+    assert.deepStrictEqual(await (await get('/users', 'wrong')).json(), { error: 'Unauthorized' });
+
+    delete process.env.ADMIN_API_TOKENS;
+    const response = await get('/users', 'alice-token');
+    assert.strictEqual(response.status, 503);
+    assert.deepStrictEqual(await response.json(), { error: 'Admin API is not configured' });
+
+    process.env.ADMIN_API_TOKEN = 'shared-token';
+    assert.strictEqual((await get('/users', 'shared-token')).status, 200);
+  });
+});
+
+describe('admin tokens', () => {
+  const previousEnv = {};
+  const env = ['ADMIN_API_TOKENS', 'ADMIN_API_TOKEN'];
+
+  beforeEach(() => {
+    env.forEach(key => { previousEnv[key] = process.env[key]; });
+  });
+
+  afterEach(() => {
+    env.forEach(key => {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    });
+  });
+
+  // Run the middleware on a fake request: { status, body } when refused, { adminUser } when let through
+  const authenticate = (authorization) => {
+    const req = { headers: authorization ? { authorization } : {} };
+    let refused = null;
+    const res = {
+      status: (status) => ({ json: (body) => { refused = { status, body }; } })
+    };
+    let passed = false;
+    requireAdminAuth(req, res, () => { passed = true; });
+    return passed ? { adminUser: req.adminUser } : refused;
+  };
+
+  it('reads one token per staff member, plus the shared one', () => {
+    process.env.ADMIN_API_TOKENS = 'alice:alice-token, bob : bob-token,no-separator,carol:';
+    process.env.ADMIN_API_TOKEN = 'shared-token';
+    assert.deepStrictEqual(getAdminTokens(), [
+      { user: 'alice', token: 'alice-token' },
+      { user: 'bob', token: 'bob-token' },
+      { user: 'admin', token: 'shared-token' }
+    ]);
+  });
+
+  it('names the staff member whose token was sent, compared in constant time', (t) => {
+    process.env.ADMIN_API_TOKENS = 'alice:alice-token,bob:bob-token';
+    delete process.env.ADMIN_API_TOKEN;
+    const timingSafeEqual = t.mock.method(crypto, 'timingSafeEqual');
+
+    assert.deepStrictEqual(authenticate('Bearer bob-token'), { adminUser: 'bob' });
+    assert.deepStrictEqual(authenticate('bearer  alice-token '), { adminUser: 'alice' });
+    assert.ok(timingSafeEqual.mock.callCount() >= 2, 'tokens are compared with crypto.timingSafeEqual');
+
+    assert.deepStrictEqual(authenticate('Bearer bob-token-2'), { status: 401, body: { error: 'Unauthorized' } });
+    assert.deepStrictEqual(authenticate('bob-token'), { status: 401, body: { error: 'Unauthorized' } }, 'the Bearer scheme is required');
+  });
+});
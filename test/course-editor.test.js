@@ -0,0 +1,173 @@
+// ✏️ Course editor tests - admin changes are validated, written to courses.json (or the course data
+// store), live at once and audited. Runs against a temporary copy of data/courses.json. Run with: npm test
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCourseRepository } = require('../webhook/course-repository');
+const { createCourseEditor } = require('../webhook/course-editor');
+const { createMemoryAuditStore } = require('../webhook/stores/audit-store');
+const { createMemoryCourseDataStore } = require('../webhook/stores/course-data-store');
+
+console.log = () => {};
+console.error = () => {};
+
+describe('course editor', () => {
+  let directory;
+  let filePath;
+  let repository;
+  let auditStore;
+  let editor;
+
+  const rawRow = (name) => JSON.parse(fs.readFileSync(filePath, 'utf8')).find(row => row['प्रशिक्षण कार्यक्रम Programme'] === name);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'course-editor-'));
+    filePath = path.join(directory, 'courses.json');
+    fs.copyFileSync(path.join(__dirname, '../data/courses.json'), filePath);
+    repository = createCourseRepository({ filePath, watch: false });
+    auditStore = createMemoryAuditStore();
+    editor = createCourseEditor({ getRepository: () => repository, getStore: () => auditStore });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('updates a fee in the spreadsheet format and records who changed it', async () => {
+    const result = await editor.update('gem-procurement', { feePerDay: 7800, discountedFeePerDay: 6250 }, 'alice');
+
+    assert.strictEqual(result.course.feePerDay, 7800);
+    assert.strictEqual(repository.getById('gem-procurement').discountedFeePerDay, 6250, 'the bot sees the change at once');
+    const row = rawRow('GeM Procurement');
+    assert.strictEqual(row[' Course Fees (Per Day per participant) '], 7800, 'the existing header is reused');
+    assert.strictEqual(row['Total Course Fee (number of participants x training days)'], 7800 * 5 * 30);
+
+    const { items } = await auditStore.list({ courseId: 'gem-procurement' });
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].user, 'alice');
+    assert.deepStrictEqual(items[0].changes.feePerDay, { from: 7600, to: 7800 });
+  });
+
+  it('rejects invalid changes without touching the file', async () => {
+    const before = fs.readFileSync(filePath, 'utf8');
+    const result = await editor.update('gem-procurement', { days: 0, emails: ['not-an-email'], colour: 'blue' }, 'alice');
+
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(result.details, [
+      '"days" must be a whole number from 1 to 365',
+      '"emails" must be a list of email addresses',
+      'Unknown field "colour"'
+    ]);
+    assert.strictEqual((await editor.update('gem-procurement', { discountedFeePerDay: 9000 }, 'alice')).status, 400);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+    assert.strictEqual((await auditStore.list()).total, 0);
+  });
+
+  it('adds, moves and removes batch dates', async () => {
+    await editor.addBatch('safety-management-system-sms', { start: '2026-03-02', end: '06/03/2026' }, 'bob');
+    await editor.updateBatch('safety-management-system-sms', '2025-12-15', { start: '2025-12-22', end: '2025-12-26' }, 'bob');
+    const result = await editor.removeBatch('safety-management-system-sms', '2026-03-02', 'bob');
+
+    assert.deepStrictEqual(result.course.batches.map(batch => batch.start), ['2025-09-15', '2025-12-22']);
+    assert.strictEqual((await editor.addBatch('safety-management-system-sms', { start: '2026-01-10', end: '2026-01-05' }, 'bob')).status, 400);
+    assert.strictEqual((await editor.removeBatch('safety-management-system-sms', '2030-01-01', 'bob')).status, 404);
+
+    const impossible = await editor.addBatch('safety-management-system-sms', { start: '2026-02-30', end: '2026-13-45' }, 'bob');
+    assert.strictEqual(impossible.status, 400);
+    assert.deepStrictEqual(impossible.details, ['The batch has a "start" that is not a calendar date: "2026-02-30" (use YYYY-MM-DD)']);
+    assert.strictEqual((await editor.addBatch('safety-management-system-sms', { start: '99/99/2026', end: '99/99/2027' }, 'bob')).status, 400);
+    assert.strictEqual((await editor.update('safety-management-system-sms', { batches: [{ start: '2026-03-02', end: '31/02/2026' }] }, 'bob')).status, 400);
+    assert.strictEqual((await editor.updateBatch('safety-management-system-sms', '2025-12-22', { end: '2025-12-32' }, 'bob')).status, 400);
+    assert.deepStrictEqual((await auditStore.list()).items.map(entry => entry.action), ['delete_batch', 'update_batch', 'add_batch']);
+  });
+
+  it('creates and deletes courses, but not ones the domain menus list', async () => {
+    const created = await editor.create({ name: 'Drone Operations Basics', days: 3, feePerDay: 5000, batches: [{ start: '2026-04-06', end: '2026-04-08' }] }, 'alice');
+    assert.strictEqual(created.course.id, 'drone-operations-basics');
+    assert.strictEqual(repository.findByName('drone operations basics').batches[0].start, '2026-04-06');
+    assert.strictEqual((await editor.create({ name: 'Drone Operations Basics', days: 3 }, 'alice')).status, 409);
+
+    const deleted = await editor.remove('drone-operations-basics', 'alice');
+    assert.strictEqual(deleted.previous.name, 'Drone Operations Basics');
+    assert.strictEqual(repository.getById('drone-operations-basics'), null);
+
+    assert.strictEqual((await editor.remove('safety-management-system-sms', 'alice')).status, 409);
+    assert.strictEqual((await editor.update('safety-management-system-sms', { name: 'SMS Basics' }, 'alice')).status, 409);
+  });
+
+  it('answers 503 when courses.json is on a read-only filesystem', async (t) => {
+    t.mock.method(fs, 'writeFileSync', () => {
+      throw Object.assign(new Error('EROFS: read-only file system'), { code: 'EROFS' });
+    });
+    const result = await editor.update('gem-procurement', { feePerDay: 7800 }, 'alice');
+
+    assert.strictEqual(result.status, 503);
+    assert.match(result.error, /MONGODB_URI/);
+    assert.strictEqual(repository.getById('gem-procurement').feePerDay, 7600);
+    assert.strictEqual((await auditStore.list()).total, 0);
+  });
+});
+
+describe('course editor with a course data store', () => {
+  let directory;
+  let filePath;
+  let dataStore;
+  let instanceA;
+  let instanceB;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'course-editor-'));
+    filePath = path.join(directory, 'courses.json');
+    fs.copyFileSync(path.join(__dirname, '../data/courses.json'), filePath);
+    // Two server instances sharing one store (MongoDB in production)
+    dataStore = createMemoryCourseDataStore();
+    instanceA = createCourseRepository({ filePath, watch: false, store: dataStore });
+    instanceB = createCourseRepository({ filePath, watch: false, store: dataStore });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const editorFor = (repository) => createCourseEditor({ getRepository: () => repository, getStore: createMemoryAuditStore });
+
+  it('saves edits in the store and every instance picks them up', async () => {
+    const before = fs.readFileSync(filePath, 'utf8');
+    const result = await editorFor(instanceA).update('gem-procurement', { feePerDay: 7800 }, 'alice');
+
+    assert.strictEqual(result.course.feePerDay, 7800);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before, 'courses.json is left alone');
+    assert.strictEqual(instanceB.getById('gem-procurement').feePerDay, 7600);
+    assert.strictEqual(await instanceB.refresh({ force: true }), true);
+    assert.strictEqual(instanceB.getById('gem-procurement').feePerDay, 7800);
+
+    // The other instance's next edit builds on the first one
+    await editorFor(instanceB).addBatch('gem-procurement', { start: '2026-05-04', end: '2026-05-08' }, 'bob');
+    await instanceA.refresh({ force: true });
+    assert.strictEqual(instanceA.getById('gem-procurement').feePerDay, 7800);
+    assert.ok(instanceA.getById('gem-procurement').batches.some(batch => batch.start === '2026-05-04'));
+  });
+
+  it('refuses a save made on an outdated version', async () => {
+    const { rows, version } = instanceB.getRawRows();
+    await editorFor(instanceA).update('gem-procurement', { feePerDay: 7800 }, 'alice');
+
+    const saved = await instanceB.save(rows, { expectedVersion: version, user: 'bob' });
+    assert.strictEqual(saved.success, false);
+    assert.strictEqual(saved.reason, 'conflict');
+  });
+
+  it('lets a new spreadsheet import replace the edits', async () => {
+    await editorFor(instanceA).update('gem-procurement', { feePerDay: 7800 }, 'alice');
+
+    const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    rows.find(row => row['प्रशिक्षण कार्यक्रम Programme'] === 'GeM Procurement')[' Course Fees (Per Day per participant) '] = 8000;
+    fs.writeFileSync(filePath, JSON.stringify(rows));
+    instanceA.load();
+
+    assert.strictEqual(instanceA.getById('gem-procurement').feePerDay, 8000);
+  });
+});
@@ -0,0 +1,116 @@
+// 📥 Course importer tests - a messy training calendar sheet becomes clean courses.json rows
+// with a report of what was wrong. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { rowsFromSheet, importRows, diffCourseData } = require('../webhook/course-importer');
+
+console.log = () => {};
+
+const HEADERS = [
+  'Sl No.', 'प्रशिक्षण कार्यक्रम Programme', 'आरंभ तिथी /Start date', 'समाप्त तिथी /End Date', 'दिवस संख्या Number of Days',
+  'पाठ्यक्रम समन्वयक Course Coordinator', 'Course Type ', ' Course Fees (Per Day per participant) ', 'Phone number', 'email', 'Internal notes'
+];
+
+// Excel serials: 46006 = 2025-12-15, 46010 = 2025-12-19
+const SHEET = [
+  ['IAA Training Calendar 2025-26'],
+  [],
+  HEADERS,
+  [1, ' Safety Management System(SMS) ', 46006, 46010, 5, 'Asha Rao & Vikram Singh', 'CTP ', '₹7,600', '9810000001, 98100', 'asha@aai.aero / vikram@aai.aero', 'x'],
+  [2, 'GeM Procurement', '22/11/2025', 'soon', 5, 'Ravi', 'Others', 7600, 'Not available', 'N/A', null],
+  [],
+  [3, 'safety management system(sms)', '09/02/2026', '13/02/2026', 5, 'Asha Rao', 'CTP', 7600, null, null, null],
+  [null, null, null, null, null, null, null, 93713200, null, null, null]
+];
+
+describe('course importer', () => {
+  const sheet = rowsFromSheet(SHEET);
+  const { courses, report } = importRows(sheet);
+
+  it('finds the header row below title rows and maps padded bilingual headers', () => {
+    assert.strictEqual(sheet.headerRow, 3);
+    assert.deepStrictEqual(sheet.unknownHeaders, ['Internal notes']);
+    assert.deepStrictEqual(report.missingColumns, []);
+    assert.deepStrictEqual(sheet.rows.map(row => row.rowNumber), [4, 5, 7, 8], 'row numbers match the spreadsheet');
+  });
+
+  it('writes clean rows with ISO dates, split lists and repeated rows grouped into batches', () => {
+    assert.strictEqual(courses.length, 2);
+    assert.deepStrictEqual(courses[0], {
+      'Sl No.': 1,
+      'प्रशिक्षण कार्यक्रम Programme': 'Safety Management System(SMS)',
+      'Upcoming Dates': [{ start: '2025-12-15', end: '2025-12-19' }, { start: '2026-02-09', end: '2026-02-13' }],
+      'दिवस संख्या Number of Days': 5,
+      'पाठ्यक्रम समन्वयक Course Coordinator': ['Asha Rao', 'Vikram Singh'],
+      'Course Type': 'CTP',
+      'Course Fees (Per Day per participant)': 7600,
+      'Phone number': ['9810000001'],
+      email: ['asha@aai.aero', 'vikram@aai.aero']
+    });
+    assert.deepStrictEqual(courses[1]['Upcoming Dates'], [{ start: '2025-11-22', end: '2025-11-26' }], 'a bad end date is worked out from the days');
+    assert.strictEqual(courses[1]['Phone number'], undefined, '"Not available" is an empty cell');
+  });
+
+  it('reports every row with missing or malformed data', () => {
+    assert.deepStrictEqual(report.problems.map(problem => [problem.row, problem.level]), [
+      [4, 'warning'], [5, 'warning'], [7, 'warning'], [8, 'error']
+    ]);
+    assert.match(report.problems[0].message, /"98100" not a phone number/);
+    assert.match(report.problems[1].message, /End date: "soon" is not a date - using 2025-11-26 \(5 days\)/);
+    assert.match(report.problems[2].message, /also on row 4 with a different .*Course Coordinator/);
+    assert.strictEqual(report.batches, 3);
+  });
+
+  it('reports missing required columns', () => {
+    const { report: broken } = importRows(rowsFromSheet([['Programme', 'Category', 'Course Type', 'Hostel Charges'], ['SMS', 'Safety', 'CTP', null]]));
+    assert.deepStrictEqual(broken.missingColumns, ['दिवस संख्या Number of Days', 'आरंभ तिथी /Start date']);
+    assert.throws(() => rowsFromSheet([['Title'], ['Name', 'Date']]), /No header row found/);
+  });
+
+  it('reads batch date ranges written with dashes inside and between the dates', () => {
+    const { courses: imported, report: dashed } = importRows(rowsFromSheet([
+      ['Programme', 'Number of Days', 'Upcoming Dates'],
+      ['Airside Safety', 5, '15-12-2025 - 19-12-2025, 09-02-2026-13-02-2026; 2026-03-02 to 2026-03-06, soon']
+    ]));
+    assert.deepStrictEqual(imported[0]['Upcoming Dates'], [
+      { start: '2025-12-15', end: '2025-12-19' },
+      { start: '2026-02-09', end: '2026-02-13' },
+      { start: '2026-03-02', end: '2026-03-06' }
+    ]);
+    assert.deepStrictEqual(dashed.problems.map(problem => problem.message), ['Upcoming Dates: can\'t read "soon" - use "DD/MM/YYYY - DD/MM/YYYY"']);
+  });
+
+  it('rejects dates that are not on the calendar and rows with the day and month swapped', () => {
+    const { courses: imported, report: checked } = importRows(rowsFromSheet([
+      ['Programme', 'Number of Days', 'Start date', 'End Date', 'Upcoming Dates'],
+      ['Airside Safety', 5, '31/02/2026', '04/03/2026', null],
+      ['Human Factors', 3, null, null, '2026-13-40 - 2026-13-42'],
+      ['Aerodrome Licensing', 5, '12/31/2026', '01/04/2027', null],
+      ['GeM Procurement', 5, null, null, '15/12/2025 - 19/12/2025, 2026-31-12 to 2027-04-01']
+    ]));
+
+    assert.deepStrictEqual(imported.map(course => [course['प्रशिक्षण कार्यक्रम Programme'], course['Upcoming Dates']]), [
+      ['Airside Safety', undefined],
+      ['Human Factors', undefined]
+    ]);
+    assert.strictEqual(checked.skippedRows, 2);
+    assert.deepStrictEqual(checked.problems.filter(problem => problem.level === 'error'), [
+      { row: 4, level: 'error', message: 'Start date: "12/31/2026" has the day and month swapped - write 31/12/2026 (DD/MM/YYYY); row skipped' },
+      { row: 5, level: 'error', message: 'Upcoming Dates: "2026-31-12" has the day and month swapped - write 31/12/2026 (DD/MM/YYYY); row skipped' }
+    ]);
+    assert.match(checked.problems[0].message, /Start date: "31\/02\/2026" is not a date - batch skipped/);
+    assert.match(checked.problems.find(problem => problem.row === 3).message, /can't read "2026-13-40 - 2026-13-42"/);
+  });
+
+  it('diffs an import against the current courses.json', () => {
+    const current = [
+      { 'प्रशिक्षण कार्यक्रम Programme': 'Safety Management System(SMS)', 'आरंभ तिथी /Start date': 46006, 'समाप्त तिथी /End Date': 46010, 'दिवस संख्या Number of Days': 5, ' Course Fees (Per Day per participant) ': 7000 },
+      { 'प्रशिक्षण कार्यक्रम Programme': 'Human Factors', 'दिवस संख्या Number of Days': 3 }
+    ];
+    const diff = diffCourseData(current, courses);
+    assert.deepStrictEqual(diff.added, [{ id: 'gem-procurement', name: 'GeM Procurement' }]);
+    assert.deepStrictEqual(diff.removed, [{ id: 'human-factors', name: 'Human Factors' }]);
+    assert.deepStrictEqual(Object.keys(diff.changed[0].changes), ['coordinators', 'courseType', 'feePerDay', 'phones', 'emails', 'batches']);
+  });
+});
@@ -0,0 +1,78 @@
+// 🔎 Course matcher tests - names, synonyms, short forms, typos and question words around them.
+// Runs against data/courses.json. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { matchCourses, editDistance } = require('../webhook/course-matcher');
+const { detectCourseIntent } = require('../webhook/intent-detector');
+const { getCourseRepository } = require('../webhook/course-repository');
+const courseSearch = require('../webhook/handlers/course-search');
+
+console.log = () => {};
+
+const courses = getCourseRepository().getAll();
+
+// What the bot does with a message: strip the question words, then match what is left
+const answer = (text) => {
+  const match = matchCourses(detectCourseIntent(text).coursePhrase, courses);
+  return { id: match.best && match.best.course.id, confident: match.confident, candidates: match.candidates.length };
+};
+
+describe('course matcher', () => {
+  it('answers exact names whatever the case and punctuation', () => {
+    assert.deepStrictEqual(answer('GeM Procurement'), { id: 'gem-procurement', confident: true, candidates: 1 });
+    assert.strictEqual(matchCourses('safety management system (sms)', courses).best.score, 1);
+    assert.strictEqual(answer('Aviation Cyber Security').id, 'aviation-cyber-security');
+  });
+
+  it('answers synonyms from course_name_entity.csv and short forms', () => {
+    assert.strictEqual(answer('Retirement Planning').id, 'planning-for-retirement');
+    assert.strictEqual(answer('cyber security').id, 'aviation-cyber-security');
+    assert.deepStrictEqual(answer('sms'), { id: 'safety-management-system-sms', confident: true, candidates: 1 });
+    assert.strictEqual(answer('dop').id, 'delegation-of-power-dop-budget-preparation');
+    assert.strictEqual(answer('posh').id, 'prevention-of-sexual-harrasment-posh-workshop');
+  });
+
+  it('forgives typos', () => {
+    assert.strictEqual(editDistance('managment', 'management'), 1);
+    assert.deepStrictEqual(answer('safty managment systm'), { id: 'safety-management-system-sms', confident: true, candidates: 2 });
+    assert.strictEqual(answer('aerodrome licence').id, 'aerodrome-licensing');
+    assert.strictEqual(answer('human factor').id, 'human-factors');
+  });
+
+  it('ignores question and politeness words around the course name', () => {
+    assert.deepStrictEqual(answer('may I know the fee for GeM'), { id: 'gem-procurement', confident: true, candidates: 1 });
+    assert.strictEqual(answer('kindly share details of gem procurement').id, 'gem-procurement');
+    assert.strictEqual(answer('please tell me about human factors').id, 'human-factors');
+    assert.strictEqual(answer('let me know the duration of human factors').id, 'human-factors');
+    assert.strictEqual(answer('may i know about project managment').id, 'system-engineering-and-project-management');
+  });
+
+  it('asks instead of guessing between equally good courses, and finds nothing for unknown ones', () => {
+    const powerBi = answer('power bi');
+    assert.strictEqual(powerBi.confident, false);
+    assert.ok(powerBi.candidates >= 2);
+    assert.deepStrictEqual(answer('underwater basket weaving'), { id: null, confident: false, candidates: 0 });
+  });
+
+  it('is not sure of one word that several courses share', () => {
+    assert.strictEqual(answer('system').confident, false, 'System Engineering or Safety Management System');
+    assert.strictEqual(answer('tell me about system').confident, false);
+    assert.strictEqual(answer('management').confident, false);
+    assert.strictEqual(answer('system engineering').id, 'system-engineering-and-project-management');
+    assert.strictEqual(answer('safety').id, 'safety-management-system-sms', 'a word only one course has is enough');
+    assert.strictEqual(answer('procurement').id, 'gem-procurement', 'so is a whole short form');
+  });
+
+  it('compares the courses named by whole phrases, not by single words', async () => {
+    const compare = (text) => courseSearch.handle({
+      text, userName: 'Asha', language: 'en', turn: {}, session: { context: {} }, courses: getCourseRepository()
+    });
+
+    const reply = await compare('compare gem procurement and safety management system');
+    assert.strictEqual(reply.intent, 'course_comparison');
+    assert.ok(reply.response.includes('GeM Procurement') && reply.response.includes('Safety Management System(SMS)'));
+    assert.ok(!reply.response.includes('System Engineering'), 'the word "system" does not add a third course');
+    assert.ok((await compare('gem vs sms')).response.includes('Safety Management System(SMS)'));
+  });
+});
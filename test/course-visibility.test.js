@@ -0,0 +1,66 @@
+// 👁️ Course visibility tests - public / internal / hidden courses and the staff allow-list. Run with: npm test
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { deriveVisibility, isInternalUser, audienceFor, forAudience } = require('../webhook/course-visibility');
+const { normalizeCourse } = require('../webhook/course-repository');
+
+const courses = [
+  { id: 'sms', name: 'Safety Management System(SMS)', category: 'Safety', visibility: 'public' },
+  { id: 'ab-initio', name: 'Ab initio for JE', category: 'Induction', visibility: 'internal' },
+  { id: 'old', name: 'Retired Course', category: 'Safety', visibility: 'hidden' }
+];
+
+// Just the lookups forAudience uses
+const repository = {
+  getAll: () => courses,
+  getById: (id) => courses.find(course => course.id === id) || null,
+  findAllByName: (name) => courses.filter(course => course.name.toLowerCase() === name.toLowerCase()),
+  getByCategory: (category) => courses.filter(course => course.category === category),
+  getByType: () => []
+};
+
+describe('course visibility', () => {
+  const previousNumbers = process.env.INTERNAL_STAFF_NUMBERS;
+  afterEach(() => {
+    if (previousNumbers === undefined) {
+      delete process.env.INTERNAL_STAFF_NUMBERS;
+    } else {
+      process.env.INTERNAL_STAFF_NUMBERS = previousNumbers;
+    }
+  });
+
+  it('takes the explicit value first, then the remarks', () => {
+    assert.strictEqual(deriveVisibility(null, 'Not to be uploaded on IAA website'), 'internal');
+    assert.strictEqual(deriveVisibility('Hidden', 'Not to be uploaded on IAA website'), 'hidden');
+    assert.strictEqual(deriveVisibility('public', 'Not to be uploaded on IAA website'), 'public');
+    assert.strictEqual(deriveVisibility('secret', null), 'public', 'unknown values are ignored');
+
+    const row = { 'प्रशिक्षण कार्यक्रम Programme': 'Ab initio for JE', Remarks: 'Not to be uploaded on IAA website' };
+    assert.strictEqual(normalizeCourse(row).visibility, 'internal');
+  });
+
+  it('recognises allow-listed staff numbers with or without the country code', () => {
+    process.env.INTERNAL_STAFF_NUMBERS = '+91 98765 43210; 9123456789';
+    assert.strictEqual(isInternalUser('919876543210'), true);
+    assert.strictEqual(isInternalUser('919123456789'), true);
+    assert.strictEqual(audienceFor('919800000001'), 'public');
+
+    process.env.INTERNAL_STAFF_NUMBERS = '';
+    assert.strictEqual(audienceFor('919876543210'), 'public');
+  });
+
+  it('filters every lookup for the audience and never shows hidden courses', () => {
+    const publicView = forAudience(repository, 'public');
+    assert.deepStrictEqual(publicView.getAll().map(course => course.id), ['sms']);
+    assert.strictEqual(publicView.getAll(), publicView.getAll(), 'the filtered list is cached for the course matcher');
+    assert.strictEqual(publicView.getById('ab-initio'), null);
+    assert.strictEqual(publicView.findByName('Ab initio for JE'), null);
+    assert.deepStrictEqual(publicView.getByCategory('Safety').map(course => course.id), ['sms']);
+
+    const staffView = forAudience(repository, 'internal');
+    assert.deepStrictEqual(staffView.getAll().map(course => course.id), ['sms', 'ab-initio']);
+    assert.strictEqual(staffView.findByName('Ab initio for JE').id, 'ab-initio');
+    assert.strictEqual(staffView.getById('old'), null);
+  });
+});
@@ -0,0 +1,61 @@
+// 📅 Date query tests - which messages ask about dates, and which only contain numbers. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDateQuery } = require('../webhook/date-query');
+const batchesByDate = require('../webhook/handlers/batches-by-date');
+
+const now = new Date('2025-11-20T06:30:00Z');
+const range = (text) => {
+  const query = parseDateQuery(text, now);
+  return query && { from: query.from, to: query.to, type: query.label.type };
+};
+
+describe('parseDateQuery', () => {
+  it('reads days, months and ranges', () => {
+    assert.deepStrictEqual(range('courses in december'), { from: '2025-12-01', to: '2025-12-31', type: 'month' });
+    assert.deepStrictEqual(range('courses on 15/12'), { from: '2025-12-15', to: '2025-12-15', type: 'on' });
+    assert.deepStrictEqual(range('15/12/2025'), { from: '2025-12-15', to: '2025-12-15', type: 'on' });
+    assert.deepStrictEqual(range('batches between 1/12 and 15/12'), { from: '2025-12-01', to: '2025-12-15', type: 'between' });
+    assert.deepStrictEqual(range('anything from 1.12 to 15 jan'), { from: '2025-12-01', to: '2026-01-15', type: 'between' });
+    assert.deepStrictEqual(range('courses after 10 jan'), { from: '2026-01-11', to: null, type: 'after' });
+    assert.deepStrictEqual(range('15/12 से कौन से कोर्स'), { from: '2025-12-15', to: '2025-12-15', type: 'on' });
+  });
+
+  it('reads aaj, kal and parso, taking kal and parso as days to come', () => {
+    assert.deepStrictEqual(range('aaj kaunse course hain'), { from: '2025-11-20', to: '2025-11-20', type: 'today' });
+    assert.deepStrictEqual(range('kal kaunse course hain'), { from: '2025-11-21', to: '2025-11-21', type: 'tomorrow' });
+    assert.deepStrictEqual(range('parso kya shuru ho raha hai'), { from: '2025-11-22', to: '2025-11-22', type: 'dayAfterTomorrow' });
+    assert.deepStrictEqual(range('courses the day after tomorrow'), { from: '2025-11-22', to: '2025-11-22', type: 'dayAfterTomorrow' });
+
+    assert.deepStrictEqual(parseDateQuery('कल कौन से कोर्स हैं', now).label, { type: 'tomorrow', date: '2025-11-21', assumedFuture: true, word: 'कल' });
+    assert.strictEqual(parseDateQuery('kal kaunse course hain', now).label.word, 'kal');
+    assert.deepStrictEqual(parseDateQuery('courses tomorrow', now).label, { type: 'tomorrow', date: '2025-11-21' }, '"tomorrow" is not an assumption');
+    assert.strictEqual(parseDateQuery('kalpana', now), null);
+  });
+
+  it('does not read yearless numbers as dates without a date word', () => {
+    assert.strictEqual(parseDateQuery('Global reporting format for 1-2 officers', now), null);
+    assert.strictEqual(parseDateQuery('what is the fee for sms for 2.5 days', now), null);
+    assert.strictEqual(parseDateQuery('course 1-2', now), null);
+    assert.strictEqual(parseDateQuery('may I know the fee for GeM', now), null);
+  });
+});
+
+describe('batches by date handler', () => {
+  const match = (text) => batchesByDate.match({ text, now });
+
+  it('takes date questions', () => {
+    assert.ok(match('what starts next week'));
+    assert.ok(match('SMS batches in December'));
+    assert.ok(match('courses on 15/12'));
+  });
+
+  it('leaves fee, attribute and head count questions to the other handlers', () => {
+    assert.strictEqual(match('SMS fee in December'), null);
+    assert.strictEqual(match('hostel charges for batches on 15/12'), null);
+    assert.strictEqual(match('Global reporting format for 1-2 officers'), null);
+    assert.strictEqual(match('courses in december for 5 participants'), null);
+    assert.strictEqual(match('what is the fee for sms for 2.5 days'), null);
+  });
+});
@@ -0,0 +1,23 @@
+// 📅 Date utility tests - every supported date format, and dates that don't exist. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { toISODate, formatDateDMY } = require('../webhook/date-utils');
+
+describe('toISODate', () => {
+  it('reads Excel serials, ISO dates, D/M/Y strings and Date objects', () => {
+    assert.strictEqual(toISODate(46006), '2025-12-15');
+    assert.strictEqual(toISODate('46006'), '2025-12-15');
+    assert.strictEqual(toISODate('2025-12-15'), '2025-12-15');
+    assert.strictEqual(toISODate('15/12/2025'), '2025-12-15');
+    assert.strictEqual(toISODate('5-1-26'), '2026-01-05');
+    assert.strictEqual(toISODate('29.02.2028'), '2028-02-29');
+    assert.strictEqual(toISODate(new Date('2025-12-15T10:00:00Z')), '2025-12-15');
+  });
+
+  it('returns null for dates that are not on the calendar', () => {
+    ['31/02/2026', '29/02/2026', '12/31/2026', '99/99/2026', '00/01/2026', '2026-13-40', '2026-02-30', '2026-00-10', 'soon']
+      .forEach(value => assert.strictEqual(toISODate(value), null, value));
+    assert.strictEqual(formatDateDMY('2026-02-31'), '2026-02-31', 'an impossible date is shown as it was written');
+  });
+});
@@ -0,0 +1,113 @@
+// 🔁 Dedupe tests - a redelivered WhatsApp message is acknowledged but answered only once. Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { createMemoryDedupeStore, createMongoDedupeStore, getDedupeStore } = require('../webhook/stores/dedupe-store');
+const { mongoose, disconnectDatabase } = require('../webhook/database');
+const { getOutboundQueueStore } = require('../webhook/stores/outbound-queue-store');
+const { OUTBOUND_MAX_ATTEMPTS } = require('../webhook/outbound-queue');
+
+console.log = () => {};
+console.error = () => {};
+
+const user = { phone: '919800000023', name: 'Rohan' };
+
+const messagePayload = (id, body) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      value: {
+        contacts: [{ profile: { name: user.name }, wa_id: user.phone }],
+        messages: [{ from: user.phone, id, timestamp: '1763620000', type: 'text', text: { body } }]
+      }
+    }]
+  }]
+});
+
+describe('dedupe store', () => {
+  it('claims an id once, counts duplicates and lets a released id be claimed again', async () => {
+    const store = createMemoryDedupeStore();
+    assert.strictEqual(await store.claim('wamid.1'), true);
+    assert.strictEqual(await store.claim('wamid.1'), false);
+    assert.strictEqual(await store.claim('wamid.1'), false);
+    assert.strictEqual(await store.claim('wamid.2'), true);
+    const stats = await store.stats();
+    assert.strictEqual(stats.tracked, 2);
+    assert.strictEqual(stats.suppressed, 2);
+
+    await store.release('wamid.2');
+    assert.strictEqual(await store.claim('wamid.2'), true);
+  });
+
+  it('forgets ids after the TTL', async () => {
+    const store = createMemoryDedupeStore({ ttlMs: 0 });
+    assert.strictEqual(await store.claim('wamid.1'), true);
+    assert.strictEqual(await store.claim('wamid.1'), true);
+  });
+
+  it('counts a claim that lost the race to another instance as a duplicate (MongoDB)', async (t) => {
+    const store = createMongoDedupeStore({ uri: 'mongodb://localhost/dedupe-test' });
+    const model = mongoose.models.ProcessedMessage;
+    t.mock.method(mongoose, 'connect', async () => mongoose);
+    const increments = [];
+    t.mock.method(model, 'updateOne', async (filter, update) => {
+      if (update.$setOnInsert) {
+        throw Object.assign(new Error('E11000 duplicate key error collection: processedmessages'), { code: 11000 });
+      }
+      increments.push(update.$inc);
+      return { matchedCount: 1 };
+    });
+
+    assert.strictEqual(await store.claim('wamid.1'), false);
+    assert.deepStrictEqual(increments, [{ duplicates: 1 }]);
+    await disconnectDatabase();
+  });
+});
+
+describe('redelivered webhooks', () => {
+  let simulator;
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+  });
+
+  it('acknowledges a redelivery with 200 without answering again', async () => {
+    assert.strictEqual(await simulator.postWebhook(messagePayload('wamid.dup.1', 'fee for SMS')), 200);
+    assert.strictEqual(await simulator.postWebhook(messagePayload('wamid.dup.1', 'fee for SMS')), 200);
+
+    assert.strictEqual(simulator.transport.messagesTo(user.phone).length, 1);
+    assert.strictEqual((await getDedupeStore().stats()).suppressed, 1);
+  });
+
+  it('acknowledges a message whose reply could not be sent and keeps the reply for replay', async () => {
+    const { transport, app } = simulator;
+    const send = transport.send;
+    transport.send = async () => { throw new Error('Graph API unavailable'); };
+    try {
+      assert.strictEqual(await simulator.postWebhook(messagePayload('wamid.fail.1', 'fee for SMS')), 200);
+    } finally {
+      transport.send = send;
+    }
+
+    // Meta's redelivery is still a duplicate: the reply waits in the dead-letter list instead
+    assert.strictEqual(await simulator.postWebhook(messagePayload('wamid.fail.1', 'fee for SMS')), 200);
+    assert.strictEqual(transport.messagesTo(user.phone).length, 0);
+    const { items } = await getOutboundQueueStore().list({ status: 'dead' });
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].attempts, OUTBOUND_MAX_ATTEMPTS);
+
+    await app.locals.outboundQueue.replay(items[0].id);
+    await app.locals.outboundQueue.drain();
+    assert.strictEqual(transport.messagesTo(user.phone).length, 1);
+    assert.match(transport.messagesTo(user.phone)[0].payload.text.body, /7600/);
+  });
+});
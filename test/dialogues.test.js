@@ -0,0 +1,35 @@
+// 📜 Scripted dialogue regression tests - every test/dialogues/*.json is replayed against the bot
+// through the offline simulator (no Meta account, no MongoDB). Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { loadDialogues, runDialogue, describeFailures } = require('../webhook/simulator/dialogue-runner');
+
+// The bot logs every step; keep test output readable
+console.log = () => {};
+console.error = () => {};
+
+describe('scripted dialogues', () => {
+  let simulator;
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+  });
+
+  for (const dialogue of loadDialogues(path.join(__dirname, 'dialogues'))) {
+    it(dialogue.name, async () => {
+      const result = await runDialogue(simulator, dialogue);
+      assert.ok(result.passed, `\n${describeFailures(result)}`);
+    });
+  }
+});
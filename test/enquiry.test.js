@@ -0,0 +1,82 @@
+// 📝 Enrolment enquiry tests - answer validation, and looking an enquiry up by its reference
+// (the reference is random, so a JSON dialogue can't quote it back). Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { validateAnswer, findSlotToChange, generateReference, findReference } = require('../webhook/enquiry-flow');
+
+console.log = () => {};
+console.error = () => {};
+
+const now = new Date('2025-11-20T12:00:00+05:30');
+const course = {
+  id: 'sms',
+  name: 'Safety Management System(SMS)',
+  batchSize: 24,
+  batches: [{ start: '2025-11-18', end: '2025-11-22' }, { start: '2025-12-15', end: '2025-12-19' }]
+};
+
+describe('enquiry answers', () => {
+  it('accepts usable answers in forgiving formats', () => {
+    assert.deepStrictEqual(validateAnswer('participantName', '  Ravi   Kumar ', { course, now }), { value: 'Ravi Kumar' });
+    assert.deepStrictEqual(validateAnswer('participantName', 'रवि कुमार', { course, now }), { value: 'रवि कुमार' });
+    assert.deepStrictEqual(validateAnswer('email', ' Ravi@AAI.aero ', { course, now }), { value: 'ravi@aai.aero' });
+    assert.deepStrictEqual(validateAnswer('participants', '५ participants', { course, now }), { value: 5 });
+    assert.deepStrictEqual(validateAnswer('batch', '1', { course, now }), { value: { start: '2025-12-15', end: '2025-12-19' } });
+    assert.deepStrictEqual(validateAnswer('batch', 'enquiry batch 2025-12-15', { course, now }), { value: { start: '2025-12-15', end: '2025-12-19' } });
+    assert.deepStrictEqual(validateAnswer('batch', 'कोई भी', { course, now }), { value: null });
+  });
+
+  it('rejects answers the training team could not use', () => {
+    assert.strictEqual(validateAnswer('participantName', 'R2D2', { course, now }).error, 'enquiryInvalidName');
+    assert.strictEqual(validateAnswer('email', 'ravi at aai', { course, now }).error, 'enquiryInvalidEmail');
+    assert.deepStrictEqual(validateAnswer('participants', '25', { course, now }), { error: 'enquiryInvalidParticipants', params: { max: 24 } });
+    assert.strictEqual(validateAnswer('participants', '0', { course, now }).error, 'enquiryInvalidParticipants');
+    assert.strictEqual(validateAnswer('batch', 'enquiry batch 2025-11-18', { course, now }).error, 'enquiryInvalidBatch', 'a running batch cannot be chosen');
+  });
+
+  it('understands "change <field>" and quoted references', () => {
+    assert.strictEqual(findSlotToChange('Change my email').name, 'email');
+    assert.strictEqual(findSlotToChange('ईमेल बदलें').name, 'email');
+    assert.strictEqual(findSlotToChange('change of plans'), null);
+    assert.match(generateReference(now), /^IAA-251120-[A-Z2-9]{4}$/);
+    assert.strictEqual(findReference('status of iaa-251120-k7qm?'), 'IAA-251120-K7QM');
+  });
+});
+
+describe('enquiry reference lookup', () => {
+  let simulator;
+  const meera = { phone: '919800000018', name: 'Meera' };
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    simulator.setToday('2025-11-20');
+  });
+
+  it('shows a saved enquiry to the user who sent it, and only to them', async () => {
+    for (const answer of ['enrol in SMS', 'Meera Nair', 'AAI', 'Manager', 'meera@aai.aero', '2', 'any']) {
+      await simulator.send(answer, meera);
+    }
+    const saved = await simulator.send('confirm', meera);
+    const reference = findReference(saved.text);
+    assert.ok(reference, saved.text);
+
+    const own = await simulator.send(`what is the status of ${reference.toLowerCase()}`, meera);
+    assert.strictEqual(own.intent, 'enquiry_status');
+    assert.match(own.text, /Received - the training team will contact you/);
+    assert.match(own.text, /\*Batch:\* Any batch/);
+
+    const other = await simulator.send(reference, { phone: '919800000019', name: 'Someone else' });
+    assert.match(other.text, /couldn't find an enquiry/);
+    assert.doesNotMatch(other.text, /Meera Nair/);
+  });
+});
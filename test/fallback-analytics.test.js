@@ -0,0 +1,43 @@
+// 📊 Unanswered query analytics tests - grouping similar questions and the CSV export. Run with: npm test
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { normalizeQuery, clusterQueries, recordFallbackQuery, buildUnansweredReport, reportToCsv } = require('../webhook/fallback-analytics');
+const { createMemoryFallbackStore, setFallbackStore } = require('../webhook/stores/fallback-store');
+
+console.log = () => {};
+
+describe('unanswered query analytics', () => {
+  beforeEach(() => {
+    setFallbackStore(createMemoryFallbackStore());
+  });
+
+  it('groups differently worded questions together', () => {
+    assert.strictEqual(normalizeQuery('Please tell me the FEES for drone courses?'), 'tell fee drone course');
+
+    const at = new Date('2025-11-20T06:30:00Z');
+    const clusters = clusterQueries([
+      { userId: 'u1', text: 'drone course fees', createdAt: at },
+      { userId: 'u2', text: 'fees for drone courses', createdAt: at },
+      { userId: 'u3', text: 'canteen timings', createdAt: at }
+    ]);
+    assert.deepStrictEqual(clusters.map(cluster => [cluster.question, cluster.count, cluster.distinctUsers]), [
+      ['drone course fee', 2, 2],
+      ['canteen timing', 1, 1]
+    ]);
+  });
+
+  it('exports the report as CSV without formulas from user text', async () => {
+    await recordFallbackQuery('u1', '=HYPERLINK("http://evil.example","click")');
+    await recordFallbackQuery('u2', '@SUM(A1:A9)');
+    await recordFallbackQuery('u3', '-2+3');
+    const report = await buildUnansweredReport({ now: new Date(Date.now() + 1000) });
+
+    const csv = reportToCsv(report);
+    assert.ok(csv.startsWith('rank,question,count,distinct_users,last_asked_at,attempted_courses,examples\n'));
+    assert.ok(csv.includes(`,"'=HYPERLINK(""http://evil.example"",""click"")"\n`));
+    assert.ok(csv.includes(",'@SUM(A1:A9)\n"));
+    assert.ok(csv.includes(",'-2+3\n"));
+    assert.ok(csv.split('\n').slice(1, -1).every(line => /^\d+,/.test(line)), 'numbers are left as they are');
+  });
+});
@@ -0,0 +1,55 @@
+// 🧮 Fee calculator tests - reading hostel charges and the group discount rule. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseFeeQuery, parseHostelCharges, calculateQuote, GROUP_DISCOUNT_MIN_PARTICIPANTS } = require('../webhook/fee-calculator');
+
+const course = {
+  name: 'Safety Management System(SMS)',
+  days: 5,
+  feePerDay: 7600,
+  discountedFeePerDay: 6100,
+  hostelCharges: 'Single occupancy: ₹3000 + 18% GST, Double occupancy: 2000 + 18% GST'
+};
+
+describe('fee calculator', () => {
+  it('reads hostel charges in the formats used in courses.json', () => {
+    assert.deepStrictEqual(parseHostelCharges(course.hostelCharges), [
+      { occupancy: 'single', rate: 3000, gstPercent: 18 },
+      { occupancy: 'double', rate: 2000, gstPercent: 18 }
+    ]);
+    assert.deepStrictEqual(parseHostelCharges('Single room Rs. 2,500/- (GST included)'), [{ occupancy: 'single', rate: 2500, gstPercent: 0 }]);
+    assert.deepStrictEqual(parseHostelCharges(22529200), [], 'a stray number in the sheet is not a rate');
+  });
+
+  it('uses the group rate only from the minimum group size', () => {
+    const single = calculateQuote(course, { participants: GROUP_DISCOUNT_MIN_PARTICIPANTS - 1 });
+    const group = calculateQuote(course, { participants: GROUP_DISCOUNT_MIN_PARTICIPANTS });
+    assert.strictEqual(single.tuitionRate, 7600);
+    assert.strictEqual(single.groupDiscount, false);
+    assert.strictEqual(group.tuitionRate, 6100);
+    assert.strictEqual(group.total, 6100 * 5 * GROUP_DISCOUNT_MIN_PARTICIPANTS);
+    assert.strictEqual(calculateQuote(course, { participants: 800 }).participants, 800, 'large groups are not cut down to a smaller quote');
+  });
+
+  it('adds hostel nights and GST, and says when a room type is not listed', () => {
+    const quote = calculateQuote(course, { participants: 2, occupancy: 'double', nights: 6 });
+    assert.deepStrictEqual(quote.hostel, { occupancy: 'double', rate: 2000, gstPercent: 18, nights: 6, nightsAssumed: false, amount: 24000, gst: 4320 });
+    assert.strictEqual(quote.total, 7600 * 5 * 2 + 24000 + 4320);
+
+    const wholeCourse = calculateQuote(course, { participants: 1, occupancy: 'single' }).hostel;
+    assert.strictEqual(wholeCourse.nights, 5);
+    assert.strictEqual(wholeCourse.nightsAssumed, true, 'the reply says the nights were assumed');
+
+    const unlisted = calculateQuote({ ...course, hostelCharges: 'On request' }, { occupancy: 'single' });
+    assert.deepStrictEqual(unlisted.hostel, { occupancy: 'single', unavailable: true });
+    assert.strictEqual(calculateQuote({ ...course, feePerDay: null }), null);
+  });
+
+  it('only treats calculations as fee queries', () => {
+    assert.deepStrictEqual(parseFeeQuery('calculate fee for SMS for 5 participants with single room'), { participants: 5, occupancy: 'single', nights: null });
+    assert.deepStrictEqual(parseFeeQuery('cost for ५ लोग, 3 nights, sharing'), { participants: 5, occupancy: 'double', nights: 3 });
+    assert.strictEqual(parseFeeQuery('what is the fee for SMS'), null);
+    assert.strictEqual(parseFeeQuery('5'), null);
+  });
+});
@@ -0,0 +1,118 @@
+// 🧭 Intent router tests - handler order, passing on, registration checks, and which of the bot's
+// handlers takes which message. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createIntentRouter } = require('../webhook/intent-router');
+const handlers = require('../webhook/handlers');
+
+console.log = () => {};
+
+// A handler that records when it was asked
+const fakeHandler = (name, priority, { matches = true, reply = { response: name }, calls = [] } = {}) => ({
+  name,
+  priority,
+  match: async () => { calls.push(`${name}.match`); return matches; },
+  handle: async () => { calls.push(`${name}.handle`); return reply; }
+});
+
+describe('intent router', () => {
+  it('tries handlers by priority, keeping registration order for equal priorities', async () => {
+    const calls = [];
+    const router = createIntentRouter([
+      fakeHandler('late', 90, { calls }),
+      fakeHandler('early', 10, { matches: false, calls }),
+      fakeHandler('middle', 50, { calls }),
+      fakeHandler('middle_too', 50, { calls })
+    ]);
+
+    assert.deepStrictEqual(router.list().map(handler => handler.name), ['early', 'middle', 'middle_too', 'late']);
+    assert.deepStrictEqual(await router.route({ text: 'hi' }), { response: 'middle', messageType: 'text', intent: 'middle', handler: 'middle' });
+    assert.deepStrictEqual(calls, ['early.match', 'middle.match', 'middle.handle'], 'later handlers are not asked');
+  });
+
+  it('moves on when a handler returns null, and returns null when nobody answers', async () => {
+    const calls = [];
+    const router = createIntentRouter([
+      fakeHandler('passes', 10, { reply: null, calls }),
+      fakeHandler('answers', 20, { reply: { response: { type: 'list' }, messageType: 'interactive', intent: 'course_info' }, calls })
+    ]);
+
+    assert.deepStrictEqual(await router.route({ text: 'sms' }), {
+      response: { type: 'list' }, messageType: 'interactive', intent: 'course_info', handler: 'answers'
+    });
+    assert.deepStrictEqual(calls, ['passes.match', 'passes.handle', 'answers.match', 'answers.handle']);
+
+    assert.strictEqual(await createIntentRouter([fakeHandler('silent', 10, { reply: null })]).route({ text: 'sms' }), null);
+    assert.strictEqual(await createIntentRouter().route({ text: 'sms' }), null);
+  });
+
+  it('refuses duplicate names and incomplete handlers at registration', () => {
+    const router = createIntentRouter([fakeHandler('greeting', 30)]);
+    assert.throws(() => router.register(fakeHandler('greeting', 40)), /"greeting" is already registered/);
+
+    assert.throws(() => router.register(null), /needs a name/);
+    assert.throws(() => router.register({ ...fakeHandler('x', 1), name: '' }), /needs a name/);
+    assert.throws(() => router.register({ ...fakeHandler('no_priority', 1), priority: '10' }), /"no_priority" needs a numeric priority/);
+    assert.throws(() => router.register({ ...fakeHandler('nan', 1), priority: NaN }), /"nan" needs a numeric priority/);
+    assert.throws(() => router.register({ name: 'no_handle', priority: 1, match: () => true }), /"no_handle" needs match\(\) and handle\(\)/);
+    assert.deepStrictEqual(router.list(), [{ name: 'greeting', priority: 30 }], 'a refused handler is not added');
+  });
+});
+
+describe("the bot's handlers", () => {
+  const router = createIntentRouter(handlers);
+  const byName = new Map(handlers.map(handler => [handler.name, handler]));
+  const now = new Date('2025-11-20T06:30:00Z');
+
+  // The handler that would answer: the first one (by priority) whose match() takes the message
+  async function takenBy(text, media = null) {
+    const ctx = { text, media, language: 'en', session: { context: {} }, now };
+    for (const { name } of router.list()) {
+      if (await byName.get(name).match(ctx)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  it('are all registered, with the fallback last', () => {
+    const order = router.list().map(handler => handler.name);
+    assert.strictEqual(order.length, handlers.length);
+    assert.strictEqual(order[order.length - 1], 'fallback');
+    assert.strictEqual(order[0], 'incoming_media');
+  });
+
+  it('each take their own kind of message', async () => {
+    const expected = {
+      hi: 'greeting',
+      test: 'test',
+      'language hi': 'language',
+      'send registration form': 'form',
+      'training calendar': 'documents',
+      'SMS brochure': 'documents',
+      'remind me about SMS': 'reminders',
+      back: 'back',
+      'calculate fee for SMS for 5 participants': 'fee_calculator',
+      'SMS batches in December': 'batches_by_date',
+      'show all courses': 'show_all_courses',
+      'course 3': 'course_number',
+      'domain 2': 'domain_selection',
+      'thank you': 'goodbye',
+      'may I know the fee for GeM': 'course_search',
+      'enrol for SMS': 'enquiry',
+      x: 'fallback'
+    };
+    for (const [text, handler] of Object.entries(expected)) {
+      assert.strictEqual(await takenBy(text), handler, `"${text}"`);
+    }
+    assert.strictEqual(await takenBy('', { kind: 'image', id: '1' }), 'incoming_media');
+    assert.strictEqual(await takenBy('fee for SMS', { kind: 'image', id: '1', caption: 'fee for SMS' }), 'course_search', 'a caption is read as text');
+  });
+
+  it('lets an enquiry in progress take every answer', async () => {
+    const ctx = { text: '5', media: null, language: 'en', session: { context: { enquiry: { step: 'participants', expiresAt: Date.now() + 60000 } } }, now };
+    assert.ok(await byName.get('enquiry').match(ctx));
+    assert.ok(!(await byName.get('enquiry').match({ ...ctx, session: { context: {} } })));
+  });
+});
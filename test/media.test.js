@@ -0,0 +1,131 @@
+// 📎 Media tests - brochure and calendar documents, media id caching and the calendar's visibility.
+// Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// Brochures come from a temporary folder (read when media-library.js loads)
+const brochuresDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iaa-brochures-'));
+process.env.BROCHURES_DIR = brochuresDir;
+
+const metaApi = require('../webhook/meta-api');
+const { createMockTransport } = require('../webhook/simulator/mock-transport');
+const { createMemoryMediaStore, setMediaStore } = require('../webhook/stores/media-store');
+const { brochureMessage, calendarMessage, sendQueuedMessage } = require('../webhook/media-library');
+const { buildCalendarWorkbook } = require('../webhook/training-calendar');
+const { getCourseRepository } = require('../webhook/course-repository');
+const { forAudience } = require('../webhook/course-visibility');
+
+console.log = () => {};
+console.error = () => {};
+
+const course = (brochure) => ({ id: 'sms', name: 'Safety Management System(SMS)', brochure });
+
+describe('media messages', () => {
+  let transport;
+  let previousTransport;
+
+  before(() => {
+    fs.writeFileSync(path.join(brochuresDir, 'sms.pdf'), '%PDF-1.4 brochure');
+    previousTransport = metaApi.getTransport();
+  });
+
+  after(() => {
+    metaApi.setTransport(previousTransport);
+    fs.rmSync(brochuresDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    transport = createMockTransport();
+    metaApi.setTransport(transport);
+    setMediaStore(createMemoryMediaStore());
+  });
+
+  it('describes brochures as files, links or nothing', () => {
+    assert.deepStrictEqual(brochureMessage(course('sms.pdf'), 'SMS'), {
+      messageType: 'document',
+      message: { source: 'brochure', file: 'sms.pdf', filename: 'Safety-Management-System-SMS.pdf', caption: 'SMS' }
+    });
+    assert.deepStrictEqual(brochureMessage(course('https://iaa.edu.in/brochures/sms.jpg'), 'SMS'), {
+      messageType: 'image',
+      message: { link: 'https://iaa.edu.in/brochures/sms.jpg', filename: 'Safety-Management-System-SMS.jpg', caption: 'SMS' }
+    });
+    assert.strictEqual(brochureMessage(course('missing.pdf'), 'SMS'), null);
+    assert.strictEqual(brochureMessage(course(null), 'SMS'), null);
+  });
+
+  it('uploads a brochure once and sends it by media id', async () => {
+    const { messageType, message } = brochureMessage(course('sms.pdf'), 'SMS brochure');
+    assert.strictEqual((await sendQueuedMessage('919800000001', message, messageType)).success, true);
+    assert.strictEqual((await sendQueuedMessage('919800000002', message, messageType)).success, true);
+
+    assert.strictEqual(transport.uploads.length, 1);
+    assert.strictEqual(transport.uploads[0].mimeType, 'application/pdf');
+    assert.deepStrictEqual(transport.sent[1].payload.document, {
+      id: transport.uploads[0].id, caption: 'SMS brochure', filename: 'Safety-Management-System-SMS.pdf'
+    });
+
+    // A changed file is a new upload
+    fs.writeFileSync(path.join(brochuresDir, 'sms.pdf'), '%PDF-1.4 brochure, 2026 edition');
+    await sendQueuedMessage('919800000001', message, messageType);
+    assert.strictEqual(transport.uploads.length, 2);
+  });
+
+  it('uploads again when Meta no longer knows a cached media id', async () => {
+    const { messageType, message } = calendarMessage('public', 'Calendar');
+    await sendQueuedMessage('919800000001', message, messageType);
+
+    const send = transport.send;
+    transport.send = async () => {
+      const error = new Error('Request failed with status code 400');
+      error.response = { status: 400, data: { error: { message: 'Invalid media id' } }, headers: {} };
+      throw error;
+    };
+    const failed = await sendQueuedMessage('919800000001', message, messageType);
+    transport.send = send;
+    assert.strictEqual(failed.retryable, true, 'a rejected cached id is worth a retry');
+
+    assert.strictEqual((await sendQueuedMessage('919800000001', message, messageType)).success, true);
+    assert.strictEqual(transport.uploads.length, 2);
+  });
+
+  it('builds the calendar from the courses the audience may see', () => {
+    const programmes = (audience) => {
+      const workbook = XLSX.read(buildCalendarWorkbook(forAudience(getCourseRepository(), audience).getAll()));
+      return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]).map(row => row.Programme);
+    };
+    const publicCalendar = programmes('public');
+    const staffCalendar = programmes('internal');
+
+    assert.ok(publicCalendar.includes('Safety Management System(SMS)'));
+    assert.ok(!publicCalendar.includes('Ab initio for JE (Airport Operation services)'));
+    assert.ok(staffCalendar.includes('Ab initio for JE (Airport Operation services)'));
+  });
+});
+
+describe('incoming media', () => {
+  it('keeps captions as text and describes the rest of the message', () => {
+    const { messages } = metaApi.processWebhookPayload({
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ profile: { name: 'Meera' }, wa_id: '919800000025' }],
+            messages: [
+              { from: '919800000025', id: 'wamid.m.1', type: 'image', image: { id: '1', mime_type: 'image/jpeg', caption: 'fee for SMS' } },
+              { from: '919800000025', id: 'wamid.m.2', type: 'location', location: { latitude: 28.55, longitude: 77.1, name: 'IAA' } }
+            ]
+          }
+        }]
+      }]
+    });
+
+    assert.strictEqual(messages[0].text, 'fee for SMS');
+    assert.deepStrictEqual(messages[0].media, { kind: 'image', id: '1', mimeType: 'image/jpeg', filename: null, caption: 'fee for SMS' });
+    assert.strictEqual(messages[1].text, '');
+    assert.deepStrictEqual(messages[1].media, { kind: 'location', latitude: 28.55, longitude: 77.1, name: 'IAA', address: null });
+  });
+});
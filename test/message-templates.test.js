@@ -0,0 +1,92 @@
+// 📝 Message template tests - parameters are checked against the catalogue before a template is
+// sent, so a mistake fails here instead of at the Graph API. Run with: npm test
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { templateCatalogue, registerTemplate, getTemplate, buildTemplateMessage } = require('../webhook/message-templates');
+
+console.log = () => {};
+
+const reminder = {
+  header: ['Safety Management System(SMS)'],
+  body: ['Asha', 'Safety Management System(SMS)', '2025-12-15', '3'],
+  buttons: [['safety-management-system-sms']]
+};
+
+describe('message templates', () => {
+  afterEach(() => {
+    delete templateCatalogue.test_notice;
+  });
+
+  it('builds the Graph API template object from plain values', () => {
+    const message = buildTemplateMessage('batch_reminder', reminder, 'hi');
+    assert.strictEqual(message.name, 'batch_reminder');
+    assert.deepStrictEqual(message.language, { code: 'hi' });
+    assert.deepStrictEqual(message.components.map(component => component.type), ['header', 'body', 'button']);
+    assert.deepStrictEqual(message.components[1].parameters[2], { type: 'date_time', date_time: { fallback_value: '15 Dec 2025' } });
+    assert.deepStrictEqual(message.components[2], {
+      type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: 'safety-management-system-sms' }]
+    });
+
+    const fee = buildTemplateMessage('course_fee_due', { body: ['Asha', 'GeM Procurement', 38000, { fallback_value: 'before 10 Dec' }] });
+    assert.deepStrictEqual(fee.components[0].parameters[2], {
+      type: 'currency', currency: { fallback_value: '₹38,000', code: 'INR', amount_1000: 38000000 }
+    });
+    assert.deepStrictEqual(fee.components[0].parameters[3], { type: 'date_time', date_time: { fallback_value: 'before 10 Dec' } });
+  });
+
+  it('refuses the wrong number of parameters', () => {
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, body: reminder.body.slice(0, 3) }),
+      /"batch_reminder" body expects 4 parameter\(s\) but got 3/);
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, header: [] }),
+      /"batch_reminder" header expects 1 parameter\(s\) but got 0/);
+    assert.throws(() => buildTemplateMessage('batch_date_change', { header: ['SMS'], body: ['Asha', 'SMS', '2025-12-15', '2025-12-22'] }),
+      /"batch_date_change" has no header parameters/);
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, body: ['Asha', '', '2025-12-15', '3'] }),
+      /Missing value for batch_reminder body parameter 2/);
+  });
+
+  it('checks the number of dynamic buttons', () => {
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, buttons: [] }),
+      /"batch_reminder" expects 1 dynamic button\(s\) but got 0/);
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, buttons: [['a'], ['b']] }),
+      /expects 1 dynamic button\(s\) but got 2/);
+    assert.throws(() => buildTemplateMessage('batch_date_change', { body: ['Asha', 'SMS', '2025-12-15', '2025-12-22'], buttons: [['x']] }),
+      /"batch_date_change" expects 0 dynamic button\(s\) but got 1/);
+    assert.throws(() => buildTemplateMessage('batch_reminder', { ...reminder, buttons: [[]] }),
+      /"batch_reminder" button 0 expects 1 parameter\(s\) but got 0/);
+  });
+
+  it('refuses unknown templates and languages they are not approved in', () => {
+    assert.throws(() => buildTemplateMessage('welcome_offer', { body: ['Asha'] }), /"welcome_offer" is not registered/);
+    assert.throws(() => buildTemplateMessage('course_fee_due', { body: ['Asha', 'GeM', 38000, '2025-12-10'] }, 'hi'),
+      /"course_fee_due" is not approved for language "hi"/);
+  });
+
+  it('refuses currency amounts and dates it cannot read', () => {
+    const fee = (amount, due = '2025-12-10') => buildTemplateMessage('course_fee_due', { body: ['Asha', 'GeM', amount, due] });
+    assert.throws(() => fee('a lot'), /Invalid currency amount for course_fee_due body parameter 3: "a lot"/);
+    assert.throws(() => fee({ amount: 'NaN', code: 'INR' }), /Invalid currency amount/);
+    assert.throws(() => fee(Infinity), /Invalid currency amount/);
+    assert.strictEqual(fee({ amount: 120.5, code: 'USD' }).components[0].parameters[2].currency.fallback_value, 'USD 120.5');
+
+    assert.throws(() => fee(38000, 'next week'), /Invalid date_time value for course_fee_due body parameter 4: "next week"/);
+    assert.throws(() => fee(38000, new Date('2025-13-01')), /Invalid date_time value/);
+    assert.throws(() => fee(38000, { fallback_value: '' }), /Invalid date_time value/);
+  });
+
+  it('registers templates, refusing parameter types it cannot build', () => {
+    const definition = registerTemplate('test_notice', { components: { body: ['text', 'date_time'] } });
+    assert.deepStrictEqual(definition, { languages: ['en'], description: '', components: { header: [], body: ['text', 'date_time'], buttons: [] } });
+    assert.strictEqual(getTemplate('test_notice'), definition);
+    assert.strictEqual(buildTemplateMessage('test_notice', { body: ['Asha', '2025-12-15'] }).components.length, 1);
+
+    assert.throws(() => registerTemplate('test_notice', { components: { body: ['image'] } }),
+      /"test_notice" uses unsupported parameter type "image"/);
+    assert.throws(() => registerTemplate('test_notice', { components: { buttons: [{ sub_type: 'url', index: 0, params: ['location'] }] } }),
+      /unsupported parameter type "location"/);
+    assert.strictEqual(getTemplate('test_notice'), definition, 'a refused definition does not replace the registered one');
+    assert.throws(() => registerTemplate('', { components: {} }), /Template name and components are required/);
+    assert.throws(() => registerTemplate('test_other', {}), /Template name and components are required/);
+  });
+});
@@ -0,0 +1,210 @@
+// 📮 Outbound queue tests - ordering per recipient, backoff, Retry-After and the dead-letter list.
+// The queue gets a fake clock and a fake send, so nothing waits. Run with: npm test
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createOutboundQueue } = require('../webhook/outbound-queue');
+const { createMemoryOutboundQueueStore, createOutboundQueueStore } = require('../webhook/stores/outbound-queue-store');
+const { parseRetryAfter } = require('../webhook/meta-api');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { signPayload } = require('../webhook/webhook-signature');
+
+console.log = () => {};
+console.error = () => {};
+
+const ok = { success: true, messageId: 'wamid.out' };
+const serverError = { success: false, error: 'Service unavailable', statusCode: 503, retryable: true, retryAfterMs: null };
+
+describe('outbound queue', () => {
+  let store;
+  let now;
+  let sent;
+  let results; // recipient -> send results to return, in order (then success)
+  let deadLetters;
+  let queue;
+
+  beforeEach(() => {
+    store = createMemoryOutboundQueueStore();
+    now = Date.parse('2025-11-20T06:30:00Z');
+    sent = [];
+    results = {};
+    deadLetters = [];
+    queue = createOutboundQueue({
+      getStore: () => store,
+      clock: () => now,
+      backoffMs: 1000,
+      maxAttempts: 3,
+      send: async (to, message) => {
+        sent.push([to, message]);
+        return (results[to] || []).shift() || ok;
+      },
+      onDeadLetter: async (job) => { deadLetters.push(job); }
+    });
+  });
+
+  it('sends the messages of each recipient in the order they were queued', async () => {
+    await queue.enqueue('911', 'first');
+    await queue.enqueue('922', 'other user');
+    await queue.enqueue('911', 'second');
+
+    assert.deepStrictEqual(await queue.drain(), { sent: 3, retried: 0, dead: 0 });
+    assert.deepStrictEqual(sent.filter(([to]) => to === '911').map(([, message]) => message), ['first', 'second']);
+    assert.deepStrictEqual(await store.counts(), { pending: 0, sending: 0, dead: 0 });
+  });
+
+  it('retries with exponential backoff, holding back the messages behind the failed one', async () => {
+    results['911'] = [serverError, serverError];
+    await queue.enqueue('911', 'first');
+    await queue.enqueue('911', 'second');
+
+    await queue.drain();
+    assert.deepStrictEqual(sent.map(([, message]) => message), ['first']);
+
+    now += 999;
+    await queue.drain();
+    assert.strictEqual(sent.length, 1, 'not due before the 1s backoff');
+
+    now += 1;
+    await queue.drain();
+    assert.strictEqual(sent.length, 2);
+
+    now += 2000; // second backoff is twice the first
+    await queue.drain();
+    assert.deepStrictEqual(sent.map(([, message]) => message), ['first', 'first', 'first', 'second']);
+  });
+
+  it("waits for a 429's Retry-After instead of the backoff", async () => {
+    results['911'] = [{ success: false, error: 'Too many requests', statusCode: 429, retryable: true, retryAfterMs: 30000 }];
+    await queue.enqueue('911', 'hello');
+
+    await queue.drain();
+    now += 29999;
+    await queue.drain();
+    assert.strictEqual(sent.length, 1);
+    now += 1;
+    await queue.drain();
+    assert.strictEqual(sent.length, 2);
+  });
+
+  it('dead-letters a permanent error at once and a failing send after the last attempt', async () => {
+    results['911'] = [{ success: false, error: 'Invalid recipient', statusCode: 400, retryable: false }];
+    results['922'] = [serverError, serverError, serverError];
+    await queue.enqueue('911', 'bad number');
+    await queue.enqueue('911', 'next one');
+    await queue.enqueue('922', 'down');
+
+    for (let step = 0; step < 3; step++) {
+      await queue.drain();
+      now += 60000;
+    }
+
+    assert.deepStrictEqual(deadLetters.map(job => [job.recipient, job.attempts]), [['911', 1], ['922', 3]]);
+    assert.ok(sent.some(([, message]) => message === 'next one'), 'a dead job no longer holds up the recipient');
+    const { items } = await store.list({ status: 'dead' });
+    assert.strictEqual(items.length, 2);
+    assert.strictEqual(items.find(job => job.recipient === '911').lastError, 'Invalid recipient');
+  });
+
+  it('replays a dead job with fresh attempts', async () => {
+    results['911'] = [{ success: false, error: 'Invalid recipient', statusCode: 400, retryable: false }];
+    const job = await queue.enqueue('911', 'hello');
+    await queue.drain();
+
+    assert.strictEqual((await queue.replay(job.id)).attempts, 0);
+    assert.strictEqual(await queue.replay(job.id), null, 'only dead jobs can be replayed');
+    assert.deepStrictEqual(await queue.drain(), { sent: 1, retried: 0, dead: 0 });
+    assert.strictEqual(await store.get(job.id), null);
+  });
+});
+
+describe('Retry-After parsing', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2025-11-20T06:30:00Z');
+    assert.strictEqual(parseRetryAfter('120', now), 120000);
+    assert.strictEqual(parseRetryAfter('Thu, 20 Nov 2025 06:31:00 GMT', now), 60000);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+  });
+});
+
+describe('serverless deployments', () => {
+  let simulator;
+  const previousEnv = {};
+  const env = ['CRON_SECRET', 'ADMIN_API_TOKENS', 'NODE_ENV', 'VERCEL', 'OUTBOUND_QUEUE_STORE', 'MONGODB_URI'];
+
+  before(async () => {
+    simulator = await createSimulator({ serverless: true });
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    env.forEach(key => { previousEnv[key] = process.env[key]; });
+  });
+
+  afterEach(() => {
+    env.forEach(key => {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    });
+  });
+
+  it('sends the reply before answering the webhook', async () => {
+    // A slow Graph API: a run started after the response would still be sending
+    const { transport } = simulator;
+    const send = transport.send;
+    transport.send = async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return send(...args);
+    };
+    const body = JSON.stringify({
+      entry: [{ changes: [{ value: {
+        contacts: [{ profile: { name: 'Asha' }, wa_id: '919800000023' }],
+        messages: [{ from: '919800000023', id: 'wamid.serverless.1', timestamp: '1763620000', type: 'text', text: { body: 'hi' } }]
+      } }] }]
+    });
+    const response = await fetch(`${simulator.baseUrl}/meta-webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signPayload(body, process.env.META_WEBHOOK_SECRET) },
+      body
+    });
+
+    transport.send = send;
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(transport.messagesTo('919800000023').length, 1, 'nothing runs after a serverless function answered');
+  });
+
+  it("runs the queue from Vercel's cron job", async () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    delete process.env.ADMIN_API_TOKENS;
+    const run = (token) => fetch(`${simulator.baseUrl}/cron/outbound`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    const response = await run('cron-secret');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { sent: 0, retried: 0, dead: 0 });
+    assert.strictEqual((await run('wrong-secret')).status, 401);
+    assert.strictEqual((await run()).status, 401);
+
+    process.env.ADMIN_API_TOKENS = 'alice:admin-token';
+    assert.strictEqual((await run('admin-token')).status, 200);
+  });
+
+  it('refuses a memory queue where unsent replies would be lost', () => {
+    delete process.env.MONGODB_URI;
+    delete process.env.OUTBOUND_QUEUE_STORE;
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => createOutboundQueueStore(), /MONGODB_URI/);
+
+    process.env.OUTBOUND_QUEUE_STORE = 'memory';
+    assert.strictEqual(createOutboundQueueStore().type, 'memory', 'a long-running server may choose memory');
+
+    process.env.VERCEL = '1';
+    assert.throws(() => createOutboundQueueStore(), /serverless/);
+  });
+});
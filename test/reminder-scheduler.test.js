@@ -0,0 +1,156 @@
+// ⏰ Reminder scheduler tests - due reminders and batch date changes, against the mock transport
+// (a dialogue can't edit the course calendar, so the date-change cases live here). Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const metaApi = require('../webhook/meta-api');
+const { createMockTransport } = require('../webhook/simulator/mock-transport');
+const { createReminderScheduler } = require('../webhook/reminder-scheduler');
+const { createMemoryReminderStore } = require('../webhook/stores/reminder-store');
+const { setTranscriptStore, createMemoryTranscriptStore } = require('../webhook/stores/transcript-store');
+const { getReminderStore } = require('../webhook/stores/reminder-store');
+const { createSimulator } = require('../webhook/simulator/simulator');
+
+console.log = () => {};
+console.error = () => {};
+
+const course = (id, name, batches) => ({ id, name, batches: batches.map(([start, end]) => ({ start, end })) });
+
+describe('reminder scheduler', () => {
+  let transport;
+  let store;
+  let courses;
+  let today;
+  let scheduler;
+
+  const subscribe = (courseId, batchStart, batchEnd) => store.subscribe({
+    userId: '919800000009',
+    to: '919800000009',
+    userName: 'Asha',
+    language: 'en',
+    courseId,
+    courseName: courses.find(candidate => candidate.id === courseId).name,
+    batchStart,
+    batchEnd
+  });
+  const templatesSent = () => transport.sent.map(sent => sent.payload.template.name);
+
+  beforeEach(() => {
+    transport = createMockTransport();
+    metaApi.setTransport(transport);
+    setTranscriptStore(createMemoryTranscriptStore());
+    store = createMemoryReminderStore();
+    today = '2025-11-20';
+    courses = [
+      course('sms', 'Safety Management System(SMS)', [['2025-12-15', '2025-12-19'], ['2026-02-09', '2026-02-13']]),
+      course('gem', 'GeM Procurement', [['2025-11-22', '2025-11-26']])
+    ];
+    const repository = { getAll: () => courses, getById: (id) => courses.find(candidate => candidate.id === id) || null };
+    scheduler = createReminderScheduler({
+      now: () => new Date(`${today}T12:00:00+05:30`),
+      daysBefore: 3,
+      getStore: () => store,
+      getRepository: () => repository
+    });
+    scheduler.rememberCourses();
+  });
+
+  it('sends one reminder when the batch is close, then retires the subscription', async () => {
+    await subscribe('gem', '2025-11-22', '2025-11-26');
+    await subscribe('sms', '2025-12-15', '2025-12-19');
+
+    assert.deepStrictEqual(await scheduler.runOnce(), { checked: 2, reminded: 1, completed: 0, failed: 0 });
+    assert.deepStrictEqual(templatesSent(), ['batch_reminder']);
+    const body = transport.sent[0].payload.template.components.find(component => component.type === 'body');
+    assert.deepStrictEqual(body.parameters.map(parameter => parameter.text || parameter.date_time.fallback_value),
+      ['Asha', 'GeM Procurement', '22 Nov 2025', '2']);
+
+    await scheduler.runOnce();
+    assert.strictEqual(transport.sent.length, 1, 'a subscription is reminded only once');
+
+    today = '2025-11-25';
+    const summary = await scheduler.runOnce();
+    assert.strictEqual(summary.completed, 1);
+    assert.deepStrictEqual((await store.listActive()).map(subscription => subscription.courseId), ['sms']);
+  });
+
+  it('follows a moved batch and sends a date change notice', async () => {
+    const { subscription } = await subscribe('sms', '2025-12-15', '2025-12-19');
+    await store.update(subscription.id, { remindedAt: new Date() });
+
+    courses[0] = course('sms', 'Safety Management System(SMS)', [['2026-01-05', '2026-01-09'], ['2026-02-09', '2026-02-13']]);
+    const summary = await scheduler.checkDateChanges(courses);
+
+    assert.deepStrictEqual(summary, { checked: 1, moved: 1, cancelled: 0, failed: 0 });
+    assert.deepStrictEqual(templatesSent(), ['batch_date_change']);
+    const [moved] = await store.listActive();
+    assert.strictEqual(moved.batchStart, '2026-01-05');
+    assert.strictEqual(moved.batchEnd, '2026-01-09');
+    assert.strictEqual(moved.remindedAt, null, 'the reminder is sent again for the new dates');
+  });
+
+  it('does not move a subscription onto another batch that already existed', async () => {
+    await subscribe('sms', '2025-12-15', '2025-12-19');
+
+    courses[0] = course('sms', 'Safety Management System(SMS)', [['2026-02-09', '2026-02-13']]);
+    const summary = await scheduler.checkDateChanges(courses);
+
+    assert.deepStrictEqual(summary, { checked: 1, moved: 0, cancelled: 1, failed: 0 });
+    assert.deepStrictEqual(templatesSent(), []);
+    assert.deepStrictEqual(await store.listActive(), []);
+  });
+
+  it('updates a changed end date without notifying', async () => {
+    await subscribe('sms', '2025-12-15', '2025-12-19');
+
+    courses[0] = course('sms', 'Safety Management System(SMS)', [['2025-12-15', '2025-12-17'], ['2026-02-09', '2026-02-13']]);
+    await scheduler.checkDateChanges(courses);
+
+    assert.deepStrictEqual(templatesSent(), []);
+    assert.strictEqual((await store.listActive())[0].batchEnd, '2025-12-17');
+  });
+});
+
+describe('reminder cron job', () => {
+  let simulator;
+  const previousSecret = process.env.CRON_SECRET;
+
+  before(async () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    simulator = await createSimulator({ serverless: true });
+  });
+
+  after(async () => {
+    await simulator.close();
+    if (previousSecret === undefined) {
+      delete process.env.CRON_SECRET;
+    } else {
+      process.env.CRON_SECRET = previousSecret;
+    }
+  });
+
+  it('checks batch dates and sends due reminders on GET /cron/reminders', async () => {
+    simulator.setToday('2025-12-13');
+    await getReminderStore().subscribe({
+      userId: '919800000015',
+      to: '919800000015',
+      userName: 'Ravi',
+      language: 'en',
+      courseId: 'safety-management-system-sms',
+      courseName: 'Safety Management System(SMS)',
+      batchStart: '2025-12-15',
+      batchEnd: '2025-12-19'
+    });
+
+    const unauthorised = await fetch(`${simulator.baseUrl}/cron/reminders`);
+    assert.strictEqual(unauthorised.status, 401);
+
+    const response = await fetch(`${simulator.baseUrl}/cron/reminders`, { headers: { Authorization: 'Bearer cron-secret' } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      dateChanges: { checked: 1, moved: 0, cancelled: 0, failed: 0 },
+      reminders: { checked: 1, reminded: 1, completed: 0, failed: 0 }
+    });
+    assert.deepStrictEqual(simulator.transport.messagesTo('919800000015').map(sent => sent.payload.template.name), ['batch_reminder']);
+  });
+});
@@ -0,0 +1,95 @@
+// 💬 Session store tests - both backends keep the same contract. The MongoDB tests run against
+// mongodb-memory-server and are skipped when its mongod binary can't be downloaded. Run with: npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createMemorySessionStore, createMongoSessionStore } = require('../webhook/stores/session-store');
+const { disconnectDatabase } = require('../webhook/database');
+
+console.log = () => {};
+console.error = () => {};
+console.warn = () => {}; // mongodb-memory-server explains a failed download here
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The behaviour every backend must have; getStore() is called per test
+function sessionStoreContract(getStore, skipReason) {
+  const run = (name, test) => it(name, async (t) => {
+    if (skipReason()) {
+      return t.skip(skipReason());
+    }
+    await test(getStore());
+  });
+
+  run('merges context updates and keeps fields the patch leaves out', async (store) => {
+    await store.set('user-1', { context: { domain: 'safety' }, lastIntent: 'menu' });
+    await store.update('user-1', { context: { course: 'sms' } });
+    await store.update('user-1', { lastIntent: 'course_info' });
+
+    const session = await store.get('user-1');
+    assert.deepStrictEqual(session.context, { domain: 'safety', course: 'sms' });
+    assert.strictEqual(session.lastIntent, 'course_info');
+    assert.ok(session.expiresAt > new Date());
+  });
+
+  run('starts a session on the first update and forgets expired ones', async (store) => {
+    await store.update('user-2', { context: { language: 'hi' } });
+    assert.deepStrictEqual((await store.get('user-2')).context, { language: 'hi' });
+
+    await store.set('user-3', { context: { domain: 'security' }, lastIntent: 'menu' }, 1);
+    await wait(10);
+    assert.strictEqual(await store.get('user-3'), null);
+    await store.update('user-3', { context: { course: 'gem' } });
+    const session = await store.get('user-3');
+    assert.deepStrictEqual(session.context, { course: 'gem' }, 'the expired context is not merged');
+    assert.strictEqual(session.lastIntent, null);
+
+    await store.delete('user-3');
+    assert.strictEqual(await store.get('user-3'), null);
+  });
+
+  run('keeps both of two updates made at the same time', async (store) => {
+    await store.set('user-4', { context: { domain: 'safety' } });
+    await Promise.all([
+      store.update('user-4', { context: { course: 'sms' } }),
+      store.update('user-4', { context: { language: 'hi' } }),
+      store.update('user-5', { context: { course: 'gem' } }),
+      store.update('user-5', { context: { language: 'en' } })
+    ]);
+    assert.deepStrictEqual((await store.get('user-4')).context, { domain: 'safety', course: 'sms', language: 'hi' });
+    assert.deepStrictEqual((await store.get('user-5')).context, { course: 'gem', language: 'en' });
+  });
+}
+
+describe('memory session store', () => {
+  let store;
+  before(() => {
+    store = createMemorySessionStore();
+  });
+  sessionStoreContract(() => store, () => null);
+});
+
+describe('MongoDB session store', () => {
+  let server = null;
+  let store;
+  let unavailable = null;
+
+  before(async () => {
+    try {
+      const { MongoMemoryServer } = require('mongodb-memory-server');
+      server = await MongoMemoryServer.create();
+      store = createMongoSessionStore({ uri: server.getUri('sessions') });
+    } catch (error) {
+      unavailable = `MongoDB is not available here: ${error.message.split('\n')[0]}`;
+    }
+  });
+
+  after(async () => {
+    if (server) {
+      await disconnectDatabase();
+      await server.stop();
+    }
+  });
+
+  sessionStoreContract(() => store, () => unavailable);
+});
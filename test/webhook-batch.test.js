@@ -0,0 +1,122 @@
+// 📦 Batched webhook tests - several entries / changes / messages in one delivery, and delivery
+// status callbacks. Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { processWebhookPayload } = require('../webhook/meta-api');
+const { getDeliveryStore } = require('../webhook/stores/delivery-store');
+
+console.log = () => {};
+console.error = () => {};
+
+const asha = { phone: '919800000021', name: 'Asha' };
+const vikram = { phone: '919800000022', name: 'Vikram' };
+
+const textMessage = (user, id, body) => ({ from: user.phone, id, timestamp: '1763620000', type: 'text', text: { body } });
+const status = (id, value, extra = {}) => ({ id, status: value, recipient_id: asha.phone, timestamp: '1763620100', ...extra });
+
+// Two entries, one of them with two changes; messages from two users plus status callbacks
+const batchedPayload = {
+  object: 'whatsapp_business_account',
+  entry: [
+    {
+      id: 'waba-1',
+      changes: [{
+        field: 'messages',
+        value: {
+          contacts: [{ profile: { name: asha.name }, wa_id: asha.phone }, { profile: { name: vikram.name }, wa_id: vikram.phone }],
+          messages: [textMessage(asha, 'wamid.in.1', 'hi'), textMessage(vikram, 'wamid.in.2', 'fee for SMS')]
+        }
+      }, {
+        field: 'messages',
+        value: { statuses: [status('wamid.out.1', 'delivered')] }
+      }]
+    },
+    {
+      id: 'waba-2',
+      changes: [{
+        field: 'messages',
+        value: {
+          contacts: [{ profile: { name: asha.name }, wa_id: asha.phone }],
+          messages: [textMessage(asha, 'wamid.in.3', 'show all courses')],
+          statuses: [status('wamid.out.1', 'read'), status('wamid.out.2', 'failed', { errors: [{ code: 131047, title: 'Re-engagement message' }] })]
+        }
+      }]
+    }
+  ]
+};
+
+describe('webhook payload parsing', () => {
+  it('returns every message and status of every entry and change, in order', () => {
+    const { messages, statuses } = processWebhookPayload(batchedPayload);
+    assert.deepStrictEqual(messages.map(message => [message.id, message.name, message.text]), [
+      ['wamid.in.1', 'Asha', 'hi'],
+      ['wamid.in.2', 'Vikram', 'fee for SMS'],
+      ['wamid.in.3', 'Asha', 'show all courses']
+    ]);
+    assert.deepStrictEqual(statuses.map(update => [update.messageId, update.status]), [
+      ['wamid.out.1', 'delivered'], ['wamid.out.1', 'read'], ['wamid.out.2', 'failed']
+    ]);
+    assert.deepStrictEqual(statuses[2].errors, [{ code: 131047, title: 'Re-engagement message', message: null }]);
+    assert.deepStrictEqual(processWebhookPayload({ object: 'whatsapp_business_account' }), { messages: [], statuses: [] });
+  });
+});
+
+describe('batched webhook delivery', () => {
+  let simulator;
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+  });
+
+  it('answers every message of the batch', async () => {
+    assert.strictEqual(await simulator.postWebhook(batchedPayload), 200);
+
+    const toAsha = simulator.transport.messagesTo(asha.phone);
+    const toVikram = simulator.transport.messagesTo(vikram.phone);
+    assert.strictEqual(toAsha.length, 2, 'a greeting and the domain menu');
+    assert.strictEqual(toAsha[1].payload.type, 'interactive');
+    assert.strictEqual(toVikram.length, 1);
+    assert.match(toVikram[0].payload.text.body, /7600/);
+  });
+
+  it('drops an invalid message without losing the rest of the batch', async () => {
+    const payload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ profile: { name: vikram.name }, wa_id: vikram.phone }],
+            messages: [textMessage({ phone: '12' }, 'wamid.in.4', 'hi'), textMessage(vikram, 'wamid.in.5', 'hi')]
+          }
+        }]
+      }]
+    };
+    assert.strictEqual(await simulator.postWebhook(payload), 200);
+    assert.strictEqual(simulator.transport.messagesTo(vikram.phone).length, 1);
+  });
+
+  it('records the delivery state of each outbound message', async () => {
+    assert.strictEqual(await simulator.postWebhook(batchedPayload), 200);
+
+    const first = await getDeliveryStore().get('wamid.out.1');
+    assert.strictEqual(first.status, 'read');
+    assert.deepStrictEqual(Object.keys(first.timestamps).sort(), ['delivered', 'read']);
+
+    // A late "delivered" must not move a read message back
+    await simulator.postWebhook({ entry: [{ changes: [{ value: { statuses: [status('wamid.out.1', 'delivered')] } }] }] });
+    assert.strictEqual((await getDeliveryStore().get('wamid.out.1')).status, 'read');
+
+    const failed = await getDeliveryStore().list({ status: 'failed' });
+    assert.strictEqual(failed.total, 1);
+    assert.strictEqual(failed.items[0].errors[0].code, 131047);
+  });
+});
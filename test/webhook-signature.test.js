@@ -0,0 +1,119 @@
+// 🔏 Webhook signature tests - the HMAC is checked over the exact bytes Meta sent, with rotating
+// app secrets. Meta escapes non-ASCII text ("न...") and slashes, so re-serialising the parsed
+// body would give different bytes. Run with: npm test
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../webhook/simulator/simulator');
+const { isValidSignature, signPayload, getWebhookSecrets } = require('../webhook/webhook-signature');
+
+console.log = () => {};
+console.error = () => {};
+
+const user = { phone: '919800000024', name: 'सुनीता' };
+
+// Serialise like Meta does: compact, non-ASCII as \uXXXX escapes, "/" as "\/"
+const metaJson = (payload) => JSON.stringify(payload)
+  .replace(/[\u0080-\uffff]/g, char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'))
+  .replace(/\//g, '\\/');
+
+const hindiPayload = (id, body) => metaJson({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: '102290129340398',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550783881', phone_number_id: '106540352242922' },
+        contacts: [{ profile: { name: user.name }, wa_id: user.phone }],
+        messages: [{ from: user.phone, id, timestamp: '1763620000', type: 'text', text: { body } }]
+      }
+    }]
+  }]
+});
+
+describe('signature check', () => {
+  const raw = Buffer.from(hindiPayload('wamid.sig.0', 'नमस्ते, कोर्स की जानकारी चाहिए https://iaa.example/courses'));
+
+  it('verifies the raw bytes, which re-serialising the parsed body would not reproduce', () => {
+    const signature = signPayload(raw, 'app-secret');
+    assert.notStrictEqual(JSON.stringify(JSON.parse(raw)), raw.toString('utf8'));
+    assert.strictEqual(isValidSignature(raw, signature, ['app-secret']), true);
+    assert.strictEqual(isValidSignature(Buffer.from(JSON.stringify(JSON.parse(raw))), signature, ['app-secret']), false);
+  });
+
+  it('accepts any configured secret and rejects everything else', () => {
+    assert.strictEqual(isValidSignature(raw, signPayload(raw, 'old-secret'), ['new-secret', 'old-secret']), true);
+    assert.strictEqual(isValidSignature(raw, signPayload(raw, 'other-secret'), ['new-secret', 'old-secret']), false);
+    assert.strictEqual(isValidSignature(raw, signPayload(raw, 'new-secret').toUpperCase().replace('SHA256', 'sha256'), ['new-secret']), true);
+    assert.strictEqual(isValidSignature(raw, 'sha256=abc', ['new-secret']), false);
+    assert.strictEqual(isValidSignature(raw, undefined, ['new-secret']), false);
+    assert.strictEqual(isValidSignature(raw, signPayload(raw, 'new-secret'), []), false);
+  });
+});
+
+describe('signed webhooks', () => {
+  let simulator;
+  let previousSecrets;
+
+  before(async () => {
+    simulator = await createSimulator();
+  });
+
+  after(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    previousSecrets = process.env.META_WEBHOOK_SECRETS;
+  });
+
+  afterEach(() => {
+    if (previousSecrets === undefined) {
+      delete process.env.META_WEBHOOK_SECRETS;
+    } else {
+      process.env.META_WEBHOOK_SECRETS = previousSecrets;
+    }
+  });
+
+  // Post raw bytes, as Meta does; resolves with the HTTP status once queued replies were sent
+  async function postRaw(body, signature) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature) headers['X-Hub-Signature-256'] = signature;
+    const response = await fetch(`${simulator.baseUrl}/meta-webhook`, { method: 'POST', headers, body });
+    await simulator.app.locals.outboundQueue.drain();
+    return response.status;
+  }
+
+  it('answers a Hindi message signed over its escaped bytes', async () => {
+    const body = hindiPayload('wamid.sig.1', 'नमस्ते');
+    assert.strictEqual(await postRaw(body, signPayload(body, process.env.META_WEBHOOK_SECRET)), 200);
+
+    const replies = simulator.transport.messagesTo(user.phone);
+    assert.ok(replies.length > 0);
+    assert.match(JSON.stringify(replies[0].payload), /[\u0900-\u097F]/, 'the reply is in Hindi');
+  });
+
+  it('rejects a missing, forged or tampered signature', async () => {
+    const body = hindiPayload('wamid.sig.2', 'नमस्ते');
+    const signature = signPayload(body, process.env.META_WEBHOOK_SECRET);
+
+    assert.strictEqual(await postRaw(body), 401);
+    assert.strictEqual(await postRaw(body, signPayload(body, 'not-our-secret')), 401);
+    assert.strictEqual(await postRaw(body.replace('\\u0928', '\\u0929'), signature), 401);
+    assert.strictEqual(simulator.transport.sent.length, 0);
+  });
+
+  it('accepts the old and the new app secret during a rotation', async () => {
+    process.env.META_WEBHOOK_SECRETS = 'rotated-secret, next-secret';
+    assert.deepStrictEqual(getWebhookSecrets(), ['rotated-secret', 'next-secret', process.env.META_WEBHOOK_SECRET]);
+
+    const first = hindiPayload('wamid.sig.3', 'नमस्ते');
+    const second = hindiPayload('wamid.sig.4', 'नमस्ते');
+    assert.strictEqual(await postRaw(first, signPayload(first, 'next-secret')), 200);
+    assert.strictEqual(await postRaw(second, signPayload(second, process.env.META_WEBHOOK_SECRET)), 200);
+    assert.strictEqual(await postRaw(second, signPayload(second, 'retired-secret')), 401);
+  });
+});
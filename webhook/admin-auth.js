@@ -0,0 +1,78 @@
+// 🔐 ADMIN AUTHENTICATION - Protects the /admin APIs used by our support staff
+// Each staff member gets their own token so changes can be attributed to a person:
+//   ADMIN_API_TOKENS=alice:long-random-token,bob:another-token
+// A single shared ADMIN_API_TOKEN is also accepted (reported as user "admin").
+// Requests must send:  Authorization: Bearer <token>
+// The /cron runs also accept CRON_SECRET, which Vercel sends with its cron jobs (reported as user "cron").
+
+const crypto = require('crypto');
+
+// Read the configured tokens: [{ user, token }]
+function getAdminTokens() {
+  const tokens = [];
+
+  (process.env.ADMIN_API_TOKENS || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const separator = item.indexOf(':');
+    if (separator > 0) {
+      tokens.push({ user: item.substring(0, separator).trim(), token: item.substring(separator + 1).trim() });
+    }
+  });
+
+  if (process.env.ADMIN_API_TOKEN) {
+    tokens.push({ user: 'admin', token: process.env.ADMIN_API_TOKEN });
+  }
+
+  return tokens.filter(entry => entry.token.length > 0);
+}
+
+// Compare two strings without leaking how much of them matched
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// 🛡️ Express middleware - sets req.adminUser when the token is valid
+function requireAdminAuth(req, res, next) {
+  const tokens = getAdminTokens();
+  if (tokens.length === 0) {
+    console.log('⚠️ Admin API called but no ADMIN_API_TOKEN(S) configured');
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const presented = match ? match[1].trim() : '';
+  const entry = presented && tokens.find(candidate => safeEqual(candidate.token, presented));
+
+  if (!entry) {
+    console.log('❌ Admin API authentication failed');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  req.adminUser = entry.user;
+  next();
+}
+
+// 🛡️ Express middleware for /cron - CRON_SECRET or any admin token
+function requireCronAuth(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (secret) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (match && safeEqual(secret, match[1].trim())) {
+      req.adminUser = 'cron';
+      return next();
+    }
+    if (getAdminTokens().length === 0) {
+      console.log('❌ Cron run authentication failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+  return requireAdminAuth(req, res, next);
+}
+
+module.exports = {
+  requireAdminAuth,
+  requireCronAuth,
+  getAdminTokens
+};
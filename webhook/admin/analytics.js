@@ -0,0 +1,50 @@
+// 📊 ADMIN ANALYTICS API - Questions the bot could not answer
+// Mounted at /admin/analytics (behind requireAdminAuth):
+//   GET /admin/analytics/unanswered?days=30&limit=20                 -> JSON report
+//   GET /admin/analytics/unanswered.csv?days=30&type=questions       -> CSV (type: questions | courses | daily)
+//   GET /admin/analytics/duplicates                                  -> { since, tracked, suppressed } redelivered messages
+
+const express = require('express');
+const { buildUnansweredReport, reportToCsv } = require('../fallback-analytics');
+const { getDedupeStore } = require('../stores/dedupe-store');
+
+const router = express.Router();
+
+const CSV_TYPES = ['questions', 'courses', 'daily'];
+
+// 📈 JSON REPORT
+router.get('/unanswered', async (req, res, next) => {
+  try {
+    const report = await buildUnansweredReport({ days: req.query.days, limit: req.query.limit });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 📄 CSV EXPORT
+router.get('/unanswered.csv', async (req, res, next) => {
+  try {
+    const type = String(req.query.type || 'questions');
+    if (!CSV_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Query parameter "type" must be one of: ${CSV_TYPES.join(', ')}` });
+    }
+    const report = await buildUnansweredReport({ days: req.query.days, limit: req.query.limit });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="unanswered-${type}-${report.to.slice(0, 10)}.csv"`);
+    res.send(reportToCsv(report, type));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🔁 DUPLICATE DELIVERIES - Meta webhook retries that were acknowledged without a second answer
+router.get('/duplicates', async (req, res, next) => {
+  try {
+    res.json(await getDedupeStore().stats());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// 📜 ADMIN CONVERSATIONS API - Lets support staff follow up on what users asked
+// Mounted at /admin/conversations (behind requireAdminAuth):
+//   GET /admin/conversations/users?page=1&limit=20        -> users, most recent first
+//   GET /admin/conversations/search?q=hostel&userId=...    -> messages containing the text
+//   GET /admin/conversations/:userId?page=1&limit=20       -> one user's transcript, newest first
+
+const express = require('express');
+const { getTranscriptStore } = require('../stores/transcript-store');
+
+const router = express.Router();
+
+// 👥 LIST USERS
+router.get('/users', async (req, res, next) => {
+  try {
+    const result = await getTranscriptStore().listUsers({ page: req.query.page, limit: req.query.limit });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🔍 SEARCH MESSAGES
+router.get('/search', async (req, res, next) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({ error: 'Query parameter "q" must be at least 2 characters' });
+    }
+    const result = await getTranscriptStore().search(query, {
+      userId: req.query.userId ? String(req.query.userId) : undefined,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    res.json({ query, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 📖 ONE USER'S TRANSCRIPT
+router.get('/:userId', async (req, res, next) => {
+  try {
+    const userId = req.params.userId.replace(/\D/g, '');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    const result = await getTranscriptStore().getTranscript(userId, { page: req.query.page, limit: req.query.limit });
+    res.json({ userId, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
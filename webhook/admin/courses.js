@@ -0,0 +1,126 @@
+// 📚 ADMIN COURSES API - Correct course details and batch dates without re-exporting the spreadsheet
+// Mounted at /admin/courses (behind requireAdminAuth). Changes are saved in MongoDB when it is configured
+// (data/courses.json otherwise - 503 where that file is read-only, 409 when another instance saved
+// at the same time), go live at once and are recorded in the audit log with the admin user:
+//   GET    /admin/courses                              -> { items, total } (the bot's view of every course)
+//   GET    /admin/courses/audit?courseId=&user=&page=   -> { items, total, page, limit }, newest first
+//   GET    /admin/courses/:id                          -> one course
+//   POST   /admin/courses                              -> create  { name, days, feePerDay, batches: [{ start, end }], ... }
+//   PATCH  /admin/courses/:id                          -> change some fields { feePerDay: 7800 }
+//   DELETE /admin/courses/:id                          -> remove from the calendar
+//   POST   /admin/courses/:id/batches                  -> add a batch { start, end }
+//   PATCH  /admin/courses/:id/batches/:start           -> move a batch { start?, end? }
+//   DELETE /admin/courses/:id/batches/:start           -> remove a batch
+// Validation problems come back as 400 { error, details: [...] }.
+
+const express = require('express');
+const { getCourseRepository } = require('../course-repository');
+const { getCourseEditor } = require('../course-editor');
+const { getAuditStore } = require('../stores/audit-store');
+
+const router = express.Router();
+
+// Send an editor result: the course, or the error it reported
+function sendResult(res, result, successStatus = 200) {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, ...(result.details ? { details: result.details } : {}) });
+  }
+  res.status(successStatus).json(result.course);
+}
+
+// 📋 LIST COURSES
+router.get('/', async (req, res, next) => {
+  try {
+    await getCourseRepository().refresh({ force: true });
+    const items = getCourseRepository().getAll();
+    res.json({ items, total: items.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🧾 AUDIT LOG
+router.get('/audit', async (req, res, next) => {
+  try {
+    res.json(await getAuditStore().list({
+      courseId: req.query.courseId ? String(req.query.courseId) : undefined,
+      user: req.query.user ? String(req.query.user) : undefined,
+      page: req.query.page,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 📘 ONE COURSE
+router.get('/:id', async (req, res, next) => {
+  try {
+    await getCourseRepository().refresh({ force: true });
+    const course = getCourseRepository().getById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    res.json(course);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ➕ CREATE
+router.post('/', async (req, res, next) => {
+  try {
+    sendResult(res, await getCourseEditor().create(req.body, req.adminUser), 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✏️ UPDATE
+router.patch('/:id', async (req, res, next) => {
+  try {
+    sendResult(res, await getCourseEditor().update(req.params.id, req.body, req.adminUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🗑️ DELETE
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const result = await getCourseEditor().remove(req.params.id, req.adminUser);
+    if (result.error) {
+      return sendResult(res, result);
+    }
+    res.json({ deleted: result.previous });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🗓️ BATCHES
+router.post('/:id/batches', async (req, res, next) => {
+  try {
+    sendResult(res, await getCourseEditor().addBatch(req.params.id, req.body, req.adminUser), 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:id/batches/:start', async (req, res, next) => {
+  try {
+    sendResult(res, await getCourseEditor().updateBatch(req.params.id, req.params.start, req.body || {}, req.adminUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/batches/:start', async (req, res, next) => {
+  try {
+    sendResult(res, await getCourseEditor().removeBatch(req.params.id, req.params.start, req.adminUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// ⏲️ CRON API - Scheduled runs for serverless deployments, which have no long-running timers
+// Mounted at /cron (behind requireCronAuth: CRON_SECRET or an admin token). Vercel cron jobs send
+// GET requests, so these are GETs (see "crons" in vercel.json):
+//   GET /cron/outbound   -> sends due queued replies and retries, returns { sent, retried, dead }
+//   GET /cron/reminders  -> moves subscriptions whose batch dates changed (with the date change notice),
+//                           then sends due reminders; returns { dateChanges: {...}, reminders: {...} }
+// The same runs are POST /admin/outbound/run and /admin/reminders/check + /run for staff.
+
+const express = require('express');
+const { getCourseRepository } = require('../course-repository');
+
+const router = express.Router();
+
+// 📮 SEND DUE REPLIES
+router.get('/outbound', async (req, res, next) => {
+  try {
+    const summary = await req.app.locals.outboundQueue.runOnce();
+    console.log(`📮 Outbound queue run by ${req.adminUser}:`, summary);
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🔔 BATCH REMINDERS AND DATE CHANGE NOTICES
+// On serverless the reload hook that checks date changes may run on an instance that is frozen right
+// after the edit, so every run loads the latest course edits and checks them again (unchanged
+// subscriptions are left alone)
+router.get('/reminders', async (req, res, next) => {
+  try {
+    const { reminderScheduler } = req.app.locals;
+    await getCourseRepository().refresh({ force: true }); // course edits saved by other instances
+    const dateChanges = await reminderScheduler.checkDateChanges();
+    const reminders = await reminderScheduler.runOnce();
+    console.log(`🔔 Reminder run by ${req.adminUser}:`, { dateChanges, reminders });
+    res.json({ dateChanges, reminders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
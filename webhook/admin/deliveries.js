@@ -0,0 +1,43 @@
+// 📬 ADMIN DELIVERIES API - Whether the bot's messages reached the user (Meta status callbacks)
+// Mounted at /admin/deliveries (behind requireAdminAuth):
+//   GET /admin/deliveries?status=failed&recipient=91...&page=1   -> { items, total, page, limit }, latest first
+//   GET /admin/deliveries/wamid.HBgM...                          -> one message's statuses, timestamps and errors
+// Message ids are the messageId of outbound messages in /admin/conversations.
+
+const express = require('express');
+const { DELIVERY_STATUSES, getDeliveryStore } = require('../stores/delivery-store');
+
+const router = express.Router();
+
+// 📋 LIST DELIVERIES
+router.get('/', async (req, res, next) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `"status" must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    res.json(await getDeliveryStore().list({
+      status,
+      recipient: req.query.recipient ? String(req.query.recipient).replace(/\D/g, '') : undefined,
+      page: req.query.page,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 📨 ONE MESSAGE
+router.get('/:messageId', async (req, res, next) => {
+  try {
+    const delivery = await getDeliveryStore().get(req.params.messageId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'No delivery status for this message' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// 📝 ADMIN ENQUIRIES API - Nomination enquiries collected in WhatsApp ("enrol in SMS")
+// Mounted at /admin/enquiries (behind requireAdminAuth):
+//   GET   /admin/enquiries?status=new&page=1&limit=20   -> { items, total, page, limit }, newest first
+//   GET   /admin/enquiries/IAA-251120-K7QM              -> one enquiry
+//   PATCH /admin/enquiries/IAA-251120-K7QM { status }   -> mark it contacted / closed
+// The user sees the status when they send their reference number to the bot.
+
+const express = require('express');
+const { ENQUIRY_STATUSES, getEnquiryStore } = require('../stores/enquiry-store');
+
+const router = express.Router();
+
+const checkStatus = (status) => (ENQUIRY_STATUSES.includes(status)
+  ? null
+  : `"status" must be one of: ${ENQUIRY_STATUSES.join(', ')}`);
+
+// 📋 LIST ENQUIRIES
+router.get('/', async (req, res, next) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    const error = status && checkStatus(status);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(await getEnquiryStore().list({ status, page: req.query.page, limit: req.query.limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🔖 ONE ENQUIRY
+router.get('/:reference', async (req, res, next) => {
+  try {
+    const enquiry = await getEnquiryStore().getByReference(req.params.reference.toUpperCase());
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+    res.json(enquiry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✏️ UPDATE STATUS
+router.patch('/:reference', async (req, res, next) => {
+  try {
+    const status = req.body && req.body.status;
+    const error = checkStatus(status);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const enquiry = await getEnquiryStore().update(req.params.reference.toUpperCase(), { status });
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+    console.log(`📝 Enquiry ${enquiry.reference} marked ${status} by ${req.adminUser}`);
+    res.json(enquiry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
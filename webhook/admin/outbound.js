@@ -0,0 +1,83 @@
+// 📮 ADMIN OUTBOUND API - The queue of replies waiting to be sent, and its dead-letter list
+// Mounted at /admin/outbound (behind requireAdminAuth):
+//   GET    /admin/outbound                         -> { pending, sending, dead } job counts
+//   GET    /admin/outbound/dead?recipient=91...&page=1 -> { items, total, page, limit }, latest first
+//   POST   /admin/outbound/dead/:id/replay         -> queues a dead job again (fresh attempts) and sends it,
+//                                                     returns { id, status: 'sent' | 'pending' | 'dead', lastError, summary }
+//   DELETE /admin/outbound/dead/:id                -> drops a dead job for good
+//   POST   /admin/outbound/run                     -> sends due jobs, returns { sent, retried, dead }
+// Serverless deployments (Vercel) have no long-running timer; their cron job calls GET /cron/outbound (admin/cron.js).
+
+const express = require('express');
+const { getOutboundQueueStore } = require('../stores/outbound-queue-store');
+
+const router = express.Router();
+
+// 📊 QUEUE COUNTS
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await getOutboundQueueStore().counts());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 💀 DEAD-LETTER LIST
+router.get('/dead', async (req, res, next) => {
+  try {
+    res.json(await getOutboundQueueStore().list({
+      status: 'dead',
+      recipient: req.query.recipient ? String(req.query.recipient).replace(/\D/g, '') : undefined,
+      page: req.query.page,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ♻️ REPLAY A DEAD JOB
+router.post('/dead/:id/replay', async (req, res, next) => {
+  try {
+    const { outboundQueue } = req.app.locals;
+    const job = await outboundQueue.replay(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'No dead-lettered message with this id' });
+    }
+    console.log(`♻️ Outbound message ${job.id} to ${job.recipient} replayed by ${req.adminUser}`);
+    const summary = await outboundQueue.runOnce();
+    const current = await getOutboundQueueStore().get(job.id); // sent jobs leave the queue
+    res.json({ id: job.id, status: current ? current.status : 'sent', lastError: current ? current.lastError : null, summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🗑️ DROP A DEAD JOB
+router.delete('/dead/:id', async (req, res, next) => {
+  try {
+    const store = getOutboundQueueStore();
+    const job = await store.get(req.params.id);
+    if (!job || job.status !== 'dead') {
+      return res.status(404).json({ error: 'No dead-lettered message with this id' });
+    }
+    await store.remove(job.id);
+    console.log(`🗑️ Outbound message ${job.id} to ${job.recipient} dropped by ${req.adminUser}`);
+    res.json({ deleted: job.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ▶️ SEND DUE JOBS
+router.post('/run', async (req, res, next) => {
+  try {
+    const summary = await req.app.locals.outboundQueue.runOnce();
+    console.log(`📮 Outbound queue run by ${req.adminUser}:`, summary);
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
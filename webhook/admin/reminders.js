@@ -0,0 +1,33 @@
+// 🔔 ADMIN REMINDERS API - Run the batch reminder scheduler on demand
+// Mounted at /admin/reminders (behind requireAdminAuth):
+//   POST /admin/reminders/run     -> sends due reminders, returns { checked, reminded, completed, failed }
+//   POST /admin/reminders/check   -> re-checks subscriptions against the current course dates
+// Serverless deployments (Vercel) have no long-running timer; their cron job calls GET /cron/reminders (admin/cron.js).
+
+const express = require('express');
+
+const router = express.Router();
+
+// ▶️ SEND DUE REMINDERS
+router.post('/run', async (req, res, next) => {
+  try {
+    const summary = await req.app.locals.reminderScheduler.runOnce();
+    console.log(`🔔 Reminder run by ${req.adminUser}:`, summary);
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 🗓️ CHECK FOR CHANGED BATCH DATES
+router.post('/check', async (req, res, next) => {
+  try {
+    const summary = await req.app.locals.reminderScheduler.checkDateChanges();
+    console.log(`🗓️ Reminder date check by ${req.adminUser}:`, summary);
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,627 @@
+/**
+ * 🏗️ IAA WHATSAPP CHATBOT - EXPRESS APP FACTORY
+ * ===============================================
+ *
+ * 📚 WHAT THIS FILE DOES:
+ * Builds the Express app (security middleware, admin APIs and the /meta-webhook handler)
+ * without starting a server. index.js checks the environment and listens; the simulator
+ * (webhook/simulator) builds its own app with a mock WhatsApp transport.
+ *
+ * 💡 createApp() throws instead of exiting, so callers decide what a startup failure means.
+ */
+
+const express = require('express');                    // Web server framework
+const bodyParser = require('body-parser');             // Parse incoming request data
+const path = require('path');                         // Handle file paths
+const cors = require('cors');                         // Enable CORS for webhook
+const rateLimit = require('express-rate-limit');      // Rate limiting middleware
+const helmet = require('helmet');                     // Security headers middleware
+const metaApi = require('./meta-api');                // Meta Cloud API integration
+const { validateDomainDefinitions } = require('./domain-definitions'); // Domain menus built from data/domains.json
+const { getCourseRepository } = require('./course-repository'); // Normalised, indexed, hot-reloaded course data
+const { forAudience, audienceFor } = require('./course-visibility'); // Public / internal / hidden courses
+const { getSessionStore } = require('./stores/session-store'); // Per-user conversation state (memory or MongoDB)
+const { getTranscriptStore } = require('./stores/transcript-store'); // Inbound/outbound message history
+const { getDedupeStore } = require('./stores/dedupe-store'); // WhatsApp message ids already answered
+const { requireAdminAuth, requireCronAuth } = require('./admin-auth'); // Bearer-token auth for /admin APIs and /cron runs
+const { captureRawBody, verifyWebhookSignature } = require('./webhook-signature'); // Meta's X-Hub-Signature-256 check
+const adminConversationsRouter = require('./admin/conversations'); // Support staff transcript API
+const adminAnalyticsRouter = require('./admin/analytics'); // Unanswered-query reports
+const adminRemindersRouter = require('./admin/reminders'); // Manual / cron trigger for batch reminders
+const adminEnquiriesRouter = require('./admin/enquiries'); // Nomination enquiries collected in chat
+const adminDeliveriesRouter = require('./admin/deliveries'); // Delivery status of outbound messages
+const adminCoursesRouter = require('./admin/courses'); // Course and batch date editing with an audit log
+const { recordFallbackQuery } = require('./fallback-analytics'); // Log queries that ended in the fallback
+const { recordDeliveryStatus } = require('./delivery-status'); // sent / delivered / read / failed callbacks
+const { createOutboundQueue } = require('./outbound-queue'); // Replies are sent after the webhook is acknowledged
+const { getOutboundQueueStore } = require('./stores/outbound-queue-store'); // Replies waiting to be sent (memory or MongoDB)
+const adminOutboundRouter = require('./admin/outbound'); // Outbound queue status and dead-letter replay
+const cronRouter = require('./admin/cron'); // Scheduled runs (Vercel cron jobs) of the outbound queue and reminders
+const { DEFAULT_LANGUAGE, t, detectLanguage, normalizeDigits } = require('./messages'); // English / Hindi replies
+const { getUserPreferenceStore } = require('./stores/user-preference-store'); // Per-user language preference
+const { createIntentRouter } = require('./intent-router'); // Picks the handler that answers a message
+const intentHandlers = require('./handlers'); // Greeting, menus, course search, fallback, ...
+const { clearDomainMenuCache } = require('./handlers/show-all-courses');
+const { createReminderScheduler } = require('./reminder-scheduler'); // "Your batch starts soon" templates
+
+// 🌐 REPLY LANGUAGE - Explicit choice first, then the language of this message, then the last one detected
+async function resolveLanguage(userId, text) {
+  try {
+    const preferences = await getUserPreferenceStore().get(userId);
+    if (preferences && preferences.language) {
+      return preferences.language;
+    }
+    const detected = detectLanguage(text);
+    if (detected && (!preferences || preferences.detectedLanguage !== detected)) {
+      await getUserPreferenceStore().update(userId, { detectedLanguage: detected });
+    }
+    return detected || (preferences && preferences.detectedLanguage) || DEFAULT_LANGUAGE;
+  } catch (error) {
+    // Preference problems must never stop the reply
+    console.error('❌ Failed to resolve reply language:', error.message);
+    return detectLanguage(text) || DEFAULT_LANGUAGE;
+  }
+}
+
+// 📜 CONVERSATION TRANSCRIPT - Record the inbound message and start timing the reply
+// Returns a "turn" object that queueReply uses to log the outbound reply against it
+async function startConversationTurn(messageData) {
+  const turn = {
+    from: messageData.from,
+    userId: normalizeNumber(messageData.from),
+    userName: messageData.name,
+    text: messageData.text,
+    language: await resolveLanguage(normalizeNumber(messageData.from), messageData.text),
+    receivedAt: Date.now(),
+    course: null // set by handlers that answer about a specific course
+  };
+
+  try {
+    await getTranscriptStore().add({
+      userId: turn.userId,
+      userName: turn.userName,
+      direction: 'inbound',
+      text: describeInboundMessage(messageData),
+      messageType: messageData.type,
+      messageId: messageData.id
+    });
+  } catch (error) {
+    // Transcript problems must never stop the reply
+    console.error('❌ Failed to record inbound message:', error.message);
+  }
+
+  return turn;
+}
+
+// Readable text of an inbound message for the transcript ("[image] fee for SMS", "[location] 28.55, 77.1")
+function describeInboundMessage(messageData) {
+  if (messageData.interactive) {
+    return `${messageData.interactive.title} [${messageData.text}]`;
+  }
+  const media = messageData.media;
+  if (!media) {
+    return messageData.text;
+  }
+  const details = media.kind === 'location'
+    ? [media.name, media.address, `${media.latitude}, ${media.longitude}`]
+    : [media.filename, media.caption];
+  return [`[${media.kind}]`, ...details.filter(Boolean)].join(' ');
+}
+
+// Readable text of an outbound message for the transcript
+function describeOutboundMessage(message, messageType) {
+  if (messageType === 'text') {
+    return message;
+  }
+  if (messageType === 'interactive') {
+    const options = message.type === 'list'
+      ? message.action.sections.flatMap(section => section.rows.map(row => row.title))
+      : message.action.buttons.map(button => button.reply.title);
+    return `${message.body.text}\n[${options.join(' | ')}]`;
+  }
+  if (metaApi.MEDIA_MESSAGE_TYPES.includes(messageType)) {
+    return [`[${messageType}] ${message.filename || message.link || ''}`.trim(), message.caption].filter(Boolean).join('\n');
+  }
+  return JSON.stringify(message);
+}
+
+// 🔁 CLAIM MESSAGE - false when this WhatsApp message id was already taken on (a redelivery)
+// If the dedupe store is down the message is answered anyway: a rare duplicate beats silence
+async function claimMessage(messageData) {
+  if (!messageData.id) {
+    return true;
+  }
+  try {
+    return await getDedupeStore().claim(messageData.id);
+  } catch (error) {
+    console.error('❌ Dedupe check failed, answering anyway:', error.message);
+    return true;
+  }
+}
+
+// Forget a claimed message that could not be answered, so Meta's redelivery gets another try
+async function releaseMessage(messageData) {
+  if (!messageData.id) {
+    return;
+  }
+  try {
+    await getDedupeStore().release(messageData.id);
+  } catch (error) {
+    console.error('❌ Failed to release message id:', error.message);
+  }
+}
+
+// ⏱️ SEND WITHIN BUDGET - Serverless only: run the queue before answering the webhook, but leave
+// time to answer within Vercel's maxDuration (30s). A run cut short is picked up again by the next
+// /cron/outbound run once its lock expires.
+const SERVERLESS_SEND_BUDGET_MS = (parseFloat(process.env.OUTBOUND_SEND_BUDGET_SECONDS) || 20) * 1000;
+
+async function sendWithinBudget(outboundQueue, budgetMs = SERVERLESS_SEND_BUDGET_MS) {
+  let timer = null;
+  const budget = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), budgetMs);
+  });
+  try {
+    const summary = await Promise.race([outboundQueue.runOnce(), budget]);
+    if (!summary) {
+      console.log(`⏱️ Outbound queue still sending after ${budgetMs / 1000}s - the cron run finishes it`);
+    }
+  } catch (error) {
+    console.error('❌ Outbound queue run failed:', error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 🔄 REFRESH COURSE DATA - Pick up course edits another instance saved in the course data store
+// (checked at most every COURSE_DATA_REFRESH_SECONDS); a store outage keeps the courses we have
+async function refreshCourseData() {
+  try {
+    await getCourseRepository().refresh();
+  } catch (error) {
+    console.error('❌ Failed to refresh course data, answering with the loaded courses:', error.message);
+  }
+}
+
+// 📤 QUEUE REPLY - Hand the response to the outbound queue (it is sent after the webhook has
+// answered Meta), remember which intent answered the user and keep fallback questions for analytics
+async function queueReply(outboundQueue, turn, response, messageType = 'text', intent = null) {
+  const job = await outboundQueue.enqueue(turn.from, response, messageType, {
+    userId: turn.userId,
+    userName: turn.userName,
+    handler: intent,
+    course: turn.course,
+    receivedAt: turn.receivedAt
+  });
+
+  if (intent) {
+    try {
+      await getSessionStore().update(turn.userId, { lastIntent: intent });
+    } catch (error) {
+      // Losing the last intent must never stop the reply
+      console.error('❌ Failed to save last intent:', error.message);
+    }
+  }
+
+  // 📊 Fallback replies mean we couldn't answer - keep the question for the analytics report
+  if (intent === 'fallback') {
+    try {
+      await recordFallbackQuery(turn.userId, turn.text);
+    } catch (error) {
+      console.error('❌ Failed to record unanswered query:', error.message);
+    }
+  }
+
+  return job;
+}
+
+// 📜 Record a reply in the transcript once the queue has sent it (or given up on it):
+// handler, course, latency from the inbound message and the send result
+async function recordOutboundReply(job, result) {
+  try {
+    await getTranscriptStore().add({
+      userId: job.meta.userId || normalizeNumber(job.recipient),
+      userName: job.meta.userName,
+      direction: 'outbound',
+      text: describeOutboundMessage(job.message, job.messageType),
+      messageType: job.messageType,
+      messageId: result.messageId,
+      handler: job.meta.handler,
+      course: job.meta.course,
+      latencyMs: job.meta.receivedAt ? Date.now() - job.meta.receivedAt : null,
+      sendResult: {
+        success: result.success,
+        messageId: result.messageId || null,
+        error: result.success ? null : (typeof result.error === 'string' ? result.error : JSON.stringify(result.error))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to record outbound message:', error.message);
+  }
+}
+
+// Utility to normalize phone number (remove "whatsapp:" and keep only digits)
+const normalizeNumber = (num) => {
+  return num.replace(/\D/g, '');
+};
+
+// 🔒 SECURITY MIDDLEWARE SETUP
+// Security functions that protect our webhook and validate inputs
+
+// 1. WEBHOOK SIGNATURE VERIFICATION - Verify requests are from Meta (see webhook-signature.js)
+
+// 2. INPUT VALIDATION - Sanitize and validate incoming data
+// Sanitize one inbound message in place; returns false when it must be dropped
+function sanitizeMessage(message) {
+  // Sanitize phone number
+  if (message.from) {
+    message.from = message.from.replace(/[^0-9]/g, '');
+    if (message.from.length < 10 || message.from.length > 15) {
+      console.log('❌ Invalid phone number format:', message.from);
+      return false;
+    }
+  }
+
+  // Sanitize message text
+  if (message.text && message.text.body) {
+    // Remove potentially dangerous characters and limit length
+    message.text.body = message.text.body
+      .replace(/[<>]/g, '') // Remove HTML tags
+      .substring(0, 1000) // Limit message length
+      .trim();
+
+    if (message.text.body.length === 0) {
+      console.log('❌ Empty message after sanitization');
+      return false;
+    }
+  }
+
+  // Sanitize captions of photos, videos and documents (they are answered like text)
+  const media = message.type && message[message.type];
+  if (media && typeof media.caption === 'string') {
+    media.caption = media.caption
+      .replace(/[<>]/g, '')
+      .substring(0, 1000)
+      .trim();
+  }
+
+  // Sanitize interactive reply ids (list rows and reply buttons)
+  const interactiveReply = message.interactive && (message.interactive.list_reply || message.interactive.button_reply);
+  if (interactiveReply && typeof interactiveReply.id === 'string') {
+    interactiveReply.id = interactiveReply.id
+      .replace(/[<>]/g, '')
+      .substring(0, 200)
+      .trim();
+  }
+  return true;
+}
+
+function validateAndSanitizeInput(req, res, next) {
+  try {
+    // Validate request body structure
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ error: 'Invalid request format' });
+    }
+
+    // Sanitize phone numbers and messages. A webhook can batch several messages, so an invalid
+    // one is dropped rather than rejecting (and making Meta redeliver) the others
+    if (Array.isArray(req.body.entry)) {
+      for (const entry of req.body.entry) {
+        for (const change of (entry && entry.changes) || []) {
+          if (change.value && Array.isArray(change.value.messages)) {
+            change.value.messages = change.value.messages.filter(sanitizeMessage);
+          }
+        }
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Input validation error:', error);
+    return res.status(400).json({ error: 'Invalid request data' });
+  }
+}
+
+// 3. ERROR HANDLING MIDDLEWARE - Catch and handle errors safely
+function errorHandler(err, req, res, next) {
+  console.error('❌ Unhandled error:', err);
+  
+  // Don't expose internal error details
+  res.status(500).json({ 
+    error: 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * 🏭 CREATE APP - Build the Express app without listening
+ * options.now      - clock used for date questions ("what starts next week"); the simulator pins it in tests
+ * options.outbound - outbound queue options (see outbound-queue.js), e.g. no backoff in the simulator
+ * options.serverless - send queued replies before answering the webhook (Vercel freezes the function
+ *                      once it has answered); defaults to true on Vercel
+ * options.rateLimits - false turns off the per-IP request limits (the simulator sends every message from one IP)
+ * Throws when the course data, the domain definitions or a store setting is broken.
+ */
+function createApp({ now = () => new Date(), outbound = {}, serverless = Boolean(process.env.VERCEL), rateLimits = true } = {}) {
+  // 📚 Load course data (the repository reloads it when courses.json changes)
+  // and make sure every course listed in data/domains.json exists - a broken menu must not go live
+  validateDomainDefinitions(getCourseRepository());
+
+  // 💬 Create the session and outbound queue stores up front so a bad setting fails at startup
+  getSessionStore();
+  getOutboundQueueStore();
+
+  // ⏰ Batch reminders - index.js starts the timer, serverless deployments have the /cron/reminders job
+  const reminderScheduler = createReminderScheduler({ now });
+  reminderScheduler.rememberCourses();
+  refreshCourseData(); // course edits saved in MongoDB before this instance started
+
+  // 🔄 When courses.json changes, re-check the domains, drop the cached domain menu
+  // and move reminder subscriptions whose batch dates changed
+  // (admin edits saved by another instance arrive the same way, through refresh())
+  getCourseRepository().onReload((courses) => {
+    clearDomainMenuCache();
+    try {
+      validateDomainDefinitions(getCourseRepository());
+    } catch (error) {
+      console.error('❌ Course data reload broke the domain definitions:', error.message);
+    }
+    reminderScheduler.checkDateChanges(courses)
+      .catch(error => console.error('❌ Failed to check reminder dates:', error));
+  });
+
+  // 📮 Replies are queued and sent after the webhook answered Meta - index.js starts the polling
+  // timer; serverless deployments send them before answering and retry from the /cron/outbound job
+  const outboundQueue = createOutboundQueue({
+    onSent: recordOutboundReply,
+    onDeadLetter: recordOutboundReply,
+    ...outbound
+  });
+
+  // 🧭 Every message is answered by the first matching handler in handlers/ (by priority)
+  const intentRouter = createIntentRouter(intentHandlers);
+  console.log('🧭 Intent handlers:', intentRouter.list().map(handler => handler.name).join(' → '));
+
+  // 🚀 CREATE EXPRESS SERVER
+  const app = express(); // Initialize our web server
+  app.locals.reminderScheduler = reminderScheduler;
+  app.locals.outboundQueue = outboundQueue;
+
+  // 📥 MIDDLEWARE SETUP
+  // Middleware are functions that process requests before they reach our main logic
+
+  // 🔒 SECURITY MIDDLEWARE - Add security headers and rate limiting
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+    hsts: {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: true
+    }
+  }));
+
+  // 🚦 RATE LIMITING - Prevent abuse and DoS attacks
+  const noLimit = (req, res, next) => next();
+  const webhookRateLimit = !rateLimits ? noLimit : rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+      retryAfter: '15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  const generalRateLimit = !rateLimits ? noLimit : rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 50, // Limit each IP to 50 requests per windowMs
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+      retryAfter: '15 minutes'
+    }
+  });
+
+  app.use(cors());                                      // Enable CORS for webhook
+  app.use(bodyParser.json({ limit: '10mb', verify: captureRawBody })); // Parse JSON data (keeping the raw bytes for the signature check)
+  app.use(bodyParser.urlencoded({ extended: false, limit: '10mb' }));  // Parse form data with size limit
+
+  // 📁 SERVE STATIC FILES
+  // This allows us to serve HTML, CSS, JS files from the 'public' folder
+  app.use(express.static(path.join(__dirname, '../public')));
+
+  // 🏠 HOME ROUTE - Shows server is running
+  app.get('/', generalRateLimit, (req, res) => {
+    res.send('IAA Chatbot backend is running! Use Meta Cloud API webhook for WhatsApp messages.');
+  });
+
+  // 🧪 TEST ENDPOINT - Check if webhook is reachable
+  app.get('/test', generalRateLimit, (req, res) => {
+    res.json({ 
+      status: 'success', 
+      message: 'Webhook is reachable!',
+      timestamp: new Date().toISOString(),
+      metaConfig: metaApi.validateMetaConfig()
+    });
+  });
+
+  // 🔍 DEBUG ENDPOINT REMOVED FOR SECURITY - Was exposing course data
+  // If debugging is needed, use the test endpoint or add authentication
+
+  // 📜 ADMIN CONVERSATIONS API - Transcripts for our support staff (Bearer token required)
+  app.use('/admin/conversations', generalRateLimit, requireAdminAuth, adminConversationsRouter);
+  app.use('/admin/analytics', generalRateLimit, requireAdminAuth, adminAnalyticsRouter);
+  app.use('/admin/reminders', generalRateLimit, requireAdminAuth, adminRemindersRouter);
+  app.use('/admin/enquiries', generalRateLimit, requireAdminAuth, adminEnquiriesRouter);
+  app.use('/admin/deliveries', generalRateLimit, requireAdminAuth, adminDeliveriesRouter);
+  app.use('/admin/outbound', generalRateLimit, requireAdminAuth, adminOutboundRouter);
+  app.use('/admin/courses', generalRateLimit, requireAdminAuth, adminCoursesRouter);
+  app.use('/cron', generalRateLimit, requireCronAuth, cronRouter);
+
+  // 🔐 META WEBHOOK VERIFICATION - Verify webhook with Meta
+  app.get('/meta-webhook', metaApi.verifyWebhook);
+
+  // COMMENTED OUT - 🔗 DIALOGFLOW WEBHOOK - Handle Dialogflow requests
+  // app.post('/webhook', dialogflowHandler);
+
+  // 📤 SEND WHATSAPP MESSAGE - Allow us to send messages programmatically
+  app.post('/send-whatsapp', generalRateLimit, async (req, res) => {
+    const { to, message, messageType = 'text' } = req.body; // 'to' should be phone number without whatsapp: prefix
+    try {
+      const result = await metaApi.sendMessageWithRetry(to, message, messageType);
+
+      if (result.success) {
+        res.json({ 
+          success: true, 
+          messageId: result.messageId,
+          data: result.data 
+        });
+      } else {
+        res.status(500).json({ 
+          success: false, 
+          error: result.error,
+          statusCode: result.statusCode 
+        });
+      }
+    } catch (error) {
+      console.error('❌ Send WhatsApp error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // 💬 ANSWER ONE MESSAGE - Runs the bot for one inbound message and queues the reply
+  // Returns true when a reply (or the critical error fallback) was queued
+  async function answerMessage(messageData) {
+    // Declared here so the critical error handler below can still reply
+    let from = null;
+    let language = DEFAULT_LANGUAGE;
+    try {
+      // Devanagari digits (१, २, ...) work like 1, 2, ... for domain and course numbers
+      const incomingMsg = messageData.text ? normalizeDigits(messageData.text) : messageData.text;
+      from = messageData.from;
+      const userName = messageData.name;
+
+      // 📜 Record the inbound message; replies are logged against this turn
+      const turn = await startConversationTurn(messageData);
+      language = turn.language;
+
+      console.log('💬 Processing message:', incomingMsg);
+      console.log('👤 From:', from, `(${userName})`);
+      console.log('📊 Message length:', incomingMsg ? incomingMsg.length : 'undefined');
+
+      // 🧭 Let the first matching handler build the reply (see handlers/ and intent-router.js)
+      const session = await getSessionStore().get(turn.userId);
+      const ctx = {
+        turn,
+        userId: turn.userId,
+        from,
+        userName,
+        text: incomingMsg || '',
+        media: messageData.media || null,
+        language,
+        session,
+        now: now(),
+        courses: forAudience(getCourseRepository(), audienceFor(from))
+      };
+      const reply = await intentRouter.route(ctx);
+      if (!reply) {
+        throw new Error('No intent handler answered the message');
+      }
+      language = ctx.language;
+
+      await queueReply(outboundQueue, turn, reply.response, reply.messageType, reply.intent);
+      console.log(`✅ ${reply.handler} response queued`);
+      return true;
+
+    } catch (error) {
+      console.error('Critical error in webhook:', error);
+
+      // 🚨 CRITICAL ERROR FALLBACK - Send form when critical errors occur
+      if (!from) {
+        return false;
+      }
+
+      try {
+        await outboundQueue.enqueue(from, t(language, 'criticalError'), 'text', { handler: 'critical_error', receivedAt: Date.now() });
+        console.log('Error form fallback queued');
+        return true;
+      } catch (fallbackError) {
+        console.error('Critical error in fallback:', fallbackError);
+        return false;
+      }
+    }
+  }
+
+  // 📥 MAIN WHATSAPP WEBHOOK - This is where WhatsApp messages arrive from Meta
+  // One delivery can batch several messages (from several users) and delivery statuses.
+  // Statuses go to the delivery status handler; every message is answered on its own, in order,
+  // so one failing message doesn't stop the others. Replies only go into the outbound queue, so Meta
+  // gets its 200 without waiting for the Graph API; the queue is kicked after the response is sent.
+  // On serverless nothing runs after the response, so the queue gets up to SERVERLESS_SEND_BUDGET_MS
+  // first; what is left (retries waiting for their backoff) goes out with the /cron/outbound job.
+  // Meta redelivers the webhook on a non-200 (and sometimes just because we were slow): message ids
+  // already taken on are acknowledged, not answered.
+  app.post('/meta-webhook', webhookRateLimit, verifyWebhookSignature, validateAndSanitizeInput, async (req, res) => {
+    console.log('🚀 ===== META WEBHOOK TRIGGERED =====');
+    console.log('📨 Received webhook data:', JSON.stringify(req.body, null, 2));
+
+    const { messages, statuses } = metaApi.processWebhookPayload(req.body);
+    if (messages.length === 0 && statuses.length === 0) {
+      console.log('ℹ️ No messages or statuses found in webhook data');
+      return res.status(200).send('OK');
+    }
+
+    for (const status of statuses) {
+      await recordDeliveryStatus(status);
+    }
+
+    if (messages.length > 0) {
+      await refreshCourseData();
+    }
+
+    let failed = 0;
+    for (const messageData of messages) {
+      if (!(await claimMessage(messageData))) {
+        console.log('🔁 Duplicate delivery of', messageData.id, '- already answered, skipping');
+        continue;
+      }
+      if (!(await answerMessage(messageData))) {
+        await releaseMessage(messageData);
+        failed += 1;
+      }
+    }
+
+    if (serverless) {
+      await sendWithinBudget(outboundQueue);
+    }
+
+    if (failed > 0) {
+      console.error(`❌ ${failed} of ${messages.length} message(s) could not be queued`);
+      res.status(500).send('Error queueing response');
+    } else {
+      console.log('🏁 ===== WEBHOOK COMPLETED =====');
+      res.status(200).send('OK');
+    }
+
+    // 📮 Send the queued replies now rather than at the next poll (failures are retried by the queue)
+    if (!serverless) {
+      outboundQueue.runOnce().catch(error => console.error('❌ Outbound queue run failed:', error));
+    }
+  });
+
+  // 🔒 ERROR HANDLING MIDDLEWARE - Must be last middleware
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
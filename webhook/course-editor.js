@@ -0,0 +1,403 @@
+// ✏️ COURSE EDITOR - Change courses.json from the admin API instead of re-exporting the spreadsheet
+//
+// Every change is validated, saved in the spreadsheet format of courses.json (bilingual headers,
+// "Upcoming Dates" for batches), reloaded into the course repository at once (so the bot answers
+// with the new data immediately) and recorded in the audit store with the admin user and the
+// before/after values.
+//
+//   const editor = createCourseEditor();
+//   await editor.update('gem-procurement', { feePerDay: 7800 }, 'alice')  -> { course } or { status, error, details }
+//
+// With MongoDB the edited rows are saved in the course data store, where every instance picks them
+// up; without it data/courses.json is rewritten, and a read-only filesystem (Vercel) answers 503.
+// Two instances editing at once: the second gets a 409 and can simply retry.
+
+const { toISODate } = require('./date-utils');
+const { BROCHURE_PATTERN, COLUMN_ALIASES, fieldForHeader, normalizeKey, normalizeRows, getCourseRepository } = require('./course-repository');
+const { getDomains } = require('./domain-definitions');
+const { VISIBILITIES } = require('./course-visibility');
+const { getAuditStore } = require('./stores/audit-store');
+
+const MAX_BATCHES = 50;
+
+// 🔧 FIELD RULES - each returns { value } or { error }; null clears an optional field
+const text = (max, { required = false } = {}) => (value) => {
+  if (value === null || value === '') {
+    return required ? { error: 'is required' } : { value: null };
+  }
+  if (typeof value !== 'string' || value.trim().length > max) {
+    return { error: `must be text of at most ${max} characters` };
+  }
+  return { value: value.replace(/\s+/g, ' ').trim() };
+};
+
+const number = (min, max, { integer = false } = {}) => (value) => {
+  if (value === null) {
+    return { value: null };
+  }
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    return { error: `must be a ${integer ? 'whole number' : 'number'} from ${min} to ${max}` };
+  }
+  return { value };
+};
+
+const list = (pattern, description) => (value) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !pattern.test(item.trim()))) {
+    return { error: `must be a list of ${description}` };
+  }
+  return { value: value.map(item => item.trim()) };
+};
+
+function batchList(value) {
+  if (!Array.isArray(value) || value.length > MAX_BATCHES) {
+    return { error: `must be a list of at most ${MAX_BATCHES} batches` };
+  }
+  const batches = [];
+  for (const batch of value) {
+    const checked = validateBatch(batch);
+    if (checked.error) {
+      return checked;
+    }
+    if (batches.some(existing => existing.start === checked.value.start)) {
+      return { error: `has two batches starting on ${checked.value.start}` };
+    }
+    batches.push(checked.value);
+  }
+  return { value: batches.sort((a, b) => a.start.localeCompare(b.start)) };
+}
+
+const FIELD_RULES = {
+  name: text(200, { required: true }),
+  level: text(500),
+  days: number(1, 365, { integer: true }),
+  batchSize: number(1, 500, { integer: true }),
+  coordinators: list(/^.{2,100}$/, 'names'),
+  category: text(100),
+  courseType: text(100),
+  feePerDay: number(0, 1000000),
+  discountedFeePerDay: number(0, 1000000),
+  hostelCharges: text(500),
+  remarks: text(500),
+  // null goes back to the remarks deciding ("Not to be uploaded ..." -> internal)
+  visibility: (value) => (value === null || VISIBILITIES.includes(value)
+    ? { value }
+    : { error: `must be one of ${VISIBILITIES.join(', ')}` }),
+  phones: list(/^\+?[\d][\d\s-]{5,19}$/, 'phone numbers'),
+  emails: list(/^[^\s@,;/]+@[^\s@,;/]+\.[a-z]{2,}$/i, 'email addresses'),
+  registrationLink: (value) => (value === null || (typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim()))
+    ? { value: value && value.trim() }
+    : { error: 'must be an http(s) link' }),
+  brochure: (value) => (value === null || (typeof value === 'string' && BROCHURE_PATTERN.test(value.trim()))
+    ? { value: value && value.trim() }
+    : { error: 'must be an http(s) link or a file name in data/brochures (e.g. "sms.pdf")' }),
+  batches: batchList
+};
+
+const REQUIRED_FIELDS = ['name', 'days'];
+
+/**
+ * 🗓️ VALIDATE BATCH - { start, end } as "YYYY-MM-DD" (or "DD/MM/YYYY"), real calendar dates, end on or after start
+ */
+function validateBatch(batch) {
+  if (!batch || batch.start === undefined || batch.start === null || batch.end === undefined || batch.end === null) {
+    return { error: 'needs a "start" and "end" date (YYYY-MM-DD)' };
+  }
+  const start = toISODate(batch.start);
+  const end = toISODate(batch.end);
+  const invalid = [['start', start], ['end', end]].find(([, value]) => !value);
+  if (invalid) {
+    return { error: `has a "${invalid[0]}" that is not a calendar date: ${JSON.stringify(batch[invalid[0]])} (use YYYY-MM-DD)` };
+  }
+  if (end < start) {
+    return { error: `ends (${end}) before it starts (${start})` };
+  }
+  return { value: { start, end } };
+}
+
+/**
+ * ✅ VALIDATE COURSE INPUT - { values, errors }
+ * partial: true for updates (only the fields sent are checked and required ones may be missing)
+ */
+function validateCourseInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values: {}, errors: ['The request body must be a JSON object'] };
+  }
+
+  const values = {};
+  const errors = [];
+  Object.entries(input).forEach(([field, value]) => {
+    const rule = FIELD_RULES[field];
+    if (!rule) {
+      errors.push(`Unknown field "${field}"`);
+      return;
+    }
+    const result = rule(value);
+    if (result.error) {
+      errors.push(`"${field}" ${result.error}`);
+    } else {
+      values[field] = result.value;
+    }
+  });
+
+  if (!partial) {
+    REQUIRED_FIELDS.filter(field => values[field] === undefined || values[field] === null)
+      .forEach(field => errors.push(`"${field}" is required`));
+  }
+  return { values, errors };
+}
+
+// Checks that involve more than one field, on the course as it would be saved
+function checkCourse(course) {
+  const errors = [];
+  if (course.feePerDay !== null && course.discountedFeePerDay !== null && course.discountedFeePerDay > course.feePerDay) {
+    errors.push('"discountedFeePerDay" cannot be more than "feePerDay"');
+  }
+  return errors;
+}
+
+// 📄 Header for a field: the one the row already uses, or the first spreadsheet alias
+function headerFor(row, field) {
+  return Object.keys(row).find(header => fieldForHeader(header) === field) || COLUMN_ALIASES[field][0];
+}
+
+// 📝 Write clean values back into a raw spreadsheet row
+function applyToRow(row, values) {
+  const next = { ...row };
+  const set = (field, value) => {
+    next[headerFor(next, field)] = value === undefined ? null : value;
+  };
+
+  Object.entries(values).forEach(([field, value]) => {
+    if (field === 'batches') {
+      // Batches always go to "Upcoming Dates"; the single Start/End columns would shadow an empty list
+      ['startDate', 'endDate', 'upcomingDates'].forEach(column => {
+        Object.keys(next).filter(header => fieldForHeader(header) === column).forEach(header => delete next[header]);
+      });
+      if (value.length > 0) {
+        next[COLUMN_ALIASES.upcomingDates[0]] = value.map(batch => ({ start: batch.start, end: batch.end }));
+      }
+    } else if (Array.isArray(value)) {
+      set(field, value.join(', '));
+    } else {
+      set(field, value);
+    }
+  });
+
+  return next;
+}
+
+// Recompute the spreadsheet's derived columns (mandays and batch totals) so the file stays consistent
+function refreshTotals(row, course) {
+  const next = { ...row };
+  const product = (...factors) => (factors.every(factor => typeof factor === 'number') ? factors.reduce((a, b) => a * b, 1) : null);
+  next[headerFor(next, 'mandays')] = product(course.days, course.batchSize);
+  next[headerFor(next, 'totalFee')] = product(course.feePerDay, course.days, course.batchSize);
+  next[headerFor(next, 'totalDiscountedFee')] = product(course.discountedFeePerDay, course.days, course.batchSize);
+  return next;
+}
+
+// What changed between two versions of a course (editable fields only)
+function diffCourses(before, after) {
+  const changes = {};
+  Object.keys(FIELD_RULES).forEach(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+  return changes;
+}
+
+// Domains (data/domains.json) list courses by name, so those courses can't be renamed or removed here
+function domainsListing(course, repository) {
+  return getDomains(repository).filter(domain => domain.courses.some(candidate => candidate.id === course.id));
+}
+
+function domainConflict(course, repository, what) {
+  const domains = domainsListing(course, repository);
+  return domains.length === 0 ? null : {
+    status: 409,
+    error: `"${course.name}" is listed in the ${domains.map(domain => domain.shortName).join(', ')} domain(s) of data/domains.json - update that file before you ${what} it`
+  };
+}
+
+const normalizeOne = (row) => normalizeRows([row])[0];
+
+// How a failed save is answered: another instance saved first, or nowhere to write
+const SAVE_FAILURE_STATUS = { conflict: 409, read_only: 503 };
+
+/**
+ * 🏭 CREATE COURSE EDITOR
+ * options.getRepository / options.getAuditStore - looked up on every change, so tests can swap them
+ */
+function createCourseEditor({ getRepository = getCourseRepository, getStore = getAuditStore } = {}) {
+  // One change at a time: each one reads, edits and saves the whole calendar
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Apply one change: edit(rows, target) returns { rows, courseId } or { status, error, details }
+   * target is { rowIndex, course } for the course id (null when creating)
+   */
+  function change(action, courseId, user, edit) {
+    return serialize(async () => {
+      const repository = getRepository();
+      await repository.refresh({ force: true }); // edit the latest version, not this instance's copy
+      const { rows: rawRows, version } = repository.getRawRows();
+      const target = courseId ? normalizeRows(rawRows).find(row => row.course.id === courseId) : null;
+      if (courseId && !target) {
+        return { status: 404, error: 'Course not found' };
+      }
+
+      const result = edit(rawRows, target);
+      if (result.error) {
+        return result;
+      }
+
+      const saved = await repository.save(result.rows, { expectedVersion: version, user });
+      if (!saved.success) {
+        return { status: SAVE_FAILURE_STATUS[saved.reason] || 500, error: saved.error };
+      }
+      const after = result.courseId ? repository.getById(result.courseId) : null;
+      const before = target ? target.course : null;
+
+      const entry = await getStore().add({
+        action,
+        user,
+        courseId: after ? after.id : before.id,
+        courseName: after ? after.name : before.name,
+        changes: diffCourses(before, after)
+      });
+      console.log(`✏️ Course ${action} by ${user}: ${entry.courseName}`);
+      return { course: after, previous: before, audit: entry };
+    });
+  }
+
+  // Apply validated values to a row and check the course it produces
+  function editRow(rows, rowIndex, values) {
+    const row = applyToRow(rows[rowIndex] || {}, values);
+    const course = normalizeOne(row);
+    const errors = checkCourse(course.course);
+    if (errors.length > 0) {
+      return { status: 400, error: 'Invalid course', details: errors };
+    }
+    rows[rowIndex] = refreshTotals(row, course.course);
+    // The id of the edited row as the repository will number it
+    const courseId = normalizeRows(rows).find(candidate => candidate.rowIndex === rowIndex).course.id;
+    return { rows, courseId };
+  }
+
+  // Change the batch list of a course through a function of the current list
+  function changeBatches(action, courseId, user, updateBatches) {
+    return change(action, courseId, user, (rows, target) => {
+      const batches = updateBatches(target.course.batches.map(batch => ({ ...batch })));
+      if (batches.error) {
+        return batches;
+      }
+      const checked = batchList(batches);
+      if (checked.error) {
+        return { status: 400, error: 'Invalid batch', details: [`Batches ${checked.error}`] };
+      }
+      return editRow(rows, target.rowIndex, { batches: checked.value });
+    });
+  }
+
+  return {
+    // ➕ New course (appended at the end of the calendar)
+    create(input, user) {
+      const { values, errors } = validateCourseInput(input);
+      if (errors.length > 0) {
+        return Promise.resolve({ status: 400, error: 'Invalid course', details: errors });
+      }
+      return change('create', null, user, (rows) => {
+        if (getRepository().findByName(values.name)) {
+          return { status: 409, error: `A course named "${values.name}" already exists` };
+        }
+        const serialNumbers = normalizeRows(rows).map(row => row.course.serialNo).filter(Number.isFinite);
+        rows.push({ [COLUMN_ALIASES.serialNo[0]]: serialNumbers.length > 0 ? Math.max(...serialNumbers) + 1 : 1 });
+        return editRow(rows, rows.length - 1, { batches: [], ...values });
+      });
+    },
+
+    // ✏️ Change some fields
+    update(courseId, input, user) {
+      const { values, errors } = validateCourseInput(input, { partial: true });
+      if (errors.length > 0) {
+        return Promise.resolve({ status: 400, error: 'Invalid course', details: errors });
+      }
+      if (Object.keys(values).length === 0) {
+        return Promise.resolve({ status: 400, error: 'Nothing to update' });
+      }
+      return change('update', courseId, user, (rows, target) => {
+        const renamed = values.name !== undefined && normalizeKey(values.name) !== normalizeKey(target.course.name);
+        return (renamed && domainConflict(target.course, getRepository(), 'rename')) || editRow(rows, target.rowIndex, values);
+      });
+    },
+
+    // 🗑️ Remove a course from the calendar
+    remove(courseId, user) {
+      return change('delete', courseId, user, (rows, target) => {
+        const conflict = domainConflict(target.course, getRepository(), 'delete');
+        if (conflict) {
+          return conflict;
+        }
+        rows.splice(target.rowIndex, 1);
+        return { rows, courseId: null };
+      });
+    },
+
+    // 🗓️ Batch dates
+    addBatch(courseId, batch, user) {
+      const checked = validateBatch(batch);
+      if (checked.error) {
+        return Promise.resolve({ status: 400, error: 'Invalid batch', details: [`The batch ${checked.error}`] });
+      }
+      return changeBatches('add_batch', courseId, user, (batches) => [...batches, checked.value]);
+    },
+
+    updateBatch(courseId, start, patch, user) {
+      return changeBatches('update_batch', courseId, user, (batches) => {
+        const index = batches.findIndex(batch => batch.start === toISODate(start));
+        if (index === -1) {
+          return { status: 404, error: `No batch starting on ${start}` };
+        }
+        const checked = validateBatch({ ...batches[index], ...patch });
+        if (checked.error) {
+          return { status: 400, error: 'Invalid batch', details: [`The batch ${checked.error}`] };
+        }
+        batches[index] = checked.value;
+        return batches;
+      });
+    },
+
+    removeBatch(courseId, start, user) {
+      return changeBatches('delete_batch', courseId, user, (batches) => {
+        const remaining = batches.filter(batch => batch.start !== toISODate(start));
+        return remaining.length === batches.length ? { status: 404, error: `No batch starting on ${start}` } : remaining;
+      });
+    }
+  };
+}
+
+// 🌐 SHARED INSTANCE - one write queue for the whole process
+let sharedEditor = null;
+
+function getCourseEditor() {
+  if (!sharedEditor) {
+    sharedEditor = createCourseEditor();
+  }
+  return sharedEditor;
+}
+
+module.exports = {
+  validateCourseInput,
+  validateBatch,
+  diffCourses,
+  createCourseEditor,
+  getCourseEditor
+};
@@ -0,0 +1,109 @@
+// 📋 COURSE FORMATTER - Course cards and focused attribute answers for WhatsApp
+// All labels come from messages.js, so every reply exists in English and Hindi.
+
+const { formatDateDMY, isFutureOrToday, todayISODate } = require('./date-utils');
+const { DEFAULT_LANGUAGE, t } = require('./messages');
+
+// 🔔 "remind me" hint, only worth showing when a batch is still to start
+function reminderHint(course, language, now) {
+  const today = todayISODate(now);
+  return course.batches.some(batch => batch.start > today) ? `\n\n${t(language, 'reminderHint')}` : '';
+}
+
+// 📝 "enrol" hint under every course card
+function enrolHint(language) {
+  return `\n\n${t(language, 'enrolHint')}`;
+}
+
+// 📋 FORMAT COURSE INFO - Convert course data to formatted message (labels in messages.js)
+function formatCourseInfo(course, language = DEFAULT_LANGUAGE, now = new Date()) {
+  try {
+    const valueOrNA = (value) => (value === null || value === undefined || value === '' ? t(language, 'notAvailable') : value);
+    const listOrNA = (values) => (values.length > 0 ? values.join(', ') : t(language, 'notAvailable'));
+
+    // Only show future or ongoing date ranges
+    const validRanges = course.batches.filter(batch => isFutureOrToday(batch.end, now));
+    const datesStr = validRanges.length > 0
+      ? validRanges
+        .map(batch => t(language, 'dateRange', { start: formatDateDMY(batch.start), end: formatDateDMY(batch.end) }))
+        .join(t(language, 'dateRangeSeparator'))
+      : t(language, 'courseCardNoDates');
+
+    return t(language, 'courseCard', {
+      name: course.name,
+      level: valueOrNA(course.level),
+      dates: datesStr,
+      duration: valueOrNA(course.days),
+      feePerDay: valueOrNA(course.feePerDay),
+      feeAfterDiscount: valueOrNA(course.discountedFeePerDay),
+      hostelCharges: valueOrNA(course.hostelCharges),
+      coordinators: listOrNA(course.coordinators),
+      category: valueOrNA(course.category),
+      contact: listOrNA(course.phones),
+      email: listOrNA(course.emails)
+    }) + reminderHint(course, language, now) + enrolHint(language);
+  } catch (error) {
+    console.error('Error formatting course info:', error);
+    return t(language, 'courseFormatError');
+  }
+}
+
+// 🎯 FORMAT COURSE ATTRIBUTES - Focused answer for fee / date / coordinator / hostel / contact / category questions
+function formatCourseAttributes(course, intents, language = DEFAULT_LANGUAGE, now = new Date()) {
+  try {
+    const valueOrNA = (value) => (value === null || value === undefined || value === '' ? t(language, 'notAvailable') : value);
+    const listOrNA = (values) => (values.length > 0 ? values.join(', ') : t(language, 'notAvailable'));
+
+    const sections = {
+      course_fees: () => {
+        // totalFee in the sheet is for a whole batch, so work out one participant's total here
+        const perParticipant = (perDay) => (perDay && course.days ? t(language, 'attrFeeTotal', { amount: perDay * course.days, days: course.days }) : '');
+        return t(language, 'attrFees', {
+          feePerDay: valueOrNA(course.feePerDay),
+          feeTotal: perParticipant(course.feePerDay),
+          discountedFeePerDay: valueOrNA(course.discountedFeePerDay),
+          discountedTotal: perParticipant(course.discountedFeePerDay)
+        });
+      },
+      batch_dates: () => {
+        const upcoming = course.batches.filter(batch => isFutureOrToday(batch.end, now));
+        const dates = upcoming.length > 0
+          ? upcoming.map(batch => `• ${t(language, 'dateRange', { start: formatDateDMY(batch.start), end: formatDateDMY(batch.end) })}`).join('\n')
+          : t(language, 'attrNoUpcomingBatches');
+        return t(language, 'attrDates', { dates, duration: valueOrNA(course.days) });
+      },
+      coordinator_info: () => t(language, 'attrCoordinators', { coordinators: listOrNA(course.coordinators) }),
+      hostel_info: () => t(language, 'attrHostel', { hostelCharges: valueOrNA(course.hostelCharges) }),
+      contact_info: () => t(language, 'attrContact', {
+        coordinators: listOrNA(course.coordinators),
+        phones: listOrNA(course.phones),
+        emails: listOrNA(course.emails)
+      }),
+      course_category: () => t(language, 'attrCategory', {
+        category: valueOrNA(course.category),
+        level: valueOrNA(course.level),
+        courseType: valueOrNA(course.courseType)
+      })
+    };
+
+    // Same order as the full course card, whatever order the user asked in
+    const order = ['batch_dates', 'course_fees', 'hostel_info', 'coordinator_info', 'contact_info', 'course_category'];
+    const answer = order
+      .filter(intent => intents.includes(intent))
+      // Contact details already include the coordinators
+      .filter(intent => !(intent === 'coordinator_info' && intents.includes('contact_info')))
+      .map(intent => sections[intent]())
+      .join('\n\n');
+
+    const hint = intents.includes('batch_dates') ? reminderHint(course, language, now) : '';
+    return t(language, 'attributeAnswer', { name: course.name, answer }) + hint;
+  } catch (error) {
+    console.error('Error formatting course attributes:', error);
+    return t(language, 'courseFormatError');
+  }
+}
+
+module.exports = {
+  formatCourseInfo,
+  formatCourseAttributes
+};
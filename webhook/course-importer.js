@@ -0,0 +1,359 @@
+// 📥 COURSE IMPORTER - Training calendar spreadsheet -> clean data/courses.json, with a validation report
+//
+// The spreadsheet changes shape from year to year (title rows above the header, padded or
+// re-spelled headers, Excel serial dates, "A & B" coordinator cells, one row per batch), so:
+//   rowsFromSheet(cells)      -> finds the header row and maps columns by COLUMN_ALIASES
+//   importRows(sheet)         -> { courses, report }: ISO dates, split phone / email / coordinator
+//                                lists, repeated programme rows grouped into "Upcoming Dates",
+//                                and a problem for every missing or malformed value
+//   diffCourseData(old, new)  -> added / removed / changed courses, for a dry run
+// Reading the workbook itself is left to scripts/convert_excel_to_json.js (it needs the xlsx package).
+
+const { toISODate, parseISODate, calendarDate, formatDateDMY } = require('./date-utils');
+const {
+  BROCHURE_PATTERN, COLUMN_ALIASES, fieldForHeader, normalizeKey, cleanText, cleanNumber, splitList, normalizeRows
+} = require('./course-repository');
+const { diffCourses } = require('./course-editor');
+const { VISIBILITIES } = require('./course-visibility');
+
+const HEADER_SEARCH_ROWS = 15; // title rows allowed above the header row
+const MIN_HEADER_MATCHES = 3;
+const DAY_MS = 86400 * 1000;
+
+// Fields written to courses.json, in this order, under their first (canonical) header
+const OUTPUT_FIELDS = [
+  'serialNo', 'name', 'level', 'upcomingDates', 'days', 'batchSize', 'coordinators', 'category', 'mandays',
+  'courseType', 'feePerDay', 'totalFee', 'discountedFeePerDay', 'totalDiscountedFee', 'hostelCharges',
+  'remarks', 'visibility', 'phones', 'emails', 'registrationLink', 'brochure'
+];
+const NUMBER_FIELDS = ['serialNo', 'days', 'batchSize', 'mandays', 'feePerDay', 'totalFee', 'discountedFeePerDay', 'totalDiscountedFee'];
+const TEXT_FIELDS = ['name', 'level', 'category', 'courseType', 'hostelCharges', 'remarks', 'visibility', 'registrationLink', 'brochure'];
+// Rows for the same programme should agree on these; the first row wins when they don't
+const CONSISTENT_FIELDS = ['days', 'level', 'category', 'feePerDay', 'discountedFeePerDay', 'coordinators', 'visibility'];
+
+const PHONE_PATTERN = /^\+?\d[\d -]{5,18}\d$/;
+const EMAIL_PATTERN = /^[^\s@,;/]+@[^\s@,;/]+\.[a-z]{2,}$/i;
+
+// "Not available", "N/A", "-", "TBA" mean the cell is empty
+const PLACEHOLDER_PATTERN = /^(not\s+available|n\.?\s*\/?\s*a\.?|nil|none|-+|tba|tbd|to be announced)$/i;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const DATE_COLUMNS = { startDate: 'Start date', endDate: 'End date', upcomingDates: 'Upcoming Dates' };
+const DATE_TEXT = /\b(\d{1,4})[/.-](\d{1,2})[/.-](\d{2,4})\b/g;
+
+// The first date in a cell that only exists with day and month swapped ("12/31/2026", "2026-31-12"),
+// as { text, meant } - or null. Guessing would put batches in the wrong month, so such rows are rejected.
+function findSwappedDate(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  for (const [text, first, middle, last] of value.matchAll(DATE_TEXT)) {
+    if (toISODate(text)) continue;
+    const yearFirst = first.length === 4;
+    const year = Number(yearFirst ? first : (last.length === 2 ? `20${last}` : last));
+    const meant = yearFirst
+      ? calendarDate(year, Number(last), Number(middle))
+      : calendarDate(year, Number(first), Number(middle));
+    if (meant) {
+      return { text, meant };
+    }
+  }
+  return null;
+}
+const isEmptyCell = (value) => isBlank(value) || (typeof value === 'string' && PLACEHOLDER_PATTERN.test(value.trim()));
+
+function addDays(isoDate, days) {
+  return new Date(parseISODate(isoDate).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 🔎 ROWS FROM SHEET - cells is the sheet as an array of rows (arrays of cell values)
+ * Returns { headerRow, columns: [{ index, header, field }], unknownHeaders, rows: [{ rowNumber, cells: { field: value } }] }
+ * Row numbers are the spreadsheet's own (1-based). Throws when no header row can be found.
+ */
+function rowsFromSheet(cells) {
+  const headerIndex = cells.slice(0, HEADER_SEARCH_ROWS).findIndex(row => (row || [])
+    .filter(cell => !isBlank(cell) && fieldForHeader(cell)).length >= MIN_HEADER_MATCHES);
+  if (headerIndex === -1) {
+    throw new Error(`No header row found in the first ${HEADER_SEARCH_ROWS} rows (expected columns like "Programme", "Start date", "Number of Days")`);
+  }
+
+  const columns = [];
+  const unknownHeaders = [];
+  cells[headerIndex].forEach((header, index) => {
+    if (isBlank(header)) return;
+    const field = fieldForHeader(header);
+    if (!field) {
+      unknownHeaders.push(cleanText(header));
+    } else if (!columns.some(column => column.field === field)) {
+      columns.push({ index, header: cleanText(header), field });
+    }
+  });
+
+  const rows = [];
+  cells.slice(headerIndex + 1).forEach((row, offset) => {
+    if (!row || row.every(isBlank)) return;
+    const values = {};
+    columns.forEach(({ index, field }) => {
+      if (!isEmptyCell(row[index])) values[field] = row[index];
+    });
+    rows.push({ rowNumber: headerIndex + offset + 2, cells: values });
+  });
+
+  return { headerRow: headerIndex + 1, columns, unknownHeaders, rows };
+}
+
+// Words and dashes between the two dates of a range; dashes also appear inside dates ("15-12-2025")
+const RANGE_SEPARATOR = /\s*(?:\b(?:to|till|until)\b|-|–|—)\s*/gi;
+
+// Split "start - end" at the first separator that leaves a date on both sides (null if none does)
+function splitDateRange(part) {
+  for (const separator of part.matchAll(RANGE_SEPARATOR)) {
+    const start = part.slice(0, separator.index).trim();
+    const end = part.slice(separator.index + separator[0].length).trim();
+    if (start && end && toISODate(start) && toISODate(end)) {
+      return { start, end };
+    }
+  }
+  return null;
+}
+
+// "15/12/2025 - 19/12/2025, 15-12-2025 to 19-12-2025" (or the JSON form) -> [{ start, end }] and bad parts
+function parseDateRanges(value) {
+  if (Array.isArray(value)) {
+    return { ranges: value.map(range => ({ start: range && range.start, end: range && range.end })), bad: [] };
+  }
+  const ranges = [];
+  const bad = [];
+  String(value).split(/[,;\n]+/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const range = splitDateRange(part);
+    if (range) {
+      ranges.push(range);
+    } else {
+      bad.push(part);
+    }
+  });
+  return { ranges, bad };
+}
+
+// Split a multi-value cell and keep the values that look right
+function splitChecked(value, separator, pattern) {
+  const values = splitList(value, separator);
+  return { valid: values.filter(item => pattern.test(item)), invalid: values.filter(item => !pattern.test(item)) };
+}
+
+/**
+ * 📥 IMPORT ROWS - sheet is the result of rowsFromSheet()
+ * Returns { courses: rows for courses.json, report }
+ * report: { headerRow, sheetRows, courses, batches, skippedRows, unknownHeaders, missingColumns, problems: [{ row, level, message }] }
+ * level 'error' means the row was not imported, 'warning' that a value was dropped or corrected.
+ */
+function importRows({ headerRow = 1, columns = [], unknownHeaders = [], rows }) {
+  const problems = [];
+  const problem = (row, level, message) => problems.push({ row, level, message });
+  const fields = new Set(columns.map(column => column.field));
+  const missingColumns = ['name', 'days'].filter(field => !fields.has(field))
+    .concat(fields.has('startDate') || fields.has('upcomingDates') ? [] : ['startDate'])
+    .map(field => COLUMN_ALIASES[field][0]);
+
+  const byName = new Map(); // normalised name -> { course, firstRow }
+  let skippedRows = 0;
+
+  rows.forEach(({ rowNumber, cells }) => {
+    const name = cleanText(cells.name);
+    if (!name) {
+      skippedRows += 1;
+      problem(rowNumber, 'error', 'No programme name - row skipped (a totals or notes row?)');
+      return;
+    }
+
+    // 🔀 A month/day/year date would land in the wrong month - the whole row waits for a fix
+    for (const [field, label] of Object.entries(DATE_COLUMNS)) {
+      const swapped = findSwappedDate(cells[field]);
+      if (swapped) {
+        skippedRows += 1;
+        problem(rowNumber, 'error', `${label}: "${swapped.text}" has the day and month swapped - write ${formatDateDMY(swapped.meant)} (DD/MM/YYYY); row skipped`);
+        return;
+      }
+    }
+
+    // 🔢 Numbers and text
+    const values = {};
+    NUMBER_FIELDS.forEach(field => {
+      if (isBlank(cells[field])) return;
+      const number = cleanNumber(cells[field]);
+      if (number === null) {
+        problem(rowNumber, 'warning', `${COLUMN_ALIASES[field][0]}: "${cells[field]}" is not a number - left empty`);
+      } else {
+        values[field] = number;
+      }
+    });
+    TEXT_FIELDS.forEach(field => {
+      if (isBlank(cells[field])) return;
+      if (field === 'hostelCharges' && typeof cells[field] === 'number') {
+        problem(rowNumber, 'warning', `Hostel Charges: ${cells[field]} is a number, not a description of the charges - left empty`);
+        return;
+      }
+      values[field] = cleanText(cells[field]);
+    });
+    if (values.registrationLink && !/^https?:\/\//i.test(values.registrationLink)) {
+      problem(rowNumber, 'warning', `Registration Link: "${values.registrationLink}" is not a web link - left empty`);
+      delete values.registrationLink;
+    }
+    if (values.brochure && !BROCHURE_PATTERN.test(values.brochure)) {
+      problem(rowNumber, 'warning', `Brochure: "${values.brochure}" is neither a web link nor a file name in data/brochures - left empty`);
+      delete values.brochure;
+    }
+    if (values.visibility) {
+      values.visibility = values.visibility.toLowerCase();
+      if (!VISIBILITIES.includes(values.visibility)) {
+        problem(rowNumber, 'warning', `Visibility: "${cells.visibility}" is not one of ${VISIBILITIES.join(', ')} - left empty (the remarks decide)`);
+        delete values.visibility;
+      }
+    }
+
+    // 👥 Lists
+    values.coordinators = splitList(cells.coordinators);
+    const phones = splitChecked(cells.phones, /\s*[,;/]\s*/, PHONE_PATTERN);
+    const emails = splitChecked(cells.emails, /\s*[,;/\s]\s*/, EMAIL_PATTERN);
+    values.phones = phones.valid;
+    values.emails = emails.valid;
+    if (phones.invalid.length > 0) {
+      problem(rowNumber, 'warning', `Phone number: ${phones.invalid.map(phone => `"${phone}"`).join(', ')} not a phone number - dropped`);
+    }
+    if (emails.invalid.length > 0) {
+      problem(rowNumber, 'warning', `email: ${emails.invalid.map(email => `"${email}"`).join(', ')} not an email address - dropped`);
+    }
+
+    // 🗓️ Dates: the Start/End columns and/or an "Upcoming Dates" cell
+    const ranges = [];
+    if (!isBlank(cells.startDate) || !isBlank(cells.endDate)) {
+      ranges.push({ start: cells.startDate, end: cells.endDate });
+    }
+    if (!isBlank(cells.upcomingDates)) {
+      const parsed = parseDateRanges(cells.upcomingDates);
+      ranges.push(...parsed.ranges);
+      parsed.bad.forEach(part => problem(rowNumber, 'warning', `Upcoming Dates: can't read "${part}" - use "DD/MM/YYYY - DD/MM/YYYY"`));
+    }
+    const batches = [];
+    ranges.forEach(range => {
+      const start = toISODate(range.start);
+      let end = toISODate(range.end);
+      if (!start) {
+        problem(rowNumber, 'warning', `Start date: "${isBlank(range.start) ? '(empty)' : range.start}" is not a date - batch skipped`);
+        return;
+      }
+      if (!end) {
+        end = values.days ? addDays(start, values.days - 1) : start;
+        problem(rowNumber, 'warning', `End date: "${isBlank(range.end) ? '(empty)' : range.end}" is not a date - using ${end}${values.days ? ` (${values.days} days)` : ''}`);
+      }
+      if (end < start) {
+        problem(rowNumber, 'warning', `End date ${end} is before the start date ${start} - batch skipped`);
+        return;
+      }
+      batches.push({ start, end });
+    });
+
+    // 📚 Repeated programme rows are more batches of the same course
+    const key = normalizeKey(name);
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, { course: { ...values, batches }, firstRow: rowNumber });
+      return;
+    }
+
+    CONSISTENT_FIELDS.forEach(field => {
+      const kept = existing.course[field];
+      const value = values[field];
+      if (value !== undefined && kept !== undefined && JSON.stringify(kept) !== JSON.stringify(value)) {
+        problem(rowNumber, 'warning', `"${name}" is also on row ${existing.firstRow} with a different ${COLUMN_ALIASES[field][0]} (${JSON.stringify(value)} vs ${JSON.stringify(kept)}) - kept row ${existing.firstRow}`);
+      }
+    });
+    batches.forEach(batch => {
+      if (existing.course.batches.some(known => known.start === batch.start)) {
+        problem(rowNumber, 'warning', `"${name}" batch starting ${batch.start} is already on row ${existing.firstRow} - duplicate ignored`);
+      } else {
+        existing.course.batches.push(batch);
+      }
+    });
+  });
+
+  // ✅ Whole-course checks, then the courses.json rows
+  const courses = [];
+  let batchCount = 0;
+  byName.forEach(({ course, firstRow }) => {
+    if (!course.days) {
+      problem(firstRow, 'warning', `"${course.name}" has no number of days`);
+    }
+    if (course.batches.length === 0) {
+      problem(firstRow, 'warning', `"${course.name}" has no batch dates - it will show "dates to be announced"`);
+    }
+    if (course.feePerDay && course.discountedFeePerDay && course.discountedFeePerDay > course.feePerDay) {
+      problem(firstRow, 'warning', `"${course.name}" has a group discount fee higher than the normal fee`);
+    }
+
+    course.batches.sort((a, b) => a.start.localeCompare(b.start));
+    batchCount += course.batches.length;
+    const row = {};
+    OUTPUT_FIELDS.forEach(field => {
+      const value = field === 'upcomingDates' ? course.batches : course[field];
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        row[COLUMN_ALIASES[field][0]] = value;
+      }
+    });
+    courses.push(row);
+  });
+
+  problems.sort((a, b) => a.row - b.row);
+  return {
+    courses,
+    report: {
+      headerRow,
+      sheetRows: rows.length,
+      courses: courses.length,
+      batches: batchCount,
+      skippedRows,
+      unknownHeaders,
+      missingColumns,
+      problems
+    }
+  };
+}
+
+/**
+ * 🔁 DIFF COURSE DATA - What an import would change: { added, removed, changed, unchanged }
+ * Both arguments are courses.json contents; courses are matched by id (the slug of the name).
+ */
+function diffCourseData(currentRows, nextRows) {
+  const current = new Map(normalizeRows(currentRows).map(({ course }) => [course.id, course]));
+  const next = new Map(normalizeRows(nextRows).map(({ course }) => [course.id, course]));
+  const summary = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  next.forEach((course, id) => {
+    if (!current.has(id)) {
+      summary.added.push({ id, name: course.name });
+      return;
+    }
+    const changes = diffCourses(current.get(id), course);
+    if (Object.keys(changes).length > 0) {
+      summary.changed.push({ id, name: course.name, changes });
+    } else {
+      summary.unchanged += 1;
+    }
+  });
+  current.forEach((course, id) => {
+    if (!next.has(id)) {
+      summary.removed.push({ id, name: course.name });
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  rowsFromSheet,
+  parseDateRanges,
+  importRows,
+  diffCourseData
+};
@@ -0,0 +1,371 @@
+// 🔎 COURSE MATCHER - Scored, typo-tolerant course search
+// Every course gets a list of aliases (its name, synonyms from data/course_name_entity.csv,
+// short forms like "sms" and the acronym of its name). A query is scored against every alias
+// using exact/prefix matches, token overlap and edit distance, and the courses come back
+// ranked with a confidence score between 0 and 1. A single word that several courses share
+// ("system", "management") is never confident on its own unless it is a whole alias ("sms").
+//
+// matchCourses("saftey managment", courses)
+//   -> { best: { course, score: 0.91, alias: 'Safety Management' }, candidates: [...], confident: true }
+
+const fs = require('fs');
+const path = require('path');
+const { FILLER_WORDS } = require('./intent-detector');
+
+const SYNONYMS_FILE = path.join(__dirname, '../data/course_name_entity.csv');
+
+const CONFIDENT_SCORE = 0.8;       // 🎯 Answer directly at or above this score...
+const AMBIGUITY_MARGIN = 0.05;     // ...when the runner-up is at least this far behind
+const MIN_CANDIDATE_SCORE = 0.5;   // Below this a course is not worth suggesting
+const MIN_FUZZY_SIMILARITY = 0.75; // Token similarity needed to count a typo as a match
+const MIN_SPECIFIC_TOKENS = 1;     // Words only one course has that a one-word query needs to be confident
+
+// Small words that don't help to tell courses apart
+const NOISE_WORDS = new Set(['of', 'and', 'the', 'for', 'in', 'to', 'with', 'at', 'a', 'an', 'using']);
+
+// 🎯 COMPREHENSIVE SHORT FORM MAPPING - Map acronyms and common words to course names
+const SHORT_FORMS = {
+  // Core Aviation Acronyms
+  'dem': 'Demo',
+  'sms': 'Safety Management System(SMS)',
+  'dop': 'Delegation of Power(DOP)',
+  'rrr': 'Runway Rubber Removal',
+  'gem': 'GeM Procurement',
+  'bi': 'Data Analytics using Power Bi',
+  'pbi': 'Data Analytics using Power Bi',
+  'gst': 'Goods and Services Tax',
+  'apd': 'APD Professional Competency Development',
+  'apm': 'Airfield pavement Marking',
+  'posh': 'Prevention of Sexual Harassment',
+  'rti': 'Right to Information',
+  'agl': 'Airfield Ground Lighting',
+  'pws': 'Precision Weather System',
+  'noc': 'Notice of Change',
+  'hv': 'High Voltage',
+  'ac': 'Air Conditioning',
+  'ecbc': 'Energy Conservation Building Code',
+  'e&m': 'Electrical and Mechanical',
+  'annex-14': 'Annex-14',
+  'annex-9': 'Annex-9',
+  'atm': 'Airport Terminal Management',
+  'procurement': 'GeM Procurement',
+  'power': 'Data Analytics using Power Bi',
+  'analytics': 'Data Analytics using Power Bi',
+  'data': 'Data Analytics using Power Bi',
+  'delegation': 'Delegation of Power(DOP)',
+  'runway': 'Runway Rubber Removal',
+  'rubber': 'Runway Rubber Removal',
+  'removal': 'Runway Rubber Removal',
+  // Additional mappings for better matching
+  'gem procurement': 'GeM Procurement',
+  'power bi': 'Data Analytics using Power Bi',
+  'data analytics': 'Data Analytics using Power Bi',
+  'advance excel': 'Advance Excel & Power BI',
+  'excel': 'Advance Excel & Power BI',
+  'contract management': 'Contract Management',
+  'commercial contract': 'Commercial Contract management',
+  'wildlife': 'Wildlife Hazard Management',
+  'wildlife management': 'Wildlife Hazard Management',
+  'airport emergency': 'Airport Emergency Planning  & Disabled Aircraft Removal',
+  'aerodrome design': 'Aerodrome Design & Operations(Annex-14)',
+  'aerodrome operations': 'Aerodrome Design & Operations(Annex-14)',
+  'aerodrome licensing': 'Aerodrome Licensing',
+  'airfield pavement': 'Airfield pavement Marking(APM)',
+  'airfield marking': 'Airfield pavement Marking(APM)',
+  'passenger wayfinding': 'Passenger Wayfinding signages(PWS)',
+  'aeronautical ground': 'Aeronautical ground Lights(AGL)',
+  'ground lighting': 'Aeronautical ground Lights(AGL)',
+  'human factors': 'Human Factors',
+  'stress management': 'Stress Management',
+  'retirement planning': 'Planning for Retirement',
+  'planning retirement': 'Planning for Retirement',
+  'labour laws': 'Compliance of Labour Laws',
+  'compliance labour': 'Compliance of Labour Laws',
+  'right to information': 'Right To Information Act, 2005',
+  'rti act': 'Right To Information Act, 2005',
+  'mentorship': 'Mentorship and succession planning',
+  'succession planning': 'Mentorship and succession planning',
+  'leadership': 'Leadership,Team Building & Conflict Management',
+  'team building': 'Leadership,Team Building & Conflict Management',
+  'conflict management': 'Leadership,Team Building & Conflict Management',
+  'accounting': 'Accounting & Internal Audit',
+  'internal audit': 'Accounting & Internal Audit',
+  'budget preparation': 'Delegation of Power(DOP) & Budget Preparation',
+  'goods services tax': 'Goods and Services Tax & Statutory Taxation',
+  'statutory taxation': 'Goods and Services Tax & Statutory Taxation',
+  'design thinking': 'Design Thinking for nuturing innovation',
+  'innovation': 'Design Thinking for nuturing innovation',
+  'data driven': 'Data Driven Decision Making',
+  'decision making': 'Data Driven Decision Making',
+  'presentation skills': 'Effective Presentation and Communication skills',
+  'communication skills': 'Effective Presentation and Communication skills',
+  'corporate communication': 'Corporate communication',
+  'green aviation': 'Green Aviation',
+  'system engineering': 'System Engineering and Project Management',
+  'project management': 'System Engineering and Project Management',
+  'airport terminal': 'Airport Terminal Management',
+  'terminal management': 'Airport Terminal Management',
+  'airport pavement': 'Airport Pavement Design,Evaluation & Maintenance',
+  'pavement design': 'Airport Pavement Design,Evaluation & Maintenance',
+  'pavement evaluation': 'Airport Pavement Design,Evaluation & Maintenance',
+  'pavement maintenance': 'Airport Pavement Design,Evaluation & Maintenance',
+  'aerodrome planning': 'Aerodrome Planning (Green Field/Brownfield Airport)',
+  'green field': 'Aerodrome Planning (Green Field/Brownfield Airport)',
+  'brownfield': 'Aerodrome Planning (Green Field/Brownfield Airport)',
+  'mid career': 'Good to Great-Mid Career Transition',
+  'career transition': 'Good to Great-Mid Career Transition',
+  'cyber security': 'Aviation Cyber Security',
+  'aviation cyber': 'Aviation Cyber Security',
+  'industrial relations': 'Industrial Relations and Stakeholder management',
+  'stakeholder management': 'Industrial Relations and Stakeholder management',
+  'infrastructure passengers': 'Infrastructure and facilities for Passengers with reduced mobilities',
+  'passengers reduced mobilities': 'Infrastructure and facilities for Passengers with reduced mobilities',
+  'airfield signs': 'Airfield Signs',
+  'ans fundamentals': 'ANS fundamentals for Ops Executives',
+  'ops executives': 'ANS fundamentals for Ops Executives',
+  'global reporting': 'Global reporting Format',
+  'reporting format': 'Global reporting Format',
+  'annex 9': 'Annex-9(Facilitation)',
+  'facilitation': 'Annex-9(Facilitation)',
+  'heating ventilation': 'Heating ventilation(HV) & Air Conditioning(AC) And Energy conservation building code (ECBC)',
+  'air conditioning': 'Heating ventilation(HV) & Air Conditioning(AC) And Energy conservation building code (ECBC)',
+  'energy conservation': 'Heating ventilation(HV) & Air Conditioning(AC) And Energy conservation building code (ECBC)'
+};
+
+// Lowercase, drop punctuation and collapse spaces ("Safety Management System(SMS)" -> "safety management system sms")
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Same text without any spaces ("wild life" and "wildlife" become equal)
+function compactText(text) {
+  return normalizeText(text).replace(/\s+/g, '');
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(' ').filter(word => word && !NOISE_WORDS.has(word));
+}
+
+// Edit distance that counts a swap of two neighbouring letters as one edit ("saftey" -> "safety")
+function editDistance(a, b) {
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 0; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,        // deletion
+        rows[i][j - 1] + 1,        // insertion
+        rows[i - 1][j - 1] + cost  // substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1); // transposition
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// 0..1 similarity of two strings based on edit distance
+function stringSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+// How well one query word matches one course word
+function tokenSimilarity(queryToken, courseToken) {
+  if (queryToken === courseToken) return 1;
+  if (queryToken.length >= 3 && courseToken.startsWith(queryToken)) return 0.85; // "saf" -> "safety"
+  if (queryToken.length < 4 || courseToken.length < 4) return 0; // short words and acronyms must match exactly
+  const similarity = stringSimilarity(queryToken, courseToken);
+  return similarity >= MIN_FUZZY_SIMILARITY ? similarity : 0;
+}
+
+// Acronyms of a course name: initials of its words and any "(SMS)"-style short form in the name
+function acronymsOf(name) {
+  const acronyms = new Set();
+  const initials = tokenize(name).map(word => word[0]).join('');
+  if (initials.length >= 2) acronyms.add(initials);
+  (String(name).match(/\(([A-Za-z&]{2,6})\)/g) || []).forEach(group => {
+    acronyms.add(group.replace(/[^A-Za-z]/g, '').toLowerCase());
+  });
+  return Array.from(acronyms);
+}
+
+// 📄 Synonyms from data/course_name_entity.csv - each line: "Course name", "Synonym", "Synonym", ...
+function loadSynonymLines() {
+  try {
+    return fs.readFileSync(SYNONYMS_FILE, 'utf8')
+      .split(/\r?\n/)
+      .map(line => (line.match(/"([^"]*)"/g) || []).map(value => value.slice(1, -1).trim()).filter(Boolean))
+      .filter(values => values.length >= 2);
+  } catch (error) {
+    console.error('❌ Failed to load course synonyms:', error.message);
+    return [];
+  }
+}
+
+const synonymLines = loadSynonymLines();
+
+// Find the course a synonym line or short form refers to (the files contain small spelling differences)
+function resolveCourseName(name, courses) {
+  const target = compactText(name);
+  if (!target) return null;
+  return courses.find(course => compactText(course.name) === target)
+    || courses.find(course => compactText(course.name).startsWith(target))
+    || courses.find(course => stringSimilarity(compactText(course.name), target) >= 0.9)
+    || courses.find(course => target.length >= 10 && stringSimilarity(compactText(course.name).slice(0, target.length), target) >= 0.9)
+    || null;
+}
+
+// 🗂️ Aliases of every course, cached per course list (the repository returns a new array on reload)
+const aliasIndexCache = new WeakMap();
+
+function buildAliasIndex(courses) {
+  if (aliasIndexCache.has(courses)) {
+    return aliasIndexCache.get(courses);
+  }
+
+  const index = new Map(courses.map(course => [course, [
+    { text: course.name, kind: 'name' },
+    ...acronymsOf(course.name).map(acronym => ({ text: acronym, kind: 'acronym' }))
+  ]]));
+
+  synonymLines.forEach(([canonical, ...synonyms]) => {
+    const course = resolveCourseName(canonical, courses);
+    if (course) {
+      synonyms.forEach(synonym => index.get(course).push({ text: synonym, kind: 'synonym' }));
+    }
+  });
+
+  Object.entries(SHORT_FORMS).forEach(([shortForm, target]) => {
+    const course = resolveCourseName(target, courses);
+    if (course) {
+      index.get(course).push({ text: shortForm, kind: 'short_form' });
+    }
+  });
+
+  aliasIndexCache.set(courses, index);
+  return index;
+}
+
+// Does the word point at one course only? ("safety" does, "system" is in two course names)
+function isSpecificToken(token, courses, index) {
+  const matchingNames = new Set();
+  courses.forEach(course => {
+    const matches = index.get(course).some(alias => alias.kind !== 'acronym' &&
+      tokenize(alias.text).some(aliasToken => tokenSimilarity(token, aliasToken) > 0));
+    if (matches) {
+      matchingNames.add(compactText(course.name));
+    }
+  });
+  return matchingNames.size <= 1;
+}
+
+// Words of the query that can tell courses apart (question words and numbers don't)
+function queryTokens(query) {
+  return tokenize(query).filter(token => !FILLER_WORDS.has(token) && !/^\d+$/.test(token));
+}
+
+// 🧮 Score one query against one alias (0..1)
+function scoreAlias(query, alias) {
+  const queryText = normalizeText(query);
+  const aliasText = normalizeText(alias.text);
+  if (!queryText || !aliasText) return 0;
+
+  if (queryText === aliasText || compactText(query) === compactText(alias.text)) {
+    return alias.kind === 'acronym' ? 0.95 : 1;
+  }
+  if (alias.kind === 'acronym') return 0; // acronyms only count when typed exactly
+
+  if (queryText.length >= 4 && aliasText.startsWith(queryText)) return 0.9;
+  const compactQuery = compactText(query);
+  if (compactQuery.length >= 5 && compactText(alias.text).includes(compactQuery)) return 0.85;
+
+  // Token overlap with typo tolerance
+  const aliasTokens = tokenize(alias.text);
+  const matchedAliasTokens = new Set();
+  let total = 0;
+  let counted = 0;
+  tokenize(query).forEach(queryToken => {
+    let best = 0;
+    let bestIndex = -1;
+    aliasTokens.forEach((aliasToken, idx) => {
+      const similarity = tokenSimilarity(queryToken, aliasToken);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = idx;
+      }
+    });
+    // Question words and numbers that match nothing ("tell me about ...", "for 2.5 days") don't count against the course
+    if (best === 0 && (FILLER_WORDS.has(queryToken) || /^\d+$/.test(queryToken))) return;
+    counted++;
+    total += best;
+    if (bestIndex >= 0) matchedAliasTokens.add(bestIndex);
+  });
+
+  if (counted === 0 || matchedAliasTokens.size === 0) return 0;
+  const queryCoverage = total / counted;
+  const aliasCoverage = matchedAliasTokens.size / aliasTokens.length;
+  return 0.7 * queryCoverage + 0.3 * aliasCoverage;
+}
+
+/**
+ * 🔎 MATCH COURSES - Rank courses for a query
+ * Returns { candidates: [{ course, score, alias }], best, confident }
+ * confident is true when the best match can be answered without asking "Did you mean..."
+ */
+function matchCourses(query, courses, { limit = 3 } = {}) {
+  const index = buildAliasIndex(courses);
+  const ranked = [];
+  const seenNames = new Set();
+
+  courses.forEach(course => {
+    let best = { score: 0, alias: null };
+    index.get(course).forEach(alias => {
+      const score = scoreAlias(query, alias);
+      if (score > best.score) best = { score, alias: alias.text };
+    });
+    if (best.score >= MIN_CANDIDATE_SCORE) {
+      ranked.push({ course, score: Math.round(best.score * 100) / 100, alias: best.alias });
+    }
+  });
+
+  // Highest score first; the same course name can appear twice in the sheet, suggest it once
+  const candidates = ranked
+    .sort((a, b) => b.score - a.score)
+    .filter(candidate => {
+      const key = compactText(candidate.course.name);
+      if (seenNames.has(key)) return false;
+      seenNames.add(key);
+      return true;
+    })
+    .slice(0, limit);
+
+  const [best, runnerUp] = candidates;
+  let confident = Boolean(best) && best.score >= CONFIDENT_SCORE &&
+    (!runnerUp || best.score - runnerUp.score >= AMBIGUITY_MARGIN);
+
+  // One word only counts when it is a whole alias ("sms", "procurement") or specific to one course
+  const tokens = queryTokens(query);
+  if (confident && best.score < 1 && tokens.length === 1 &&
+    tokens.filter(token => isSpecificToken(token, courses, index)).length < MIN_SPECIFIC_TOKENS) {
+    confident = false;
+  }
+
+  return { candidates, best: best || null, confident };
+}
+
+module.exports = {
+  SHORT_FORMS,
+  CONFIDENT_SCORE,
+  normalizeText,
+  editDistance,
+  matchCourses
+};
@@ -0,0 +1,467 @@
+// 📚 COURSE REPOSITORY - Single place that loads, normalises and indexes courses.json
+// =====================================================================================
+//
+// The course data comes from the Excel training calendar, so its keys are the bilingual
+// spreadsheet headers ('प्रशिक्षण कार्यक्रम Programme', ' Course Fees (Per Day per participant) ', ...).
+// This module maps those headers to a clean schema ONCE when the file is loaded, builds
+// lookup indexes, and watches the file so content updates go live without a restart.
+//
+// 💡 USAGE:
+//   const { getCourseRepository } = require('./course-repository');
+//   const courses = getCourseRepository().getAll();
+//   const sms = getCourseRepository().findByName('Safety Management System(SMS)');
+//
+// Handlers get the courses through ctx.courses instead, which hides what the sender may not
+// see (course-visibility.js).
+//
+// ✏️ ADMIN EDITS (course-editor.js) are saved through save(). With a course data store
+// (stores/course-data-store.js, MongoDB) the edited rows live there and are laid over the file,
+// so they survive a read-only filesystem and reach every instance: refresh() checks the store for
+// a newer version (at most every COURSE_DATA_REFRESH_SECONDS). Edits are tied to the courses.json
+// they were made on - after a new spreadsheet import the file wins again. Without a store, save()
+// writes courses.json itself.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toISODate } = require('./date-utils');
+const { deriveVisibility } = require('./course-visibility');
+const { getCourseDataStore } = require('./stores/course-data-store');
+
+const DEFAULT_COURSES_FILE = path.join(__dirname, '../data/courses.json');
+const WATCH_INTERVAL_MS = 2000; // How often the file is checked for changes
+const REFRESH_INTERVAL_MS = (Number(process.env.COURSE_DATA_REFRESH_SECONDS) || 15) * 1000; // How often the store is checked for edits
+const READ_ONLY_CODES = ['EROFS', 'EACCES', 'EPERM'];
+
+/**
+ * @typedef {Object} CourseBatch
+ * @property {string} start - Start date, "YYYY-MM-DD"
+ * @property {string} end - End date, "YYYY-MM-DD"
+ */
+
+/**
+ * @typedef {Object} Course
+ * @property {string} id - Stable slug of the course name (duplicates get "-2", "-3", ...)
+ * @property {number|null} serialNo
+ * @property {string} name
+ * @property {string|null} level - Level of participants
+ * @property {CourseBatch[]} batches - All batches (from 'Upcoming Dates' or Start/End date)
+ * @property {number|null} days
+ * @property {number|null} batchSize
+ * @property {string[]} coordinators
+ * @property {string|null} category
+ * @property {string|null} courseType - CTP / STP / Others
+ * @property {number|null} mandays
+ * @property {number|null} feePerDay - Fee per day per participant (₹)
+ * @property {number|null} totalFee
+ * @property {number|null} discountedFeePerDay - Fee per day per participant after the 20% group discount (₹)
+ * @property {number|null} totalDiscountedFee
+ * @property {string|null} hostelCharges
+ * @property {string|null} remarks
+ * @property {'public'|'internal'|'hidden'} visibility - Who the bot shows the course to (see course-visibility.js)
+ * @property {string[]} phones
+ * @property {string[]} emails
+ * @property {string|null} registrationLink
+ * @property {string|null} brochure - Web link or file name in data/brochures/ (see media-library.js)
+ */
+
+// 🗺️ COLUMN ALIASES - Spreadsheet headers (any of them) that map to each schema field
+// Headers are compared after trimming, collapsing spaces and lowercasing
+const COLUMN_ALIASES = {
+  serialNo: ['Sl No.', 'Sl No', 'S.No.', 'Serial No'],
+  name: ['प्रशिक्षण कार्यक्रम Programme', 'Programme', 'Program', 'Course Name'],
+  level: ['प्रतिभागियो का स्तर Level of Participants', 'Level of Participants'],
+  startDate: ['आरंभ तिथी /Start date', 'Start date'],
+  endDate: ['समाप्त तिथी /End Date', 'End Date'],
+  upcomingDates: ['Upcoming Dates'],
+  days: ['दिवस संख्या Number of Days', 'Number of Days', 'Days'],
+  batchSize: ['बैच सईज़ Batch Size', 'Batch Size'],
+  coordinators: ['पाठ्यक्रम समन्वयक Course Coordinator', 'Course Coordinator', 'Coordinator'],
+  category: ['श्रेणी Category', 'Category'],
+  mandays: ['Mandays'],
+  courseType: ['Course Type'],
+  feePerDay: ['Course Fees (Per Day per participant)', 'Course Fees Per Day'],
+  totalFee: ['Total Course Fee (number of participants x training days)', 'Total Course Fee'],
+  discountedFeePerDay: ['Course Fees Per Day Per Participant post 20 % group discount (rounded to nearest 50)', 'Course Fees Per Day Per Participant post 20 % group discount'],
+  totalDiscountedFee: ['Total course fees post 20 % group discount'],
+  hostelCharges: ['Hostel Charges'],
+  remarks: ['Remarks'],
+  visibility: ['Visibility'],
+  phones: ['Phone number', 'Phone', 'Contact'],
+  emails: ['email', 'Email ID'],
+  registrationLink: ['Registration Link'],
+  brochure: ['Brochure', 'Brochure File', 'Brochure Link']
+};
+
+// A brochure is a web link or a plain file name (no folders) with an extension
+const BROCHURE_PATTERN = /^(https?:\/\/\S+|[^\\/]+\.[a-z0-9]{2,5})$/i;
+
+// Normalise a header or name for comparison: trim, collapse whitespace, lowercase
+function normalizeKey(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Reverse lookup: normalised header -> schema field
+const HEADER_TO_FIELD = Object.entries(COLUMN_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach(alias => { map[normalizeKey(alias)] = field; });
+  return map;
+}, {});
+
+// Find the schema field for a spreadsheet header (or undefined)
+// Falls back to the English part of bilingual headers, since the Hindi spelling varies between sheets
+function fieldForHeader(header) {
+  const key = normalizeKey(String(header || '').normalize('NFC'));
+  if (HEADER_TO_FIELD[key]) {
+    return HEADER_TO_FIELD[key];
+  }
+  const englishPart = normalizeKey(key.replace(/[\u0900-\u097F]+/g, ' ').replace(/^[\s/]+/, ''));
+  return HEADER_TO_FIELD[englishPart];
+}
+
+// 🔧 VALUE CLEANERS
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > 0 ? text : null;
+}
+
+function cleanNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[₹,\s]/g, ''));
+  return isFinite(number) ? number : null;
+}
+
+// Split "A & B", "A and B", "A, B" cells into a list
+function splitList(value, separator = /\s*(?:,|&|\band\b|\/|;)\s*/i) {
+  if (Array.isArray(value)) {
+    return value.map(cleanText).filter(Boolean);
+  }
+  const text = cleanText(value);
+  return text ? text.split(separator).map(cleanText).filter(Boolean) : [];
+}
+
+// Build the batch list from 'Upcoming Dates' or the single Start/End columns
+function buildBatches(fields) {
+  const batches = [];
+  if (Array.isArray(fields.upcomingDates)) {
+    fields.upcomingDates.forEach(range => {
+      const start = toISODate(range && range.start);
+      const end = toISODate(range && range.end);
+      if (start && end) batches.push({ start, end });
+    });
+  }
+  if (batches.length === 0) {
+    const start = toISODate(fields.startDate);
+    const end = toISODate(fields.endDate) || start;
+    if (start) batches.push({ start, end });
+  }
+  return batches.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Turn a course name into a URL-friendly id
+function slugify(text) {
+  return normalizeKey(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'course';
+}
+
+/**
+ * 🔄 NORMALISE COURSE - Map one raw spreadsheet row to the Course schema
+ * Returns null for rows without a programme name (e.g. the totals row)
+ */
+function normalizeCourse(rawRow) {
+  const fields = {};
+  Object.keys(rawRow).forEach(header => {
+    const field = fieldForHeader(header);
+    if (field && fields[field] === undefined) {
+      fields[field] = rawRow[header];
+    }
+  });
+
+  const name = cleanText(fields.name);
+  if (!name) {
+    return null;
+  }
+
+  const registrationLink = cleanText(fields.registrationLink);
+  const brochure = cleanText(fields.brochure);
+
+  return {
+    id: null, // assigned by the repository so duplicates can be numbered
+    serialNo: cleanNumber(fields.serialNo),
+    name,
+    level: cleanText(fields.level),
+    batches: buildBatches(fields),
+    days: cleanNumber(fields.days),
+    batchSize: cleanNumber(fields.batchSize),
+    coordinators: splitList(fields.coordinators),
+    category: cleanText(fields.category),
+    courseType: cleanText(fields.courseType),
+    mandays: cleanNumber(fields.mandays),
+    feePerDay: cleanNumber(fields.feePerDay),
+    totalFee: cleanNumber(fields.totalFee),
+    discountedFeePerDay: cleanNumber(fields.discountedFeePerDay),
+    totalDiscountedFee: cleanNumber(fields.totalDiscountedFee),
+    hostelCharges: cleanText(fields.hostelCharges),
+    remarks: cleanText(fields.remarks),
+    visibility: deriveVisibility(fields.visibility, cleanText(fields.remarks)),
+    phones: splitList(fields.phones, /\s*[,;/]\s*/),
+    emails: splitList(fields.emails, /\s*[,;/\s]\s*/),
+    registrationLink: registrationLink && /^https?:\/\//i.test(registrationLink) ? registrationLink : null,
+    brochure: brochure && BROCHURE_PATTERN.test(brochure) ? brochure : null
+  };
+}
+
+// Add a course to a "key -> [courses]" index
+function addToIndex(index, key, course) {
+  const normalizedKey = normalizeKey(key);
+  if (!normalizedKey) return;
+  if (!index.has(normalizedKey)) index.set(normalizedKey, []);
+  index.get(normalizedKey).push(course);
+}
+
+/**
+ * 🔢 NORMALIZE ROWS - Raw courses.json rows -> [{ rowIndex, course }] with ids assigned
+ * Duplicate names (the same programme listed twice) get numbered ids in file order, so the
+ * admin course editor finds the same row for an id as the repository does.
+ */
+function normalizeRows(rawRows, { logSkipped = false } = {}) {
+  const usedIds = new Set();
+  const rows = [];
+
+  rawRows.forEach((rawRow, rowIndex) => {
+    const course = normalizeCourse(rawRow || {});
+    if (!course) {
+      if (logSkipped) {
+        console.log(`⚠️ Skipping course row ${rowIndex + 1} without a programme name`);
+      }
+      return;
+    }
+
+    const baseId = slugify(course.name);
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    course.id = id;
+    usedIds.add(id);
+    rows.push({ rowIndex, course });
+  });
+
+  return rows;
+}
+
+// 💾 Write the file atomically (a half-written courses.json must never be picked up by the watcher)
+function writeRows(filePath, rows) {
+  const tempFile = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tempFile, `${JSON.stringify(rows, null, 2)}\n`);
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+const hashOf = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * 🏗️ CREATE COURSE REPOSITORY
+ * options.filePath - courses.json location (defaults to data/courses.json)
+ * options.watch    - reload automatically when the file changes (default true)
+ * options.store    - course data store holding admin edits (null: edits are written to the file)
+ */
+function createCourseRepository({ filePath = DEFAULT_COURSES_FILE, watch = true, store = null } = {}) {
+  let rawRows = [];
+  let fileHash = null;
+  let overlay = null; // last record read from the store
+  let storeVersion = 0;
+  let lastRefreshAt = 0;
+  let refreshing = null;
+  let courses = [];
+  let byId = new Map();
+  let byName = new Map();
+  let byCategory = new Map();
+  let byType = new Map();
+  let loadedAt = null;
+  let watching = false;
+  const reloadListeners = [];
+
+  // Read the file (or the store's edits made on it) and rebuild every index; on error the previous data is kept
+  function load() {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const fileRows = JSON.parse(content);
+    if (!Array.isArray(fileRows)) {
+      throw new Error(`${filePath} must contain an array of courses`);
+    }
+    const nextFileHash = hashOf(content);
+    const edited = Boolean(overlay && overlay.baseHash === nextFileHash);
+    const nextRawRows = edited ? overlay.rows : fileRows;
+
+    const nextCourses = [];
+    const nextById = new Map();
+    const nextByName = new Map();
+    const nextByCategory = new Map();
+    const nextByType = new Map();
+
+    normalizeRows(nextRawRows, { logSkipped: true }).forEach(({ course }) => {
+      nextCourses.push(course);
+      nextById.set(course.id, course);
+      addToIndex(nextByName, course.name, course);
+      addToIndex(nextByCategory, course.category, course);
+      addToIndex(nextByType, course.courseType, course);
+    });
+
+    rawRows = nextRawRows;
+    fileHash = nextFileHash;
+    courses = nextCourses;
+    byId = nextById;
+    byName = nextByName;
+    byCategory = nextByCategory;
+    byType = nextByType;
+    loadedAt = new Date();
+
+    console.log(`📚 Loaded ${courses.length} courses from ${path.basename(filePath)}${edited ? ` with the admin edits (version ${overlay.version})` : ''}`);
+    reloadListeners.forEach(listener => {
+      try {
+        listener(courses);
+      } catch (error) {
+        console.error('❌ Course reload listener failed:', error);
+      }
+    });
+    return courses;
+  }
+
+  // 👀 Watch the file and reload when it changes (polling survives editors that replace the file)
+  function startWatching() {
+    if (watching) return;
+    watching = true;
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      console.log('🔄 Course data changed on disk, reloading...');
+      try {
+        load();
+      } catch (error) {
+        console.error('❌ Failed to reload course data, keeping previous version:', error.message);
+      }
+    });
+  }
+
+  function stopWatching() {
+    if (!watching) return;
+    fs.unwatchFile(filePath);
+    watching = false;
+  }
+
+  /**
+   * 🔄 REFRESH - Pick up edits saved by other instances; true when the courses changed
+   * Checks the store at most every COURSE_DATA_REFRESH_SECONDS unless force is set
+   */
+  function refresh({ force = false } = {}) {
+    if (!store || (!force && Date.now() - lastRefreshAt < REFRESH_INTERVAL_MS)) {
+      return Promise.resolve(false);
+    }
+    if (!refreshing) {
+      refreshing = (async () => {
+        const latest = await store.getVersion();
+        lastRefreshAt = Date.now();
+        if (!latest || latest.version === storeVersion) {
+          return false;
+        }
+        const record = await store.get();
+        overlay = record;
+        storeVersion = record.version;
+        load();
+        return true;
+      })().finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  /**
+   * 💾 SAVE - Replace the raw rows with an edited copy: { success } or { success: false, reason, error }
+   * expectedVersion is the version getRawRows() returned; another instance saving first is a 'conflict'
+   */
+  async function save(rows, { expectedVersion = storeVersion, user = null } = {}) {
+    if (store) {
+      const saved = await store.save({ rows, baseHash: fileHash, updatedBy: user }, expectedVersion);
+      if (!saved) {
+        return { success: false, reason: 'conflict', error: 'The courses were changed by someone else at the same time - please try again' };
+      }
+      overlay = saved;
+      storeVersion = saved.version;
+      lastRefreshAt = Date.now();
+      load();
+      return { success: true };
+    }
+
+    try {
+      writeRows(filePath, rows);
+    } catch (error) {
+      if (READ_ONLY_CODES.includes(error.code)) {
+        console.error(`❌ Can't write ${filePath}: ${error.message}`);
+        return {
+          success: false,
+          reason: 'read_only',
+          error: `${path.basename(filePath)} can't be written here (read-only filesystem) - set MONGODB_URI to keep course edits in MongoDB`
+        };
+      }
+      throw error;
+    }
+    load(); // 🔄 live at once - don't wait for the file watcher
+    return { success: true };
+  }
+
+  load();
+  if (watch) {
+    startWatching();
+  }
+
+  return {
+    filePath,
+    load,
+    refresh,
+    save,
+    stopWatching,
+    // The raw spreadsheet rows currently served (a copy to edit) and the store version they belong to
+    getRawRows: () => ({ rows: JSON.parse(JSON.stringify(rawRows)), version: storeVersion }),
+    getAll: () => courses,
+    getById: (id) => byId.get(id) || null,
+    // Exact name lookup (ignores case and extra spaces); returns the first match
+    findByName: (name) => (byName.get(normalizeKey(name)) || [])[0] || null,
+    findAllByName: (name) => byName.get(normalizeKey(name)) || [],
+    getByCategory: (category) => byCategory.get(normalizeKey(category)) || [],
+    getByType: (courseType) => byType.get(normalizeKey(courseType)) || [],
+    getCategories: () => Array.from(byCategory.values()).map(list => list[0].category),
+    getTypes: () => Array.from(byType.values()).map(list => list[0].courseType),
+    getLoadedAt: () => loadedAt,
+    onReload: (listener) => { reloadListeners.push(listener); }
+  };
+}
+
+// 🌐 SHARED INSTANCE - The bot uses one repository for the whole process
+let sharedRepository = null;
+
+function getCourseRepository() {
+  if (!sharedRepository) {
+    sharedRepository = createCourseRepository({
+      watch: process.env.COURSE_DATA_WATCH !== 'false',
+      store: getCourseDataStore()
+    });
+  }
+  return sharedRepository;
+}
+
+module.exports = {
+  BROCHURE_PATTERN,
+  COLUMN_ALIASES,
+  fieldForHeader,
+  normalizeKey,
+  cleanText,
+  cleanNumber,
+  splitList,
+  normalizeCourse,
+  normalizeRows,
+  createCourseRepository,
+  getCourseRepository
+};
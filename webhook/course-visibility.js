@@ -0,0 +1,108 @@
+// 👁️ COURSE VISIBILITY - Which courses a WhatsApp user may see
+//
+//   public   - everyone (the default)
+//   internal - only the staff numbers in INTERNAL_STAFF_NUMBERS (e.g. "Ab initio for JE",
+//              rows with the remark "Not to be uploaded on IAA website")
+//   hidden   - nobody; the course stays in courses.json and the admin API but the bot never shows it
+//
+// A 'Visibility' column wins; without one the remarks decide (see REMARK_RULES).
+// Handlers never read the shared repository directly: app.js puts a view for the sender in
+// ctx.courses (forAudience), so search, domain lists, comparisons, the fee calculator,
+// reminders and enquiries all see the same filtered catalogue.
+
+const VISIBILITIES = ['public', 'internal', 'hidden'];
+
+// Remarks that mark a course as not for the public (first match wins)
+const REMARK_RULES = [
+  { pattern: /not\s+to\s+be\s+(uploaded|published|shown)/i, visibility: 'internal' }
+];
+
+// Which audience may see which visibility
+const AUDIENCE_VISIBILITIES = {
+  public: ['public'],
+  internal: ['public', 'internal']
+};
+
+/**
+ * 🏷️ COURSE VISIBILITY - from an explicit value, else from the remarks
+ * Unknown explicit values are ignored (the importer and the admin API report them)
+ */
+function deriveVisibility(explicit, remarks) {
+  const value = String(explicit || '').trim().toLowerCase();
+  if (VISIBILITIES.includes(value)) {
+    return value;
+  }
+  const rule = REMARK_RULES.find(candidate => candidate.pattern.test(remarks || ''));
+  return rule ? rule.visibility : 'public';
+}
+
+// 📞 Last 10 digits, so "+91 98765 43210" and "9876543210" are the same number
+function phoneKey(number) {
+  return String(number || '').replace(/\D/g, '').slice(-10);
+}
+
+// INTERNAL_STAFF_NUMBERS="919876543210, +91 98765 43211" (read on every call so it can be changed in tests)
+function getInternalStaffNumbers() {
+  return new Set((process.env.INTERNAL_STAFF_NUMBERS || '')
+    .split(/[,;\n]+/)
+    .map(phoneKey)
+    .filter(key => key.length === 10));
+}
+
+function isInternalUser(phoneNumber) {
+  const key = phoneKey(phoneNumber);
+  return key.length === 10 && getInternalStaffNumbers().has(key);
+}
+
+// 'internal' for allow-listed staff numbers, 'public' for everyone else
+function audienceFor(phoneNumber) {
+  return isInternalUser(phoneNumber) ? 'internal' : 'public';
+}
+
+function isVisibleTo(course, audience = 'public') {
+  const allowed = AUDIENCE_VISIBILITIES[audience] || AUDIENCE_VISIBILITIES.public;
+  return Boolean(course) && allowed.includes(course.visibility || 'public');
+}
+
+// Filtered lists are cached per source array: the course matcher caches its alias index per
+// array, and the repository hands out a new array on every reload
+const filteredCache = new WeakMap();
+
+function filterCourses(courses, audience) {
+  if (!filteredCache.has(courses)) {
+    filteredCache.set(courses, {});
+  }
+  const byAudience = filteredCache.get(courses);
+  if (!byAudience[audience]) {
+    byAudience[audience] = courses.filter(course => isVisibleTo(course, audience));
+  }
+  return byAudience[audience];
+}
+
+/**
+ * 🔭 REPOSITORY VIEW FOR AN AUDIENCE - same lookups as the course repository, minus what the
+ * audience may not see. Lookups of a course that isn't visible behave as if it didn't exist.
+ */
+function forAudience(repository, audience = 'public') {
+  const visible = (course) => (isVisibleTo(course, audience) ? course : null);
+  const visibleList = (courses) => courses.filter(course => isVisibleTo(course, audience));
+
+  return {
+    audience,
+    getAll: () => filterCourses(repository.getAll(), audience),
+    getById: (id) => visible(repository.getById(id)),
+    findAllByName: (name) => visibleList(repository.findAllByName(name)),
+    findByName: (name) => repository.findAllByName(name).find(course => isVisibleTo(course, audience)) || null,
+    getByCategory: (category) => visibleList(repository.getByCategory(category)),
+    getByType: (courseType) => visibleList(repository.getByType(courseType))
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  deriveVisibility,
+  isInternalUser,
+  audienceFor,
+  isVisibleTo,
+  forAudience
+};
@@ -0,0 +1,54 @@
+// 🗄️ DATABASE CONNECTION - Shared MongoDB connection (via mongoose)
+// MongoDB is optional: when MONGODB_URI is not set, every store falls back to memory.
+// The connection promise is cached so serverless invocations on a warm instance reuse it.
+
+const mongoose = require('mongoose');
+
+let connectionPromise = null;
+
+// Is a MongoDB connection configured?
+function isDatabaseConfigured() {
+  return Boolean(process.env.MONGODB_URI);
+}
+
+// Connect once and reuse the same connection everywhere
+// uri can be passed explicitly (e.g. a mongodb-memory-server instance in tests)
+function connectDatabase(uri = process.env.MONGODB_URI) {
+  if (!uri) {
+    throw new Error('MONGODB_URI is required to use a MongoDB store');
+  }
+
+  if (!connectionPromise) {
+    console.log('🗄️ Connecting to MongoDB...');
+    connectionPromise = mongoose.connect(uri, {
+      serverSelectionTimeoutMS: 10000
+    })
+      .then(connection => {
+        console.log('✅ MongoDB connected');
+        return connection;
+      })
+      .catch(error => {
+        // Allow the next call to try again instead of caching the failure
+        connectionPromise = null;
+        console.error('❌ MongoDB connection failed:', error.message);
+        throw error;
+      });
+  }
+
+  return connectionPromise;
+}
+
+// Close the shared connection (used by scripts and tests)
+async function disconnectDatabase() {
+  if (connectionPromise) {
+    connectionPromise = null;
+    await mongoose.disconnect();
+  }
+}
+
+module.exports = {
+  mongoose,
+  isDatabaseConfigured,
+  connectDatabase,
+  disconnectDatabase
+};
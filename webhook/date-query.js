@@ -0,0 +1,286 @@
+// 📅 DATE QUERIES - "courses in December", "what starts next week", "batches between 1/12 and 15/12"
+//
+// parseDateQuery(text, now) finds the date range a message asks about:
+//   "courses in january"         -> { from: '2026-01-01', to: '2026-01-31', label: { type: 'month', ... } }
+//   "anything starting next week" -> { from: <next Monday>, to: <next Sunday>, startsOnly: true, ... }
+//   "fee for SMS"                -> null (no date mentioned)
+//   "kal kaunse course hain"     -> tomorrow, with label.assumedFuture: "kal" / "कल" (and "parso" / "परसों")
+//                                   mean yesterday as well, but only future batches can be listed
+// findBatchesInRange(courses, query, now) then lists the matching batches, sorted by start date.
+//
+// All dates are "YYYY-MM-DD" strings in India time (see date-utils.js), so comparisons are plain string compares.
+
+const { toISODate, parseISODate, todayISODate, daysBetween } = require('./date-utils');
+
+const DAY_MS = 86400 * 1000;
+
+// Month words -> month number (English, abbreviations, Hindi)
+const MONTHS = {
+  january: 1, jan: 1, जनवरी: 1,
+  february: 2, feb: 2, फरवरी: 2, 'फ़रवरी': 2,
+  march: 3, mar: 3, मार्च: 3,
+  april: 4, apr: 4, अप्रैल: 4, अप्रेल: 4,
+  may: 5, मई: 5,
+  june: 6, jun: 6, जून: 6,
+  july: 7, jul: 7, जुलाई: 7,
+  august: 8, aug: 8, अगस्त: 8,
+  september: 9, sept: 9, sep: 9, सितंबर: 9, सितम्बर: 9,
+  october: 10, oct: 10, अक्टूबर: 10, अक्तूबर: 10,
+  november: 11, nov: 11, नवंबर: 11, नवम्बर: 11,
+  december: 12, dec: 12, दिसंबर: 12, दिसम्बर: 12
+};
+
+// "may I know the fees" is not about May: these only count next to a date word or a number
+const AMBIGUOUS_MONTHS = new Set(['may', 'mar']);
+const MONTH_CONTEXT_WORDS = /(in|during|for|of|from|till|until|to|by|this|next|coming|after|before|between|and)\s+$/;
+
+// "1-2 officers" and "2.5 days" are not dates: "15/12" without a year only counts next to a date word
+// ("on 15/12", "batches from 1.12") or a month name ("between 1/12 and 15 jan")
+const NUMERIC_DATE_CONTEXT = /\b(on|from|between|start(s|ed|ing)?|begin(s|ning)?|batch(es)?|dates?|schedule[ds]?|after|since|before|till|until)\b|(?<![\p{L}\p{M}])(से|तक|को|बाद|पहले|तारीख|तारीख़|तिथि|बैच|शुरू)(?![\p{L}\p{M}])/u;
+
+const ORDINAL = '(?:st|nd|rd|th)?';
+// Longest words first so "sept" wins over "sep" and "june" over "jun"
+const MONTH_WORDS = Object.keys(MONTHS).sort((a, b) => b.length - a.length).map(word => word.normalize('NFC')).join('|');
+const NOT_LETTER_BEFORE = '(?<![\\p{L}\\p{M}])';
+const NOT_LETTER_AFTER = '(?![\\p{L}\\p{M}])';
+
+// One date expression: a day ("15/12/2025", "15 dec", "december 15th 2025") or a whole month ("december", "dec 2025")
+const DATE_EXPRESSION = new RegExp([
+  `(?<numeric>\\b(?<nd>\\d{1,2})[/.-](?<nm>\\d{1,2})(?:[/.-](?<ny>\\d{2}|\\d{4}))?\\b)`,
+  `(?<dayMonth>\\b(?<dd>\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${NOT_LETTER_BEFORE}(?<dm>${MONTH_WORDS})${NOT_LETTER_AFTER}(?:,?\\s+(?<dy>\\d{4}))?)`,
+  `(?<monthDay>${NOT_LETTER_BEFORE}(?<md>${MONTH_WORDS})${NOT_LETTER_AFTER}\\s+(?<mdd>\\d{1,2})${ORDINAL}\\b(?!\\d)(?:,?\\s+(?<mdy>\\d{4}))?)`,
+  `(?<month>${NOT_LETTER_BEFORE}(?<mm>${MONTH_WORDS})${NOT_LETTER_AFTER}(?:\\s+(?<my>\\d{4}))?)`
+].join('|'), 'gu');
+
+// Relative phrases, checked in order (English, Hinglish, Hindi)
+const RELATIVE_PHRASES = [
+  { type: 'nextDays', pattern: /\b(?:next|coming|upcoming)\s+(\d{1,3})\s+(days?|weeks?|months?)\b|(?:agle|अगले)\s+(\d{1,3})\s+(din|दिन|hafte|हफ्ते|हफ़्ते|सप्ताह|mahine|महीने)/u },
+  { type: 'today', pattern: /\btoday\b|\baaj\b|(?<![\p{L}\p{M}])आज(?![\p{L}\p{M}])/u },
+  { type: 'dayAfterTomorrow', pattern: /\bday\s+after\s+tomorrow\b/u },
+  { type: 'dayAfterTomorrow', assumedFuture: true, pattern: /\bparso[n]?\b|(?<![\p{L}\p{M}])परसों(?![\p{L}\p{M}])/u },
+  { type: 'tomorrow', pattern: /\btomorrow\b/u },
+  { type: 'tomorrow', assumedFuture: true, pattern: /\bkal\b|(?<![\p{L}\p{M}])कल(?![\p{L}\p{M}])/u },
+  { type: 'thisWeek', pattern: /\bthis\s+week\b|\bis\s+hafte\b|इस\s+(?:हफ्ते|हफ़्ते|सप्ताह)/u },
+  { type: 'nextWeek', pattern: /\b(?:next|coming)\s+week\b|\bagle\s+hafte\b|अगले\s+(?:हफ्ते|हफ़्ते|सप्ताह)/u },
+  { type: 'thisMonth', pattern: /\bthis\s+month\b|\bis\s+mahine\b|इस\s+महीने/u },
+  { type: 'nextMonth', pattern: /\b(?:next|coming)\s+month\b|\bagle\s+mahine\b|अगले\s+महीने/u }
+];
+
+// "what starts next week" lists batches starting in the range; otherwise running batches count too
+const STARTS_ONLY = /\b(start(s|ing)?|begin(s|ning)?|commenc(e|es|ing))\b|शुरू|shuru/u;
+
+const addDays = (isoDate, days) => new Date(parseISODate(isoDate).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const pad = (number) => String(number).padStart(2, '0');
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+function monthSpan(year, month) {
+  return { from: `${year}-${pad(month)}-01`, to: `${year}-${pad(month)}-${pad(lastDayOfMonth(year, month))}` };
+}
+
+// A month without a year means the next time that month comes round (this one included)
+function inferMonthYear(month, today) {
+  const [year, currentMonth] = today.split('-').map(Number);
+  return month >= currentMonth ? year : year + 1;
+}
+
+// A day without a year means its next occurrence (today included)
+function inferDayYear(day, month, today) {
+  const year = Number(today.slice(0, 4));
+  return `${year}-${pad(month)}-${pad(day)}` >= today ? year : year + 1;
+}
+
+function fullYear(year) {
+  return String(year).length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+// Build a day expression, or null for impossible dates like 31/02
+function daySpan(day, month, year, today) {
+  const resolvedYear = year ? fullYear(year) : inferDayYear(day, month, today);
+  if (month < 1 || month > 12 || day < 1 || day > lastDayOfMonth(resolvedYear, month)) {
+    return null;
+  }
+  const iso = toISODate(`${resolvedYear}-${pad(month)}-${pad(day)}`);
+  return { from: iso, to: iso, kind: 'day' };
+}
+
+// 🔍 Every date expression in the text, in order
+function findDateExpressions(text, today) {
+  const expressions = [];
+  for (const match of text.matchAll(DATE_EXPRESSION)) {
+    const g = match.groups;
+    let span = null;
+
+    if (g.numeric) {
+      span = daySpan(Number(g.nd), Number(g.nm), g.ny, today);
+      if (span && !g.ny) {
+        span.yearlessNumeric = true;
+      }
+    } else if (g.dayMonth) {
+      span = daySpan(Number(g.dd), MONTHS[g.dm], g.dy, today);
+    } else if (g.monthDay) {
+      span = daySpan(Number(g.mdd), MONTHS[g.md], g.mdy, today);
+    } else if (g.month) {
+      const before = text.slice(0, match.index);
+      if (AMBIGUOUS_MONTHS.has(g.mm) && !g.my && !MONTH_CONTEXT_WORDS.test(before)) {
+        continue;
+      }
+      const month = MONTHS[g.mm];
+      const year = g.my ? Number(g.my) : inferMonthYear(month, today);
+      span = { ...monthSpan(year, month), kind: 'month', year, month };
+    }
+
+    if (span) {
+      expressions.push({ ...span, index: match.index, text: match[0] });
+    }
+  }
+
+  if (!NUMERIC_DATE_CONTEXT.test(text) && expressions.every(expression => expression.yearlessNumeric)) {
+    return [];
+  }
+  return expressions;
+}
+
+// Relative phrases ("next week", "अगले महीने") -> { from, to, label }
+function parseRelativePhrase(text, today) {
+  for (const { type, pattern, assumedFuture } of RELATIVE_PHRASES) {
+    const match = text.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    // Weeks run Monday to Sunday
+    const weekday = (parseISODate(today).getUTCDay() + 6) % 7; // 0 = Monday
+    const [year, month] = today.split('-').map(Number);
+
+    switch (type) {
+      case 'today':
+        return { from: today, to: today, label: { type: 'today' }, matched: match[0] };
+      case 'tomorrow':
+      case 'dayAfterTomorrow': {
+        const date = addDays(today, type === 'tomorrow' ? 1 : 2);
+        const label = assumedFuture ? { type, date, assumedFuture: true, word: match[0] } : { type, date };
+        return { from: date, to: date, label, matched: match[0] };
+      }
+      case 'thisWeek':
+        return { from: today, to: addDays(today, 6 - weekday), label: { type: 'thisWeek' }, matched: match[0] };
+      case 'nextWeek':
+        return { from: addDays(today, 7 - weekday), to: addDays(today, 13 - weekday), label: { type: 'nextWeek' }, matched: match[0] };
+      case 'thisMonth':
+        return { from: today, to: monthSpan(year, month).to, label: { type: 'month', year, month }, matched: match[0] };
+      case 'nextMonth': {
+        const nextYear = month === 12 ? year + 1 : year;
+        const nextMonth = month === 12 ? 1 : month + 1;
+        return { ...monthSpan(nextYear, nextMonth), label: { type: 'month', year: nextYear, month: nextMonth }, matched: match[0] };
+      }
+      case 'nextDays': {
+        const count = Number(match[1] || match[3]);
+        const unit = (match[2] || match[4]).toLowerCase();
+        const days = /^(week|hafte|हफ्ते|हफ़्ते|सप्ताह)/u.test(unit) ? count * 7 : (/^(month|mahine|महीने)/u.test(unit) ? count * 30 : count);
+        return { from: today, to: addDays(today, Math.max(0, days - 1)), label: { type: 'nextDays', days }, matched: match[0] };
+      }
+      default:
+        return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 📅 PARSE DATE QUERY
+ * Returns { from, to, label, startsOnly, matchedText } or null when the text has no date.
+ * to is null for open ranges ("after 10 January").
+ */
+function parseDateQuery(text, now = new Date()) {
+  const normalized = String(text || '').normalize('NFC').toLowerCase();
+  const today = todayISODate(now);
+  const startsOnly = STARTS_ONLY.test(normalized);
+  const expressions = findDateExpressions(normalized, today);
+
+  const result = (range) => ({ startsOnly, ...range });
+
+  if (expressions.length >= 2) {
+    // "between 1 dec and 15 dec", "from december to february", "1/12/2025 - 15/12/2025"
+    const [first, second] = expressions;
+    let to = second.to;
+    // "december to february" should reach the February after December
+    if (to < first.from && second.kind === 'month' && !/\d{4}/.test(second.text)) {
+      to = monthSpan(second.year + 1, second.month).to;
+    }
+    return result({
+      from: first.from,
+      to,
+      label: { type: 'between', from: first.from, to },
+      matchedText: [first.text, second.text]
+    });
+  }
+
+  if (expressions.length === 1) {
+    const [expression] = expressions;
+    const before = normalized.slice(0, expression.index);
+    const label = expression.kind === 'month'
+      ? { type: 'month', year: expression.year, month: expression.month }
+      : { type: 'on', date: expression.from };
+
+    if (/\b(after|since)\s+$|(के\s+)?बाद\s*$/u.test(before) || /^\s*(के\s+)?बाद/u.test(normalized.slice(expression.index + expression.text.length))) {
+      // a batch that is still running on that date isn't "after" it
+      return { ...result({ from: addDays(expression.to, 1), to: null, label: { type: 'after', date: expression.to }, matchedText: [expression.text] }), startsOnly: true };
+    }
+    if (/\b(before|till|until|by)\s+$/.test(before) || /^\s*(से\s+)?पहले/u.test(normalized.slice(expression.index + expression.text.length))) {
+      return result({ from: today, to: addDays(expression.from, -1), label: { type: 'before', date: expression.from }, matchedText: [expression.text] });
+    }
+    return result({ from: expression.from, to: expression.to, label, matchedText: [expression.text] });
+  }
+
+  const relative = parseRelativePhrase(normalized, today);
+  if (relative) {
+    const { matched, ...range } = relative;
+    return result({ ...range, matchedText: [matched] });
+  }
+
+  return null;
+}
+
+// Text left after removing the date words (to look for a course name in it)
+function removeDateWords(text, query) {
+  let remaining = String(text || '').normalize('NFC').toLowerCase();
+  (query.matchedText || []).forEach(matched => {
+    remaining = remaining.replace(matched, ' ');
+  });
+  return remaining
+    .replace(/\b(between|from|after|since|before|till|until|by|during|and|to)\b/g, ' ')
+    .replace(STARTS_ONLY, ' ')
+    .replace(/\b(batch(es)?|schedule[ds]?|calendar|dates?|trainings?|programmes?|programs?|courses?|anything|something|happening|running|held|conducted)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 🗓️ FIND BATCHES IN RANGE
+ * Batches that haven't finished yet and overlap the range (or start in it when query.startsOnly),
+ * sorted by start date. Each result: { course, start, end, days, startsInDays, daysLeft }
+ */
+function findBatchesInRange(courses, query, now = new Date()) {
+  const today = todayISODate(now);
+  const to = query.to || '9999-12-31';
+
+  return courses
+    .flatMap(course => course.batches.map(batch => ({ course, start: batch.start, end: batch.end || batch.start })))
+    .filter(batch => batch.end >= today)
+    .filter(batch => (query.startsOnly
+      ? batch.start >= query.from && batch.start <= to
+      : batch.start <= to && batch.end >= query.from))
+    .sort((a, b) => a.start.localeCompare(b.start) || a.course.name.localeCompare(b.course.name))
+    .map(batch => ({
+      ...batch,
+      days: batch.course.days || daysBetween(batch.start, batch.end) + 1,
+      startsInDays: daysBetween(today, batch.start), // 0 = today, negative = already running
+      daysLeft: daysBetween(today, batch.end) + 1 // including today
+    }));
+}
+
+module.exports = {
+  MONTHS,
+  parseDateQuery,
+  removeDateWords,
+  findBatchesInRange
+};
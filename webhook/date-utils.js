@@ -0,0 +1,99 @@
+// 📅 DATE UTILITIES - Shared date helpers for course batches
+// The Excel training calendar stores dates as serial numbers (days since 1899-12-30).
+// Course data is normalised to ISO dates ("YYYY-MM-DD") so the rest of the bot never
+// has to care which format the spreadsheet used.
+
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 (Excel epoch) and 1970-01-01 (Unix epoch)
+const DAY_MS = 86400 * 1000;
+
+// Convert an Excel serial date (e.g. 45796) to "YYYY-MM-DD"
+function excelSerialToISODate(serial) {
+  return new Date((serial - EXCEL_EPOCH_OFFSET) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "YYYY-MM-DD" for a real calendar date, null for 31/02 or month 13 (the parts must survive Date.UTC)
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Convert any supported date value to "YYYY-MM-DD" (or null if it can't be read or doesn't exist)
+// Supports: Excel serials, ISO strings, "DD/MM/YYYY" / "DD-MM-YYYY" strings and Date objects
+function toISODate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'number') {
+    return value > EXCEL_EPOCH_OFFSET ? excelSerialToISODate(value) : null;
+  }
+
+  const text = String(value).trim();
+
+  // Numeric strings are Excel serials too
+  if (/^\d{5}$/.test(text)) {
+    return excelSerialToISODate(parseInt(text, 10));
+  }
+
+  const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return calendarDate(Number(isoMatch[1]), Number(isoMatch[2]), Number(isoMatch[3]));
+  }
+
+  const dmyMatch = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (dmyMatch) {
+    const year = dmyMatch[3].length === 2 ? 2000 + Number(dmyMatch[3]) : Number(dmyMatch[3]);
+    return calendarDate(year, Number(dmyMatch[2]), Number(dmyMatch[1]));
+  }
+
+  return null;
+}
+
+// Turn "YYYY-MM-DD" into a Date at midnight UTC
+function parseISODate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+// Today's date as "YYYY-MM-DD" (India time, where the academy is)
+function todayISODate(now = new Date()) {
+  return new Date(now.getTime() + 330 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Format "YYYY-MM-DD" as "DD/MM/YYYY" for messages
+function formatDateDMY(isoDate) {
+  const iso = toISODate(isoDate);
+  if (!iso) {
+    return isoDate;
+  }
+  const [year, month, day] = iso.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+// Check if a date is today or later (compares the date part only)
+function isFutureOrToday(isoDate, now = new Date()) {
+  const iso = toISODate(isoDate);
+  return Boolean(iso) && iso >= todayISODate(now);
+}
+
+// Whole days from one ISO date to another
+function daysBetween(fromISODate, toISODateValue) {
+  return Math.round((parseISODate(toISODateValue) - parseISODate(fromISODate)) / DAY_MS);
+}
+
+module.exports = {
+  excelSerialToISODate,
+  calendarDate,
+  toISODate,
+  parseISODate,
+  todayISODate,
+  formatDateDMY,
+  isFutureOrToday,
+  daysBetween
+};
@@ -0,0 +1,35 @@
+// 📬 DELIVERY STATUS HANDLER - What happened to the messages we sent (Meta "statuses" callbacks)
+// The webhook passes every status from metaApi.processWebhookPayload here; messages go to the
+// intent router instead. Each status is recorded per outbound message id in the delivery store
+// (see GET /admin/deliveries), failures are logged with Meta's error so support can follow up.
+
+const { getDeliveryStore, DELIVERY_STATUSES } = require('./stores/delivery-store');
+
+/**
+ * 📥 RECORD DELIVERY STATUS - never throws (a status must not stop the messages in the same webhook)
+ * Returns the updated record, or null when the status was ignored or could not be saved.
+ */
+async function recordDeliveryStatus(update) {
+  if (!DELIVERY_STATUSES.includes(update.status)) {
+    console.log(`ℹ️ Ignoring "${update.status}" status for ${update.messageId}`);
+    return null;
+  }
+
+  if (update.status === 'failed') {
+    const reasons = update.errors.map(error => `${error.code} ${error.title || ''}${error.message ? ` (${error.message})` : ''}`.trim());
+    console.error(`❌ Message ${update.messageId} to ${update.recipient} failed:`, reasons.join('; ') || 'no reason given');
+  } else {
+    console.log(`📬 Message ${update.messageId} to ${update.recipient}: ${update.status}`);
+  }
+
+  try {
+    return await getDeliveryStore().record(update);
+  } catch (error) {
+    console.error('❌ Failed to record delivery status:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  recordDeliveryStatus
+};
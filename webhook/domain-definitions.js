@@ -1,107 +1,200 @@
 // 🏷️ DOMAIN DEFINITIONS - Single Source of Truth
-// This file contains all domain definitions to avoid duplication across files
-
-const domainDefinitions = {
-  1: {
-    name: "Aerodrome Design, Operations, Planning & Engineering",
-    courses: [
-      "Global reporting Format",
-      "Basic principles of Aerodrome Safeguarding(NOC)",
-      "Airport Emergency Planning  & Disabled Aircraft Removal",
-      "Infrastructure and facilities for Passengers with reduced mobilities",
-      "Aerdrome Design & Operations(Annex-14)",
-      "Aerodrome Licensing",
-      "Airfield pavement Marking(APM)",
-      "Wildlife Hazard Management",
-      "Airfield Signs",
-      "Annex-9(Facilitation)",
-      "Airport Terminal Management",
-      "ANS fundamentals for Ops Executives",
-      "Passenger Wayfinding signages(PWS)",
-      "Runway Rubber Removal(RRR)",
-      "Aeronautical ground Lights(AGL)"
-    ]
-  },
-  2: {
-    name: "Safety, Security & Compliance",
-    courses: [
-      "Safety Management System(SMS)",
-      "Aviation Cyber Security",
-      "Human Factors",
-      "Demo"
-    ]
-  },
-  3: {
-    name: "Data Analysis, Decision Making, Innovation & Technology",
-    courses: [
-      "Data Analytics using Power Bi",
-      "Advance Excel & Power BI",
-      "Design Thinking for nuturing innovation",
-      "Data Driven Decision Making",
-      "Effective Presentation and Communication skills",
-      "Corporate communication"
-    ]
-  },
-  4: {
-    name: "Leadership, Management & Professional Development",
-    courses: [
-      "Planning for Retirement",
-      "Stress Management",
-      "Industrial Relations and Stakeholder management",
-      "Compliance of Labour Laws",
-      "Right To Information Act, 2005",
-      "Mentorship and succession planning",
-      "Good to Great-Mid Career Transition",
-      "Leadership,Team Building & Conflict Management",
-      "APD Professional Competency Development",
-      "Green Aviation"
-    ]
-  },
-  5: {
-    name: "Stakeholder and Contract Management",
-    courses: [
-      "GeM Procurement",
-      "Commercial Contract management",
-      "Contract Management"
-    ]
-  },
-  6: {
-    name: "Financial Management & Auditing",
-    courses: [
-      "Accounting & Internal Audit",
-      "Delegation of Power(DOP) & Budget Preparation",
-      "Goods and Services Tax & Statutory Taxation"
-    ]
+// Domain membership lives in data/domains.json (domain name + the course names it contains).
+// Course details always come from the course repository, so menu text and counts are
+// generated from the real data, and a domain listing a course that doesn't exist is an error.
+
+const fs = require('fs');
+const path = require('path');
+const { getCourseRepository } = require('./course-repository');
+const { t } = require('./messages');
+
+const DOMAINS_FILE = path.join(__dirname, '../data/domains.json');
+
+// Raw mapping from data/domains.json: [{ id, shortName, name, hi: { shortName, name }, courses: ["Course name", ...] }]
+const domainMappings = JSON.parse(fs.readFileSync(DOMAINS_FILE, 'utf8'));
+
+// 📋 Courses shown per page of the interactive course list
+// WhatsApp allows 10 rows per list, so one row is kept for "More courses"
+const COURSES_PER_PAGE = 9;
+
+// Helper function to resolve the course names of every domain against the course repository
+// Unknown names are skipped here; validateDomainDefinitions reports them. Handlers pass ctx.courses,
+// so courses the user may not see are left out of the lists, numbers and counts
+function getDomains(repository = getCourseRepository()) {
+  return domainMappings.map(mapping => ({
+    id: mapping.id,
+    shortName: mapping.shortName,
+    name: mapping.name,
+    hi: mapping.hi || null,
+    courses: mapping.courses
+      .map(courseName => repository.findByName(courseName))
+      .filter(Boolean)
+  }));
+}
+
+// Helper function to get one resolved domain by its number (or null)
+function getDomain(domainNumber, repository = getCourseRepository()) {
+  return getDomains(repository).find(domain => domain.id === Number(domainNumber)) || null;
+}
+
+// ✅ Helper function to check that every course listed in data/domains.json exists
+// Throws an error listing all unknown course names
+function validateDomainDefinitions(repository = getCourseRepository()) {
+  const problems = [];
+  const seenIds = new Set();
+
+  domainMappings.forEach(mapping => {
+    if (seenIds.has(mapping.id)) {
+      problems.push(`Domain id ${mapping.id} is defined more than once`);
+    }
+    seenIds.add(mapping.id);
+
+    mapping.courses.forEach(courseName => {
+      if (!repository.findByName(courseName)) {
+        problems.push(`Domain ${mapping.id} (${mapping.shortName}) lists unknown course "${courseName}"`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid domain definitions in data/domains.json:\n- ${problems.join('\n- ')}`);
+  }
+
+  // Courses not in any domain are allowed (e.g. internal programmes) but worth knowing about
+  const assigned = new Set(getDomains(repository).flatMap(domain => domain.courses.map(course => course.id)));
+  const unassigned = repository.getAll().filter(course => !assigned.has(course.id));
+  if (unassigned.length > 0) {
+    console.log(`ℹ️ ${unassigned.length} course(s) are not listed in any domain:`, unassigned.map(course => course.name).join(' | '));
+  }
+
+  // Internal and hidden courses are left out of the public lists, so a domain may look shorter than its mapping
+  const restricted = getDomains(repository).flatMap(domain => domain.courses).filter(course => course.visibility !== 'public');
+  if (restricted.length > 0) {
+    console.log(`ℹ️ ${restricted.length} domain course(s) are not public:`, restricted.map(course => `${course.name} (${course.visibility})`).join(' | '));
   }
-};
 
-// Helper function to get domain response message
-function getDomainResponse(domain, courseNumber) {
-  const courseList = domain.courses.map((course, idx) => 
-    `${idx + 1}. ${course}`
+  console.log(`✅ Domain definitions validated (${domainMappings.length} domains)`);
+  return true;
+}
+
+// Helper function to get the domain's names in the reply language (English when there is no translation)
+function localizeDomain(domain, language = 'en') {
+  const translated = domain[language];
+  return {
+    shortName: (translated && translated.shortName) || domain.shortName,
+    name: (translated && translated.name) || domain.name
+  };
+}
+
+// Helper function to get domain response message (plain text version of the course list)
+function getDomainResponse(domain) {
+  const courseList = domain.courses.map((course, idx) =>
+    `${idx + 1}. ${course.name}`
   ).join('\n\n');
 
-  return `📚 *${domain.name}*\n\n${courseList}\n\n💡 *How to use:*\n• Numbers (1-6) work for domain selection only\n• For course information, type course name (full recommended or partial)\n• Examples: "Global reporting format", "Gem Procurement", "Safety Management System"\n• Ask about specific details like fees, dates, or coordinators\n• Type "show all courses" to see all domains\n\nTotal courses in this domain: ${domain.courses.length}`;
+  return `📚 *${domain.name}*\n\n${courseList}\n\n💡 *How to use:*\n• Type a course number (e.g. "2") to see that course\n• For course information, type course name (full recommended or partial)\n• Examples: "Global reporting format", "Gem Procurement", "Safety Management System"\n• Ask about specific details like fees, dates, or coordinators\n• Type "show all courses" to see all domains\n\nTotal courses in this domain: ${domain.courses.length}`;
+}
+
+// Helper function to list the domain choices as text (used in "invalid domain" replies)
+function getDomainChoicesText(prefix = 'domain ', language = 'en', repository = getCourseRepository()) {
+  return getDomains(repository)
+    .map(domain => t(language, 'domainChoiceLine', { command: `${prefix}${domain.id}`, shortName: localizeDomain(domain, language).shortName }))
+    .join('\n');
+}
+
+// Helper function to build the interactive "choose a domain" list (message for metaApi.buildListMessage)
+function getDomainMenuList(language = 'en', repository = getCourseRepository()) {
+  const domains = getDomains(repository);
+  const totalCourses = domains.reduce((count, domain) => count + domain.courses.length, 0);
+
+  return {
+    header: t(language, 'domainMenuHeader'),
+    body: t(language, 'domainMenuBody', {
+      firstDomain: localizeDomain(domains[0], language).shortName,
+      domainCount: domains.length,
+      courseCount: totalCourses
+    }),
+    buttonText: t(language, 'domainMenuButton'),
+    sections: [{
+      title: t(language, 'domainMenuSection'),
+      rows: domains.map(domain => {
+        const names = localizeDomain(domain, language);
+        return {
+          id: `domain ${domain.id}`,
+          title: `${domain.id}. ${names.shortName}`,
+          description: t(language, 'domainRowDescription', { name: names.name, count: domain.courses.length })
+        };
+      })
+    }]
+  };
+}
+
+// Helper function to build the interactive course list of one domain, paginated
+function getDomainCourseList(domainNumber, page = 1, language = 'en', repository = getCourseRepository()) {
+  const domain = getDomain(domainNumber, repository);
+  const names = localizeDomain(domain, language);
+  const totalPages = Math.max(1, Math.ceil(domain.courses.length / COURSES_PER_PAGE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const offset = (currentPage - 1) * COURSES_PER_PAGE;
+
+  // Row ids are the course names, which the course search already understands
+  const courseRows = domain.courses.slice(offset, offset + COURSES_PER_PAGE).map((course, idx) => ({
+    id: course.name,
+    title: `${offset + idx + 1}. ${course.name}`,
+    description: course.name
+  }));
+
+  const sections = [{ title: t(language, 'domainListCoursesSection'), rows: courseRows }];
+  if (currentPage < totalPages) {
+    sections.push({
+      title: t(language, 'domainListMoreSection'),
+      rows: [{
+        id: `domain ${domain.id} page ${currentPage + 1}`,
+        title: t(language, 'domainListMoreTitle'),
+        description: t(language, 'domainListMoreDescription', { page: currentPage + 1, totalPages })
+      }]
+    });
+  }
+
+  const pageInfo = totalPages > 1 ? t(language, 'domainListPageInfo', { page: currentPage, totalPages }) : '';
+  return {
+    header: `📚 ${names.shortName}`,
+    body: t(language, 'domainListBody', {
+      name: names.name,
+      pageInfo,
+      exampleNumber: Math.min(domain.courses.length, offset + 2),
+      count: domain.courses.length
+    }),
+    buttonText: t(language, 'domainListButton'),
+    sections
+  };
 }
 
 // Helper function to check if input is domain selection
 function isDomainSelection(userText) {
   const numberMatch = userText.match(/^(course\s*)?(\d+)$/i);
-  const domainMatch = userText.toLowerCase().match(/^domain\s*(\d+)$/i);
-  
+  const domainMatch = userText.toLowerCase().match(/^(?:domain|डोमेन)\s*(\d+)(?:\s*page\s*(\d+))?$/i);
+
   if (numberMatch || domainMatch) {
     const courseNumber = numberMatch ? parseInt(numberMatch[2]) : parseInt(domainMatch[1]);
     return {
-      isDomain: (courseNumber >= 1 && courseNumber <= 6 && userText.length === 1) || domainMatch,
-      domainNumber: courseNumber
+      isDomain: (courseNumber >= 1 && courseNumber <= domainMappings.length && userText.length === 1) || domainMatch,
+      domainNumber: courseNumber,
+      page: domainMatch && domainMatch[2] ? parseInt(domainMatch[2]) : 1
     };
   }
-  
-  return { isDomain: false, domainNumber: null };
+
+  return { isDomain: false, domainNumber: null, page: 1 };
 }
 
 module.exports = {
-  domainDefinitions,
+  getDomains,
+  getDomain,
+  localizeDomain,
+  validateDomainDefinitions,
   getDomainResponse,
+  getDomainChoicesText,
+  getDomainMenuList,
+  getDomainCourseList,
   isDomainSelection
 };
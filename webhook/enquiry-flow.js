@@ -0,0 +1,166 @@
+// 📝 ENQUIRY FLOW - Slots collected by the "enrol in SMS" conversation and how each answer is checked
+//
+// The conversation itself lives in handlers/enquiry.js; this module only knows the questions:
+//   SLOTS                 -> the answers we collect, in the order we ask for them
+//   validateAnswer(slot, text, { course, now })  -> { value } or { error: messageKey, params }
+//   generateReference(now) -> "IAA-251120-K7QM" (what the user quotes later)
+//
+// Validation is deliberately forgiving about format ("5 participants", "RAVI@GMAIL.COM ") and
+// strict about content, so what reaches the training team is usable.
+
+const crypto = require('crypto');
+const { normalizeDigits } = require('./messages');
+const { todayISODate } = require('./date-utils');
+
+const DEFAULT_MAX_PARTICIPANTS = 30; // used when the course has no batch size
+const REFERENCE_PATTERN = /\bIAA-\d{6}-[A-Z0-9]{4}\b/i;
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I, they get misread
+
+// Collapse whitespace so "  Ravi   Kumar " is stored as "Ravi Kumar"
+const clean = (text) => String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+// Free-text answer with a length range that must contain at least one letter
+function textAnswer(min, max, pattern) {
+  return (text) => {
+    const value = clean(text);
+    if (value.length < min || value.length > max || !/\p{L}/u.test(value) || (pattern && !pattern.test(value))) {
+      return null;
+    }
+    return value;
+  };
+}
+
+// Upcoming batches the user can choose from (the first one listed is number 1)
+function upcomingBatches(course, today) {
+  return course.batches.filter(batch => batch.start > today);
+}
+
+function maxParticipants(course) {
+  return (course && course.batchSize) || DEFAULT_MAX_PARTICIPANTS;
+}
+
+/**
+ * 📋 SLOTS - asked in this order; "label" is the messages.js key shown in the summary
+ * and the word users type to change it ("change email")
+ */
+const SLOTS = [
+  {
+    name: 'participantName',
+    label: 'enquiryFieldName',
+    aliases: ['name', 'participant', 'नाम'],
+    parse: textAnswer(2, 80, /^[\p{L}\p{M}][\p{L}\p{M} .'-]*$/u),
+    error: 'enquiryInvalidName'
+  },
+  {
+    name: 'organisation',
+    label: 'enquiryFieldOrganisation',
+    aliases: ['organisation', 'organization', 'org', 'company', 'संगठन'],
+    parse: textAnswer(2, 120),
+    error: 'enquiryInvalidOrganisation'
+  },
+  {
+    name: 'designation',
+    label: 'enquiryFieldDesignation',
+    aliases: ['designation', 'post', 'role', 'पद'],
+    parse: textAnswer(2, 80),
+    error: 'enquiryInvalidDesignation'
+  },
+  {
+    name: 'email',
+    label: 'enquiryFieldEmail',
+    aliases: ['email', 'e-mail', 'mail', 'ईमेल'],
+    parse(text) {
+      const value = clean(text).toLowerCase();
+      return value.length <= 254 && /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/.test(value) ? value : null;
+    },
+    error: 'enquiryInvalidEmail'
+  },
+  {
+    name: 'participants',
+    label: 'enquiryFieldParticipants',
+    aliases: ['participants', 'number', 'count', 'प्रतिभागी', 'संख्या'],
+    parse(text, { course }) {
+      const number = normalizeDigits(clean(text)).match(/^\D{0,20}?(\d{1,4})\b/);
+      const count = number ? parseInt(number[1], 10) : NaN;
+      return count >= 1 && count <= maxParticipants(course) ? count : null;
+    },
+    error: 'enquiryInvalidParticipants'
+  },
+  {
+    name: 'batch',
+    label: 'enquiryFieldBatch',
+    aliases: ['batch', 'date', 'dates', 'बैच', 'तिथि'],
+    // { start, end }, or null for "any batch" (also when nothing is scheduled yet)
+    parse(text, { course, today }) {
+      const value = normalizeDigits(clean(text)).toLowerCase();
+      const batches = upcomingBatches(course, today);
+      if (/^(any|any batch|next available|koi bhi|कोई भी|कोई भी बैच|enquiry batch any)$/u.test(value)) {
+        return { value: null };
+      }
+      const byDate = value.match(/(\d{4}-\d{2}-\d{2})$/);
+      const byNumber = value.match(/^(\d{1,2})$/);
+      const batch = byDate
+        ? batches.find(candidate => candidate.start === byDate[1])
+        : (byNumber ? batches[parseInt(byNumber[1], 10) - 1] : null);
+      return batch ? { value: { start: batch.start, end: batch.end } } : null;
+    },
+    error: 'enquiryInvalidBatch'
+  }
+];
+
+const SLOT_NAMES = SLOTS.map(slot => slot.name);
+
+function getSlot(name) {
+  return SLOTS.find(slot => slot.name === name) || null;
+}
+
+// "change email" / "edit organisation" / "ईमेल बदलें" -> the slot to ask again, or null
+function findSlotToChange(text) {
+  const value = clean(text).toLowerCase();
+  const change = value.match(/^(?:change|edit|update|correct|fix)\s+(?:the\s+|my\s+)?(.+)$/) || value.match(/^(.+?)\s+(?:बदलें|बदलो|बदलना है|बदलिए)$/u);
+  if (!change) {
+    return null;
+  }
+  const word = change[1].trim();
+  return SLOTS.find(slot => slot.aliases.includes(word) || slot.aliases.some(alias => word.startsWith(`${alias} `))) || null;
+}
+
+/**
+ * ✅ VALIDATE ANSWER - { value } when the answer is usable, { error, params } otherwise
+ * context: { course, now }
+ */
+function validateAnswer(slotName, text, { course, now = new Date() } = {}) {
+  const slot = getSlot(slotName);
+  const today = todayISODate(now);
+  const parsed = slot.parse(text, { course, today });
+
+  if (parsed === null || parsed === undefined) {
+    return { error: slot.error, params: { max: maxParticipants(course) } };
+  }
+  return slot.name === 'batch' ? parsed : { value: parsed };
+}
+
+// 🔖 Reference number the user can quote: IAA-<yymmdd>-<4 characters>
+function generateReference(now = new Date()) {
+  const day = todayISODate(now).slice(2).replace(/-/g, '');
+  const suffix = Array.from({ length: 4 }, () => REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)]).join('');
+  return `IAA-${day}-${suffix}`;
+}
+
+// The reference quoted in a message ("status of iaa-251120-k7qm"), upper-cased, or null
+function findReference(text) {
+  const match = String(text || '').match(REFERENCE_PATTERN);
+  return match ? match[0].toUpperCase() : null;
+}
+
+module.exports = {
+  SLOTS,
+  SLOT_NAMES,
+  getSlot,
+  upcomingBatches,
+  maxParticipants,
+  findSlotToChange,
+  validateAnswer,
+  generateReference,
+  findReference
+};
@@ -0,0 +1,195 @@
+// 📊 UNANSWERED QUERY ANALYTICS - What people asked when the bot fell back to the form
+// Queries are normalised, grouped into clusters of similar questions and counted per day,
+// so we can grow shortFormMap and the course catalogue from real demand.
+
+const { getFallbackStore } = require('./stores/fallback-store');
+const { todayISODate } = require('./date-utils');
+const { detectCourseIntent } = require('./intent-detector');
+
+// Words that carry no meaning for grouping questions
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'am', 'was', 'be', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with',
+  'and', 'or', 'i', 'me', 'my', 'you', 'your', 'we', 'it', 'this', 'that', 'there', 'do', 'does', 'did',
+  'can', 'could', 'will', 'would', 'please', 'pls', 'plz', 'kindly', 'hi', 'hello', 'sir', 'madam', 'mam'
+]);
+
+const SIMILARITY_THRESHOLD = 0.5; // Jaccard similarity needed to join a cluster
+
+// Lowercase, strip punctuation, drop stop words and plural "s" so similar questions look alike
+function normalizeQuery(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s&-]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+// Guess the course name the user tried (what is left after removing the question words)
+// Returns null for messages that don't look like a course question
+function extractAttemptedCourse(text) {
+  const phrase = detectCourseIntent(text).coursePhrase;
+  const wordCount = phrase.split(' ').filter(Boolean).length;
+  if (wordCount === 0 || wordCount > 6) {
+    return null;
+  }
+  return phrase.length >= 3 ? phrase : null;
+}
+
+// Jaccard similarity between two normalised queries
+function similarity(a, b) {
+  const setA = new Set(a.split(' ').filter(Boolean));
+  const setB = new Set(b.split(' ').filter(Boolean));
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  setA.forEach(word => { if (setB.has(word)) shared++; });
+  return shared / (setA.size + setB.size - shared);
+}
+
+// 🧩 Group entries into clusters of similar questions (greedy, most frequent wording first)
+function clusterQueries(entries, threshold = SIMILARITY_THRESHOLD) {
+  // Count identical normalised wordings first
+  const wordings = new Map();
+  entries.forEach(entry => {
+    const key = entry.normalizedText || normalizeQuery(entry.text);
+    if (!key) return;
+    if (!wordings.has(key)) {
+      wordings.set(key, { key, count: 0, examples: new Set(), users: new Set(), lastAskedAt: null, attemptedCourses: new Map() });
+    }
+    const wording = wordings.get(key);
+    wording.count++;
+    wording.examples.add(entry.text);
+    wording.users.add(entry.userId);
+    wording.lastAskedAt = !wording.lastAskedAt || entry.createdAt > wording.lastAskedAt ? entry.createdAt : wording.lastAskedAt;
+    if (entry.attemptedCourse) {
+      wording.attemptedCourses.set(entry.attemptedCourse, (wording.attemptedCourses.get(entry.attemptedCourse) || 0) + 1);
+    }
+  });
+
+  const clusters = [];
+  Array.from(wordings.values())
+    .sort((a, b) => b.count - a.count)
+    .forEach(wording => {
+      const cluster = clusters.find(candidate => similarity(candidate.representative, wording.key) >= threshold);
+      if (!cluster) {
+        clusters.push({
+          representative: wording.key,
+          count: wording.count,
+          examples: new Set(wording.examples),
+          users: new Set(wording.users),
+          lastAskedAt: wording.lastAskedAt,
+          attemptedCourses: new Map(wording.attemptedCourses)
+        });
+        return;
+      }
+      cluster.count += wording.count;
+      wording.examples.forEach(example => cluster.examples.add(example));
+      wording.users.forEach(user => cluster.users.add(user));
+      cluster.lastAskedAt = wording.lastAskedAt > cluster.lastAskedAt ? wording.lastAskedAt : cluster.lastAskedAt;
+      wording.attemptedCourses.forEach((count, name) => {
+        cluster.attemptedCourses.set(name, (cluster.attemptedCourses.get(name) || 0) + count);
+      });
+    });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(cluster => ({
+      question: cluster.representative,
+      count: cluster.count,
+      distinctUsers: cluster.users.size,
+      lastAskedAt: cluster.lastAskedAt,
+      examples: Array.from(cluster.examples).slice(0, 5),
+      attemptedCourses: Array.from(cluster.attemptedCourses.keys())
+    }));
+}
+
+// 📝 RECORD FALLBACK - Called whenever a user gets the fallback form message
+async function recordFallbackQuery(userId, text) {
+  const cleanText = String(text || '').trim();
+  if (!cleanText) return;
+
+  await getFallbackStore().add({
+    userId,
+    text: cleanText,
+    normalizedText: normalizeQuery(cleanText),
+    attemptedCourse: extractAttemptedCourse(cleanText),
+    day: todayISODate(),
+    createdAt: new Date()
+  });
+}
+
+// 📈 BUILD REPORT - Top unanswered questions, attempted course names and daily counts
+async function buildUnansweredReport({ days = 30, limit = 20, now = new Date() } = {}) {
+  const safeDays = Math.min(365, Math.max(1, parseInt(days, 10) || 30));
+  const safeLimit = Math.min(200, Math.max(1, parseInt(limit, 10) || 20));
+  const from = new Date(now.getTime() - safeDays * 86400 * 1000);
+  const entries = await getFallbackStore().list({ from, to: now });
+
+  const daily = new Map();
+  const attempted = new Map();
+  entries.forEach(entry => {
+    daily.set(entry.day, (daily.get(entry.day) || 0) + 1);
+    if (entry.attemptedCourse) {
+      attempted.set(entry.attemptedCourse, (attempted.get(entry.attemptedCourse) || 0) + 1);
+    }
+  });
+
+  return {
+    from: from.toISOString(),
+    to: now.toISOString(),
+    days: safeDays,
+    totalQueries: entries.length,
+    daily: Array.from(daily.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([day, count]) => ({ day, count })),
+    topQuestions: clusterQueries(entries).slice(0, safeLimit),
+    attemptedCourses: Array.from(attempted.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, safeLimit)
+      .map(([name, count]) => ({ name, count }))
+  };
+}
+
+// Cells starting with these run as formulas when the report is opened in Excel / Sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote one CSV cell; user text that looks like a formula gets a leading ' so it stays text
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : (value instanceof Date ? value.toISOString() : String(value));
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 📄 REPORT AS CSV - type 'questions' (default), 'courses' or 'daily'
+function reportToCsv(report, type = 'questions') {
+  let rows;
+  if (type === 'courses') {
+    rows = [['rank', 'attempted_course', 'count']]
+      .concat(report.attemptedCourses.map((course, idx) => [idx + 1, course.name, course.count]));
+  } else if (type === 'daily') {
+    rows = [['day', 'count']].concat(report.daily.map(day => [day.day, day.count]));
+  } else {
+    rows = [['rank', 'question', 'count', 'distinct_users', 'last_asked_at', 'attempted_courses', 'examples']]
+      .concat(report.topQuestions.map((question, idx) => [
+        idx + 1,
+        question.question,
+        question.count,
+        question.distinctUsers,
+        question.lastAskedAt,
+        question.attemptedCourses.join('; '),
+        question.examples.join(' | ')
+      ]));
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  normalizeQuery,
+  extractAttemptedCourse,
+  clusterQueries,
+  recordFallbackQuery,
+  buildUnansweredReport,
+  reportToCsv
+};
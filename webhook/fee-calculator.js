@@ -0,0 +1,158 @@
+// 🧮 FEE CALCULATOR - "calculate fee for SMS for 5 participants with single room"
+//
+//   parseFeeQuery(text)              -> { participants, occupancy, nights } or null when it isn't a fee calculation
+//   parseHostelCharges(text)         -> [{ occupancy: 'single', rate: 3000, gstPercent: 18 }, ...]
+//   calculateQuote(course, options)  -> itemised quote (tuition, hostel, GST, total) or null without fees
+//
+// GST is charged on the hostel only. Above MAX_PARTICIPANTS there is no estimate: the handler sends
+// the user to the training team.
+//
+// courses.json has the per-day fee and the per-day fee after the 20% group discount, but not the
+// group size the discount starts at: GROUP_DISCOUNT_MIN_PARTICIPANTS is our assumption (5 unless
+// configured), and so is a hostel stay of one night per course day when no nights are given.
+// The reply says both are assumptions and leaves the final amount to the course coordinator.
+// Hostel charges are free text ("Single occupancy: ₹3000 + 18% GST, ...") and are read as per
+// participant per night.
+
+const { normalizeDigits } = require('./messages');
+
+const GROUP_DISCOUNT_MIN_PARTICIPANTS = parseInt(process.env.GROUP_DISCOUNT_MIN_PARTICIPANTS, 10) || 5;
+const MAX_PARTICIPANTS = 500; // Larger groups are quoted by the training team, not estimated here
+
+// "calculate", "estimate", "total cost", "कुल शुल्क", "हिसाब"
+const CALCULATE_PATTERN = /\b(calculate|calculator|calc|estimate|quote|quotation|total\s+(cost|fees?|amount|charges?)|kitna\s+lagega)\b|गणना|हिसाब|कुल\s+(शुल्क|फीस|फ़ीस|खर्च|लागत)/u;
+// "fee for 5 participants" - a fee question with a head count is a calculation too
+const FEE_WORDS = /\b(fees?|cost|costs|charges?|price|amount)\b|शुल्क|फीस|फ़ीस|खर्च|लागत/u;
+const PARTICIPANT_WORDS = 'participants?|people|persons?|pax|officers?|nominees?|members?|trainees?|candidates?|employees?|staff|log|लोगों|लोग|प्रतिभागियों|प्रतिभागी|व्यक्तियों|व्यक्ति|अधिकारियों|अधिकारी';
+const PARTICIPANTS_PATTERN = new RegExp(`(\\d{1,6})\\s*(${PARTICIPANT_WORDS})(?![\\p{L}\\p{M}])`, 'u');
+// "for 1-2 officers" talks about people even when the number can't be read as a head count
+const PARTICIPANT_WORDS_PATTERN = new RegExp(`(?<![\\p{L}\\p{M}])(${PARTICIPANT_WORDS})(?![\\p{L}\\p{M}])`, 'u');
+const NIGHTS_PATTERN = /(\d{1,3})\s*(nights?|रातों|रात)(?![\p{L}\p{M}])/u;
+const SINGLE_PATTERN = /\b(single|singl|sngl)(\s+(room|occupancy|sharing|bed))?\b|सिंगल|एकल/u;
+const DOUBLE_PATTERN = /\b(double|dbl|twin|shared|sharing)(\s+(room|occupancy|sharing|bed))?\b|डबल|दोहरा|साझा/u;
+
+// Lakh-style grouping: 1,52,500
+function formatRupees(amount) {
+  return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+/**
+ * 🔍 PARSE FEE QUERY - null unless the message asks for a calculation
+ * occupancy is 'single', 'double' or null (no hostel); nights is null for "the whole course"
+ */
+function parseFeeQuery(text) {
+  const normalized = normalizeDigits(String(text || '').normalize('NFC').toLowerCase());
+  const participants = normalized.match(PARTICIPANTS_PATTERN);
+
+  if (!CALCULATE_PATTERN.test(normalized) && !(participants && FEE_WORDS.test(normalized))) {
+    return null;
+  }
+
+  const nights = normalized.match(NIGHTS_PATTERN);
+  let occupancy = null;
+  if (SINGLE_PATTERN.test(normalized)) {
+    occupancy = 'single';
+  } else if (DOUBLE_PATTERN.test(normalized)) {
+    occupancy = 'double';
+  }
+
+  return {
+    participants: participants ? parseInt(participants[1], 10) : 1,
+    occupancy,
+    nights: nights ? parseInt(nights[1], 10) : null
+  };
+}
+
+// What is left of the message once the calculation words are gone ("sms"), for the course matcher
+function removeFeeQueryWords(text) {
+  return normalizeDigits(String(text || '').normalize('NFC').toLowerCase())
+    .replace(CALCULATE_PATTERN, ' ')
+    .replace(PARTICIPANTS_PATTERN, ' ')
+    .replace(NIGHTS_PATTERN, ' ')
+    .replace(SINGLE_PATTERN, ' ')
+    .replace(DOUBLE_PATTERN, ' ')
+    .replace(/\b(group|discount(ed)?|hostel|room|rooms|occupancy|with|without)\b/g, ' ')
+    .replace(/(?<![\p{L}\p{M}])(समूह|छूट|छात्रावास|हॉस्टल|रूम|कमरा|कमरे|साथ|बिना)(?![\p{L}\p{M}])/gu, ' ');
+}
+
+/**
+ * 🏨 PARSE HOSTEL CHARGES - "Single occupancy: ₹3000 + 18% GST, Double occupancy: 2000 + 18% GST"
+ * Returns the rates found (an empty list when the text can't be read, e.g. a stray number)
+ */
+function parseHostelCharges(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  const rates = [];
+  const pattern = /(single|double)\s*(?:occupancy|room|sharing)?\s*[:-]?\s*(?:rs\.?|inr|₹)?\s*([\d,]+(?:\.\d+)?)\s*(?:\/-)?\s*(?:\+\s*(\d+(?:\.\d+)?)\s*%\s*gst)?/gi;
+  for (const match of text.matchAll(pattern)) {
+    const occupancy = match[1].toLowerCase();
+    if (!rates.some(rate => rate.occupancy === occupancy)) {
+      rates.push({
+        occupancy,
+        rate: parseFloat(match[2].replace(/,/g, '')),
+        gstPercent: match[3] ? parseFloat(match[3]) : 0
+      });
+    }
+  }
+  return rates;
+}
+
+/**
+ * 💰 CALCULATE QUOTE - Itemised estimate for a course
+ * options: { participants = 1, occupancy = null, nights = null (assumed: the course length) }
+ * participants must be from 1 to MAX_PARTICIPANTS - the handler asks again otherwise.
+ * Returns null when the course has no fee or duration in the data.
+ */
+function calculateQuote(course, { participants = 1, occupancy = null, nights = null } = {}) {
+  if (!course.feePerDay || !course.days) {
+    return null;
+  }
+  const count = participants;
+
+  // The discounted column is the group rate; a single nominee pays the standard rate
+  const groupRate = count >= GROUP_DISCOUNT_MIN_PARTICIPANTS && course.discountedFeePerDay;
+  const tuitionRate = groupRate ? course.discountedFeePerDay : course.feePerDay;
+  const tuition = tuitionRate * course.days * count;
+
+  let hostel = null;
+  if (occupancy) {
+    const rate = parseHostelCharges(course.hostelCharges).find(candidate => candidate.occupancy === occupancy);
+    const stayNights = nights || course.days;
+    hostel = rate
+      ? {
+        occupancy,
+        rate: rate.rate,
+        gstPercent: rate.gstPercent,
+        nights: stayNights,
+        nightsAssumed: !nights,
+        amount: rate.rate * stayNights * count,
+        gst: Math.round(rate.rate * stayNights * count * rate.gstPercent) / 100
+      }
+      : { occupancy, unavailable: true };
+  }
+
+  return {
+    participants: count,
+    days: course.days,
+    tuitionRate,
+    standardRate: course.feePerDay,
+    groupDiscount: Boolean(groupRate),
+    groupDiscountAvailable: Boolean(course.discountedFeePerDay),
+    tuition,
+    hostel,
+    total: tuition + (hostel && !hostel.unavailable ? hostel.amount + hostel.gst : 0)
+  };
+}
+
+module.exports = {
+  GROUP_DISCOUNT_MIN_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  PARTICIPANTS_PATTERN,
+  PARTICIPANT_WORDS_PATTERN,
+  formatRupees,
+  parseFeeQuery,
+  removeFeeQueryWords,
+  parseHostelCharges,
+  calculateQuote
+};
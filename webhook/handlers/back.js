@@ -0,0 +1,31 @@
+// ⬅️ BACK HANDLER - After opening a course from a domain list, "back" returns to that list
+// Without an open course the message is left for the domain menu handler.
+
+const metaApi = require('../meta-api');
+const { getDomain, getDomainCourseList } = require('../domain-definitions');
+const { getUserContext, setUserContext } = require('../user-context');
+
+const BACK_COMMANDS = ['back', 'वापस', 'पीछे'];
+
+module.exports = {
+  name: 'back',
+  priority: 50,
+
+  match: (ctx) => BACK_COMMANDS.includes(ctx.text.toLowerCase().trim()),
+
+  async handle(ctx) {
+    const context = await getUserContext(ctx.userId);
+    const domain = context && context.level === 'course' ? getDomain(context.domainNumber, ctx.courses) : null;
+    if (!domain) {
+      return null;
+    }
+
+    console.log('⬅️ BACK TO DOMAIN LIST:', ctx.userId, '-> Domain', context.domainNumber);
+    await setUserContext(ctx.userId, context.domainNumber, context.page);
+
+    return {
+      messageType: 'interactive',
+      response: metaApi.buildListMessage(getDomainCourseList(context.domainNumber, context.page, ctx.language, ctx.courses))
+    };
+  }
+};
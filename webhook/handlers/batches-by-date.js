@@ -0,0 +1,112 @@
+// 📅 BATCHES BY DATE HANDLER - "courses in December", "what starts next week", "SMS batches after 10 Jan"
+// Runs before the domain menu, which would otherwise catch any message containing "courses".
+// Fee, hostel, contact, ... questions and head counts are never date questions, even with a date in them.
+// "kal" / "कल" is read as tomorrow, and the reply says so (it can mean yesterday too).
+
+const { t } = require('../messages');
+const { formatDateDMY } = require('../date-utils');
+const { detectCourseIntent, extractCoursePhrase } = require('../intent-detector');
+const { matchCourses } = require('../course-matcher');
+const { parseDateQuery, removeDateWords, findBatchesInRange } = require('../date-query');
+const { rememberLastCourse } = require('../user-context');
+const { PARTICIPANT_WORDS_PATTERN } = require('../fee-calculator');
+
+const MAX_BATCHES_LISTED = 10; // keeps the reply well inside WhatsApp's 4096 character limit
+
+// "fee for SMS in December", "hostel for 1-2 officers" - left to the course search / fee calculator
+function asksSomethingElse(text) {
+  const { intents } = detectCourseIntent(text);
+  return intents.some(intent => intent !== 'batch_dates') || PARTICIPANT_WORDS_PATTERN.test(String(text || '').toLowerCase());
+}
+
+// "in December 2025", "next week", "between 01/12/2025 and 15/12/2025", ...
+function describeRange(label, language) {
+  switch (label.type) {
+    case 'month':
+      return t(language, 'rangeMonth', { monthName: t(language, 'monthNames')[label.month - 1], year: label.year });
+    case 'today':
+      return t(language, 'rangeToday');
+    case 'tomorrow':
+      return t(language, 'rangeTomorrow');
+    case 'dayAfterTomorrow':
+      return t(language, 'rangeDayAfterTomorrow');
+    case 'thisWeek':
+      return t(language, 'rangeThisWeek');
+    case 'nextWeek':
+      return t(language, 'rangeNextWeek');
+    case 'nextDays':
+      return t(language, 'rangeNextDays', { days: label.days });
+    case 'between':
+      return t(language, 'rangeBetween', { from: formatDateDMY(label.from), to: formatDateDMY(label.to) });
+    case 'after':
+      return t(language, 'rangeAfter', { date: formatDateDMY(label.date) });
+    case 'before':
+      return t(language, 'rangeBefore', { date: formatDateDMY(label.date) });
+    default:
+      return t(language, 'rangeOn', { date: formatDateDMY(label.date) });
+  }
+}
+
+// "Starts in 12 days" / "Running now, 3 days left"
+function describeStatus(batch, language) {
+  if (batch.startsInDays > 1) return t(language, 'batchStartsIn', { days: batch.startsInDays });
+  if (batch.startsInDays === 1) return t(language, 'batchStartsTomorrow');
+  if (batch.startsInDays === 0) return t(language, 'batchStartsToday');
+  return batch.daysLeft > 1 ? t(language, 'batchRunning', { daysLeft: batch.daysLeft }) : t(language, 'batchEndsToday');
+}
+
+module.exports = {
+  name: 'batches_by_date',
+  priority: 55,
+
+  match: (ctx) => (asksSomethingElse(ctx.text) ? null : parseDateQuery(ctx.text, ctx.now)),
+
+  async handle(ctx, query) {
+    const courses = ctx.courses.getAll();
+    console.log('📅 DATE QUERY:', query.from, '->', query.to || '(open)', query.startsOnly ? '(starting only)' : '');
+
+    // "SMS batches in December" - narrow the list to one course when the rest of the message names one
+    const coursePhrase = extractCoursePhrase(removeDateWords(ctx.text, query));
+    const courseMatch = coursePhrase ? matchCourses(coursePhrase, courses) : null;
+    const course = courseMatch && courseMatch.confident ? courseMatch.best.course : null;
+
+    const batches = findBatchesInRange(course ? [course] : courses, query, ctx.now);
+    const label = describeRange(query.label, ctx.language);
+    const assumption = query.label.assumedFuture
+      ? `\n\n${t(ctx.language, 'rangeAssumedFuture', { word: query.label.word, label, date: formatDateDMY(query.label.date) })}`
+      : '';
+
+    if (course) {
+      ctx.turn.course = course.name;
+      await rememberLastCourse(ctx.userId, course);
+    }
+
+    if (batches.length === 0) {
+      return {
+        response: (course
+          ? t(ctx.language, 'noBatchesForCourse', { label, courseName: course.name })
+          : t(ctx.language, 'noBatches', { label })) + assumption
+      };
+    }
+
+    const lines = batches.slice(0, MAX_BATCHES_LISTED).map((batch, idx) => t(ctx.language, 'batchLine', {
+      index: idx + 1,
+      name: batch.course.name,
+      start: formatDateDMY(batch.start),
+      end: formatDateDMY(batch.end),
+      days: batch.days,
+      status: describeStatus(batch, ctx.language)
+    }));
+    if (batches.length > MAX_BATCHES_LISTED) {
+      lines.push(t(ctx.language, 'batchesMore', { count: batches.length - MAX_BATCHES_LISTED }));
+    }
+
+    const title = course
+      ? t(ctx.language, 'batchesTitleForCourse', { label, courseName: course.name })
+      : t(ctx.language, 'batchesTitle', { label, startsOnly: query.startsOnly });
+
+    return {
+      response: `${title}${assumption}\n\n${t(ctx.language, 'batchesCount', { count: batches.length })}\n\n${lines.join('\n\n')}\n\n${t(ctx.language, 'batchesHint')}`
+    };
+  }
+};
@@ -0,0 +1,43 @@
+// 🔢 COURSE NUMBER HANDLER - While browsing a domain, numbers pick a course from its list
+// (e.g. "12" or "course 12" after opening domain 1). Runs before domain selection so
+// "3" means the third course of the open domain, not domain 3.
+
+const { getDomain, localizeDomain } = require('../domain-definitions');
+const { t } = require('../messages');
+const { formatCourseInfo } = require('../course-formatter');
+const { getUserContext, setUserContext, rememberLastCourse } = require('../user-context');
+
+module.exports = {
+  name: 'course_number',
+  priority: 70,
+
+  match: (ctx) => ctx.text.trim().match(/^(course\s*)?(\d+)$/i),
+
+  async handle(ctx, numberMatch) {
+    const context = await getUserContext(ctx.userId);
+    const domain = context ? getDomain(context.domainNumber, ctx.courses) : null;
+    if (!domain) {
+      return null; // No open domain - the number picks a domain instead
+    }
+
+    const courseNumber = parseInt(numberMatch[2]);
+    console.log('🔢 COURSE NUMBER IN DOMAIN CONTEXT:', courseNumber, '-> Domain', context.domainNumber);
+    const localized = localizeDomain(domain, ctx.language);
+
+    if (courseNumber < 1 || courseNumber > domain.courses.length) {
+      return {
+        response: t(ctx.language, 'invalidCourseNumber', { domainName: localized.name, count: domain.courses.length, domainId: domain.id })
+      };
+    }
+
+    // Keep the context alive so the user can pick another number or go "back"
+    const course = domain.courses[courseNumber - 1];
+    await setUserContext(ctx.userId, context.domainNumber, context.page, 'course');
+    await rememberLastCourse(ctx.userId, course);
+    ctx.turn.course = course.name;
+
+    return {
+      response: formatCourseInfo(course, ctx.language, ctx.now) + t(ctx.language, 'courseNumberHint', { shortName: localized.shortName })
+    };
+  }
+};
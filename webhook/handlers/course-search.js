@@ -0,0 +1,175 @@
+// 📚 COURSE SEARCH HANDLER - Any message that names a course (full name, acronym, synonym or typo)
+// Answers with the course card, or just the fees / dates / ... that were asked about.
+// Not found: course comparison ("GeM vs SMS"), "Did you mean" buttons, then the fallback form.
+
+const metaApi = require('../meta-api');
+const { t } = require('../messages');
+const { detectCourseIntent, extractCoursePhrase } = require('../intent-detector');
+const { parseDateQuery, removeDateWords } = require('../date-query');
+const { matchCourses } = require('../course-matcher');
+const { formatCourseInfo, formatCourseAttributes } = require('../course-formatter');
+const { getUserContext, setUserContext, rememberLastCourse } = require('../user-context');
+
+const COMPARISON_KEYWORDS = ['vs', 'versus', 'between', 'compare', 'comparison'];
+// "compare gem procurement and safety management system" -> "gem procurement" | "safety management system"
+const COMPARISON_SEPARATOR = /\b(?:vs\.?|versus|between|compare|comparison|and|with|or)\b|[,/]/;
+
+// Button ids are sent back as the user's next message, so they keep the attribute that was asked about
+const ATTRIBUTE_WORDS = { course_fees: 'fees', batch_dates: 'dates', coordinator_info: 'coordinator', hostel_info: 'hostel', contact_info: 'contact', course_category: 'category' };
+
+// 🔍 FIND COURSE BY PARTIAL NAME - Best course for a name, acronym or misspelling
+// Returns null unless the match is confident (see course-matcher.js for the scoring)
+function findCourseByPartialName(partialName, courses) {
+  const match = matchCourses(partialName, courses);
+  if (match.confident) {
+    console.log(`✅ MATCH FOUND: ${match.best.course.name} (score ${match.best.score}, via "${match.best.alias}")`);
+    return match.best.course;
+  }
+  return null;
+}
+
+// Send the course that was found (card or focused answer)
+async function answerCourse(ctx, course, attributeIntents) {
+  console.log('📚 COURSE FOUND:', course.name);
+  ctx.turn.course = course.name;
+
+  // If the course was opened from a domain list, "back" should return to that list
+  const context = await getUserContext(ctx.userId);
+  if (context) {
+    await setUserContext(ctx.userId, context.domainNumber, context.page, 'course');
+  }
+  await rememberLastCourse(ctx.userId, course);
+
+  // Focused answer when an attribute was asked about, the full card otherwise
+  if (attributeIntents.length === 0) {
+    return { intent: 'course_info', response: formatCourseInfo(course, ctx.language, ctx.now) };
+  }
+  return {
+    intent: attributeIntents.length === 1 ? attributeIntents[0] : 'course_attributes',
+    response: formatCourseAttributes(course, attributeIntents, ctx.language, ctx.now)
+  };
+}
+
+// 🔄 COURSE COMPARISON - "GeM vs SMS", "compare ... and ..." (null unless two courses are found)
+function compareCourses(ctx, courses) {
+  const text = ctx.text.toLowerCase();
+  if (!COMPARISON_KEYWORDS.some(keyword => text.includes(keyword))) {
+    return null;
+  }
+  console.log('🔄 COURSE COMPARISON QUERY DETECTED:', ctx.text);
+
+  // Each course is looked up by its whole phrase, so "system" alone never adds a third course
+  const foundCourses = [];
+  text.split(COMPARISON_SEPARATOR)
+    .map(phrase => detectCourseIntent(phrase).coursePhrase)
+    .filter(phrase => phrase && phrase.length >= 2)
+    .forEach(phrase => {
+      const course = findCourseByPartialName(phrase, courses);
+      if (course && !foundCourses.find(found => found.id === course.id)) {
+        foundCourses.push(course);
+      }
+    });
+
+  if (foundCourses.length < 2) {
+    console.log('❌ Not enough courses found for comparison');
+    return null;
+  }
+
+  console.log('✅ MULTIPLE COURSES FOUND FOR COMPARISON:', foundCourses.length);
+  let response = t(ctx.language, 'comparisonTitle');
+  foundCourses.forEach((course, index) => {
+    response += t(ctx.language, 'comparisonCourse', {
+      index: index + 1,
+      name: course.name,
+      feePerDay: course.feePerDay,
+      days: course.days,
+      coordinators: course.coordinators.join(', ')
+    });
+  });
+  response += t(ctx.language, 'comparisonHint');
+  ctx.turn.course = foundCourses.map(course => course.name).join(' | ');
+
+  return { intent: 'course_comparison', response };
+}
+
+// 🤔 DID YOU MEAN - Close but not confident matches: let the user pick one
+function suggestCourses(ctx, candidates, attributeIntents) {
+  console.log('🤔 SUGGESTING COURSES:', candidates.map(candidate => `${candidate.course.name}=${candidate.score}`).join(' | '));
+
+  const askedAbout = attributeIntents.map(intent => ATTRIBUTE_WORDS[intent]).join(' ');
+  const suggestionList = candidates.map((candidate, idx) => `${idx + 1}. ${candidate.course.name}`).join('\n');
+  ctx.turn.course = candidates.map(candidate => candidate.course.name).join(' | ');
+
+  return {
+    intent: 'course_suggestions',
+    messageType: 'interactive',
+    response: metaApi.buildReplyButtonsMessage({
+      body: t(ctx.language, 'didYouMean', { userName: ctx.userName, suggestions: suggestionList }),
+      buttons: candidates.map((candidate, idx) => ({
+        id: askedAbout ? `${askedAbout} ${candidate.course.name}` : candidate.course.name,
+        title: `${idx + 1}. ${candidate.course.name}`
+      }))
+    })
+  };
+}
+
+module.exports = {
+  name: 'course_search',
+  priority: 110,
+
+  match: (ctx) => ctx.text.trim().length >= 2,
+
+  async handle(ctx) {
+    try {
+      console.log('🔍 ENHANCED COURSE SEARCH:', ctx.text);
+      const startTime = Date.now();
+      const courses = ctx.courses.getAll();
+
+      // Which attribute is asked about ("fee for GeM Procurement" -> course_fees + "gem procurement")
+      const detected = detectCourseIntent(ctx.text);
+      const attributeIntents = detected.intents;
+      // "SMS fee in December" is a fee question (see batches-by-date.js); the month is not part of the name
+      const dateQuery = attributeIntents.length > 0 ? parseDateQuery(ctx.text, ctx.now) : null;
+      const coursePhrase = dateQuery ? extractCoursePhrase(removeDateWords(detected.coursePhrase, dateQuery)) : detected.coursePhrase;
+      if (attributeIntents.length > 0) {
+        console.log('🎯 ATTRIBUTE QUESTION DETECTED:', attributeIntents.join(', '), '| course phrase:', coursePhrase || '(none)');
+      }
+
+      // Scored search - the course phrase of an attribute question, the whole message otherwise
+      const searchQuery = attributeIntents.length > 0 && coursePhrase ? coursePhrase : ctx.text;
+      const courseMatch = matchCourses(searchQuery, courses);
+      console.log(`⏱️ Enhanced course search took ${Date.now() - startTime} ms`);
+
+      if (courseMatch.confident) {
+        console.log(`✅ MATCH FOUND: ${courseMatch.best.course.name} (score ${courseMatch.best.score}, via "${courseMatch.best.alias}")`);
+        return answerCourse(ctx, courseMatch.best.course, attributeIntents);
+      }
+
+      // Follow-up question without a course name ("and the hostel charges?") -> last course shown
+      if (attributeIntents.length > 0 && !coursePhrase) {
+        const lastCourseId = ctx.session && ctx.session.context.lastCourseId;
+        const lastCourse = lastCourseId ? ctx.courses.getById(lastCourseId) : null;
+        if (lastCourse) {
+          return answerCourse(ctx, lastCourse, attributeIntents);
+        }
+        return { intent: 'course_attribute_clarify', response: t(ctx.language, 'whichCourse', { userName: ctx.userName }) };
+      }
+
+      const comparison = compareCourses(ctx, courses);
+      if (comparison) {
+        return comparison;
+      }
+
+      if (courseMatch.candidates.length > 0) {
+        return suggestCourses(ctx, courseMatch.candidates, attributeIntents);
+      }
+
+      console.log('❌ NO COURSE FOUND for:', ctx.text);
+    } catch (error) {
+      console.error('Error in enhanced course name search:', error);
+    }
+
+    // Not found (or the search failed) - the fallback handler sends the form
+    return null;
+  }
+};
@@ -0,0 +1,76 @@
+// 📘 DOCUMENTS HANDLER - "brochure for SMS", "send calendar": course brochures and the training calendar as files
+// The reply only names the file; the outbound queue uploads and sends it (media-library.js).
+
+const { t } = require('../messages');
+const { extractCoursePhrase } = require('../intent-detector');
+const { matchCourses } = require('../course-matcher');
+const { rememberLastCourse } = require('../user-context');
+const { brochureMessage, calendarMessage } = require('../media-library');
+
+// "brochure for SMS", "SMS pamphlet", "prospectus", "SMS का ब्रोशर"
+const BROCHURE_PATTERN = /\b(brochures?|brouchers?|broshures?|pamphlets?|leaflets?|prospectus)\b|ब्रोशर|ब्रौशर|विवरणिका/u;
+// "send calendar", "training calendar 2025-26", "कैलेंडर भेजें"
+const CALENDAR_PATTERN = /\b(training\s+|course\s+|annual\s+)?calend[ae]rs?\b|कैलेंडर|कैलेण्डर|कलेंडर/u;
+// Words about sending a file, which don't name the course
+const SEND_WORDS = /\b(pdf|file|copy|soft\s*copy|download|attach(ment)?|bhej\w*)\b|भेज\S*|दीजिए|दें|दो/gu;
+
+// 🔍 Which document is asked for? null when the message isn't about one
+function parseDocumentRequest(text) {
+  const normalized = String(text || '').normalize('NFC').toLowerCase().trim();
+  if (BROCHURE_PATTERN.test(normalized)) {
+    return {
+      document: 'brochure',
+      coursePhrase: extractCoursePhrase(normalized.replace(BROCHURE_PATTERN, ' ').replace(SEND_WORDS, ' '))
+    };
+  }
+  if (CALENDAR_PATTERN.test(normalized)) {
+    return { document: 'calendar' };
+  }
+  return null;
+}
+
+// The course named in the request, else the last course the user looked at
+function requestedCourse(ctx, coursePhrase) {
+  if (coursePhrase) {
+    const courseMatch = matchCourses(coursePhrase, ctx.courses.getAll());
+    return courseMatch.confident ? courseMatch.best.course : null;
+  }
+  const lastCourseId = ctx.session && ctx.session.context.lastCourseId;
+  return lastCourseId ? ctx.courses.getById(lastCourseId) : null;
+}
+
+module.exports = {
+  name: 'documents',
+  priority: 42, // before the date handler: "training calendar" is the file, not a date question
+
+  match: (ctx) => parseDocumentRequest(ctx.text),
+
+  async handle(ctx, request) {
+    if (request.document === 'calendar') {
+      console.log('🗓️ CALENDAR REQUESTED:', ctx.userId, ctx.courses.audience);
+      const calendar = calendarMessage(ctx.courses.audience, t(ctx.language, 'calendarCaption'));
+      return { intent: 'calendar', messageType: calendar.messageType, response: calendar.message };
+    }
+
+    const course = requestedCourse(ctx, request.coursePhrase);
+    if (!course) {
+      return { intent: 'brochure', response: t(ctx.language, 'brochureWhichCourse') };
+    }
+    ctx.turn.course = course.name;
+    await rememberLastCourse(ctx.userId, course);
+
+    const brochure = brochureMessage(course, t(ctx.language, 'brochureCaption', { courseName: course.name }));
+    console.log('📘 BROCHURE REQUESTED:', ctx.userId, course.name, brochure ? brochure.messageType : 'none');
+    if (brochure) {
+      return { intent: 'brochure', messageType: brochure.messageType, response: brochure.message };
+    }
+    return {
+      intent: 'brochure',
+      response: course.registrationLink
+        ? t(ctx.language, 'brochureLink', { courseName: course.name, link: course.registrationLink })
+        : t(ctx.language, 'brochureUnavailable', { courseName: course.name })
+    };
+  },
+
+  parseDocumentRequest
+};
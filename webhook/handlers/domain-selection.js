@@ -0,0 +1,65 @@
+// 🎯 DOMAIN SELECTION HANDLERS - "domain 2" / "domain 1 page 2" and plain numbers ("2") open a domain's course list
+
+const metaApi = require('../meta-api');
+const { getDomains, getDomain, getDomainChoicesText, getDomainCourseList, isDomainSelection } = require('../domain-definitions');
+const { t } = require('../messages');
+const { setUserContext } = require('../user-context');
+
+// Open a domain's course list and remember it, so numbers pick courses from it next
+async function openDomain(ctx, domainNumber, page = 1) {
+  await setUserContext(ctx.userId, domainNumber, page);
+  console.log('🎯 User context set:', ctx.userId, '-> Domain', domainNumber);
+
+  return {
+    messageType: 'interactive',
+    response: metaApi.buildListMessage(getDomainCourseList(domainNumber, page, ctx.language, ctx.courses))
+  };
+}
+
+const domainSelection = {
+  name: 'domain_selection',
+  priority: 80,
+
+  match(ctx) {
+    const selection = isDomainSelection(ctx.text);
+    return selection.isDomain ? selection : null;
+  },
+
+  async handle(ctx, selection) {
+    console.log('🎯 DOMAIN SELECTION DETECTED:', ctx.text, '-> Domain', selection.domainNumber);
+
+    if (!getDomain(selection.domainNumber, ctx.courses)) {
+      console.log('❌ Invalid domain number:', selection.domainNumber);
+      return {
+        response: t(ctx.language, 'invalidDomain', { count: getDomains(ctx.courses).length, choices: getDomainChoicesText('domain ', ctx.language, ctx.courses) })
+      };
+    }
+    return openDomain(ctx, selection.domainNumber, selection.page);
+  }
+};
+
+const simpleNumber = {
+  name: 'simple_number',
+  priority: 90,
+
+  match: (ctx) => /^\d+$/.test(ctx.text.trim()),
+
+  async handle(ctx) {
+    const number = parseInt(ctx.text.trim());
+    console.log('🔢 SIMPLE NUMBER DETECTED:', number);
+
+    if (number < 1 || number > getDomains(ctx.courses).length) {
+      console.log('❌ Number out of range:', number);
+      return {
+        intent: 'domain_selection',
+        response: t(ctx.language, 'invalidNumber', { count: getDomains(ctx.courses).length, choices: getDomainChoicesText('', ctx.language, ctx.courses) })
+      };
+    }
+    return { ...(await openDomain(ctx, number)), intent: 'domain_selection' };
+  }
+};
+
+module.exports = {
+  domainSelection,
+  simpleNumber
+};
@@ -0,0 +1,347 @@
+// 📝 ENQUIRY HANDLER - "enrol in SMS": collect the participant's details step by step, confirm, save
+//
+// While an enquiry is in progress every message is an answer to the current question, so this
+// handler runs first. Its state lives in the session (context.enquiry) and expires after
+// ENQUIRY_TTL of silence, so an abandoned enquiry never swallows later questions.
+// Navigation ("menu", "back", "hi", "show all courses", "language") is never taken as an answer:
+// it ends the enquiry and the handler for that command answers instead.
+// Typing a saved reference number ("IAA-251120-K7QM") shows that enquiry again.
+
+const metaApi = require('../meta-api');
+const { t, normalizeDigits } = require('../messages');
+const { formatDateDMY, todayISODate } = require('../date-utils');
+const { detectCourseIntent } = require('../intent-detector');
+const { matchCourses } = require('../course-matcher');
+const { rememberLastCourse } = require('../user-context');
+const { getSessionStore } = require('../stores/session-store');
+const { getEnquiryStore } = require('../stores/enquiry-store');
+const { PARTICIPANTS_PATTERN, PARTICIPANT_WORDS_PATTERN } = require('../fee-calculator');
+const greeting = require('./greeting');
+const language = require('./language');
+const back = require('./back');
+const showAllCourses = require('./show-all-courses');
+const {
+  SLOTS, SLOT_NAMES, upcomingBatches, maxParticipants,
+  findSlotToChange, validateAnswer, generateReference, findReference
+} = require('../enquiry-flow');
+
+const ENQUIRY_TTL = 30 * 60 * 1000; // 30 minutes without an answer cancels the enquiry
+const MAX_BATCH_ROWS = 9; // WhatsApp allows 10 list rows; the last one is "Any batch"
+
+// "enrol in SMS", "I want to nominate 3 officers", "apply for GeM", "SMS में नामांकन"
+const START_PATTERN = /\b(enrol{1,2}(ment|ing|s)?|nominat(e|ion|ions)|register(\s+me)?|apply|admission|book\s+(a\s+)?seats?)\b|नामांकन|दाखिला|आवेदन/u;
+const FORM_PATTERN = /\bform\b|फ़ॉर्म|फॉर्म/u; // "registration form" is for the form handler
+const CANCEL_PATTERN = /^(cancel|stop|exit|quit|enquiry cancel|रद्द|रद्द करें|बंद)$/u;
+// "3 officers", "five participants" are the head count, not part of the course name
+const HEAD_COUNT_PATTERN = new RegExp(PARTICIPANTS_PATTERN.source, 'gu');
+const PARTICIPANT_WORDS = new RegExp(PARTICIPANT_WORDS_PATTERN.source, 'gu');
+const CONFIRM_PATTERN = /^(confirm|yes|y|ok|okay|submit|send|haan|han|enquiry confirm|हाँ|हां|पुष्टि|पुष्टि करें)$/u;
+
+const PROMPT_KEYS = {
+  participantName: 'enquiryAskParticipantName',
+  organisation: 'enquiryAskOrganisation',
+  designation: 'enquiryAskDesignation',
+  email: 'enquiryAskEmail',
+  participants: 'enquiryAskParticipants',
+  batch: 'enquiryAskBatch'
+};
+
+const normalize = (text) => String(text || '').normalize('NFC').toLowerCase().trim().replace(/[.!।]+$/u, '').replace(/\s+/g, ' ');
+
+// The enquiry in progress, or null when there is none (or it was abandoned)
+function activeEnquiry(ctx) {
+  const state = ctx.session && ctx.session.context.enquiry;
+  return state && state.expiresAt > Date.now() ? state : null;
+}
+
+async function saveState(ctx, state) {
+  await getSessionStore().update(ctx.userId, { context: { enquiry: { ...state, expiresAt: Date.now() + ENQUIRY_TTL } } });
+}
+
+async function clearState(ctx) {
+  await getSessionStore().update(ctx.userId, { context: { enquiry: null } });
+}
+
+// The first question not answered yet; the batch question is skipped when nothing is scheduled
+function nextStep(state, course, today) {
+  if (!course) {
+    return 'course';
+  }
+  if (!Object.prototype.hasOwnProperty.call(state.answers, 'batch') && upcomingBatches(course, today).length === 0) {
+    state.answers.batch = null;
+  }
+  return SLOT_NAMES.find(name => !Object.prototype.hasOwnProperty.call(state.answers, name)) || 'summary';
+}
+
+// "• *Name:* Ravi Kumar" lines for the summary and the status reply
+function describeEnquiry(language, { courseName, participantName, organisation, designation, email, participants, batch }) {
+  const batchText = batch
+    ? t(language, 'dateRange', { start: formatDateDMY(batch.start), end: formatDateDMY(batch.end) })
+    : t(language, 'enquiryAnyBatch');
+  return [
+    ['enquiryFieldCourse', courseName],
+    ['enquiryFieldName', participantName],
+    ['enquiryFieldOrganisation', organisation],
+    ['enquiryFieldDesignation', designation],
+    ['enquiryFieldEmail', email],
+    ['enquiryFieldParticipants', participants],
+    ['enquiryFieldBatch', batchText]
+  ].map(([label, value]) => `• *${t(language, label)}:* ${value}`).join('\n');
+}
+
+// ❓ The reply asking the current question (intro is shown above it, e.g. an error or the welcome)
+function ask(ctx, state, course, intro = '') {
+  const language = ctx.language;
+  const prefix = intro ? `${intro}\n\n` : '';
+
+  if (state.step === 'course') {
+    return { intent: 'enquiry_step', response: prefix + t(language, 'enquiryWhichCourse') };
+  }
+
+  if (state.step === 'summary') {
+    return {
+      intent: 'enquiry_summary',
+      messageType: 'interactive',
+      response: metaApi.buildReplyButtonsMessage({
+        body: prefix + t(language, 'enquirySummary', { lines: describeEnquiry(language, { courseName: course.name, ...state.answers }) }),
+        buttons: [
+          { id: 'enquiry confirm', title: t(language, 'enquiryConfirmButton') },
+          { id: 'enquiry cancel', title: t(language, 'enquiryCancelButton') }
+        ]
+      })
+    };
+  }
+
+  const today = todayISODate(ctx.now);
+  const total = upcomingBatches(course, today).length > 0 ? SLOTS.length : SLOTS.length - 1;
+  const prompt = t(language, PROMPT_KEYS[state.step], { step: SLOT_NAMES.indexOf(state.step) + 1, total, max: maxParticipants(course) });
+
+  if (state.step !== 'batch') {
+    return { intent: 'enquiry_step', response: prefix + prompt };
+  }
+
+  return {
+    intent: 'enquiry_step',
+    messageType: 'interactive',
+    response: metaApi.buildListMessage({
+      body: prefix + prompt,
+      buttonText: t(language, 'enquiryBatchButton'),
+      sections: [{
+        title: t(language, 'enquiryBatchesSection'),
+        rows: [
+          ...upcomingBatches(course, today).slice(0, MAX_BATCH_ROWS).map(batch => ({
+            id: `enquiry batch ${batch.start}`,
+            title: formatDateDMY(batch.start),
+            description: t(language, 'dateRange', { start: formatDateDMY(batch.start), end: formatDateDMY(batch.end) })
+          })),
+          { id: 'enquiry batch any', title: t(language, 'enquiryAnyBatch'), description: t(language, 'enquiryAnyBatchDescription') }
+        ]
+      }]
+    })
+  };
+}
+
+// Commands that leave the enquiry, whatever question was asked
+const NAVIGATION_HANDLERS = [greeting, language, back, showAllCourses];
+
+async function isNavigation(ctx) {
+  for (const handler of NAVIGATION_HANDLERS) {
+    if (await handler.match(ctx)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The course named in the message ("I want to nominate 3 officers for SMS" -> SMS), or null
+function findCourseInText(text, courses) {
+  const phrase = normalizeDigits(normalize(text))
+    .replace(START_PATTERN, ' ')
+    .replace(HEAD_COUNT_PATTERN, ' ')
+    .replace(PARTICIPANT_WORDS, ' ');
+  const { coursePhrase } = detectCourseIntent(phrase);
+  if (!coursePhrase) {
+    return { course: null, coursePhrase };
+  }
+  const courseMatch = matchCourses(coursePhrase, courses.getAll());
+  return { course: courseMatch.confident ? courseMatch.best.course : null, coursePhrase };
+}
+
+// ✅ Save the confirmed enquiry under a new reference number
+async function submit(ctx, state, course) {
+  const store = getEnquiryStore();
+  const { batch, ...answers } = state.answers;
+  let saved = null;
+
+  // References are random, so a clash is rare - try a couple of times
+  for (let attempt = 1; attempt <= 3 && !saved; attempt++) {
+    try {
+      saved = await store.add({
+        reference: generateReference(ctx.now),
+        userId: ctx.userId,
+        phone: ctx.from,
+        userName: ctx.userName,
+        language: ctx.language,
+        courseId: course.id,
+        courseName: course.name,
+        ...answers,
+        batchStart: batch ? batch.start : null,
+        batchEnd: batch ? batch.end : null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save enquiry (attempt ${attempt}):`, error.message);
+    }
+  }
+
+  if (!saved) {
+    return { intent: 'enquiry_summary', response: t(ctx.language, 'enquirySaveFailed') };
+  }
+
+  await clearState(ctx);
+  console.log('📝 ENQUIRY SAVED:', saved.reference, course.name, ctx.userId);
+  return {
+    intent: 'enquiry_submitted',
+    response: t(ctx.language, 'enquirySaved', { reference: saved.reference, courseName: course.name, email: saved.email })
+  };
+}
+
+// 💬 One answer inside an enquiry in progress
+async function continueEnquiry(ctx, state) {
+  const text = normalize(ctx.text);
+  const repository = ctx.courses;
+  const today = todayISODate(ctx.now);
+  let course = state.courseId ? repository.getById(state.courseId) : null;
+
+  if (CANCEL_PATTERN.test(text) || (state.step === 'summary' && text === 'no')) {
+    await clearState(ctx);
+    console.log('🛑 ENQUIRY CANCELLED:', ctx.userId);
+    return { intent: 'enquiry_cancelled', response: t(ctx.language, 'enquiryCancelled') };
+  }
+
+  // "menu" or "hi" is not a name: leave the enquiry and let that command's handler answer
+  if (await isNavigation(ctx)) {
+    await clearState(ctx);
+    console.log('🛑 ENQUIRY LEFT FOR NAVIGATION:', ctx.userId, text);
+    return null;
+  }
+
+  // The course was removed from the calendar while the user was answering
+  if (state.courseId && !course) {
+    state = { ...state, courseId: null, step: 'course' };
+  }
+
+  if (state.step === 'course') {
+    course = findCourseInText(ctx.text, ctx.courses).course;
+    if (!course) {
+      await saveState(ctx, state);
+      return ask(ctx, state, null, t(ctx.language, 'enquiryCourseNotFound'));
+    }
+    await rememberLastCourse(ctx.userId, course);
+    const next = { ...state, courseId: course.id };
+    next.step = nextStep(next, course, today);
+    await saveState(ctx, next);
+    return ask(ctx, next, course, t(ctx.language, 'enquiryStart', { courseName: course.name }));
+  }
+  ctx.turn.course = course.name;
+
+  // "change email" works on the summary and while answering later questions
+  const slotToChange = findSlotToChange(ctx.text);
+  if (slotToChange && Object.prototype.hasOwnProperty.call(state.answers, slotToChange.name)) {
+    const next = { ...state, step: slotToChange.name, returnToSummary: true };
+    await saveState(ctx, next);
+    return ask(ctx, next, course);
+  }
+
+  if (state.step === 'summary') {
+    if (CONFIRM_PATTERN.test(text)) {
+      return submit(ctx, state, course);
+    }
+    await saveState(ctx, state);
+    return ask(ctx, state, course);
+  }
+
+  const result = validateAnswer(state.step, ctx.text, { course, now: ctx.now });
+  if (result.error) {
+    await saveState(ctx, state);
+    return { ...ask(ctx, state, course, t(ctx.language, result.error, result.params)), intent: 'enquiry_invalid' };
+  }
+
+  const next = { ...state, answers: { ...state.answers, [state.step]: result.value } };
+  next.step = state.returnToSummary ? 'summary' : nextStep(next, course, today);
+  if (next.step === 'summary') {
+    next.returnToSummary = false;
+  }
+  await saveState(ctx, next);
+  return ask(ctx, next, course);
+}
+
+// 🔖 "IAA-251120-K7QM" - show the user's own enquiry
+async function showEnquiry(ctx, reference) {
+  const enquiry = await getEnquiryStore().getByReference(reference);
+  if (!enquiry || enquiry.userId !== ctx.userId) {
+    return { intent: 'enquiry_status', response: t(ctx.language, 'enquiryNotFound', { reference }) };
+  }
+
+  const statusKey = { new: 'enquiryStatusNew', contacted: 'enquiryStatusContacted', closed: 'enquiryStatusClosed' }[enquiry.status] || 'enquiryStatusNew';
+  ctx.turn.course = enquiry.courseName;
+  return {
+    intent: 'enquiry_status',
+    response: t(ctx.language, 'enquiryStatus', {
+      reference,
+      status: t(ctx.language, statusKey),
+      lines: describeEnquiry(ctx.language, {
+        ...enquiry,
+        batch: enquiry.batchStart ? { start: enquiry.batchStart, end: enquiry.batchEnd } : null
+      })
+    })
+  };
+}
+
+// ▶️ "enrol in SMS" - start a new enquiry (about the course named, or the last course shown)
+async function startEnquiry(ctx) {
+  const { course: namedCourse, coursePhrase } = findCourseInText(ctx.text, ctx.courses);
+  const lastCourseId = ctx.session && ctx.session.context.lastCourseId;
+  const course = namedCourse || (!coursePhrase && lastCourseId ? ctx.courses.getById(lastCourseId) : null);
+
+  const state = { courseId: course ? course.id : null, answers: {}, language: ctx.language, returnToSummary: false };
+  state.step = nextStep(state, course, todayISODate(ctx.now));
+  await saveState(ctx, state);
+  console.log('📝 ENQUIRY STARTED:', ctx.userId, course ? course.name : '(course to be asked)');
+
+  if (!course) {
+    return ask(ctx, state, null);
+  }
+  ctx.turn.course = course.name;
+  await rememberLastCourse(ctx.userId, course);
+  return { ...ask(ctx, state, course, t(ctx.language, 'enquiryStart', { courseName: course.name })), intent: 'enquiry_start' };
+}
+
+module.exports = {
+  name: 'enquiry',
+  priority: 5, // before everything else: answers like "Ravi Kumar" or "5" must not look like searches
+
+  match(ctx) {
+    const state = activeEnquiry(ctx);
+    if (state) {
+      return { state };
+    }
+    const reference = findReference(ctx.text);
+    if (reference) {
+      return { reference };
+    }
+    const text = normalize(ctx.text);
+    return START_PATTERN.test(text) && !FORM_PATTERN.test(text) ? { start: true } : null;
+  },
+
+  async handle(ctx, match) {
+    if (match.state) {
+      // Keep the language the enquiry started in, whatever script the answers are typed in
+      ctx.language = ctx.turn.language = match.state.language || ctx.language;
+      return continueEnquiry(ctx, match.state);
+    }
+    if (match.reference) {
+      return showEnquiry(ctx, match.reference);
+    }
+    return startEnquiry(ctx);
+  }
+};
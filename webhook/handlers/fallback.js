@@ -0,0 +1,16 @@
+// 🤔 FALLBACK HANDLER - Nothing else answered: point the user to the enquiry form
+// Replies with intent "fallback" are logged for the unanswered-questions report.
+
+const { t } = require('../messages');
+
+module.exports = {
+  name: 'fallback',
+  priority: Number.MAX_SAFE_INTEGER, // always last
+
+  match: () => true,
+
+  async handle(ctx) {
+    console.log('🚀 ===== SENDING FINAL FALLBACK RESPONSE =====');
+    return { response: t(ctx.language, 'fallback', { userName: ctx.userName }) };
+  }
+};
@@ -0,0 +1,107 @@
+// 🧮 FEE CALCULATOR HANDLER - "calculate fee for SMS for 5 participants with single room"
+// Works out the course fee (group rate when it applies), hostel charges and GST as an itemised
+// estimate. Without a course name it uses the last course the user looked at. A head count of 0
+// is asked again, and groups above MAX_PARTICIPANTS get no estimate - the training team quotes those.
+
+const { t } = require('../messages');
+const { detectCourseIntent } = require('../intent-detector');
+const { matchCourses } = require('../course-matcher');
+const { rememberLastCourse } = require('../user-context');
+const {
+  GROUP_DISCOUNT_MIN_PARTICIPANTS, MAX_PARTICIPANTS, formatRupees, parseFeeQuery, removeFeeQueryWords, calculateQuote
+} = require('../fee-calculator');
+
+// 📄 The itemised estimate
+function formatQuote(course, quote, language) {
+  const lines = [
+    t(language, 'feeQuoteTitle', { courseName: course.name, participants: quote.participants, days: quote.days }),
+    t(language, 'feeQuoteTuition', {
+      rate: formatRupees(quote.tuitionRate),
+      days: quote.days,
+      participants: quote.participants,
+      amount: formatRupees(quote.tuition)
+    })
+  ];
+
+  if (quote.groupDiscount) {
+    lines.push(t(language, 'feeQuoteGroupRate', { min: GROUP_DISCOUNT_MIN_PARTICIPANTS }));
+  } else if (quote.groupDiscountAvailable) {
+    lines.push(t(language, 'feeQuoteStandardRate', { min: GROUP_DISCOUNT_MIN_PARTICIPANTS }));
+  }
+
+  if (!quote.hostel) {
+    lines.push(t(language, 'feeQuoteHostelHint'));
+  } else {
+    const occupancy = t(language, quote.hostel.occupancy === 'single' ? 'feeQuoteSingle' : 'feeQuoteDouble');
+    if (quote.hostel.unavailable) {
+      lines.push(t(language, 'feeQuoteHostelUnavailable', { occupancy, hostelCharges: course.hostelCharges || t(language, 'notAvailable') }));
+    } else {
+      lines.push(t(language, 'feeQuoteHostel', {
+        occupancy,
+        rate: formatRupees(quote.hostel.rate),
+        nights: quote.hostel.nights,
+        participants: quote.participants,
+        amount: formatRupees(quote.hostel.amount)
+      }));
+      if (quote.hostel.nightsAssumed) {
+        lines.push(t(language, 'feeQuoteNightsAssumed', { nights: quote.hostel.nights }));
+      }
+      if (quote.hostel.gst > 0) {
+        lines.push(t(language, 'feeQuoteHostelGst', { percent: quote.hostel.gstPercent, amount: formatRupees(quote.hostel.gst) }));
+      }
+    }
+  }
+
+  lines.push('', t(language, 'feeQuoteTotal', { total: formatRupees(quote.total) }), t(language, 'feeQuoteGstNote'), '', t(language, 'feeQuoteFooter'));
+  return lines.join('\n');
+}
+
+module.exports = {
+  name: 'fee_calculator',
+  priority: 52, // before the date and number handlers: "5 participants" is a head count
+
+  match: (ctx) => parseFeeQuery(ctx.text),
+
+  async handle(ctx, query) {
+    const repository = ctx.courses;
+    const { coursePhrase } = detectCourseIntent(removeFeeQueryWords(ctx.text));
+    const courseMatch = coursePhrase ? matchCourses(coursePhrase, repository.getAll()) : null;
+    const lastCourseId = ctx.session && ctx.session.context.lastCourseId;
+
+    let course = null;
+    if (courseMatch && courseMatch.confident) {
+      course = courseMatch.best.course;
+    } else if (!coursePhrase && lastCourseId) {
+      course = repository.getById(lastCourseId);
+    }
+
+    if (!course) {
+      return { intent: 'fee_quote', response: t(ctx.language, 'feeQuoteWhichCourse') };
+    }
+
+    ctx.turn.course = course.name;
+    await rememberLastCourse(ctx.userId, course);
+
+    if (query.participants < 1) {
+      return {
+        intent: 'fee_quote',
+        response: t(ctx.language, 'feeQuoteInvalidParticipants', { courseName: course.name, max: MAX_PARTICIPANTS })
+      };
+    }
+
+    if (query.participants > MAX_PARTICIPANTS) {
+      return {
+        intent: 'fee_quote',
+        response: t(ctx.language, 'feeQuoteTooManyParticipants', { courseName: course.name, participants: query.participants, max: MAX_PARTICIPANTS })
+      };
+    }
+
+    const quote = calculateQuote(course, query);
+    if (!quote) {
+      return { intent: 'fee_quote', response: t(ctx.language, 'feeQuoteNotAvailable', { courseName: course.name }) };
+    }
+
+    console.log(`🧮 FEE QUOTE: ${course.name} x${quote.participants}${quote.hostel ? ` + ${quote.hostel.occupancy} room` : ''} = ${quote.total}`);
+    return { intent: 'fee_quote', response: formatQuote(course, quote, ctx.language) };
+  }
+};
@@ -0,0 +1,22 @@
+// 📋 FORM HANDLER - Sends the registration / enquiry form link
+
+const { t } = require('../messages');
+
+const FORM_KEYWORDS = [
+  'form please', 'give form', 'send form', 'form link', 'form url',
+  'registration form', 'application form', 'enrollment form',
+  'फ़ॉर्म', 'फॉर्म', 'पंजीकरण'
+];
+
+module.exports = {
+  name: 'form',
+  priority: 40,
+
+  // Word boundary for plain "form" so "format" doesn't count
+  match: (ctx) => FORM_KEYWORDS.some(keyword => ctx.text.toLowerCase().includes(keyword)) || /\bform\b/i.test(ctx.text),
+
+  async handle(ctx) {
+    console.log('📋 FORM REQUEST DETECTED - Sending registration form link');
+    return { response: t(ctx.language, 'fallback', { userName: ctx.userName }) };
+  }
+};
@@ -0,0 +1,24 @@
+// 👋 GOODBYE HANDLER - Thank-you / goodbye messages (must run before the course search)
+
+const { t } = require('../messages');
+
+const GOODBYE_KEYWORDS = [
+  'thank you', 'thanks', 'thankyou', 'thx',
+  'goodbye', 'bye', 'good bye', 'see you', 'see ya',
+  'tata', 'tata bye', 'bye bye', 'take care',
+  'have a good day', 'have a nice day', 'good day',
+  'appreciate', 'grateful', 'much appreciated',
+  'dhanyavad', 'dhanyawad', 'shukriya', 'धन्यवाद', 'शुक्रिया', 'अलविदा', 'फिर मिलेंगे'
+];
+
+module.exports = {
+  name: 'goodbye',
+  priority: 100,
+
+  match: (ctx) => GOODBYE_KEYWORDS.some(keyword => ctx.text.toLowerCase().includes(keyword)),
+
+  async handle(ctx) {
+    console.log('👋 GOODBYE MESSAGE DETECTED - Sending thank you response');
+    return { response: t(ctx.language, 'goodbye', { userName: ctx.userName }) };
+  }
+};
@@ -0,0 +1,29 @@
+// 👋 GREETING HANDLER - Welcome message with quick reply buttons
+
+const metaApi = require('../meta-api');
+const { t } = require('../messages');
+
+const GREETING_WORDS = ['hi', 'hello', 'hey', 'hii', 'helo', 'namaste', 'namaskar', 'नमस्ते', 'नमस्कार', 'हेलो', 'हाय'];
+
+module.exports = {
+  name: 'greeting',
+  priority: 30,
+
+  match: (ctx) => GREETING_WORDS.includes(ctx.text.toLowerCase().trim()),
+
+  async handle(ctx) {
+    console.log('👋 GREETING DETECTED - Sending welcome response');
+
+    // 🔘 Quick reply buttons send back the same text commands the user could type
+    return {
+      messageType: 'interactive',
+      response: metaApi.buildReplyButtonsMessage({
+        body: t(ctx.language, 'greeting', { userName: ctx.userName }),
+        buttons: [
+          { id: 'show all courses', title: t(ctx.language, 'buttonAllCourses') },
+          { id: 'form', title: t(ctx.language, 'buttonForm') }
+        ]
+      })
+    };
+  }
+};
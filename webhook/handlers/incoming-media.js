@@ -0,0 +1,30 @@
+// 📎 INCOMING MEDIA HANDLER - Polite replies to pictures, files, voice notes, stickers and locations
+// Photos, videos and documents sent with a caption never get here: the caption is answered like a
+// typed message (see extractMedia in meta-api.js).
+
+const { t } = require('../messages');
+
+// Media kind -> reply
+const REPLIES = {
+  image: 'mediaImage',
+  video: 'mediaImage',
+  document: 'mediaDocument',
+  audio: 'mediaAudio',
+  sticker: 'mediaSticker',
+  location: 'mediaLocation'
+};
+
+module.exports = {
+  name: 'incoming_media',
+  priority: 3, // before the enquiry flow: a photo is not an answer to its questions
+
+  match: (ctx) => ctx.media && !ctx.text.trim(),
+
+  async handle(ctx) {
+    console.log('📎 MEDIA MESSAGE RECEIVED:', ctx.userId, ctx.media.kind);
+    return {
+      intent: `media_${ctx.media.kind}`,
+      response: t(ctx.language, REPLIES[ctx.media.kind] || 'mediaOther', { userName: ctx.userName })
+    };
+  }
+};
@@ -0,0 +1,42 @@
+// 🧭 INTENT HANDLERS - Everything the bot can answer, in one list
+// To add an intent: create a handler file here (see intent-router.js for the shape)
+// and add it below. The priority decides when it is tried, not its place in this list.
+
+const incomingMedia = require('./incoming-media');
+const enquiry = require('./enquiry');
+const test = require('./test');
+const language = require('./language');
+const greeting = require('./greeting');
+const form = require('./form');
+const documents = require('./documents');
+const reminders = require('./reminders');
+const back = require('./back');
+const feeCalculator = require('./fee-calculator');
+const batchesByDate = require('./batches-by-date');
+const showAllCourses = require('./show-all-courses');
+const courseNumber = require('./course-number');
+const { domainSelection, simpleNumber } = require('./domain-selection');
+const goodbye = require('./goodbye');
+const courseSearch = require('./course-search');
+const fallback = require('./fallback');
+
+module.exports = [
+  incomingMedia,
+  enquiry,
+  test,
+  language,
+  greeting,
+  form,
+  documents,
+  reminders,
+  back,
+  feeCalculator,
+  batchesByDate,
+  showAllCourses,
+  courseNumber,
+  domainSelection,
+  simpleNumber,
+  goodbye,
+  courseSearch,
+  fallback
+];
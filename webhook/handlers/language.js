@@ -0,0 +1,36 @@
+// 🌐 LANGUAGE HANDLER - "language" / "भाषा" shows the choice, "language hi" / "हिंदी" switches directly
+
+const metaApi = require('../meta-api');
+const { t, parseLanguageCommand } = require('../messages');
+const { getUserPreferenceStore } = require('../stores/user-preference-store');
+
+module.exports = {
+  name: 'language',
+  priority: 20,
+
+  match(ctx) {
+    const command = parseLanguageCommand(ctx.text);
+    return command.isCommand ? command : null;
+  },
+
+  async handle(ctx, command) {
+    if (command.language) {
+      console.log('🌐 LANGUAGE SWITCH:', ctx.userId, '->', command.language);
+      await getUserPreferenceStore().update(ctx.userId, { language: command.language });
+      ctx.language = ctx.turn.language = command.language;
+      return { response: t(ctx.language, 'languageSwitched') };
+    }
+
+    console.log('🌐 LANGUAGE MENU REQUESTED');
+    return {
+      messageType: 'interactive',
+      response: metaApi.buildReplyButtonsMessage({
+        body: t(ctx.language, 'languageMenu'),
+        buttons: [
+          { id: 'language en', title: 'English' },
+          { id: 'language hi', title: 'हिंदी' }
+        ]
+      })
+    };
+  }
+};
@@ -0,0 +1,210 @@
+// 🔔 REMINDERS HANDLER - "remind me" (about the last course or a named one), "my reminders", "stop reminders"
+// The batch list rows send back "remind me <course id> <start date>", which subscribes directly.
+// The reminders themselves are sent by reminder-scheduler.js.
+
+const metaApi = require('../meta-api');
+const { t } = require('../messages');
+const { formatDateDMY, todayISODate, daysBetween } = require('../date-utils');
+const { detectCourseIntent } = require('../intent-detector');
+const { matchCourses } = require('../course-matcher');
+const { rememberLastCourse } = require('../user-context');
+const { getReminderStore } = require('../stores/reminder-store');
+const { REMINDER_DAYS_BEFORE } = require('../reminder-scheduler');
+
+const MAX_BATCH_ROWS = 10; // WhatsApp list limit
+
+// "remind me", "set a reminder", "notify me", "yaad dilana", "याद दिलाएं", "रिमाइंडर सेट करें"
+const SUBSCRIBE_PATTERN = /\b(remind\s+me|set\s+(a\s+)?reminders?|notify\s+me|alert\s+me|yaad\s+dila\w*)\b|याद\s*दिला\S*|रिमाइंडर\s+(सेट|लगा)\S*/u;
+// "my reminders", "show my reminders", "reminders", "मेरे रिमाइंडर"
+const LIST_PATTERN = /^((show|list|see|view)\s+)?((my|mere|all)\s+)?reminders?$|^(मेरे|सभी)\s+रिमाइंडर$/u;
+// "stop reminders", "cancel reminder 2", "reminder band karo", "रिमाइंडर 1 बंद करें"
+const STOP_PATTERNS = [
+  /^(stop|cancel|remove|delete|turn\s+off)\s+((all|my)\s+)?reminders?(\s+(no\.?\s*|number\s+)?(?<index>\d+))?$/,
+  /^((all|my|mere)\s+)?reminders?\s*(?<index>\d+)?\s*(band|cancel|stop)(\s+kar\w*)?$/,
+  /^((मेरे|सभी)\s+)?रिमाइंडर\s*(?<index>\d+)?\s*(बंद|रद्द)(\s*कर\S*)?$/u
+];
+const BATCH_COMMAND = /^remind me (\S+) (\d{4}-\d{2}-\d{2})$/;
+
+// 🔍 Which reminder command is this? null when it isn't one
+function parseReminderCommand(text) {
+  const normalized = String(text || '').normalize('NFC').toLowerCase().trim()
+    .replace(/[?.!।]+$/u, '')
+    .replace(/\s+/g, ' ');
+
+  const batch = normalized.match(BATCH_COMMAND);
+  if (batch) {
+    return { action: 'subscribeBatch', courseId: batch[1], start: batch[2] };
+  }
+  if (LIST_PATTERN.test(normalized)) {
+    return { action: 'list' };
+  }
+  for (const pattern of STOP_PATTERNS) {
+    const stop = normalized.match(pattern);
+    if (stop) {
+      return { action: 'stop', index: stop.groups.index ? parseInt(stop.groups.index, 10) : null };
+    }
+  }
+  if (SUBSCRIBE_PATTERN.test(normalized)) {
+    // Whatever is left after the command and question words may name the course
+    return { action: 'subscribe', coursePhrase: detectCourseIntent(normalized.replace(SUBSCRIBE_PATTERN, ' ')).coursePhrase };
+  }
+  return null;
+}
+
+// Active reminders for batches that haven't started yet, in the order "my reminders" numbers them
+async function upcomingReminders(ctx) {
+  const today = todayISODate(ctx.now);
+  return (await getReminderStore().listByUser(ctx.userId)).filter(subscription => subscription.batchStart >= today);
+}
+
+// ✅ Save the subscription for one batch
+async function subscribe(ctx, course, batch) {
+  const daysLeft = daysBetween(todayISODate(ctx.now), batch.start);
+  const { created } = await getReminderStore().subscribe({
+    userId: ctx.userId,
+    to: ctx.from,
+    userName: ctx.userName,
+    language: ctx.language,
+    courseId: course.id,
+    courseName: course.name,
+    batchStart: batch.start,
+    batchEnd: batch.end,
+    // Too close for a separate reminder - this confirmation is the reminder
+    remindedAt: daysLeft <= REMINDER_DAYS_BEFORE ? ctx.now : null
+  });
+  console.log(`🔔 REMINDER ${created ? 'SET' : 'ALREADY SET'}:`, ctx.userId, course.name, batch.start);
+
+  const dates = { courseName: course.name, start: formatDateDMY(batch.start), end: formatDateDMY(batch.end) };
+  if (!created) {
+    return { intent: 'reminder_subscribe', response: t(ctx.language, 'reminderAlreadySubscribed', dates) };
+  }
+  return {
+    intent: 'reminder_subscribe',
+    response: daysLeft <= REMINDER_DAYS_BEFORE
+      ? t(ctx.language, 'reminderSubscribedSoon', { ...dates, days: daysLeft })
+      : t(ctx.language, 'reminderSubscribed', { ...dates, daysBefore: REMINDER_DAYS_BEFORE })
+  };
+}
+
+// 📋 Let the user pick one of the course's upcoming batches (or subscribe straight away if there is one)
+async function chooseBatch(ctx, course) {
+  const today = todayISODate(ctx.now);
+  const upcoming = course.batches.filter(batch => batch.start > today);
+  ctx.turn.course = course.name;
+  await rememberLastCourse(ctx.userId, course);
+
+  if (upcoming.length === 0) {
+    return { intent: 'reminder_subscribe', response: t(ctx.language, 'reminderNoBatches', { courseName: course.name }) };
+  }
+  if (upcoming.length === 1) {
+    return subscribe(ctx, course, upcoming[0]);
+  }
+
+  return {
+    intent: 'reminder_choose_batch',
+    messageType: 'interactive',
+    response: metaApi.buildListMessage({
+      body: t(ctx.language, 'reminderChooseBatch', { courseName: course.name }),
+      buttonText: t(ctx.language, 'reminderChooseButton'),
+      sections: [{
+        title: t(ctx.language, 'reminderBatchesSection'),
+        rows: upcoming.slice(0, MAX_BATCH_ROWS).map(batch => ({
+          id: `remind me ${course.id} ${batch.start}`,
+          title: formatDateDMY(batch.start),
+          description: t(ctx.language, 'reminderBatchRow', {
+            start: formatDateDMY(batch.start),
+            end: formatDateDMY(batch.end),
+            days: course.days || daysBetween(batch.start, batch.end) + 1
+          })
+        }))
+      }]
+    })
+  };
+}
+
+const actions = {
+  // "remind me <course id> <date>" from a batch list row
+  async subscribeBatch(ctx, command) {
+    const course = ctx.courses.getById(command.courseId);
+    const batch = course && course.batches.find(candidate => candidate.start === command.start);
+    if (!batch || batch.start <= todayISODate(ctx.now)) {
+      return { intent: 'reminder_subscribe', response: t(ctx.language, 'reminderBatchGone') };
+    }
+    ctx.turn.course = course.name;
+    return subscribe(ctx, course, batch);
+  },
+
+  // "remind me" / "remind me about SMS"
+  async subscribe(ctx, command) {
+    const repository = ctx.courses;
+    if (command.coursePhrase) {
+      const courseMatch = matchCourses(command.coursePhrase, repository.getAll());
+      if (courseMatch.confident) {
+        return chooseBatch(ctx, courseMatch.best.course);
+      }
+    }
+
+    const lastCourseId = ctx.session && ctx.session.context.lastCourseId;
+    const lastCourse = lastCourseId ? repository.getById(lastCourseId) : null;
+    if (lastCourse && !command.coursePhrase) {
+      return chooseBatch(ctx, lastCourse);
+    }
+    return { intent: 'reminder_subscribe', response: t(ctx.language, 'reminderWhichCourse') };
+  },
+
+  async list(ctx) {
+    const reminders = await upcomingReminders(ctx);
+    if (reminders.length === 0) {
+      return { intent: 'reminder_list', response: t(ctx.language, 'remindersNone') };
+    }
+
+    const lines = reminders.map((subscription, idx) => t(ctx.language, 'reminderLine', {
+      index: idx + 1,
+      courseName: subscription.courseName,
+      start: formatDateDMY(subscription.batchStart),
+      end: formatDateDMY(subscription.batchEnd)
+    }));
+    return {
+      intent: 'reminder_list',
+      response: `${t(ctx.language, 'remindersTitle', { count: reminders.length })}\n\n${lines.join('\n\n')}\n\n${t(ctx.language, 'remindersHint')}`
+    };
+  },
+
+  async stop(ctx, command) {
+    const store = getReminderStore();
+    const reminders = await upcomingReminders(ctx);
+    if (reminders.length === 0) {
+      return { intent: 'reminder_stop', response: t(ctx.language, 'remindersNone') };
+    }
+
+    if (command.index !== null) {
+      const subscription = reminders[command.index - 1];
+      if (!subscription) {
+        return { intent: 'reminder_stop', response: t(ctx.language, 'reminderNotFound', { index: command.index, count: reminders.length }) };
+      }
+      await store.update(subscription.id, { status: 'stopped' });
+      console.log('🔕 REMINDER STOPPED:', ctx.userId, subscription.courseName, subscription.batchStart);
+      return {
+        intent: 'reminder_stop',
+        response: t(ctx.language, 'reminderStopped', { courseName: subscription.courseName, start: formatDateDMY(subscription.batchStart) })
+      };
+    }
+
+    // Everything still active, including batches that started but weren't retired by the scheduler yet
+    const active = await store.listByUser(ctx.userId);
+    await Promise.all(active.map(subscription => store.update(subscription.id, { status: 'stopped' })));
+    console.log('🔕 ALL REMINDERS STOPPED:', ctx.userId, active.length);
+    return { intent: 'reminder_stop', response: t(ctx.language, 'remindersStopped', { count: active.length }) };
+  }
+};
+
+module.exports = {
+  name: 'reminders',
+  priority: 45,
+
+  match: (ctx) => parseReminderCommand(ctx.text),
+
+  handle: (ctx, command) => actions[command.action](ctx, command),
+
+  parseReminderCommand
+};
@@ -0,0 +1,54 @@
+// 🚨 SHOW ALL COURSES HANDLER - Domain menu as a tappable list (each row sends back "domain N")
+// "menu" (and "back" from a domain list) also return here.
+
+const metaApi = require('../meta-api');
+const { getDomainMenuList } = require('../domain-definitions');
+const { t, SUPPORTED_LANGUAGES } = require('../messages');
+const { clearUserContext } = require('../user-context');
+const { getCachedResponse, setCachedResponse, deleteCachedResponse } = require('../response-cache');
+
+const MENU_PHRASES = ['show all courses', 'list all courses', 'all courses', 'courses',
+  'सभी कोर्स', 'सभी पाठ्यक्रम', 'कोर्स सूची', 'पाठ्यक्रम सूची', 'सारे कोर्स', 'कोर्स दिखाओ', 'कोर्स दिखाएं'];
+const MENU_COMMANDS = ['menu', 'main menu', 'back', 'मेनू', 'मेन्यू', 'वापस', 'पीछे'];
+
+// Staff on the internal allow-list see more courses, so each audience has its own menu
+const AUDIENCES = ['public', 'internal'];
+const cacheKey = (language, audience) => `show_all_courses_${audience}_${language}`;
+
+// Drop the cached menus (the course data changed)
+function clearDomainMenuCache() {
+  SUPPORTED_LANGUAGES.forEach(language => AUDIENCES.forEach(audience => deleteCachedResponse(cacheKey(language, audience))));
+}
+
+module.exports = {
+  name: 'show_all_courses',
+  priority: 60,
+
+  match(ctx) {
+    const text = ctx.text.toLowerCase();
+    return MENU_PHRASES.some(phrase => text.includes(phrase)) || MENU_COMMANDS.includes(text.trim());
+  },
+
+  async handle(ctx) {
+    console.log('🚨 SHOW ALL COURSES COMMAND DETECTED!');
+
+    // 🎯 Going back to the main menu resets the domain context
+    await clearUserContext(ctx.userId);
+
+    const cached = getCachedResponse(cacheKey(ctx.language, ctx.courses.audience));
+    if (cached) {
+      return { messageType: 'interactive', response: cached };
+    }
+
+    try {
+      const response = metaApi.buildListMessage(getDomainMenuList(ctx.language, ctx.courses));
+      setCachedResponse(cacheKey(ctx.language, ctx.courses.audience), response);
+      return { messageType: 'interactive', response };
+    } catch (error) {
+      console.error('❌ Error showing course categories:', error);
+      return { response: t(ctx.language, 'menuLoadError') };
+    }
+  },
+
+  clearDomainMenuCache
+};
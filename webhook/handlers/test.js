@@ -0,0 +1,14 @@
+// 🧪 TEST HANDLER - "test" confirms the webhook is reachable end to end
+
+module.exports = {
+  name: 'test',
+  priority: 10,
+
+  match: (ctx) => ctx.text.toLowerCase() === 'test',
+
+  async handle(ctx) {
+    return {
+      response: `🧪 *Test successful!*\n\nYour WhatsApp webhook is working correctly.\n\nMessage received: "${ctx.text}"\nFrom: ${ctx.from} (${ctx.userName})\n\nNow try: "show all courses"`
+    };
+  }
+};
@@ -0,0 +1,88 @@
+// 🎯 INTENT DETECTOR - Which course attribute is the user asking about?
+// Replaces the course_fees / batch_dates / hostel_info / contact_info / course_category
+// intents we used to get from Dialogflow, using local keyword patterns.
+//
+// detectCourseIntent("what is the fee for GeM Procurement")
+//   -> { intents: ['course_fees'], coursePhrase: 'gem procurement' }
+// No attribute mentioned -> intents is empty and the full course card should be shown.
+
+// \b only understands Latin letters, so Hindi words get their own boundary check
+function hindiWords(words) {
+  const alternatives = words.map(word => word.normalize('NFC')).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{M}])(${alternatives})(?![\\p{L}\\p{M}])`, 'gu');
+}
+
+// Patterns are checked in this order and each match is removed from the text,
+// so "hostel charges" is a hostel question and not a fee question
+const INTENT_PATTERNS = [
+  // हिंदी
+  { intent: 'hostel_info', pattern: hindiWords(['छात्रावास शुल्क', 'हॉस्टल शुल्क', 'छात्रावास', 'हॉस्टल', 'आवास', 'रहने']) },
+  { intent: 'contact_info', pattern: hindiWords(['संपर्क नंबर', 'फोन नंबर', 'फ़ोन नंबर', 'मोबाइल नंबर', 'संपर्क', 'फोन', 'फ़ोन', 'मोबाइल', 'ईमेल']) },
+  { intent: 'coordinator_info', pattern: hindiWords(['पाठ्यक्रम समन्वयक', 'समन्वयक', 'कोऑर्डिनेटर', 'प्रशिक्षक']) },
+  { intent: 'batch_dates', pattern: hindiWords(['आरंभ तिथि', 'आरंभ तिथी', 'समाप्त तिथि', 'तिथियाँ', 'तिथियां', 'तिथि', 'तिथी', 'तारीखें', 'तारीख', 'तारीख़', 'कब', 'अवधि', 'कितने दिन', 'दिन', 'बैच', 'शुरू']) },
+  { intent: 'course_fees', pattern: hindiWords(['शुल्क', 'फीस', 'फ़ीस', 'लागत', 'कीमत', 'खर्च', 'छूट']) },
+  { intent: 'course_category', pattern: hindiWords(['श्रेणी', 'स्तर', 'प्रकार']) },
+  { intent: 'course_fees', pattern: hindiWords(['कितना', 'कितनी']), onlyIfNoOtherIntent: true },
+  // English and Hinglish
+  { intent: 'hostel_info', pattern: /\b(hostel(\s+(charges?|fees?|rent))?|accommodation|accomodation|lodging|stay|rooms?)\b/g },
+  { intent: 'contact_info', pattern: /\b((contact|phone|mobile|telephone)(\s+(number|no\.?|details?))?|e-?mail(\s+(id|address))?|mail\s+id|call|reach)\b/g },
+  { intent: 'coordinator_info', pattern: /\b(co-?ordinators?|course\s+director|faculty|trainers?|instructors?|in\s*-?\s*charge|who\s+(is|are)\s+(the\s+)?(teaching|conducting|taking|running)|who\s+(teaches|conducts|runs))\b/g },
+  { intent: 'batch_dates', pattern: /\b(dates?|when|start(s|ing)?|begins?|commence(s|ment)?|schedules?|batch(es)?|duration|how\s+long|(number\s+of\s+)?days)\b/g },
+  { intent: 'course_fees', pattern: /\b(fees?|cost(s)?|price|charges?|amount|discount(ed)?|shulk)\b/g },
+  { intent: 'course_category', pattern: /\b(category|categories|level|course\s+type|type\s+of\s+course)\b/g },
+  // "how much is the hostel" is about the hostel, so "how much" alone only means fees
+  { intent: 'course_fees', pattern: /\b(how\s+much|kitna|kitni)\b/g, onlyIfNoOtherIntent: true }
+];
+
+// Words that ask a question but don't name a course (removed to find the course phrase)
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'am', 'was', 'be', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with',
+  'and', 'or', 'i', 'me', 'my', 'you', 'your', 'we', 'it', 'this', 'that', 'there', 'do', 'does', 'did',
+  'can', 'could', 'will', 'would', 'please', 'pls', 'plz', 'kindly', 'sir', 'madam', 'mam',
+  'what', 'whats', 'where', 'who', 'which', 'how', 'much', 'many', 'tell', 'about', 'want', 'know', 'need',
+  'give', 'show', 'send', 'share', 'details', 'detail', 'info', 'information', 'course', 'courses',
+  'program', 'programme', 'training', 'any', 'available', 'upcoming', 'next', 'have', 'get', 'also', 'its',
+  // Polite openers ("may I know", "let me know", "I would like to know") - months are read by date-query.js
+  'may', 'might', 'shall', 'should', 'let', 'like',
+  // Hinglish
+  'ka', 'ki', 'ke', 'hai', 'hain', 'kya', 'kaun', 'batao', 'bataiye', 'mujhe', 'chahiye', 'kripya',
+  // हिंदी
+  'का', 'की', 'के', 'है', 'हैं', 'क्या', 'कौन', 'कौनसा', 'कौन सा', 'मुझे', 'बताइए', 'बताइये', 'बताओ', 'बताएं',
+  'बताएँ', 'कोर्स', 'पाठ्यक्रम', 'प्रशिक्षण', 'लिए', 'में', 'से', 'और', 'जानकारी', 'चाहिए', 'कृपया', 'इस', 'उस',
+  'इसका', 'इसकी', 'इसके', 'उसका', 'उसकी', 'उसके',
+  'यह', 'वह', 'हो', 'को', 'होगा', 'होगी', 'होंगे', 'गा', 'गी', 'रहा', 'रही', 'था', 'थी', 'भी', 'क्या है'
+].map(word => word.normalize('NFC')));
+
+// 🔍 Detect the attributes asked about and the course phrase that is left
+function detectCourseIntent(text) {
+  let remaining = String(text || '').normalize('NFC').toLowerCase();
+  const intents = [];
+
+  INTENT_PATTERNS.forEach(({ intent, pattern, onlyIfNoOtherIntent }) => {
+    if (remaining.match(pattern)) {
+      if (!intents.includes(intent) && !(onlyIfNoOtherIntent && intents.length > 0)) {
+        intents.push(intent);
+      }
+      remaining = remaining.replace(pattern, ' ');
+    }
+  });
+
+  return { intents, coursePhrase: extractCoursePhrase(remaining) };
+}
+
+// Strip punctuation and filler words, keeping what is probably the course name or acronym
+function extractCoursePhrase(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s&()-]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .join(' ');
+}
+
+module.exports = {
+  FILLER_WORDS,
+  detectCourseIntent,
+  extractCoursePhrase
+};
@@ -0,0 +1,87 @@
+// 🧭 INTENT ROUTER - Picks the handler that answers an incoming WhatsApp message
+//
+// Each handler (see handlers/) is a plain object:
+//   {
+//     name: 'greeting',           // also the default intent recorded for the reply
+//     priority: 30,               // lower numbers are tried first
+//     match(ctx),                 // truthy when the handler wants the message (may be async)
+//     async handle(ctx, match)    // -> { response, messageType, intent } or null to let the next handler try
+//   }
+//
+// ctx is built per message by the webhook: { turn, userId, from, userName, text, media, language, session, now, courses }.
+// media is null for text and button replies, else what a picture / file / location message carried (meta-api.js).
+// courses is the course repository as the sender may see it (course-visibility.js) - use it instead of
+// getCourseRepository() so internal and hidden courses never reach the wrong user.
+// Handlers only build replies - sending, transcripts and HTTP status codes stay in app.js.
+
+// Check a handler has everything the router needs (fails at startup, not on the first message)
+function validateHandler(handler) {
+  if (!handler || typeof handler.name !== 'string' || !handler.name) {
+    throw new Error('Intent handler needs a name');
+  }
+  if (typeof handler.priority !== 'number' || Number.isNaN(handler.priority)) {
+    throw new Error(`Intent handler "${handler.name}" needs a numeric priority`);
+  }
+  if (typeof handler.match !== 'function' || typeof handler.handle !== 'function') {
+    throw new Error(`Intent handler "${handler.name}" needs match() and handle() functions`);
+  }
+}
+
+/**
+ * 🏭 CREATE INTENT ROUTER
+ * @param {Array} handlers - Initial handlers (more can be added with register)
+ */
+function createIntentRouter(handlers = []) {
+  const registered = [];
+
+  const router = {
+    // Add a handler; equal priorities keep registration order
+    register(handler) {
+      validateHandler(handler);
+      if (registered.some(existing => existing.name === handler.name)) {
+        throw new Error(`Intent handler "${handler.name}" is already registered`);
+      }
+      registered.push(handler);
+      registered.sort((a, b) => a.priority - b.priority);
+      return router;
+    },
+
+    // Handlers in the order they are tried
+    list() {
+      return registered.map(({ name, priority }) => ({ name, priority }));
+    },
+
+    // Ask each matching handler in turn until one returns a reply
+    // Returns { response, messageType, intent, handler } or null when nobody answered
+    async route(ctx) {
+      for (const handler of registered) {
+        const match = await handler.match(ctx);
+        if (!match) {
+          continue;
+        }
+
+        const reply = await handler.handle(ctx, match);
+        if (!reply) {
+          console.log(`↪️ Handler "${handler.name}" passed on the message`);
+          continue;
+        }
+
+        console.log(`🧭 Routed to handler "${handler.name}"`);
+        return {
+          response: reply.response,
+          messageType: reply.messageType || 'text',
+          intent: reply.intent || handler.name,
+          handler: handler.name
+        };
+      }
+      return null;
+    }
+  };
+
+  handlers.forEach(handler => router.register(handler));
+  return router;
+}
+
+module.exports = {
+  createIntentRouter
+};
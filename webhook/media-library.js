@@ -0,0 +1,159 @@
+// 📎 MEDIA LIBRARY - Brochures and the training calendar as WhatsApp documents
+//
+// Handlers only describe the file to send, so the queued reply stays small and the webhook never
+// waits for an upload:
+//   { link, filename, caption }                                  - a brochure on the web (Meta fetches it)
+//   { source: 'brochure', file: 'sms.pdf', filename, caption }   - a file in data/brochures/
+//   { source: 'calendar', audience: 'public', filename, caption } - the calendar built for that audience
+// When the outbound queue sends the reply (sendQueuedMessage), files are uploaded to Meta's media
+// endpoint and sent by media id. Media ids are cached per file content (stores/media-store.js), so
+// each brochure is uploaded once a month instead of once per message.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const metaApi = require('./meta-api');
+const { getMediaStore } = require('./stores/media-store');
+const { getCourseRepository } = require('./course-repository');
+const { forAudience } = require('./course-visibility');
+const { buildCalendarWorkbook, CALENDAR_FILENAME, CALENDAR_MIME_TYPE } = require('./training-calendar');
+
+const BROCHURES_DIR = process.env.BROCHURES_DIR || path.join(__dirname, '../data/brochures');
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': CALENDAR_MIME_TYPE
+};
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const isWebLink = (value) => /^https?:\/\//i.test(value);
+
+// "Safety Management System (SMS)" -> "Safety-Management-System-SMS.pdf"
+function documentFilename(courseName, extension) {
+  const base = courseName.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'brochure';
+  return `${base}${extension}`;
+}
+
+/**
+ * 📘 BROCHURE MESSAGE - { messageType, message } for the course's brochure, or null when it has none
+ * course.brochure is a web link or a file name in data/brochures/ (images are sent as images)
+ */
+function brochureMessage(course, caption) {
+  const brochure = course.brochure;
+  if (!brochure) {
+    return null;
+  }
+
+  const extension = path.extname(isWebLink(brochure) ? new URL(brochure).pathname : brochure).toLowerCase();
+  const messageType = IMAGE_EXTENSIONS.includes(extension) ? 'image' : 'document';
+  const filename = documentFilename(course.name, extension || '.pdf');
+
+  if (isWebLink(brochure)) {
+    return { messageType, message: { link: brochure, filename, caption } };
+  }
+
+  const file = path.basename(brochure);
+  if (!fs.existsSync(path.join(BROCHURES_DIR, file))) {
+    console.error(`❌ Brochure "${file}" of ${course.name} is not in ${BROCHURES_DIR}`);
+    return null;
+  }
+  return { messageType, message: { source: 'brochure', file, filename, caption } };
+}
+
+// 🗓️ CALENDAR MESSAGE - the training calendar of the courses this audience may see
+function calendarMessage(audience, caption) {
+  return { messageType: 'document', message: { source: 'calendar', audience, filename: CALENDAR_FILENAME, caption } };
+}
+
+// The file behind a { source } message: { name, buffer, filename, mimeType }
+async function loadSource(message) {
+  if (message.source === 'brochure') {
+    const file = path.basename(message.file);
+    return {
+      name: `brochure:${file}`,
+      buffer: await fs.promises.readFile(path.join(BROCHURES_DIR, file)),
+      filename: message.filename || file,
+      mimeType: MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+    };
+  }
+  if (message.source === 'calendar') {
+    return {
+      name: `calendar:${message.audience}`,
+      buffer: buildCalendarWorkbook(forAudience(getCourseRepository(), message.audience).getAll()),
+      filename: message.filename || CALENDAR_FILENAME,
+      mimeType: CALENDAR_MIME_TYPE
+    };
+  }
+  throw new Error(`Unknown media source "${message.source}"`);
+}
+
+// 📎 Media id of a file: the cached one, or a fresh upload
+// Returns { success, mediaId, key, cached } or an upload failure (see metaApi.uploadMedia)
+async function getMediaId(file) {
+  const store = getMediaStore();
+  const key = `${file.name}:${crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 32)}`;
+
+  try {
+    const cached = await store.get(key);
+    if (cached) {
+      return { success: true, mediaId: cached.mediaId, key, cached: true };
+    }
+  } catch (error) {
+    // Without the cache we just upload again
+    console.error('❌ Media cache lookup failed:', error.message);
+  }
+
+  const upload = await metaApi.uploadMedia(file);
+  if (!upload.success) {
+    return upload;
+  }
+  try {
+    await store.set({ key, mediaId: upload.mediaId, filename: file.filename, mimeType: file.mimeType });
+  } catch (error) {
+    console.error('❌ Failed to cache media id:', error.message);
+  }
+  return { ...upload, key, cached: false };
+}
+
+/**
+ * 📤 SEND QUEUED MESSAGE - metaApi.sendWhatsAppMessage that also understands { source } media messages
+ * Used by the outbound queue; returns the same result shape, so upload failures are retried like sends.
+ */
+async function sendQueuedMessage(to, message, messageType = 'text') {
+  if (!metaApi.MEDIA_MESSAGE_TYPES.includes(messageType) || !message || !message.source) {
+    return metaApi.sendWhatsAppMessage(to, message, messageType);
+  }
+
+  let file;
+  try {
+    file = await loadSource(message);
+  } catch (error) {
+    console.error('❌ Could not load the file to send:', error.message);
+    return { success: false, error: error.message, retryable: false };
+  }
+
+  const media = await getMediaId(file);
+  if (!media.success) {
+    return media;
+  }
+
+  const result = await metaApi.sendWhatsAppMessage(to, { id: media.mediaId, filename: file.filename, caption: message.caption }, messageType);
+  if (!result.success && media.cached && result.statusCode === 400) {
+    // Meta may drop an upload before our cache expires it - forget the id so the retry uploads again
+    await getMediaStore().remove(media.key).catch(error => console.error('❌ Failed to forget media id:', error.message));
+    return { ...result, retryable: true };
+  }
+  return result;
+}
+
+module.exports = {
+  BROCHURES_DIR,
+  brochureMessage,
+  calendarMessage,
+  sendQueuedMessage
+};
@@ -0,0 +1,175 @@
+// 📝 MESSAGE TEMPLATE CATALOGUE - Approved WhatsApp templates we are allowed to send
+// Business-initiated messages (outside the 24-hour customer service window) must use
+// templates approved in Meta Business Manager. Every template we use is registered here
+// with the parameters it expects, so a wrong parameter count is caught before the Graph API call.
+
+// 🔤 Supported parameter types
+// - text:      any string value
+// - currency:  { amount, code = 'INR' } or a plain number (rupees)
+// - date_time: a Date, an ISO date string, or { fallback_value }
+const PARAMETER_TYPES = ['text', 'currency', 'date_time'];
+
+// 📚 REGISTERED TEMPLATES
+// name must match the template name approved in Meta Business Manager
+// components.header / components.body: list of parameter types, in order
+// components.buttons: list of { sub_type, index, params } for dynamic buttons
+const templateCatalogue = {
+  batch_reminder: {
+    languages: ['en', 'hi'],
+    description: 'Reminder sent a few days before a course batch starts',
+    components: {
+      header: ['text'],                                // course name
+      body: ['text', 'text', 'date_time', 'text'],     // user name, course name, start date, days left
+      buttons: [{ sub_type: 'url', index: 0, params: ['text'] }] // course page path
+    }
+  },
+  batch_date_change: {
+    languages: ['en', 'hi'],
+    description: 'Notice sent when the dates of a subscribed batch change',
+    components: {
+      body: ['text', 'text', 'date_time', 'date_time'] // user name, course name, old start, new start
+    }
+  },
+  course_fee_due: {
+    languages: ['en'],
+    description: 'Fee payment reminder for a confirmed nomination',
+    components: {
+      body: ['text', 'text', 'currency', 'date_time']  // user name, course name, amount, due date
+    }
+  }
+};
+
+// Register (or replace) a template in the catalogue
+function registerTemplate(name, definition) {
+  if (!name || !definition || !definition.components) {
+    throw new Error('Template name and components are required');
+  }
+
+  const { header = [], body = [], buttons = [] } = definition.components;
+  [...header, ...body, ...buttons.flatMap(button => button.params || [])].forEach(type => {
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new Error(`Template "${name}" uses unsupported parameter type "${type}"`);
+    }
+  });
+
+  templateCatalogue[name] = {
+    languages: definition.languages || ['en'],
+    description: definition.description || '',
+    components: { header, body, buttons }
+  };
+  return templateCatalogue[name];
+}
+
+// Get a registered template (or undefined)
+function getTemplate(name) {
+  return templateCatalogue[name];
+}
+
+// Format a date for the fallback text shown by older WhatsApp clients (null when it isn't a date)
+function formatDateFallback(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+// 🔧 Build one Graph API parameter object from a plain value
+function buildParameter(type, value, label) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Missing value for ${label}`);
+  }
+
+  if (type === 'text') {
+    return { type: 'text', text: String(value) };
+  }
+
+  if (type === 'currency') {
+    const amount = typeof value === 'object' ? Number(value.amount) : Number(value);
+    const code = (typeof value === 'object' && value.code) || 'INR';
+    if (!isFinite(amount)) {
+      throw new Error(`Invalid currency amount for ${label}: ${JSON.stringify(value)}`);
+    }
+    return {
+      type: 'currency',
+      currency: {
+        fallback_value: (typeof value === 'object' && value.fallback_value) || `${code === 'INR' ? '₹' : code + ' '}${amount.toLocaleString('en-IN')}`,
+        code,
+        amount_1000: Math.round(amount * 1000)
+      }
+    };
+  }
+
+  if (type === 'date_time') {
+    const fallbackValue = typeof value === 'object' && !(value instanceof Date)
+      ? value.fallback_value
+      : formatDateFallback(value);
+    if (!fallbackValue) {
+      throw new Error(`Invalid date_time value for ${label}: ${JSON.stringify(value)}`);
+    }
+    return { type: 'date_time', date_time: { fallback_value: fallbackValue } };
+  }
+
+  throw new Error(`Unsupported parameter type "${type}" for ${label}`);
+}
+
+// Check a list of values against the expected parameter types
+function buildParameterList(templateName, componentName, expectedTypes, values = []) {
+  if (values.length !== expectedTypes.length) {
+    throw new Error(`Template "${templateName}" ${componentName} expects ${expectedTypes.length} parameter(s) but got ${values.length}`);
+  }
+  return expectedTypes.map((type, idx) => buildParameter(type, values[idx], `${templateName} ${componentName} parameter ${idx + 1}`));
+}
+
+// 🏗️ BUILD TEMPLATE MESSAGE - Validate parameters and build the Graph API "template" object
+// parameters: { header: [...], body: [...], buttons: [[...], ...] }
+function buildTemplateMessage(templateName, parameters = {}, languageCode = 'en') {
+  const template = getTemplate(templateName);
+  if (!template) {
+    throw new Error(`Template "${templateName}" is not registered in the template catalogue`);
+  }
+  if (!template.languages.includes(languageCode)) {
+    throw new Error(`Template "${templateName}" is not approved for language "${languageCode}"`);
+  }
+
+  const components = [];
+  const { header, body, buttons } = template.components;
+
+  if (header && header.length > 0) {
+    components.push({ type: 'header', parameters: buildParameterList(templateName, 'header', header, parameters.header) });
+  } else if (parameters.header && parameters.header.length > 0) {
+    throw new Error(`Template "${templateName}" has no header parameters`);
+  }
+
+  if (body && body.length > 0) {
+    components.push({ type: 'body', parameters: buildParameterList(templateName, 'body', body, parameters.body) });
+  } else if (parameters.body && parameters.body.length > 0) {
+    throw new Error(`Template "${templateName}" has no body parameters`);
+  }
+
+  const buttonValues = parameters.buttons || [];
+  if (buttonValues.length !== (buttons || []).length) {
+    throw new Error(`Template "${templateName}" expects ${(buttons || []).length} dynamic button(s) but got ${buttonValues.length}`);
+  }
+  (buttons || []).forEach((button, idx) => {
+    components.push({
+      type: 'button',
+      sub_type: button.sub_type,
+      index: String(button.index),
+      parameters: buildParameterList(templateName, `button ${button.index}`, button.params, buttonValues[idx])
+    });
+  });
+
+  return {
+    name: templateName,
+    language: { code: languageCode },
+    components
+  };
+}
+
+module.exports = {
+  templateCatalogue,
+  registerTemplate,
+  getTemplate,
+  buildTemplateMessage
+};
@@ -0,0 +1,460 @@
+// 🌐 MESSAGE CATALOGUE - Every user-facing reply in English and Hindi
+// =====================================================================
+//
+// t(language, key, params) returns the text for a key, falling back to English when a
+// Hindi variant is missing. Entries are strings or functions of the params object.
+// Course names, coordinator names and other values from courses.json stay as they are.
+//
+// The reply language is picked per message (see resolveLanguage in app.js):
+// 1. the user's explicit choice ("language" / "भाषा" command), else
+// 2. the language detected in this message (Devanagari script or Hindi keywords), else
+// 3. the last language we detected for this user, else English.
+
+const SUPPORTED_LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const FORM_LINK = 'https://iaa-admin-dashboard-1-wion.vercel.app/';
+
+const catalogue = {
+  en: {
+    notAvailable: 'N/A',
+
+    // 👋 Greeting
+    greeting: ({ userName }) => `👋 *Hello ${userName}! Welcome to IAA (Indian Aviation Academy)!*\n\nI'm here to help you with information about our training courses. Here's what I can do:\n\n• Show all available courses\n• Provide course details and information\n• Answer questions about fees, dates, coordinators\n• Help with registration forms\n\n💡 *Try saying:*\n• "show all courses" - to see all course categories\n• "domain 1" - to see aerodrome courses\n• "Safety Management System" - for specific course info\n• "Gem Procurement" - for specific course details\n\n🌐 Type "भाषा" for Hindi / हिंदी के लिए "भाषा" लिखें\n\nHow can I assist you today?`,
+    buttonAllCourses: '📚 All courses',
+    buttonForm: '📝 Registration form',
+
+    // 🎨 Fallback / form / goodbye / errors
+    fallback: ({ userName }) => `🤔 *We're sorry, ${userName}!*\n\nWe understand your query but need more specific information to help you better. Our team at the Indian Aviation Academy is here to assist you with all your training needs.\n\n📝 *Please fill out our detailed form so someone from our academy can resolve your query at the earliest:*\n\n🔗 ${FORM_LINK}\n\n💡 *You can also try these quick options:*\n• "show all courses" - to see all available courses\n• "domain 1" - to see aerodrome courses\n• "Safety Management System" - for specific course info\n• "Gem Procurement" - for specific course details\n• "enrol in SMS" - to send a nomination enquiry right here\n\n🌟 *Thank you for your patience! We're committed to providing you with the best aviation training information.*\n\n*Best regards,*\n*IAA Support Team* 🛩️`,
+    goodbye: ({ userName }) => `🙏 *Thank you ${userName} for contacting Indian Aviation Academy!*\n\nWe're glad to assist you and hope you got all your queries resolved. If you have any more questions in the future, feel free to reach out to us.\n\n🌟 *Wishing you success in your aviation career!*\n\n*Best regards,*\n*IAA Support Team* 🛩️`,
+    criticalError: `🚨 *We're sorry, we encountered a technical issue while processing your request.*\n\nOur team at the Indian Aviation Academy is here to help you with all your training needs.\n\n📝 *Please fill out our detailed form so someone from our academy can resolve your query at the earliest:*\n\n🔗 ${FORM_LINK}\n\n💡 *You can also try these quick options:*\n• "show all courses" - to see all available courses\n• "domain 1" - to see aerodrome courses\n• "Safety Management System" - for specific course info\n• "Gem Procurement" - for specific course details\n• "enrol in SMS" - to send a nomination enquiry right here\n\n🌟 *Thank you for your patience! We're committed to providing you with the best aviation training information.*\n\n*Best regards,*\n*IAA Support Team* 🛩️`,
+    menuLoadError: `❌ Sorry, I'm having trouble loading the course categories right now. Please try again later.`,
+
+    // 🏗️ Domain menu (interactive list)
+    domainMenuHeader: '🏗️ IAA Course Categories',
+    domainMenuBody: ({ firstDomain, domainCount, courseCount }) => `Tap *View domains* and choose a domain to see its courses.\n\n💡 *You can also type:*\n• "domain 1" to see ${firstDomain.toLowerCase()} courses\n• The full course name or part of it\n• Questions about fees, dates, or coordinators\n\nTotal domains: ${domainCount} | Total courses: ${courseCount}`,
+    domainMenuButton: 'View domains',
+    domainMenuSection: 'Domains',
+    domainRowDescription: ({ name, count }) => `${name} (${count} courses)`,
+    domainChoiceLine: ({ command, shortName }) => `• Type "${command}" for ${shortName} courses`,
+
+    // 📚 Course list of one domain (interactive list)
+    domainListBody: ({ name, pageInfo, exampleNumber, count }) => `*${name}*${pageInfo}\n\nTap *View courses* and choose a course to see its details.\n\n💡 *You can also type:*\n• A course number (e.g. "${exampleNumber}") to see that course\n• "back" or "menu" to see all domains\n\nTotal courses in this domain: ${count}`,
+    domainListPageInfo: ({ page, totalPages }) => ` (page ${page} of ${totalPages})`,
+    domainListButton: 'View courses',
+    domainListCoursesSection: 'Courses',
+    domainListMoreSection: 'More',
+    domainListMoreTitle: 'More courses ➡️',
+    domainListMoreDescription: ({ page, totalPages }) => `Page ${page} of ${totalPages}`,
+
+    // 🔢 Number / domain selection problems
+    invalidDomain: ({ count, choices }) => `❌ *Invalid domain number!*\n\nPlease choose a domain between 1-${count}:\n\n${choices}\n\nOr type "show all courses" to see all domains.`,
+    invalidNumber: ({ count, choices }) => `❌ *Invalid number!*\n\nPlease choose a number between 1-${count} for domain selection:\n\n${choices}\n\nOr type "show all courses" to see all domains.`,
+    courseNumberHint: ({ shortName }) => `\n\n💡 Type another course number, "back" for the ${shortName} course list or "menu" for all domains.`,
+    invalidCourseNumber: ({ domainName, count, domainId }) => `❌ *Invalid course number!*\n\n*${domainName}* has ${count} courses, so please choose a number between 1-${count}.\n\n💡 Type "back" to see all domains or "domain ${domainId}" to see this course list again.`,
+
+    // 📘 Full course card
+    courseCard: (c) => `📘 *Course Details:*\n\n🎯 *Name:* ${c.name}\n🧑‍🎓 *Level:* ${c.level}\n📅 *Dates:* ${c.dates}\n⏱️ *Duration:* ${c.duration} days\n💰 *Fee per day:* ₹${c.feePerDay}\n💸 *Fee after group discount:* ₹${c.feeAfterDiscount}\n🏨 *Hostel Charges:* ${c.hostelCharges}\n👨‍🏫 *Coordinator(s):* ${c.coordinators}\n🏷️ *Category:* ${c.category}\n📞 *Contact:* ${c.contact}\n📧 *Email:* ${c.email}`,
+    courseCardNoDates: 'NA',
+    dateRange: ({ start, end }) => `${start} to ${end}`,
+    dateRangeSeparator: ' and ',
+    courseFormatError: '❌ Error formatting course information. Please try again.',
+
+    // 🎯 Focused attribute answers
+    attributeAnswer: ({ name, answer }) => `📘 *${name}*\n\n${answer}\n\n💡 Type "${name}" for full course details.`,
+    attrFees: (c) => `💰 *Fee per day:* ₹${c.feePerDay}${c.feeTotal}\n💸 *Fee after group discount:* ₹${c.discountedFeePerDay}${c.discountedTotal}\n\n_Fees are per participant._`,
+    attrFeeTotal: ({ amount, days }) => ` (₹${amount} for ${days} days)`,
+    attrDates: ({ dates, duration }) => `📅 *Upcoming batches:*\n${dates}\n⏱️ *Duration:* ${duration} days`,
+    attrNoUpcomingBatches: '• No upcoming batches are scheduled yet',
+    attrCoordinators: ({ coordinators }) => `👨‍🏫 *Coordinator(s):* ${coordinators}`,
+    attrHostel: ({ hostelCharges }) => `🏨 *Hostel Charges:* ${hostelCharges}`,
+    attrContact: ({ coordinators, phones, emails }) => `👨‍🏫 *Coordinator(s):* ${coordinators}\n📞 *Contact:* ${phones}\n📧 *Email:* ${emails}`,
+    attrCategory: ({ category, level, courseType }) => `🏷️ *Category:* ${category}\n🧑‍🎓 *Level:* ${level}\n📂 *Course type:* ${courseType}`,
+
+    // 🧮 Fee calculator
+    feeQuoteTitle: ({ courseName, participants, days }) => `🧮 *Fee estimate: ${courseName}*\n👥 ${participants} participant(s) · ⏱️ ${days} days`,
+    feeQuoteTuition: ({ rate, days, participants, amount }) => `💰 *Course fee:* ${rate} × ${days} days × ${participants} = *${amount}*`,
+    feeQuoteGroupRate: ({ min }) => `_Group rate (20% discount) - assumed to apply from ${min} participants; the course coordinator confirms it._`,
+    feeQuoteStandardRate: ({ min }) => `_Standard rate - the 20% group discount is assumed to apply from ${min} participants; ask the course coordinator._`,
+    feeQuoteHostel: ({ occupancy, rate, nights, participants, amount }) => `🏨 *Hostel (${occupancy}):* ${rate} × ${nights} nights × ${participants} = *${amount}*`,
+    feeQuoteHostelGst: ({ percent, amount }) => `🧾 *GST on hostel (${percent}%):* ${amount}`,
+    feeQuoteHostelUnavailable: ({ occupancy, hostelCharges }) => `🏨 *Hostel (${occupancy}):* not included - listed charges: ${hostelCharges}`,
+    feeQuoteNightsAssumed: ({ nights }) => `_Assumed ${nights} nights, one per course day - add e.g. "4 nights" to change it._`,
+    feeQuoteHostelHint: '🏨 Add "single room" or "double room" to include hostel charges.',
+    feeQuoteTotal: ({ total }) => `💵 *Estimated total: ${total}*`,
+    feeQuoteGstNote: '_GST is added to the hostel charge only - the course fee has no GST._',
+    feeQuoteFooter: '_This is an estimate, not a quote - please confirm the final amount with the course coordinator._\n📝 Type "enrol" to send a nomination enquiry.',
+    feeQuoteSingle: 'single occupancy',
+    feeQuoteDouble: 'double occupancy',
+    feeQuoteNotAvailable: ({ courseName }) => `🤔 The fee for *${courseName}* isn't in our course data yet, so I can't calculate it. Please contact the course coordinator.`,
+    feeQuoteWhichCourse: '🧮 *Which course should I calculate the fee for?*\n\nFor example: "calculate fee for SMS for 5 participants with single room".',
+    feeQuoteInvalidParticipants: ({ courseName, max }) => `👥 *How many participants should I calculate for?*\n\nSend a number from 1 to ${max}, for example "calculate fee for ${courseName} for 5 participants".`,
+    feeQuoteTooManyParticipants: ({ courseName, participants, max }) => `👥 *${courseName}* for ${participants} participants is more than I can estimate here (up to ${max}).\n\nQuotes for large groups come from the training team - type "enrol" to send a nomination enquiry, or contact the course coordinator.`,
+    whichCourse: ({ userName }) => `🤔 *Which course are you asking about, ${userName}?*\n\nPlease include the course name in your question, for example:\n• "fee for GeM Procurement"\n• "dates of Safety Management System"\n• "coordinator of Human Factors"\n\n💡 Type "show all courses" to browse all courses.`,
+
+    // 🤔 Did you mean / comparison
+    didYouMean: ({ userName, suggestions }) => `🤔 *Did you mean one of these courses, ${userName}?*\n\n${suggestions}\n\n💡 Tap a course below, or type the full course name.`,
+    comparisonTitle: '📊 *Course Comparison:*\n\n',
+    comparisonCourse: ({ index, name, feePerDay, days, coordinators }) => `📘 *Course ${index}: ${name}*\n💰 Fee: ₹${feePerDay}/day\n⏱️ Duration: ${days} days\n👨‍🏫 Coordinator: ${coordinators}\n\n`,
+    comparisonHint: '💡 *For detailed information about any course, just type the course name!*',
+
+    // 📅 Batches in a date range ("courses in December", "what starts next week")
+    monthNames: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    rangeMonth: ({ monthName, year }) => `in ${monthName} ${year}`,
+    rangeToday: 'today',
+    rangeTomorrow: 'tomorrow',
+    rangeDayAfterTomorrow: 'the day after tomorrow',
+    rangeAssumedFuture: ({ word, label, date }) => `_I've taken "${word}" as ${label} (${date}) - if you meant another day, send its date (DD/MM/YYYY)._`,
+    rangeThisWeek: 'this week',
+    rangeNextWeek: 'next week',
+    rangeNextDays: ({ days }) => `in the next ${days} days`,
+    rangeBetween: ({ from, to }) => `between ${from} and ${to}`,
+    rangeOn: ({ date }) => `on ${date}`,
+    rangeAfter: ({ date }) => `after ${date}`,
+    rangeBefore: ({ date }) => `before ${date}`,
+    batchesTitle: ({ label, startsOnly }) => `📅 *Courses ${startsOnly ? 'starting ' : ''}${label}*`,
+    batchesTitleForCourse: ({ label, courseName }) => `📅 *${courseName} batches ${label}*`,
+    batchesCount: ({ count }) => `${count} ${count === 1 ? 'batch' : 'batches'}, sorted by start date:`,
+    batchLine: ({ index, name, start, end, days, status }) => `${index}. *${name}*\n   🗓️ ${start} to ${end} (${days} days)\n   ⏳ ${status}`,
+    batchStartsToday: 'Starts today',
+    batchStartsTomorrow: 'Starts tomorrow',
+    batchStartsIn: ({ days }) => `Starts in ${days} days`,
+    batchRunning: ({ daysLeft }) => `Running now, ${daysLeft} days left`,
+    batchEndsToday: 'Running now, ends today',
+    batchesMore: ({ count }) => `…and ${count} more. Ask about a shorter period (e.g. "next week") to see them.`,
+    batchesHint: '💡 Type a course name for full details, or "show all courses" to browse by domain.',
+    noBatches: ({ label }) => `📅 *No upcoming courses ${label}.*\n\n💡 Try another period (e.g. "courses in January" or "next month"), or type "show all courses" to browse all courses.`,
+    noBatchesForCourse: ({ label, courseName }) => `📅 *${courseName} has no upcoming batches ${label}.*\n\n💡 Type "dates of ${courseName}" to see all its upcoming dates.`,
+
+    // 🔔 Batch reminders
+    reminderHint: '🔔 Type "remind me" to get a WhatsApp reminder before a batch starts.',
+    reminderWhichCourse: '🔔 *Which course should I remind you about?*\n\nType "remind me" followed by the course name, for example "remind me about GeM Procurement".',
+    reminderNoBatches: ({ courseName }) => `🔔 *${courseName} has no upcoming batches to remind you about.*\n\n💡 Type "show all courses" to look at other courses.`,
+    reminderChooseBatch: ({ courseName }) => `🔔 *Which ${courseName} batch should I remind you about?*\n\nTap a batch below.`,
+    reminderChooseButton: 'Choose batch',
+    reminderBatchesSection: 'Upcoming batches',
+    reminderBatchRow: ({ start, end, days }) => `${start} to ${end} (${days} days)`,
+    reminderSubscribed: ({ courseName, start, end, daysBefore }) => `✅ *Reminder set!*\n\n📘 ${courseName}\n🗓️ ${start} to ${end}\n\nI'll message you ${daysBefore} days before it starts, and tell you if the dates change.\n\n💡 Type "my reminders" to see your reminders or "stop reminders" to cancel them.`,
+    reminderSubscribedSoon: ({ courseName, start, end, days }) => `✅ *Reminder set!*\n\n📘 ${courseName}\n🗓️ ${start} to ${end}\n\n⏳ It starts in ${days} day(s) - I'll tell you if the dates change.\n\n💡 Type "my reminders" to see your reminders.`,
+    reminderAlreadySubscribed: ({ courseName, start }) => `🔔 You already have a reminder for *${courseName}* starting ${start}.\n\n💡 Type "my reminders" to see all your reminders.`,
+    reminderBatchGone: '⚠️ That batch is no longer open. Type "remind me" again to see the current batches.',
+    remindersTitle: ({ count }) => `🔔 *Your reminders (${count}):*`,
+    reminderLine: ({ index, courseName, start, end }) => `${index}. *${courseName}*\n   🗓️ ${start} to ${end}`,
+    remindersHint: '💡 Type "stop reminder 1" to cancel one reminder, or "stop reminders" to cancel all of them.',
+    remindersNone: '🔕 *You have no active reminders.*\n\n💡 Open a course and type "remind me" to get a message before its batch starts.',
+    remindersStopped: ({ count }) => `🔕 *${count === 1 ? '1 reminder' : `${count} reminders`} cancelled.* You won't get further messages about ${count === 1 ? 'it' : 'them'}.`,
+    reminderStopped: ({ courseName, start }) => `🔕 *Reminder cancelled:* ${courseName} (${start}).`,
+    reminderNotFound: ({ index, count }) => `🤔 There is no reminder number ${index} - you have ${count}. Type "my reminders" to see them.`,
+
+    // 📝 Enrolment enquiry
+    enrolHint: '📝 Type "enrol" to send a nomination enquiry for this course.',
+    enquiryWhichCourse: '📝 *Which course would you like to enrol in?*\n\nType the course name, for example "Safety Management System".\n\n💡 Type "cancel" to stop.',
+    enquiryCourseNotFound: '🤔 I couldn\'t find that course. Please type the full course name (e.g. "GeM Procurement"), or "cancel" to stop.',
+    enquiryStart: ({ courseName }) => `📝 *Enrolment enquiry: ${courseName}*\n\nI'll ask a few quick questions and send your details to the training team.\n💡 Type "cancel" any time to stop.`,
+    enquiryAskParticipantName: ({ step, total }) => `👤 *Step ${step}/${total}* - What is the participant's full name?`,
+    enquiryAskOrganisation: ({ step, total }) => `🏢 *Step ${step}/${total}* - Which organisation is the participant from?`,
+    enquiryAskDesignation: ({ step, total }) => `💼 *Step ${step}/${total}* - What is the participant's designation?`,
+    enquiryAskEmail: ({ step, total }) => `📧 *Step ${step}/${total}* - Which email address should the training team reply to?`,
+    enquiryAskParticipants: ({ step, total, max }) => `👥 *Step ${step}/${total}* - How many participants (1-${max})?`,
+    enquiryAskBatch: ({ step, total }) => `🗓️ *Step ${step}/${total}* - Which batch would you prefer? Tap one below, or type "any".`,
+    enquiryInvalidName: '⚠️ Please type the participant\'s name using letters only (2-80 characters), e.g. "Ravi Kumar".',
+    enquiryInvalidOrganisation: '⚠️ Please type the organisation name (2-120 characters), e.g. "Airports Authority of India".',
+    enquiryInvalidDesignation: '⚠️ Please type the designation (2-80 characters), e.g. "Assistant Manager".',
+    enquiryInvalidEmail: '⚠️ That doesn\'t look like an email address. Please type one like "name@example.com".',
+    enquiryInvalidParticipants: ({ max }) => `⚠️ Please type a number of participants from 1 to ${max}.`,
+    enquiryInvalidBatch: '⚠️ Please tap one of the batches, type its number, or type "any".',
+    enquiryBatchButton: 'Choose batch',
+    enquiryBatchesSection: 'Upcoming batches',
+    enquiryAnyBatch: 'Any batch',
+    enquiryAnyBatchDescription: 'Whichever batch has seats',
+    enquiryFieldCourse: 'Course',
+    enquiryFieldName: 'Name',
+    enquiryFieldOrganisation: 'Organisation',
+    enquiryFieldDesignation: 'Designation',
+    enquiryFieldEmail: 'Email',
+    enquiryFieldParticipants: 'Participants',
+    enquiryFieldBatch: 'Batch',
+    enquirySummary: ({ lines }) => `📋 *Please check your enquiry:*\n\n${lines}\n\nTap *Confirm* to send it. To correct an answer type e.g. "change email" (or name, organisation, designation, participants, batch).`,
+    enquiryConfirmButton: '✅ Confirm',
+    enquiryCancelButton: '❌ Cancel',
+    enquirySaved: ({ reference, courseName, email }) => `✅ *Enquiry sent!*\n\n🔖 Reference number: *${reference}*\n📘 ${courseName}\n\nThe training team will contact you at ${email}. Please quote your reference number in any follow-up - you can also type it here to see your enquiry.`,
+    enquirySaveFailed: `❌ Sorry, your enquiry could not be saved. Please type "confirm" to try again, or use our form: ${FORM_LINK}`,
+    enquiryCancelled: '🛑 *Enquiry cancelled* - nothing was sent.\n\n💡 Type "show all courses" to keep browsing.',
+    enquiryStatus: ({ reference, status, lines }) => `🔖 *Enquiry ${reference}*\n\n📌 *Status:* ${status}\n\n${lines}`,
+    enquiryStatusNew: 'Received - the training team will contact you',
+    enquiryStatusContacted: 'The training team has contacted you',
+    enquiryStatusClosed: 'Closed',
+    enquiryNotFound: ({ reference }) => `🤔 I couldn't find an enquiry with reference *${reference}* from this number. Please check the reference, or type "enrol" to send a new enquiry.`,
+
+    // 📘 Brochures and the training calendar
+    brochureCaption: ({ courseName }) => `📘 Brochure: *${courseName}*\n\n💡 Type "enrol in ${courseName}" to send a nomination enquiry.`,
+    brochureLink: ({ courseName, link }) => `📘 *${courseName}*\n\nThere is no brochure file for this course yet, but the course page has all details and registration:\n🔗 ${link}\n\n💡 Type "send calendar" for the full training calendar.`,
+    brochureUnavailable: ({ courseName }) => `📘 Sorry, there is no brochure for *${courseName}* yet.\n\n💡 Type "${courseName}" for the course details, or "send calendar" for the full training calendar.`,
+    brochureWhichCourse: '📘 *Which course would you like the brochure for?*\n\nType "brochure" followed by the course name, for example "brochure for GeM Procurement".\n\n💡 Type "send calendar" for the full training calendar.',
+    calendarCaption: '🗓️ *IAA Training Calendar* - every upcoming batch with dates, fees and coordinators.\n\n💡 Ask me about any course, e.g. "fee for SMS".',
+
+    // 📎 Pictures, voice notes, stickers, locations ... sent to the bot
+    mediaImage: ({ userName }) => `🖼️ Thanks, ${userName}! I can only read text messages, so I can't look at pictures or videos.\n\nPlease type your question - for example "fee for SMS" - or send the picture again with your question as its caption.`,
+    mediaDocument: `📄 Thanks for the file! I can't open documents here.\n\n📝 To send a nomination, type "enrol" or fill out our form: ${FORM_LINK}\n📧 For anything else, please email the course coordinator (type a course name to see their contact details).`,
+    mediaAudio: '🎧 Sorry, I can\'t listen to voice messages yet.\n\nPlease type your question - for example "show all courses" or "fee for SMS".',
+    mediaSticker: '😊 Thanks!\n\n💡 Type "show all courses" to browse our training programmes, or "hi" to see what I can do.',
+    mediaLocation: '📍 Thanks for sharing your location!\n\nI can\'t use locations yet. For directions or a visit, please contact the course coordinator (type a course name to see their contact details).',
+    mediaOther: '🤔 Sorry, I can only understand text messages.\n\n💡 Type "hi" to see what I can do, or "show all courses" to browse our courses.',
+
+    // 🌐 Language switch
+    languageMenu: '🌐 *Choose your language / अपनी भाषा चुनें*\n\nTap a button below. You can switch again any time by typing "language" or "भाषा".',
+    languageSwitched: '✅ *I will reply in English from now on.*\n\n💡 Type "show all courses" to see all courses, or type "भाषा" to switch to Hindi.'
+  },
+
+  hi: {
+    notAvailable: 'उपलब्ध नहीं',
+
+    greeting: ({ userName }) => `👋 *नमस्ते ${userName}! IAA (भारतीय विमानन अकादमी) में आपका स्वागत है!*\n\nमैं हमारे प्रशिक्षण कोर्स की जानकारी देने में आपकी मदद कर सकता हूँ:\n\n• सभी उपलब्ध कोर्स दिखाना\n• कोर्स का विवरण और जानकारी देना\n• फीस, तिथियों और समन्वयकों से जुड़े सवालों के जवाब देना\n• पंजीकरण फ़ॉर्म में मदद करना\n\n💡 *आप लिख सकते हैं:*\n• "सभी कोर्स" - सभी कोर्स श्रेणियाँ देखने के लिए\n• "domain 1" - एयरोड्रम कोर्स देखने के लिए\n• "Safety Management System" - किसी कोर्स की जानकारी के लिए\n• "GeM की फीस" - किसी कोर्स की फीस जानने के लिए\n\n🌐 Type "language" for English / अंग्रेज़ी के लिए "language" लिखें\n\nमैं आपकी क्या सहायता कर सकता हूँ?`,
+    buttonAllCourses: '📚 सभी कोर्स',
+    buttonForm: '📝 पंजीकरण फ़ॉर्म',
+
+    fallback: ({ userName }) => `🤔 *क्षमा करें, ${userName}!*\n\nहम आपका प्रश्न समझते हैं, लेकिन बेहतर सहायता के लिए हमें थोड़ी और जानकारी चाहिए। भारतीय विमानन अकादमी की हमारी टीम आपकी सभी प्रशिक्षण आवश्यकताओं में मदद के लिए तैयार है।\n\n📝 *कृपया हमारा विस्तृत फ़ॉर्म भरें, ताकि अकादमी से कोई जल्द से जल्द आपके प्रश्न का समाधान कर सके:*\n\n🔗 ${FORM_LINK}\n\n💡 *आप ये विकल्प भी आज़मा सकते हैं:*\n• "सभी कोर्स" - सभी उपलब्ध कोर्स देखने के लिए\n• "domain 1" - एयरोड्रम कोर्स देखने के लिए\n• "Safety Management System" - किसी कोर्स की जानकारी के लिए\n• "GeM की फीस" - किसी कोर्स की फीस के लिए\n• "SMS में नामांकन" - यहीं नामांकन अनुरोध भेजने के लिए\n\n🌟 *आपके धैर्य के लिए धन्यवाद! हम आपको विमानन प्रशिक्षण की सर्वोत्तम जानकारी देने के लिए प्रतिबद्ध हैं।*\n\n*सादर,*\n*IAA सहायता टीम* 🛩️`,
+    goodbye: ({ userName }) => `🙏 *भारतीय विमानन अकादमी से संपर्क करने के लिए धन्यवाद, ${userName}!*\n\nहमें आपकी सहायता करके खुशी हुई और आशा है कि आपके सभी प्रश्नों का समाधान हो गया। भविष्य में कोई भी प्रश्न हो तो बेझिझक हमसे संपर्क करें।\n\n🌟 *आपके विमानन करियर के लिए शुभकामनाएँ!*\n\n*सादर,*\n*IAA सहायता टीम* 🛩️`,
+    criticalError: `🚨 *क्षमा करें, आपके अनुरोध को संसाधित करते समय एक तकनीकी समस्या आ गई।*\n\nभारतीय विमानन अकादमी की हमारी टीम आपकी सहायता के लिए तैयार है।\n\n📝 *कृपया हमारा विस्तृत फ़ॉर्म भरें, ताकि अकादमी से कोई जल्द से जल्द आपके प्रश्न का समाधान कर सके:*\n\n🔗 ${FORM_LINK}\n\n💡 *आप ये विकल्प भी आज़मा सकते हैं:*\n• "सभी कोर्स" - सभी उपलब्ध कोर्स देखने के लिए\n• "domain 1" - एयरोड्रम कोर्स देखने के लिए\n\n*सादर,*\n*IAA सहायता टीम* 🛩️`,
+    menuLoadError: '❌ क्षमा करें, अभी कोर्स श्रेणियाँ लोड नहीं हो पा रही हैं। कृपया थोड़ी देर बाद फिर से प्रयास करें।',
+
+    domainMenuHeader: '🏗️ IAA कोर्स श्रेणियाँ',
+    domainMenuBody: ({ firstDomain, domainCount, courseCount }) => `*डोमेन देखें* पर टैप करें और कोर्स देखने के लिए कोई डोमेन चुनें।\n\n💡 *आप यह भी लिख सकते हैं:*\n• "domain 1" - ${firstDomain} कोर्स देखने के लिए\n• कोर्स का पूरा या आंशिक नाम\n• फीस, तिथियों या समन्वयक से जुड़े प्रश्न\n\nकुल डोमेन: ${domainCount} | कुल कोर्स: ${courseCount}`,
+    domainMenuButton: 'डोमेन देखें',
+    domainMenuSection: 'डोमेन',
+    domainRowDescription: ({ name, count }) => `${name} (${count} कोर्स)`,
+    domainChoiceLine: ({ command, shortName }) => `• ${shortName} कोर्स के लिए "${command}" लिखें`,
+
+    domainListBody: ({ name, pageInfo, exampleNumber, count }) => `*${name}*${pageInfo}\n\n*कोर्स देखें* पर टैप करें और विवरण देखने के लिए कोई कोर्स चुनें।\n\n💡 *आप यह भी लिख सकते हैं:*\n• कोर्स संख्या (जैसे "${exampleNumber}") - उस कोर्स को देखने के लिए\n• "back" या "menu" - सभी डोमेन देखने के लिए\n\nइस डोमेन में कुल कोर्स: ${count}`,
+    domainListPageInfo: ({ page, totalPages }) => ` (पृष्ठ ${page} / ${totalPages})`,
+    domainListButton: 'कोर्स देखें',
+    domainListCoursesSection: 'कोर्स',
+    domainListMoreSection: 'और',
+    domainListMoreTitle: 'और कोर्स ➡️',
+    domainListMoreDescription: ({ page, totalPages }) => `पृष्ठ ${page} / ${totalPages}`,
+
+    invalidDomain: ({ count, choices }) => `❌ *अमान्य डोमेन संख्या!*\n\nकृपया 1-${count} के बीच कोई डोमेन चुनें:\n\n${choices}\n\nया सभी डोमेन देखने के लिए "सभी कोर्स" लिखें।`,
+    invalidNumber: ({ count, choices }) => `❌ *अमान्य संख्या!*\n\nडोमेन चुनने के लिए कृपया 1-${count} के बीच कोई संख्या चुनें:\n\n${choices}\n\nया सभी डोमेन देखने के लिए "सभी कोर्स" लिखें।`,
+    courseNumberHint: ({ shortName }) => `\n\n💡 कोई दूसरी कोर्स संख्या लिखें, ${shortName} कोर्स सूची के लिए "back" या सभी डोमेन के लिए "menu" लिखें।`,
+    invalidCourseNumber: ({ domainName, count, domainId }) => `❌ *अमान्य कोर्स संख्या!*\n\n*${domainName}* में ${count} कोर्स हैं, इसलिए कृपया 1-${count} के बीच कोई संख्या चुनें।\n\n💡 सभी डोमेन देखने के लिए "back" या यह कोर्स सूची फिर से देखने के लिए "domain ${domainId}" लिखें।`,
+
+    courseCard: (c) => `📘 *कोर्स विवरण:*\n\n🎯 *नाम:* ${c.name}\n🧑‍🎓 *प्रतिभागियों का स्तर:* ${c.level}\n📅 *तिथियाँ:* ${c.dates}\n⏱️ *अवधि:* ${c.duration} दिन\n💰 *प्रतिदिन फीस:* ₹${c.feePerDay}\n💸 *समूह छूट के बाद फीस:* ₹${c.feeAfterDiscount}\n🏨 *छात्रावास शुल्क:* ${c.hostelCharges}\n👨‍🏫 *पाठ्यक्रम समन्वयक:* ${c.coordinators}\n🏷️ *श्रेणी:* ${c.category}\n📞 *संपर्क:* ${c.contact}\n📧 *ईमेल:* ${c.email}`,
+    courseCardNoDates: 'उपलब्ध नहीं',
+    dateRange: ({ start, end }) => `${start} से ${end}`,
+    dateRangeSeparator: ' और ',
+    courseFormatError: '❌ कोर्स की जानकारी तैयार करने में त्रुटि हुई। कृपया फिर से प्रयास करें।',
+
+    attributeAnswer: ({ name, answer }) => `📘 *${name}*\n\n${answer}\n\n💡 पूरे कोर्स विवरण के लिए "${name}" लिखें।`,
+    attrFees: (c) => `💰 *प्रतिदिन फीस:* ₹${c.feePerDay}${c.feeTotal}\n💸 *समूह छूट के बाद फीस:* ₹${c.discountedFeePerDay}${c.discountedTotal}\n\n_फीस प्रति प्रतिभागी है।_`,
+    attrFeeTotal: ({ amount, days }) => ` (${days} दिनों के लिए ₹${amount})`,
+    attrDates: ({ dates, duration }) => `📅 *आगामी बैच:*\n${dates}\n⏱️ *अवधि:* ${duration} दिन`,
+    attrNoUpcomingBatches: '• अभी कोई आगामी बैच निर्धारित नहीं है',
+    attrCoordinators: ({ coordinators }) => `👨‍🏫 *पाठ्यक्रम समन्वयक:* ${coordinators}`,
+    attrHostel: ({ hostelCharges }) => `🏨 *छात्रावास शुल्क:* ${hostelCharges}`,
+    attrContact: ({ coordinators, phones, emails }) => `👨‍🏫 *पाठ्यक्रम समन्वयक:* ${coordinators}\n📞 *संपर्क:* ${phones}\n📧 *ईमेल:* ${emails}`,
+    attrCategory: ({ category, level, courseType }) => `🏷️ *श्रेणी:* ${category}\n🧑‍🎓 *प्रतिभागियों का स्तर:* ${level}\n📂 *कोर्स का प्रकार:* ${courseType}`,
+
+    // 🧮 फीस कैलकुलेटर
+    feeQuoteTitle: ({ courseName, participants, days }) => `🧮 *फीस अनुमान: ${courseName}*\n👥 ${participants} प्रतिभागी · ⏱️ ${days} दिन`,
+    feeQuoteTuition: ({ rate, days, participants, amount }) => `💰 *कोर्स फीस:* ${rate} × ${days} दिन × ${participants} = *${amount}*`,
+    feeQuoteGroupRate: ({ min }) => `_समूह दर (20% छूट) - ${min} प्रतिभागियों से लागू मानी गई है; कोर्स समन्वयक इसकी पुष्टि करते हैं।_`,
+    feeQuoteStandardRate: ({ min }) => `_सामान्य दर - 20% समूह छूट ${min} प्रतिभागियों से लागू मानी गई है; कोर्स समन्वयक से पूछें।_`,
+    feeQuoteHostel: ({ occupancy, rate, nights, participants, amount }) => `🏨 *छात्रावास (${occupancy}):* ${rate} × ${nights} रातें × ${participants} = *${amount}*`,
+    feeQuoteHostelGst: ({ percent, amount }) => `🧾 *छात्रावास पर GST (${percent}%):* ${amount}`,
+    feeQuoteHostelUnavailable: ({ occupancy, hostelCharges }) => `🏨 *छात्रावास (${occupancy}):* शामिल नहीं - सूचीबद्ध शुल्क: ${hostelCharges}`,
+    feeQuoteNightsAssumed: ({ nights }) => `_${nights} रातें मानी गई हैं, हर कोर्स दिन के लिए एक - बदलने के लिए जैसे "4 रात" जोड़ें।_`,
+    feeQuoteHostelHint: '🏨 छात्रावास शुल्क जोड़ने के लिए "सिंगल रूम" या "डबल रूम" लिखें।',
+    feeQuoteTotal: ({ total }) => `💵 *अनुमानित कुल: ${total}*`,
+    feeQuoteGstNote: '_GST केवल छात्रावास शुल्क पर लगता है - कोर्स फीस पर GST नहीं है।_',
+    feeQuoteFooter: '_यह एक अनुमान है, कोटेशन नहीं - अंतिम राशि की पुष्टि कोर्स समन्वयक से करें।_\n📝 नामांकन अनुरोध भेजने के लिए "नामांकन" लिखें।',
+    feeQuoteSingle: 'एकल आवास',
+    feeQuoteDouble: 'दोहरा आवास',
+    feeQuoteNotAvailable: ({ courseName }) => `🤔 *${courseName}* की फीस अभी हमारे कोर्स डेटा में नहीं है, इसलिए गणना नहीं हो सकती। कृपया कोर्स समन्वयक से संपर्क करें।`,
+    feeQuoteWhichCourse: '🧮 *किस कोर्स की फीस की गणना करूँ?*\n\nउदाहरण: "SMS की फीस की गणना 5 प्रतिभागियों के लिए सिंगल रूम के साथ"।',
+    feeQuoteInvalidParticipants: ({ courseName, max }) => `👥 *कितने प्रतिभागियों के लिए गणना करूँ?*\n\n1 से ${max} तक की संख्या भेजें, जैसे "${courseName} की फीस की गणना 5 प्रतिभागियों के लिए"।`,
+    feeQuoteTooManyParticipants: ({ courseName, participants, max }) => `👥 *${courseName}* के लिए ${participants} प्रतिभागियों का अनुमान मैं यहाँ नहीं दे सकता (अधिकतम ${max})।\n\nबड़े समूहों का कोटेशन प्रशिक्षण टीम देती है - नामांकन अनुरोध भेजने के लिए "नामांकन" लिखें, या कोर्स समन्वयक से संपर्क करें।`,
+    whichCourse: ({ userName }) => `🤔 *${userName}, आप किस कोर्स के बारे में पूछ रहे हैं?*\n\nकृपया अपने प्रश्न में कोर्स का नाम लिखें, जैसे:\n• "GeM Procurement की फीस"\n• "Safety Management System की तिथियाँ"\n• "Human Factors के समन्वयक"\n\n💡 सभी कोर्स देखने के लिए "सभी कोर्स" लिखें।`,
+
+    didYouMean: ({ userName, suggestions }) => `🤔 *${userName}, क्या आपका मतलब इनमें से किसी कोर्स से था?*\n\n${suggestions}\n\n💡 नीचे किसी कोर्स पर टैप करें या कोर्स का पूरा नाम लिखें।`,
+    comparisonTitle: '📊 *कोर्स तुलना:*\n\n',
+    comparisonCourse: ({ index, name, feePerDay, days, coordinators }) => `📘 *कोर्स ${index}: ${name}*\n💰 फीस: ₹${feePerDay}/दिन\n⏱️ अवधि: ${days} दिन\n👨‍🏫 समन्वयक: ${coordinators}\n\n`,
+    comparisonHint: '💡 *किसी भी कोर्स की पूरी जानकारी के लिए बस कोर्स का नाम लिखें!*',
+
+    monthNames: ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'],
+    rangeMonth: ({ monthName, year }) => `${monthName} ${year} में`,
+    rangeToday: 'आज',
+    rangeTomorrow: 'कल',
+    rangeDayAfterTomorrow: 'परसों',
+    rangeAssumedFuture: ({ word, date }) => `_"${word}" को आने वाला दिन (${date}) माना गया है - कोई और दिन हो तो उसकी तारीख (DD/MM/YYYY) भेजें।_`,
+    rangeThisWeek: 'इस सप्ताह',
+    rangeNextWeek: 'अगले सप्ताह',
+    rangeNextDays: ({ days }) => `अगले ${days} दिनों में`,
+    rangeBetween: ({ from, to }) => `${from} से ${to} के बीच`,
+    rangeOn: ({ date }) => `${date} को`,
+    rangeAfter: ({ date }) => `${date} के बाद`,
+    rangeBefore: ({ date }) => `${date} से पहले`,
+    batchesTitle: ({ label, startsOnly }) => `📅 *${label} ${startsOnly ? 'शुरू होने वाले' : 'होने वाले'} कोर्स*`,
+    batchesTitleForCourse: ({ label, courseName }) => `📅 *${label} ${courseName} के बैच*`,
+    batchesCount: ({ count }) => `${count} बैच, आरंभ तिथि के क्रम में:`,
+    batchLine: ({ index, name, start, end, days, status }) => `${index}. *${name}*\n   🗓️ ${start} से ${end} (${days} दिन)\n   ⏳ ${status}`,
+    batchStartsToday: 'आज से शुरू',
+    batchStartsTomorrow: 'कल से शुरू',
+    batchStartsIn: ({ days }) => `${days} दिन में शुरू`,
+    batchRunning: ({ daysLeft }) => `अभी चल रहा है, ${daysLeft} दिन शेष`,
+    batchEndsToday: 'अभी चल रहा है, आज समाप्त',
+    batchesMore: ({ count }) => `…और ${count} बैच। इन्हें देखने के लिए छोटी अवधि पूछें (जैसे "अगले सप्ताह")।`,
+    batchesHint: '💡 पूरी जानकारी के लिए कोर्स का नाम लिखें, या डोमेन के अनुसार देखने के लिए "सभी कोर्स" लिखें।',
+    noBatches: ({ label }) => `📅 *${label} कोई आगामी कोर्स नहीं है।*\n\n💡 कोई दूसरी अवधि पूछें (जैसे "जनवरी में कोर्स" या "अगले महीने"), या सभी कोर्स देखने के लिए "सभी कोर्स" लिखें।`,
+    noBatchesForCourse: ({ label, courseName }) => `📅 *${label} ${courseName} का कोई आगामी बैच नहीं है।*\n\n💡 इसकी सभी आगामी तिथियाँ देखने के लिए "${courseName} की तिथि" लिखें।`,
+
+    reminderHint: '🔔 बैच शुरू होने से पहले WhatsApp पर याद दिलाने के लिए "याद दिलाएं" लिखें।',
+    reminderWhichCourse: '🔔 *मैं किस कोर्स के बारे में याद दिलाऊँ?*\n\n"याद दिलाएं" के साथ कोर्स का नाम लिखें, जैसे "GeM Procurement याद दिलाएं"।',
+    reminderNoBatches: ({ courseName }) => `🔔 *${courseName} का कोई आगामी बैच नहीं है जिसके बारे में याद दिलाया जा सके।*\n\n💡 दूसरे कोर्स देखने के लिए "सभी कोर्स" लिखें।`,
+    reminderChooseBatch: ({ courseName }) => `🔔 *${courseName} के किस बैच के बारे में याद दिलाऊँ?*\n\nनीचे एक बैच चुनें।`,
+    reminderChooseButton: 'बैच चुनें',
+    reminderBatchesSection: 'आगामी बैच',
+    reminderBatchRow: ({ start, end, days }) => `${start} से ${end} (${days} दिन)`,
+    reminderSubscribed: ({ courseName, start, end, daysBefore }) => `✅ *रिमाइंडर सेट हो गया!*\n\n📘 ${courseName}\n🗓️ ${start} से ${end}\n\nशुरू होने से ${daysBefore} दिन पहले मैं आपको संदेश भेजूँगा, और तिथियाँ बदलने पर भी बताऊँगा।\n\n💡 अपने रिमाइंडर देखने के लिए "मेरे रिमाइंडर" या रद्द करने के लिए "रिमाइंडर बंद" लिखें।`,
+    reminderSubscribedSoon: ({ courseName, start, end, days }) => `✅ *रिमाइंडर सेट हो गया!*\n\n📘 ${courseName}\n🗓️ ${start} से ${end}\n\n⏳ यह ${days} दिन में शुरू होगा - तिथियाँ बदलने पर मैं आपको बताऊँगा।\n\n💡 अपने रिमाइंडर देखने के लिए "मेरे रिमाइंडर" लिखें।`,
+    reminderAlreadySubscribed: ({ courseName, start }) => `🔔 *${courseName}* (${start} से शुरू) के लिए आपका रिमाइंडर पहले से सेट है।\n\n💡 सभी रिमाइंडर देखने के लिए "मेरे रिमाइंडर" लिखें।`,
+    reminderBatchGone: '⚠️ यह बैच अब उपलब्ध नहीं है। मौजूदा बैच देखने के लिए फिर से "याद दिलाएं" लिखें।',
+    remindersTitle: ({ count }) => `🔔 *आपके रिमाइंडर (${count}):*`,
+    reminderLine: ({ index, courseName, start, end }) => `${index}. *${courseName}*\n   🗓️ ${start} से ${end}`,
+    remindersHint: '💡 एक रिमाइंडर रद्द करने के लिए "रिमाइंडर 1 बंद", सभी के लिए "रिमाइंडर बंद" लिखें।',
+    remindersNone: '🔕 *आपका कोई सक्रिय रिमाइंडर नहीं है।*\n\n💡 कोई कोर्स खोलें और बैच शुरू होने से पहले संदेश पाने के लिए "याद दिलाएं" लिखें।',
+    remindersStopped: ({ count }) => `🔕 *${count} रिमाइंडर रद्द कर दिए गए।* अब आपको इनके बारे में संदेश नहीं मिलेंगे।`,
+    reminderStopped: ({ courseName, start }) => `🔕 *रिमाइंडर रद्द:* ${courseName} (${start})।`,
+    reminderNotFound: ({ index, count }) => `🤔 रिमाइंडर नंबर ${index} नहीं है - आपके ${count} रिमाइंडर हैं। इन्हें देखने के लिए "मेरे रिमाइंडर" लिखें।`,
+
+    enrolHint: '📝 इस कोर्स के लिए नामांकन अनुरोध भेजने के लिए "नामांकन" लिखें।',
+    enquiryWhichCourse: '📝 *आप किस कोर्स में नामांकन करना चाहते हैं?*\n\nकोर्स का नाम लिखें, जैसे "Safety Management System"।\n\n💡 रोकने के लिए "रद्द" लिखें।',
+    enquiryCourseNotFound: '🤔 यह कोर्स नहीं मिला। कृपया कोर्स का पूरा नाम लिखें (जैसे "GeM Procurement"), या रोकने के लिए "रद्द" लिखें।',
+    enquiryStart: ({ courseName }) => `📝 *नामांकन अनुरोध: ${courseName}*\n\nमैं कुछ छोटे प्रश्न पूछूँगा और आपका विवरण प्रशिक्षण टीम को भेज दूँगा।\n💡 कभी भी रोकने के लिए "रद्द" लिखें।`,
+    enquiryAskParticipantName: ({ step, total }) => `👤 *चरण ${step}/${total}* - प्रतिभागी का पूरा नाम क्या है?`,
+    enquiryAskOrganisation: ({ step, total }) => `🏢 *चरण ${step}/${total}* - प्रतिभागी किस संगठन से है?`,
+    enquiryAskDesignation: ({ step, total }) => `💼 *चरण ${step}/${total}* - प्रतिभागी का पद क्या है?`,
+    enquiryAskEmail: ({ step, total }) => `📧 *चरण ${step}/${total}* - प्रशिक्षण टीम किस ईमेल पर उत्तर दे?`,
+    enquiryAskParticipants: ({ step, total, max }) => `👥 *चरण ${step}/${total}* - कितने प्रतिभागी हैं (1-${max})?`,
+    enquiryAskBatch: ({ step, total }) => `🗓️ *चरण ${step}/${total}* - आप कौन सा बैच पसंद करेंगे? नीचे से चुनें, या "कोई भी" लिखें।`,
+    enquiryInvalidName: '⚠️ कृपया प्रतिभागी का नाम केवल अक्षरों में लिखें (2-80 अक्षर), जैसे "रवि कुमार"।',
+    enquiryInvalidOrganisation: '⚠️ कृपया संगठन का नाम लिखें (2-120 अक्षर), जैसे "भारतीय विमानपत्तन प्राधिकरण"।',
+    enquiryInvalidDesignation: '⚠️ कृपया पद लिखें (2-80 अक्षर), जैसे "सहायक प्रबंधक"।',
+    enquiryInvalidEmail: '⚠️ यह ईमेल पता सही नहीं लगता। कृपया "name@example.com" जैसा पता लिखें।',
+    enquiryInvalidParticipants: ({ max }) => `⚠️ कृपया प्रतिभागियों की संख्या 1 से ${max} के बीच लिखें।`,
+    enquiryInvalidBatch: '⚠️ कृपया कोई बैच चुनें, उसकी संख्या लिखें, या "कोई भी" लिखें।',
+    enquiryBatchButton: 'बैच चुनें',
+    enquiryBatchesSection: 'आगामी बैच',
+    enquiryAnyBatch: 'कोई भी बैच',
+    enquiryAnyBatchDescription: 'जिस बैच में सीट उपलब्ध हो',
+    enquiryFieldCourse: 'कोर्स',
+    enquiryFieldName: 'नाम',
+    enquiryFieldOrganisation: 'संगठन',
+    enquiryFieldDesignation: 'पद',
+    enquiryFieldEmail: 'ईमेल',
+    enquiryFieldParticipants: 'प्रतिभागी',
+    enquiryFieldBatch: 'बैच',
+    enquirySummary: ({ lines }) => `📋 *कृपया अपना अनुरोध जाँच लें:*\n\n${lines}\n\nभेजने के लिए *पुष्टि करें* दबाएँ। कोई उत्तर बदलने के लिए लिखें, जैसे "ईमेल बदलें" (या नाम, संगठन, पद, प्रतिभागी, बैच)।`,
+    enquiryConfirmButton: '✅ पुष्टि करें',
+    enquiryCancelButton: '❌ रद्द करें',
+    enquirySaved: ({ reference, courseName, email }) => `✅ *अनुरोध भेज दिया गया!*\n\n🔖 संदर्भ संख्या: *${reference}*\n📘 ${courseName}\n\nप्रशिक्षण टीम आपसे ${email} पर संपर्क करेगी। आगे किसी भी बातचीत में यह संदर्भ संख्या बताएँ - इसे यहाँ लिखकर भी आप अपना अनुरोध देख सकते हैं।`,
+    enquirySaveFailed: `❌ क्षमा करें, आपका अनुरोध सहेजा नहीं जा सका। फिर से प्रयास करने के लिए "पुष्टि" लिखें, या हमारा फ़ॉर्म भरें: ${FORM_LINK}`,
+    enquiryCancelled: '🛑 *अनुरोध रद्द कर दिया गया* - कुछ भी नहीं भेजा गया।\n\n💡 कोर्स देखते रहने के लिए "सभी कोर्स" लिखें।',
+    enquiryStatus: ({ reference, status, lines }) => `🔖 *अनुरोध ${reference}*\n\n📌 *स्थिति:* ${status}\n\n${lines}`,
+    enquiryStatusNew: 'प्राप्त - प्रशिक्षण टीम आपसे संपर्क करेगी',
+    enquiryStatusContacted: 'प्रशिक्षण टीम ने आपसे संपर्क किया है',
+    enquiryStatusClosed: 'बंद',
+    enquiryNotFound: ({ reference }) => `🤔 इस नंबर से संदर्भ *${reference}* वाला कोई अनुरोध नहीं मिला। कृपया संदर्भ जाँचें, या नया अनुरोध भेजने के लिए "नामांकन" लिखें।`,
+
+    brochureCaption: ({ courseName }) => `📘 ब्रोशर: *${courseName}*\n\n💡 नामांकन अनुरोध भेजने के लिए "नामांकन ${courseName}" लिखें।`,
+    brochureLink: ({ courseName, link }) => `📘 *${courseName}*\n\nइस कोर्स का ब्रोशर अभी उपलब्ध नहीं है, लेकिन कोर्स पेज पर पूरी जानकारी और पंजीकरण है:\n🔗 ${link}\n\n💡 पूरे प्रशिक्षण कैलेंडर के लिए "कैलेंडर भेजें" लिखें।`,
+    brochureUnavailable: ({ courseName }) => `📘 क्षमा करें, *${courseName}* का ब्रोशर अभी उपलब्ध नहीं है।\n\n💡 कोर्स की जानकारी के लिए "${courseName}" लिखें, या पूरे प्रशिक्षण कैलेंडर के लिए "कैलेंडर भेजें" लिखें।`,
+    brochureWhichCourse: '📘 *आपको किस कोर्स का ब्रोशर चाहिए?*\n\n"ब्रोशर" के बाद कोर्स का नाम लिखें, जैसे "GeM Procurement ब्रोशर"।\n\n💡 पूरे प्रशिक्षण कैलेंडर के लिए "कैलेंडर भेजें" लिखें।',
+    calendarCaption: '🗓️ *IAA प्रशिक्षण कैलेंडर* - सभी आगामी बैच, तिथियाँ, शुल्क और समन्वयक।\n\n💡 किसी भी कोर्स के बारे में पूछें, जैसे "SMS की फीस"।',
+
+    mediaImage: ({ userName }) => `🖼️ धन्यवाद, ${userName}! मैं केवल लिखे हुए संदेश पढ़ सकता हूँ, चित्र या वीडियो नहीं देख सकता।\n\nकृपया अपना प्रश्न लिखें - जैसे "SMS की फीस" - या चित्र को अपने प्रश्न के कैप्शन के साथ फिर से भेजें।`,
+    mediaDocument: `📄 फ़ाइल के लिए धन्यवाद! मैं यहाँ दस्तावेज़ नहीं खोल सकता।\n\n📝 नामांकन भेजने के लिए "नामांकन" लिखें या हमारा फ़ॉर्म भरें: ${FORM_LINK}\n📧 किसी अन्य काम के लिए कृपया कोर्स समन्वयक को ईमेल करें (उनका संपर्क देखने के लिए कोर्स का नाम लिखें)।`,
+    mediaAudio: '🎧 क्षमा करें, मैं अभी वॉइस संदेश नहीं सुन सकता।\n\nकृपया अपना प्रश्न लिखें - जैसे "सभी कोर्स" या "SMS की फीस"।',
+    mediaSticker: '😊 धन्यवाद!\n\n💡 हमारे प्रशिक्षण कार्यक्रम देखने के लिए "सभी कोर्स" लिखें, या "नमस्ते" लिखकर देखें कि मैं क्या कर सकता हूँ।',
+    mediaLocation: '📍 अपना स्थान साझा करने के लिए धन्यवाद!\n\nमैं अभी स्थान का उपयोग नहीं कर सकता। रास्ते या मुलाक़ात के लिए कृपया कोर्स समन्वयक से संपर्क करें (उनका संपर्क देखने के लिए कोर्स का नाम लिखें)।',
+    mediaOther: '🤔 क्षमा करें, मैं केवल लिखे हुए संदेश समझ सकता हूँ।\n\n💡 "नमस्ते" लिखकर देखें कि मैं क्या कर सकता हूँ, या कोर्स देखने के लिए "सभी कोर्स" लिखें।',
+
+    languageSwitched: '✅ *अब से मैं हिंदी में जवाब दूँगा।*\n\n💡 सभी कोर्स देखने के लिए "सभी कोर्स" लिखें, या अंग्रेज़ी के लिए "language" लिखें।'
+  }
+};
+
+// Text for a key in the given language (English when the language or key is missing)
+function t(language, key, params = {}) {
+  const entries = catalogue[language] || catalogue[DEFAULT_LANGUAGE];
+  const entry = entries[key] !== undefined ? entries[key] : catalogue[DEFAULT_LANGUAGE][key];
+  if (entry === undefined) {
+    throw new Error(`Unknown message key "${key}"`);
+  }
+  return typeof entry === 'function' ? entry(params) : entry;
+}
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+// Hindi written in Latin letters ("fees kitni hai", "namaste")
+const HINGLISH_WORDS = new Set([
+  'namaste', 'namaskar', 'kya', 'kaise', 'kab', 'kitna', 'kitni', 'kitne', 'hai', 'hain', 'batao',
+  'bataiye', 'bataye', 'chahiye', 'mujhe', 'dhanyavad', 'dhanyawad', 'shukriya', 'kripya', 'shulk', 'kaun', 'kahan'
+]);
+
+// Convert Devanagari digits (१२३) to 0-9 so numbers work in either script
+function normalizeDigits(text) {
+  return String(text || '').replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+/**
+ * 🔍 DETECT LANGUAGE - 'hi', 'en' or null when the message gives no clear signal
+ * (numbers, single acronyms like "sms" or button ids keep the previous language)
+ */
+function detectLanguage(text) {
+  const value = String(text || '');
+  if (DEVANAGARI.test(value)) {
+    return 'hi';
+  }
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  if (words.some(word => HINGLISH_WORDS.has(word))) {
+    return 'hi';
+  }
+  return words.length >= 2 ? 'en' : null;
+}
+
+// Names users type for each language
+const LANGUAGE_NAMES = {
+  en: ['en', 'english', 'angrezi', 'अंग्रेज़ी', 'अंग्रेजी', 'इंग्लिश'],
+  hi: ['hi', 'hindi', 'हिंदी', 'हिन्दी']
+};
+
+/**
+ * 🌐 PARSE LANGUAGE COMMAND
+ * "language" / "भाषा"        -> { isCommand: true, language: null }  (show the choice)
+ * "language hi" / "हिंदी"     -> { isCommand: true, language: 'hi' }
+ * anything else              -> { isCommand: false, language: null }
+ */
+function parseLanguageCommand(text) {
+  const value = String(text || '').normalize('NFC').toLowerCase().trim().replace(/\s+/g, ' ');
+  const match = value.match(/^(?:(?:change |switch )?(?:language|lang|भाषा)(?: बदलें)?)(?: (.+))?$/);
+  const requested = match ? match[1] : value;
+
+  const language = SUPPORTED_LANGUAGES.find(code =>
+    LANGUAGE_NAMES[code].some(name => name.normalize('NFC') === requested)
+  ) || null;
+
+  if (match) {
+    return { isCommand: true, language };
+  }
+  // Bare language names ("hindi", "हिंदी") also switch, but only if the whole message is the name
+  const isCommand = Boolean(language) && requested.length > 2;
+  return { isCommand, language: isCommand ? language : null };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  t,
+  detectLanguage,
+  normalizeDigits,
+  parseLanguageCommand
+};
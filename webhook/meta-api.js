@@ -33,7 +33,10 @@
  */
 
 const axios = require('axios');
-const crypto = require('crypto');
+const { buildTemplateMessage } = require('./message-templates'); // Approved template catalogue
+
+// Message types that carry a file (sent by media id or link)
+const MEDIA_MESSAGE_TYPES = ['document', 'image'];
 
 // 🔧 META CLOUD API CONFIGURATION
 const META_CONFIG = {
@@ -75,40 +78,172 @@ function verifyWebhook(req, res) {
 }
 
 /**
- * 🔍 VERIFY WEBHOOK SIGNATURE
- * Verifies that the webhook request is authentic using Meta's signature
+ * ✂️ TRUNCATE TEXT
+ * WhatsApp rejects interactive messages whose titles exceed their limits,
+ * so long course/domain names are shortened with an ellipsis
  */
-function verifyWebhookSignature(req, res, next) {
-  const signature = req.headers['x-hub-signature-256'];
-  
-  if (!signature) {
-    console.log('❌ No signature found in webhook request');
-    return res.status(400).send('No signature');
+function truncateText(text, maxLength) {
+  const value = String(text || '').trim();
+  if (value.length <= maxLength) {
+    return value;
+  }
+  return value.substring(0, maxLength - 1).trim() + '…';
+}
+
+// 📏 INTERACTIVE MESSAGE LIMITS (from Meta Cloud API documentation)
+const INTERACTIVE_LIMITS = {
+  HEADER_TEXT: 60,
+  BODY_TEXT: 1024,
+  FOOTER_TEXT: 60,
+  LIST_BUTTON_TEXT: 20,
+  LIST_SECTION_TITLE: 24,
+  LIST_MAX_ROWS: 10,
+  ROW_ID: 200,
+  ROW_TITLE: 24,
+  ROW_DESCRIPTION: 72,
+  MAX_REPLY_BUTTONS: 3,
+  REPLY_BUTTON_TITLE: 20
+};
+
+/**
+ * 📋 BUILD LIST MESSAGE
+ * Builds an interactive list message (a menu the user can tap instead of typing)
+ * sections: [{ title, rows: [{ id, title, description }] }]
+ * The row id is sent back to us when the user taps it, so we use the same
+ * text commands the user could have typed (e.g. "domain 1")
+ */
+function buildListMessage({ header, body, footer, buttonText = 'View options', sections }) {
+  const totalRows = sections.reduce((count, section) => count + section.rows.length, 0);
+  if (totalRows === 0 || totalRows > INTERACTIVE_LIMITS.LIST_MAX_ROWS) {
+    throw new Error(`List messages need between 1 and ${INTERACTIVE_LIMITS.LIST_MAX_ROWS} rows (got ${totalRows})`);
   }
 
-  // Get the raw body for signature verification
-  const body = JSON.stringify(req.body);
-  const expectedSignature = 'sha256=' + crypto
-    .createHmac('sha256', process.env.META_WEBHOOK_SECRET)
-    .update(body, 'utf8')
-    .digest('hex');
+  const interactive = {
+    type: 'list',
+    body: { text: truncateText(body, INTERACTIVE_LIMITS.BODY_TEXT) },
+    action: {
+      button: truncateText(buttonText, INTERACTIVE_LIMITS.LIST_BUTTON_TEXT),
+      sections: sections.map(section => ({
+        title: truncateText(section.title, INTERACTIVE_LIMITS.LIST_SECTION_TITLE),
+        rows: section.rows.map(row => ({
+          id: truncateText(row.id, INTERACTIVE_LIMITS.ROW_ID),
+          title: truncateText(row.title, INTERACTIVE_LIMITS.ROW_TITLE),
+          ...(row.description && { description: truncateText(row.description, INTERACTIVE_LIMITS.ROW_DESCRIPTION) })
+        }))
+      }))
+    }
+  };
 
-  if (signature !== expectedSignature) {
-    console.log('❌ Invalid webhook signature');
-    return res.status(400).send('Invalid signature');
+  if (header) {
+    interactive.header = { type: 'text', text: truncateText(header, INTERACTIVE_LIMITS.HEADER_TEXT) };
+  }
+  if (footer) {
+    interactive.footer = { text: truncateText(footer, INTERACTIVE_LIMITS.FOOTER_TEXT) };
   }
 
-  console.log('✅ Webhook signature verified');
-  next();
+  return interactive;
+}
+
+/**
+ * 🔘 BUILD REPLY BUTTONS MESSAGE
+ * Builds an interactive message with up to three quick-reply buttons
+ * buttons: [{ id, title }]
+ */
+function buildReplyButtonsMessage({ header, body, footer, buttons }) {
+  if (buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.MAX_REPLY_BUTTONS) {
+    throw new Error(`Reply button messages need between 1 and ${INTERACTIVE_LIMITS.MAX_REPLY_BUTTONS} buttons (got ${buttons.length})`);
+  }
+
+  const interactive = {
+    type: 'button',
+    body: { text: truncateText(body, INTERACTIVE_LIMITS.BODY_TEXT) },
+    action: {
+      buttons: buttons.map(button => ({
+        type: 'reply',
+        reply: {
+          id: truncateText(button.id, INTERACTIVE_LIMITS.ROW_ID),
+          title: truncateText(button.title, INTERACTIVE_LIMITS.REPLY_BUTTON_TITLE)
+        }
+      }))
+    }
+  };
+
+  if (header) {
+    interactive.header = { type: 'text', text: truncateText(header, INTERACTIVE_LIMITS.HEADER_TEXT) };
+  }
+  if (footer) {
+    interactive.footer = { text: truncateText(footer, INTERACTIVE_LIMITS.FOOTER_TEXT) };
+  }
+
+  return interactive;
+}
+
+/**
+ * 🚚 GRAPH API TRANSPORT
+ * send() posts a message payload to Meta and returns the response body ({ messages: [{ id }] }).
+ * upload() posts a file to the media endpoint and returns { id } (the media id messages can use).
+ * Errors are thrown as axios errors so sendWhatsAppMessage / uploadMedia can read error.response.
+ */
+function createGraphTransport() {
+  return {
+    type: 'graph',
+
+    async send(payload) {
+      const response = await axios.post(
+        `${META_CONFIG.GRAPH_API_BASE}/${META_CONFIG.PHONE_NUMBER_ID}/messages`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${META_CONFIG.ACCESS_TOKEN}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: META_CONFIG.REQUEST_TIMEOUT
+        }
+      );
+      return response.data;
+    },
+
+    async upload({ buffer, filename, mimeType }) {
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', new Blob([buffer], { type: mimeType }), filename);
+      const response = await axios.post(
+        `${META_CONFIG.GRAPH_API_BASE}/${META_CONFIG.PHONE_NUMBER_ID}/media`,
+        form,
+        {
+          headers: { 'Authorization': `Bearer ${META_CONFIG.ACCESS_TOKEN}` },
+          timeout: META_CONFIG.REQUEST_TIMEOUT
+        }
+      );
+      return response.data;
+    }
+  };
+}
+
+// Outgoing messages go through this transport; the simulator replaces it with a mock
+let transport = createGraphTransport();
+
+function getTransport() {
+  return transport;
+}
+
+function setTransport(nextTransport) {
+  transport = nextTransport;
 }
 
 /**
  * 📨 SEND WHATSAPP MESSAGE
  * Sends a message to a WhatsApp user via Meta Cloud API
+ * - messageType 'text': message is the text body
+ * - messageType 'interactive': message is an object from buildListMessage/buildReplyButtonsMessage
+ * - messageType 'template': message is { templateName, languageCode, parameters }
+ * - messageType 'document' / 'image': message is { id (uploaded media) or link, caption, filename (documents) }
  */
 async function sendWhatsAppMessage(to, message, messageType = 'text') {
   try {
-    console.log('📤 Sending WhatsApp message:', { to, messageType, messageLength: message.length });
+    const messageLength = typeof message === 'string' ? message.length : JSON.stringify(message).length;
+    console.log('📤 Sending WhatsApp message:', { to, messageType, messageLength });
 
     // Prepare the message payload based on type
     let payload;
@@ -122,99 +257,220 @@ async function sendWhatsAppMessage(to, message, messageType = 'text') {
           body: message
         }
       };
-     } 
-    // else if (messageType === 'template') {
-    //   payload = {
-    //     messaging_product: 'whatsapp',
-    //     to: to,
-    //     type: 'template',
-    //     template: {
-    //       name: message.templateName,
-    //       language: {
-    //         code: message.languageCode || 'en'
-    //       },
-    //       components: message.components || []
-    //     }
-    //   };
-    // }
-
-    // Send the message via Meta Graph API
-    const response = await axios.post(
-      `${META_CONFIG.GRAPH_API_BASE}/${META_CONFIG.PHONE_NUMBER_ID}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${META_CONFIG.ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: META_CONFIG.REQUEST_TIMEOUT
+    } else if (messageType === 'interactive') {
+      payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to,
+        type: 'interactive',
+        interactive: message
+      };
+    } else if (messageType === 'template') {
+      // message: { templateName, languageCode, parameters: { header, body, buttons } }
+      // Parameters are validated against the local template catalogue before sending
+      let template;
+      try {
+        template = buildTemplateMessage(message.templateName, message.parameters, message.languageCode || 'en');
+      } catch (validationError) {
+        console.error('❌ Template validation failed:', validationError.message);
+        return {
+          success: false,
+          error: validationError.message,
+          retryable: false
+        };
       }
-    );
 
-    console.log('✅ Message sent successfully:', response.data);
+      payload = {
+        messaging_product: 'whatsapp',
+        to: to,
+        type: 'template',
+        template
+      };
+    } else if (MEDIA_MESSAGE_TYPES.includes(messageType)) {
+      if (!message || (!message.id && !message.link)) {
+        return { success: false, error: `A ${messageType} message needs a media id or a link`, retryable: false };
+      }
+      const media = message.id ? { id: message.id } : { link: message.link };
+      if (message.caption) media.caption = message.caption;
+      if (message.filename && messageType === 'document') media.filename = message.filename;
+
+      payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to,
+        type: messageType,
+        [messageType]: media
+      };
+    }
+
+    if (!payload) {
+      throw new Error(`Unsupported message type: ${messageType}`);
+    }
+
+    // Send the message via the current transport (Meta Graph API unless the simulator swapped it)
+    const data = await transport.send(payload);
+
+    console.log('✅ Message sent successfully:', data);
     return {
       success: true,
-      messageId: response.data.messages[0].id,
-      data: response.data
+      messageId: data.messages[0].id,
+      data
     };
 
   } catch (error) {
     console.error('❌ Error sending WhatsApp message:', error.response?.data || error.message);
-    
-    // Handle specific Meta API errors
-    if (error.response?.status === 429) {
-      console.log('⚠️ Rate limit exceeded, implementing backoff');
-      await new Promise(resolve => setTimeout(resolve, META_CONFIG.RETRY_DELAY * 2));
-    }
-    
-    return {
-      success: false,
-      error: error.response?.data || error.message,
-      statusCode: error.response?.status
-    };
+    return graphFailure(error);
+  }
+}
+
+// Failed Graph API call -> { success: false, error, statusCode, retryable, retryAfterMs }
+function graphFailure(error) {
+  const statusCode = error.response?.status;
+
+  // Handle specific Meta API errors: 429 means slow down (for as long as Retry-After says),
+  // other 4xx errors (bad parameters, expired token, outside the 24-hour window) won't succeed on retry
+  if (statusCode === 429) {
+    console.log('⚠️ Rate limit exceeded, backing off');
   }
+
+  return {
+    success: false,
+    error: error.response?.data || error.message,
+    statusCode,
+    retryable: !(statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429),
+    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+  };
 }
 
 /**
- * 📥 PROCESS INCOMING MESSAGE
- * Processes incoming WhatsApp messages from Meta webhook
+ * 📎 UPLOAD MEDIA
+ * Uploads a file (brochure, calendar) to Meta's media endpoint; the media id can then be sent
+ * as often as needed for 30 days. Use media-library.js, which caches the ids.
+ * Returns { success: true, mediaId } or the same failure shape as sendWhatsAppMessage.
  */
-function processIncomingMessage(webhookData) {
+async function uploadMedia({ buffer, filename, mimeType }) {
   try {
-    console.log('📥 Processing incoming webhook data:', JSON.stringify(webhookData, null, 2));
+    console.log('📎 Uploading media:', { filename, mimeType, bytes: buffer.length });
+    const data = await transport.upload({ buffer, filename, mimeType });
+    console.log('✅ Media uploaded:', data.id);
+    return { success: true, mediaId: data.id };
+  } catch (error) {
+    console.error('❌ Error uploading media:', error.response?.data || error.message);
+    return graphFailure(error);
+  }
+}
 
-    // Extract message data from Meta webhook format
-    const entry = webhookData.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const value = changes?.value;
-    const messages = value?.messages;
+// Retry-After header -> milliseconds to wait (it is either seconds or an HTTP date), null when absent
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
 
-    if (!messages || messages.length === 0) {
-      console.log('ℹ️ No messages found in webhook data');
-      return null;
-    }
+// One inbound message in the shape the bot works with
+function extractMessage(message, contacts) {
+  // 🔘 INTERACTIVE REPLIES - When the user taps a list row or reply button,
+  // Meta sends the id we gave it; the id is a text command, so we treat it as the message text
+  const interactiveReply = message.type === 'interactive'
+    ? (message.interactive?.list_reply || message.interactive?.button_reply)
+    : null;
+  const contact = contacts.find(candidate => candidate.wa_id === message.from) || contacts[0];
+  const media = extractMedia(message);
 
-    const message = messages[0];
-    const contacts = value?.contacts?.[0];
-
-    // Extract message details
-    const messageData = {
-      id: message.id,
-      from: message.from,
-      timestamp: message.timestamp,
-      type: message.type,
-      text: message.text?.body || '',
-      name: contacts?.profile?.name || 'Unknown',
-      phoneNumber: message.from
+  return {
+    id: message.id,
+    from: message.from,
+    timestamp: message.timestamp,
+    type: message.type,
+    // A photo or document sent with a caption is answered like the caption typed as text
+    text: interactiveReply ? interactiveReply.id : (message.text?.body || media?.caption || ''),
+    media,
+    name: contact?.profile?.name || 'Unknown',
+    phoneNumber: message.from,
+    interactive: interactiveReply ? {
+      type: message.interactive.type,
+      id: interactiveReply.id,
+      title: interactiveReply.title
+    } : null
+  };
+}
+
+// 📎 What a non-text message carries: images, documents, audio, video, stickers, locations, ...
+// null for text and interactive replies. Media ids could be downloaded from the Graph API; the bot
+// doesn't need the files, only what kind of message it got (see handlers/incoming-media.js).
+function extractMedia(message) {
+  if (!message.type || message.type === 'text' || message.type === 'interactive') {
+    return null;
+  }
+  const content = message[message.type] || {};
+  if (message.type === 'location') {
+    return {
+      kind: 'location',
+      latitude: content.latitude,
+      longitude: content.longitude,
+      name: content.name || null,
+      address: content.address || null
     };
+  }
+  return {
+    kind: message.type, // image, document, audio (voice notes too), video, sticker, contacts, unsupported, ...
+    id: content.id || null,
+    mimeType: content.mime_type || null,
+    filename: content.filename || null,
+    caption: typeof content.caption === 'string' ? content.caption : null
+  };
+}
 
-    console.log('📨 Extracted message data:', messageData);
-    return messageData;
+// One delivery status callback (sent / delivered / read / failed) for a message we sent
+function extractStatus(status) {
+  return {
+    messageId: status.id,
+    status: status.status,
+    recipient: status.recipient_id || null,
+    timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+    errors: (status.errors || []).map(error => ({
+      code: error.code,
+      title: error.title || null,
+      message: error.message || error.error_data?.details || null
+    })),
+    pricingCategory: status.pricing?.category || null
+  };
+}
 
+/**
+ * 📥 PROCESS WEBHOOK PAYLOAD
+ * Meta batches deliveries: one webhook can hold several entries, each with several changes,
+ * each with several messages and/or statuses. Returns all of them, in delivery order:
+ *   { messages: [{ id, from, text, name, ... }], statuses: [{ messageId, status, recipient, ... }] }
+ */
+function processWebhookPayload(webhookData) {
+  const result = { messages: [], statuses: [] };
+  try {
+    (webhookData?.entry || []).forEach(entry => {
+      (entry?.changes || []).forEach(change => {
+        const value = change?.value || {};
+        const contacts = value.contacts || [];
+        (value.messages || []).forEach(message => {
+          result.messages.push(extractMessage(message, contacts));
+        });
+        (value.statuses || []).forEach(status => {
+          if (status?.id && status.status) {
+            result.statuses.push(extractStatus(status));
+          }
+        });
+      });
+    });
   } catch (error) {
-    console.error('❌ Error processing incoming message:', error);
-    return null;
+    console.error('❌ Error processing webhook payload:', error);
   }
+
+  console.log(`📨 Webhook payload: ${result.messages.length} message(s), ${result.statuses.length} status update(s)`);
+  return result;
 }
 
 /**
@@ -230,10 +486,16 @@ async function sendMessageWithRetry(to, message, messageType = 'text', retries =
     if (result.success) {
       return result;
     }
+
+    // Validation and other 4xx errors (e.g. wrong template parameters) will never succeed on retry
+    if (result.retryable === false) {
+      return result;
+    }
     
     if (attempt < retries) {
-      console.log(`⚠️ Attempt ${attempt} failed, retrying in ${META_CONFIG.RETRY_DELAY}ms...`);
-      await new Promise(resolve => setTimeout(resolve, META_CONFIG.RETRY_DELAY * attempt));
+      const delay = result.retryAfterMs !== null && result.retryAfterMs !== undefined ? result.retryAfterMs : META_CONFIG.RETRY_DELAY * attempt;
+      console.log(`⚠️ Attempt ${attempt} failed, retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
   
@@ -244,6 +506,15 @@ async function sendMessageWithRetry(to, message, messageType = 'text', retries =
   };
 }
 
+/**
+ * 📝 SEND TEMPLATE MESSAGE
+ * Sends an approved template (needed for business-initiated messages outside the 24-hour window)
+ * parameters: { header: [...], body: [...], buttons: [[...]] } - see message-templates.js
+ */
+async function sendTemplateMessage(to, templateName, parameters = {}, languageCode = 'en') {
+  return sendMessageWithRetry(to, { templateName, languageCode, parameters }, 'template');
+}
+
 /**
  * 📊 GET MESSAGE STATUS
  * Gets the delivery status of a sent message
@@ -330,12 +601,20 @@ function validateMetaConfig() {
 // Export all functions
 module.exports = {
   verifyWebhook,
-  verifyWebhookSignature,
   sendWhatsAppMessage,
   sendMessageWithRetry,
-  processIncomingMessage,
+  sendTemplateMessage,
+  buildListMessage,
+  buildReplyButtonsMessage,
+  uploadMedia,
+  processWebhookPayload,
+  parseRetryAfter,
   // getMessageStatus,
   validateMetaConfig,
   // getBusinessProfile,
+  createGraphTransport,
+  getTransport,
+  setTransport,
+  MEDIA_MESSAGE_TYPES,
   META_CONFIG
 };
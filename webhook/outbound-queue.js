@@ -0,0 +1,182 @@
+// 📮 OUTBOUND QUEUE - Sends the bot's replies after the webhook has already answered Meta
+//
+// The webhook only decides the reply and queues it (enqueue), then acknowledges with 200 at once,
+// so a slow or failing Graph API can't run into Meta's webhook timeout or Vercel's maxDuration.
+// This module sends the queued jobs:
+// - one recipient's messages go out in the order they were queued (a retrying job holds up the
+//   ones behind it, so replies never arrive out of order)
+// - failed sends are retried with exponential backoff; a 429's Retry-After wins when Meta sends one
+// - jobs that fail for good (a 4xx error, or OUTBOUND_MAX_ATTEMPTS attempts) move to the dead-letter
+//   list, where support staff can replay them (see admin/outbound.js)
+// - runOnce() sends what is due; start() / stop() poll every OUTBOUND_POLL_SECONDS on a long-running
+//   server. On Vercel the webhook runs the queue before it answers, and a cron job calls GET /cron/outbound
+//   for the retries (see admin/cron.js)
+
+const { sendQueuedMessage } = require('./media-library');
+const { getOutboundQueueStore } = require('./stores/outbound-queue-store');
+
+const OUTBOUND_MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 6;
+const OUTBOUND_BACKOFF_MS = (parseFloat(process.env.OUTBOUND_BACKOFF_SECONDS) || 2) * 1000; // first retry delay
+const OUTBOUND_POLL_INTERVAL_MS = (parseFloat(process.env.OUTBOUND_POLL_SECONDS) || 5) * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const LOCK_MS = 2 * 60 * 1000;   // a job stuck in 'sending' this long (crashed worker) is picked up again
+const BATCH_SIZE = 20;           // recipients served per pass
+const MAX_PASSES = 50;           // one run never loops forever
+
+// Send errors are objects from the Graph API or plain messages
+const describeError = (error) => (typeof error === 'string' ? error : JSON.stringify(error));
+
+/**
+ * 🏭 CREATE OUTBOUND QUEUE
+ * options.send          - (to, message, messageType) -> send result (one attempt; the default also uploads
+ *                         brochures and the calendar, see media-library.js)
+ * options.onSent        - (job, result) after a job was sent (e.g. record it in the transcript)
+ * options.onDeadLetter  - (job, result) after a job moved to the dead-letter list
+ * options.clock         - () => milliseconds, for backoff and due times (tests move it forward)
+ * The store is looked up on every run, so tests can swap it.
+ */
+function createOutboundQueue({
+  send = sendQueuedMessage,
+  onSent = async () => {},
+  onDeadLetter = async () => {},
+  getStore = getOutboundQueueStore,
+  clock = () => Date.now(),
+  maxAttempts = OUTBOUND_MAX_ATTEMPTS,
+  backoffMs = OUTBOUND_BACKOFF_MS,
+  maxBackoffMs = MAX_BACKOFF_MS,
+  intervalMs = OUTBOUND_POLL_INTERVAL_MS
+} = {}) {
+  let timer = null;
+  let running = null;
+
+  // 2s, 4s, 8s, ... (capped)
+  const backoffFor = (attempts) => Math.min(maxBackoffMs, backoffMs * 2 ** (attempts - 1));
+
+  // A hook failing (e.g. the transcript store is down) must not resend or lose the job
+  async function runHook(hook, job, result) {
+    try {
+      await hook(job, result);
+    } catch (error) {
+      console.error('❌ Outbound queue hook failed:', error.message);
+    }
+  }
+
+  // 📤 One attempt at one job -> 'sent' | 'retried' | 'dead' | 'skipped' (another worker has it)
+  async function processJob(job) {
+    const store = getStore();
+    const now = clock();
+    const locked = await store.lock(job.id, new Date(now + LOCK_MS), new Date(now));
+    if (!locked) {
+      return 'skipped';
+    }
+
+    const result = await send(locked.recipient, locked.message, locked.messageType);
+    const attempts = locked.attempts + 1;
+
+    if (result.success) {
+      await store.remove(locked.id);
+      await runHook(onSent, { ...locked, attempts }, result);
+      return 'sent';
+    }
+
+    const lastError = describeError(result.error);
+    if (result.retryable === false || attempts >= maxAttempts) {
+      const dead = await store.update(locked.id, { status: 'dead', attempts, lastError, lockedUntil: null, deadAt: new Date(clock()) });
+      console.error(`💀 Outbound message to ${locked.recipient} moved to the dead-letter list after ${attempts} attempt(s):`, lastError);
+      await runHook(onDeadLetter, dead, result);
+      return 'dead';
+    }
+
+    const delay = result.retryAfterMs !== null && result.retryAfterMs !== undefined ? result.retryAfterMs : backoffFor(attempts);
+    await store.update(locked.id, { status: 'pending', attempts, lastError, lockedUntil: null, nextAttemptAt: new Date(clock() + delay) });
+    console.log(`⏳ Outbound message to ${locked.recipient} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s`);
+    return 'retried';
+  }
+
+  // Send everything that is due; each pass sends the next message of every recipient
+  async function sendDue() {
+    const summary = { sent: 0, retried: 0, dead: 0 };
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const due = await getStore().listDue(new Date(clock()), BATCH_SIZE);
+      if (due.length === 0) {
+        break;
+      }
+      const outcomes = await Promise.all(due.map(job => processJob(job).catch(error => {
+        console.error('❌ Outbound job failed:', error);
+        return 'skipped';
+      })));
+      outcomes.forEach(outcome => {
+        if (outcome !== 'skipped') summary[outcome] += 1;
+      });
+      if (outcomes.every(outcome => outcome === 'skipped')) {
+        break;
+      }
+    }
+    return summary;
+  }
+
+  // 🔁 One run at a time - callers share the run in progress
+  function runOnce() {
+    if (!running) {
+      running = sendDue().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  return {
+    runOnce,
+
+    // 📥 Queue a reply; it is sent by the next run
+    async enqueue(recipient, message, messageType = 'text', meta = {}) {
+      return getStore().enqueue({ recipient, message, messageType, meta }, new Date(clock()));
+    },
+
+    // ⏩ Run until nothing due is left (jobs waiting for their backoff stay queued)
+    // Waits for a run in progress first, so jobs queued while it was finishing are not missed
+    async drain() {
+      const total = { sent: 0, retried: 0, dead: 0 };
+      if (running) {
+        await running.catch(() => {});
+      }
+      for (let run = 0; run < MAX_PASSES; run++) {
+        const summary = await runOnce();
+        Object.keys(total).forEach(key => { total[key] += summary[key]; });
+        if (summary.sent + summary.retried + summary.dead === 0) {
+          break;
+        }
+      }
+      return total;
+    },
+
+    // ♻️ Put a dead job back in the queue with fresh attempts; null unless it is dead
+    async replay(id) {
+      const store = getStore();
+      const job = await store.get(id);
+      if (!job || job.status !== 'dead') {
+        return null;
+      }
+      return store.update(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date(clock()), deadAt: null });
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        runOnce().catch(error => console.error('❌ Outbound queue run failed:', error));
+      }, intervalMs);
+      timer.unref(); // never keep the process alive just for the queue
+      console.log(`📮 Outbound queue started (every ${Math.round(intervalMs / 1000)}s, up to ${maxAttempts} attempts)`);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  OUTBOUND_MAX_ATTEMPTS,
+  createOutboundQueue
+};
@@ -0,0 +1,230 @@
+// ⏰ REMINDER SCHEDULER - Sends "your batch starts soon" templates and date-change notices
+//
+// Users subscribe to one batch of a course ("remind me" after a course card). This module:
+// - runOnce(): sends the batch_reminder template REMINDER_DAYS_BEFORE days before the batch
+//   starts (once per subscription) and retires subscriptions whose batch has started
+// - checkDateChanges(courses): after the course data reloads, moves subscriptions to the new
+//   dates of their batch and sends the batch_date_change template
+// - start() / stop(): run runOnce() every REMINDER_CHECK_INTERVAL_MINUTES on a long-running server
+//   (on Vercel the /cron/reminders job in vercel.json runs checkDateChanges() and runOnce() every hour)
+//
+// Reminders are business-initiated, so they must be approved templates (see message-templates.js).
+
+const metaApi = require('./meta-api');
+const { todayISODate, daysBetween } = require('./date-utils');
+const { getCourseRepository } = require('./course-repository');
+const { isVisibleTo, audienceFor } = require('./course-visibility');
+const { getReminderStore } = require('./stores/reminder-store');
+const { getTranscriptStore } = require('./stores/transcript-store');
+
+const REMINDER_DAYS_BEFORE = parseInt(process.env.REMINDER_DAYS_BEFORE, 10) || 3;
+const REMINDER_CHECK_INTERVAL_MS = (parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_RESCHEDULE_DAYS = 120; // a "moved" batch further away than this is treated as a different batch
+
+// Record a business-initiated message in the transcript so support staff can see it
+async function recordOutbound(subscription, templateName, result) {
+  try {
+    await getTranscriptStore().add({
+      userId: subscription.userId,
+      userName: subscription.userName,
+      direction: 'outbound',
+      text: `[template ${templateName}] ${subscription.courseName} (${subscription.batchStart})`,
+      messageType: 'template',
+      messageId: result.messageId,
+      handler: templateName,
+      course: subscription.courseName,
+      sendResult: {
+        success: result.success,
+        messageId: result.messageId || null,
+        error: result.success ? null : (typeof result.error === 'string' ? result.error : JSON.stringify(result.error))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to record reminder in transcript:', error.message);
+  }
+}
+
+// The batch a subscription now points to: same start date, or the closest newly added batch
+function findCurrentBatch(course, subscription, previousStarts, today) {
+  const sameStart = course.batches.find(batch => batch.start === subscription.batchStart);
+  if (sameStart) {
+    return sameStart;
+  }
+
+  // Batches that existed before the reload are other batches, not the moved one
+  return course.batches
+    .filter(batch => batch.end >= today && !(previousStarts && previousStarts.has(batch.start)))
+    .map(batch => ({ batch, distance: Math.abs(daysBetween(subscription.batchStart, batch.start)) }))
+    .filter(({ distance }) => distance <= MAX_RESCHEDULE_DAYS)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ batch }) => batch)[0] || null;
+}
+
+/**
+ * 🏭 CREATE REMINDER SCHEDULER
+ * options.now          - clock (the simulator pins it)
+ * options.daysBefore   - how many days before the start the reminder goes out
+ * options.sendTemplate - (to, templateName, parameters, languageCode) -> send result
+ * The store and course repository are looked up on every run, so tests can swap them.
+ */
+function createReminderScheduler({
+  now = () => new Date(),
+  daysBefore = REMINDER_DAYS_BEFORE,
+  intervalMs = REMINDER_CHECK_INTERVAL_MS,
+  sendTemplate = metaApi.sendTemplateMessage,
+  getStore = getReminderStore,
+  getRepository = getCourseRepository
+} = {}) {
+  let timer = null;
+  let running = null;
+  // courseId -> Set of batch start dates seen at the last check, to tell moved batches from other ones
+  let knownStarts = null;
+
+  const snapshot = (courses) => new Map(courses.map(course => [course.id, new Set(course.batches.map(batch => batch.start))]));
+
+  // The course's batch starts before this check, or null when nothing changed (e.g. a manual
+  // check after a restart) and every batch is a candidate for the moved one
+  const changedStarts = (previous, course) => {
+    const before = previous && previous.get(course.id);
+    const changed = before && (before.size !== course.batches.length || course.batches.some(batch => !before.has(batch.start)));
+    return changed ? before : null;
+  };
+
+  // 📤 Send the "starts in N days" template for every subscription that is due
+  async function sendDueReminders() {
+    const today = todayISODate(now());
+    const summary = { checked: 0, reminded: 0, completed: 0, failed: 0 };
+    const store = getStore();
+
+    for (const subscription of await store.listActive()) {
+      summary.checked += 1;
+      const daysLeft = daysBetween(today, subscription.batchStart);
+
+      if (daysLeft < 0) {
+        await store.update(subscription.id, { status: 'completed' });
+        summary.completed += 1;
+        continue;
+      }
+      if (subscription.remindedAt || daysLeft > daysBefore) {
+        continue;
+      }
+
+      const course = getRepository().getById(subscription.courseId);
+      const result = await sendTemplate(subscription.to, 'batch_reminder', {
+        header: [subscription.courseName],
+        body: [subscription.userName, subscription.courseName, subscription.batchStart, String(daysLeft)],
+        buttons: [[course ? course.id : subscription.courseId]]
+      }, subscription.language);
+      await recordOutbound(subscription, 'batch_reminder', result);
+
+      if (result.success) {
+        await store.update(subscription.id, { remindedAt: now() });
+        summary.reminded += 1;
+        console.log(`🔔 Reminder sent to ${subscription.userId}: ${subscription.courseName} starts ${subscription.batchStart}`);
+      } else {
+        summary.failed += 1; // tried again on the next run
+        console.error(`❌ Reminder to ${subscription.userId} failed:`, result.error);
+      }
+    }
+
+    return summary;
+  }
+
+  // 🔁 One pass at a time - a slow run must not overlap with the next tick
+  function runOnce() {
+    if (!running) {
+      running = sendDueReminders().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  /**
+   * 🗓️ CHECK DATE CHANGES - Call after the course data changed
+   * Subscriptions follow their batch to its new dates (with a batch_date_change notice);
+   * subscriptions whose course or batch disappeared (or is no longer visible to the user) are cancelled.
+   */
+  // One check at a time: the reload hook and the /cron/reminders run must not both send a notice
+  let dateCheck = Promise.resolve();
+  function checkDateChanges(courses) {
+    const run = dateCheck.then(() => compareDates(courses || getRepository().getAll()));
+    dateCheck = run.catch(() => {});
+    return run;
+  }
+
+  async function compareDates(courses) {
+    const today = todayISODate(now());
+    const byId = new Map(courses.map(course => [course.id, course]));
+    const summary = { checked: 0, moved: 0, cancelled: 0, failed: 0 };
+    const store = getStore();
+    const previous = knownStarts;
+    knownStarts = snapshot(courses);
+
+    for (const subscription of await store.listActive()) {
+      summary.checked += 1;
+      // A course that was made internal or hidden counts as gone for users who may no longer see it
+      const course = byId.get(subscription.courseId);
+      const visibleCourse = isVisibleTo(course, audienceFor(subscription.to)) ? course : null;
+      const batch = visibleCourse ? findCurrentBatch(course, subscription, changedStarts(previous, course), today) : null;
+
+      if (!batch) {
+        await store.update(subscription.id, { status: 'cancelled' });
+        summary.cancelled += 1;
+        console.log(`⚠️ Reminder cancelled, batch no longer in the calendar: ${subscription.courseName} ${subscription.batchStart}`);
+        continue;
+      }
+      if (batch.start === subscription.batchStart) {
+        if (batch.end !== subscription.batchEnd) {
+          await store.update(subscription.id, { batchEnd: batch.end });
+        }
+        continue;
+      }
+
+      const result = await sendTemplate(subscription.to, 'batch_date_change', {
+        body: [subscription.userName, subscription.courseName, subscription.batchStart, batch.start]
+      }, subscription.language);
+      await recordOutbound({ ...subscription, batchStart: batch.start }, 'batch_date_change', result);
+
+      // The reminder is sent again for the new dates
+      await store.update(subscription.id, { batchStart: batch.start, batchEnd: batch.end, remindedAt: null });
+      summary.moved += 1;
+      if (!result.success) {
+        summary.failed += 1;
+        console.error(`❌ Date change notice to ${subscription.userId} failed:`, result.error);
+      }
+      console.log(`🗓️ Batch moved for ${subscription.userId}: ${subscription.courseName} ${subscription.batchStart} -> ${batch.start}`);
+    }
+
+    return summary;
+  }
+
+  return {
+    runOnce,
+    checkDateChanges,
+
+    // Remember the current batches so the first reload can tell which batch moved
+    rememberCourses(courses = getRepository().getAll()) {
+      knownStarts = snapshot(courses);
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        runOnce().catch(error => console.error('❌ Reminder run failed:', error));
+      }, intervalMs);
+      timer.unref(); // never keep the process alive just for reminders
+      console.log(`⏰ Reminder scheduler started (every ${Math.round(intervalMs / 60000)} min, ${daysBefore} days before start)`);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  REMINDER_DAYS_BEFORE,
+  createReminderScheduler
+};
@@ -0,0 +1,44 @@
+// 🗄️ RESPONSE CACHE - Keeps frequently sent replies (like the domain menu) ready to send
+// Entries expire after 5 minutes; the oldest entry is dropped when the cache is full.
+
+const MAX_CACHE_SIZE = 1000; // 🛡️ PRODUCTION FIX: Limit cache size to prevent memory leaks and server crashes
+const CACHE_TTL = 300000; // 5 minutes (300,000ms)
+
+const responseCache = new Map();
+
+// Get cached response if it exists and hasn't expired
+function getCachedResponse(key) {
+  const cached = responseCache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    console.log(`📋 Using cached response for: ${key} (Cache size: ${responseCache.size}/${MAX_CACHE_SIZE})`);
+    return cached.response;
+  }
+  return null; // No valid cached response found
+}
+
+// Store response in cache with timestamp for expiration tracking
+function setCachedResponse(key, response) {
+  if (responseCache.size >= MAX_CACHE_SIZE) {
+    // Remove the oldest (first) entry when cache is full
+    const oldestKey = responseCache.keys().next().value;
+    responseCache.delete(oldestKey);
+    console.log(`🗑️ Cache full, removed oldest entry: ${oldestKey}`);
+  }
+
+  responseCache.set(key, {
+    response: response,
+    timestamp: Date.now() // Store when this was cached
+  });
+  console.log(`💾 Cached response for: ${key} (Cache size: ${responseCache.size}/${MAX_CACHE_SIZE})`);
+}
+
+// Drop a cached response (e.g. after the course data changed)
+function deleteCachedResponse(key) {
+  responseCache.delete(key);
+}
+
+module.exports = {
+  getCachedResponse,
+  setCachedResponse,
+  deleteCachedResponse
+};
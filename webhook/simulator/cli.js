@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// 💬 SIMULATOR CLI - Chat with the bot in the terminal, or replay scripted dialogues
+//
+//   npm run simulate                                   -> interactive chat
+//   npm run simulate -- --phone 919811111111 --name Ravi
+//   npm run simulate -- --script test/dialogues        -> run dialogue files (exit code 1 on failure)
+//   npm run simulate -- --verbose                      -> also show the bot's server logs
+//
+// In the chat, type messages as a WhatsApp user would. Commands:
+//   /tap <number|title|id>  tap a button or list row of the last reply
+//   /user <phone> [name]    switch to another fake user
+//   /today <YYYY-MM-DD|off> pretend today is that date (for date questions and reminders)
+//   /reminders              send batch reminders that are due now
+//   /reset                  forget all conversations
+//   /quit                   leave
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createSimulator, DEFAULT_USER } = require('./simulator');
+const { loadDialogues, runDialogue, describeFailures } = require('./dialogue-runner');
+
+// Tiny argv parser: --flag value / --flag
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+const print = (text = '') => process.stdout.write(`${text}\n`);
+
+function printReplies(result) {
+  if (result.replies.length === 0) {
+    print(`🤖 (no reply, HTTP ${result.status})`);
+  }
+  result.replies.forEach(reply => {
+    print(`🤖 ${reply.text.split('\n').join('\n   ')}`);
+  });
+  print(`   ── intent: ${result.intent || 'n/a'}`);
+}
+
+// ▶️ Run dialogue files (a file or a folder of *.json)
+async function runScripts(simulator, target) {
+  const resolved = path.resolve(target);
+  const dialogues = fs.statSync(resolved).isDirectory()
+    ? loadDialogues(resolved)
+    : [{ file: resolved, ...JSON.parse(fs.readFileSync(resolved, 'utf8')) }];
+
+  let failed = 0;
+  for (const dialogue of dialogues) {
+    simulator.reset();
+    const result = await runDialogue(simulator, dialogue);
+    print(`${result.passed ? '✅' : '❌'} ${dialogue.name} (${path.basename(dialogue.file)})`);
+    if (!result.passed) {
+      failed += 1;
+      print(describeFailures(result));
+    }
+  }
+  print(`\n${dialogues.length - failed}/${dialogues.length} dialogues passed`);
+  return failed === 0;
+}
+
+// 💬 Interactive chat
+async function chat(simulator, user) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  print(`💬 Chatting as ${user.name} (${user.phone}). Try "hi", "show all courses" or "fee for GeM Procurement".`);
+  print('   Commands: /tap <n|title|id>, /user <phone> [name], /today <date|off>, /reminders, /reset, /quit\n');
+
+  rl.setPrompt('🧑 ');
+  rl.prompt();
+
+  for await (const input of rl) {
+    const line = input.trim();
+    const [command, ...rest] = line.split(/\s+/);
+    if (command === '/quit' || command === '/exit') {
+      break;
+    }
+
+    try {
+      if (!line) {
+        // nothing typed
+      } else if (command === '/tap') {
+        printReplies(await simulator.tap(rest.join(' '), user));
+      } else if (command === '/user') {
+        user.phone = rest[0] || user.phone;
+        user.name = rest.slice(1).join(' ') || user.name;
+        print(`👤 Now chatting as ${user.name} (${user.phone})`);
+      } else if (command === '/today') {
+        simulator.setToday(rest[0] && rest[0] !== 'off' ? rest[0] : null);
+        print(`📅 Today is ${rest[0] && rest[0] !== 'off' ? rest[0] : 'the real date again'}`);
+      } else if (command === '/reminders') {
+        const result = await simulator.runReminders(user);
+        printReplies(result);
+        print(`   ── scheduler: ${JSON.stringify(result.summary)}`);
+      } else if (command === '/reset') {
+        simulator.reset();
+        print('🧹 All conversations forgotten');
+      } else {
+        printReplies(await simulator.send(line, user));
+      }
+    } catch (error) {
+      print(`⚠️ ${error.message}`);
+    }
+    rl.prompt();
+  }
+
+  rl.close();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The bot logs every step; keep the chat readable unless asked for the logs
+  if (!args.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const user = {
+    phone: typeof args.phone === 'string' ? args.phone : DEFAULT_USER.phone,
+    name: typeof args.name === 'string' ? args.name : DEFAULT_USER.name
+  };
+  const simulator = await createSimulator(user);
+
+  let ok = true;
+  try {
+    if (args.script) {
+      ok = await runScripts(simulator, typeof args.script === 'string' ? args.script : 'test/dialogues');
+    } else {
+      await chat(simulator, user);
+    }
+  } finally {
+    await simulator.close();
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(error => {
+  process.stderr.write(`❌ Simulator failed: ${error.stack || error.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// 📜 DIALOGUE RUNNER - Plays a scripted conversation against the simulator and checks the replies
+//
+// A dialogue is a JSON file:
+// {
+//   "name": "Fee question with a typo",
+//   "user": { "phone": "919800000002", "name": "Asha" },        (optional)
+//   "today": "2025-11-20",                                       (optional, pins the clock for date questions)
+//   "turns": [
+//     { "send": "hi", "expect": ["Welcome to IAA"], "type": "button" },
+//     { "tap": "📚 All courses", "intent": "show_all_courses" },
+//     { "send": "fees for gem procurment", "expect": "₹7600", "notExpect": ["Did you mean"] },
+//     { "sendMedia": "image", "fields": { "caption": "fee for SMS" }, "expect": "₹7600" }
+//   ]
+// }
+//
+// Each turn sends a message ("send"), sends a picture / voice note / location ... ("sendMedia":
+// the message type, "fields": its content), taps an option of the previous reply ("tap": id, title
+// or number) or runs the reminder scheduler ("runReminders": true, the reply is the templates
+// it sent). A turn's "today" moves the pinned clock before it runs.
+// Checks: "expect" / "notExpect" are substrings of the reply text (case-sensitive), "type" is
+// the reply type (text / list / button / template / document / image), "intent" the handler that answered
+// (the template name for "runReminders") and "replies" the number of messages (default: at least one).
+
+const fs = require('fs');
+const path = require('path');
+
+// Load every *.json dialogue in a folder (sorted, so runs are repeatable)
+function loadDialogues(directory) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file: path.join(directory, file), ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) }));
+}
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+// Reply type as the user sees it: text, list, button, template, document or image
+function replyType(reply) {
+  return reply.type === 'interactive' ? reply.payload.interactive.type : reply.type;
+}
+
+// Compare one turn's result with its expectations, returning readable problems
+function checkTurn(turn, result) {
+  const problems = [];
+  if (result.status !== 200) {
+    problems.push(`webhook answered HTTP ${result.status}`);
+  }
+  if (turn.replies !== undefined) {
+    if (result.replies.length !== turn.replies) {
+      problems.push(`expected ${turn.replies} message(s), got ${result.replies.length}`);
+    }
+  } else if (result.replies.length === 0) {
+    problems.push('the bot sent no reply');
+  }
+  asList(turn.expect).forEach(expected => {
+    if (!result.text.includes(expected)) {
+      problems.push(`expected the reply to contain "${expected}"`);
+    }
+  });
+  asList(turn.notExpect).forEach(unexpected => {
+    if (result.text.includes(unexpected)) {
+      problems.push(`expected the reply not to contain "${unexpected}"`);
+    }
+  });
+  if (turn.type && !result.replies.some(reply => replyType(reply) === turn.type)) {
+    problems.push(`expected a ${turn.type} reply, got ${result.replies.map(replyType).join(', ') || 'nothing'}`);
+  }
+  if (turn.intent && result.intent !== turn.intent) {
+    problems.push(`expected intent "${turn.intent}", got "${result.intent}"`);
+  }
+  return problems;
+}
+
+/**
+ * ▶️ RUN DIALOGUE
+ * Returns { name, passed, failures: [{ turn, input, problems, reply }] }
+ */
+async function runDialogue(simulator, dialogue) {
+  const user = dialogue.user || {};
+  const failures = [];
+  simulator.setToday(dialogue.today || null);
+
+  for (const [index, turn] of dialogue.turns.entries()) {
+    const input = turn.send !== undefined ? turn.send
+      : turn.sendMedia ? `[${turn.sendMedia}]`
+        : (turn.runReminders ? '[run reminders]' : `[tap] ${turn.tap}`);
+    let result;
+    try {
+      if (turn.today) {
+        simulator.setToday(turn.today); // time moves on from here for the rest of the dialogue
+      }
+      if (turn.send !== undefined) {
+        result = await simulator.send(turn.send, user);
+      } else if (turn.sendMedia) {
+        result = await simulator.sendMedia(turn.sendMedia, turn.fields, user);
+      } else if (turn.runReminders) {
+        result = await simulator.runReminders(user);
+      } else {
+        result = await simulator.tap(turn.tap, user);
+      }
+    } catch (error) {
+      failures.push({ turn: index + 1, input, problems: [error.message], reply: null });
+      break; // later turns depend on this one
+    }
+
+    const problems = checkTurn(turn, result);
+    if (problems.length > 0) {
+      failures.push({ turn: index + 1, input, problems, reply: result.text });
+    }
+  }
+
+  return { name: dialogue.name, passed: failures.length === 0, failures };
+}
+
+// Human-readable summary of a failed dialogue
+function describeFailures(result) {
+  return result.failures.map(failure =>
+    `  Turn ${failure.turn} (${failure.input}):\n` +
+    failure.problems.map(problem => `    ✗ ${problem}`).join('\n') +
+    (failure.reply ? `\n    Reply was:\n${failure.reply.split('\n').map(line => `      | ${line}`).join('\n')}` : '')
+  ).join('\n');
+}
+
+module.exports = {
+  loadDialogues,
+  runDialogue,
+  describeFailures
+};
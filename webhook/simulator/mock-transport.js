@@ -0,0 +1,43 @@
+// 🧪 MOCK TRANSPORT - Captures outbound WhatsApp messages instead of calling Meta
+// Plug it in with metaApi.setTransport(createMockTransport()); every payload that
+// would have been posted to the Graph API is kept in transport.sent, every uploaded file
+// (brochures, the calendar) in transport.uploads.
+
+function createMockTransport() {
+  const sent = [];
+  const uploads = [];
+
+  return {
+    type: 'mock',
+    sent,
+    uploads,
+
+    // Same response shape as the Graph API: { messages: [{ id }] }
+    async send(payload) {
+      const id = `wamid.mock.${sent.length + 1}`;
+      sent.push({ id, to: payload.to, type: payload.type, payload, sentAt: new Date() });
+      return { messaging_product: 'whatsapp', messages: [{ id }] };
+    },
+
+    // Same response shape as the media endpoint: { id }
+    async upload({ buffer, filename, mimeType }) {
+      const id = `media.mock.${uploads.length + 1}`;
+      uploads.push({ id, filename, mimeType, bytes: buffer.length, buffer });
+      return { id };
+    },
+
+    // Messages sent to one user (all users when "to" is left out)
+    messagesTo(to) {
+      return to ? sent.filter(message => message.to === to) : sent.slice();
+    },
+
+    clear() {
+      sent.length = 0;
+      uploads.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createMockTransport
+};
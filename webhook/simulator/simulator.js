@@ -0,0 +1,271 @@
+// 🧪 CONVERSATION SIMULATOR - Talk to the bot as a fake WhatsApp user, no Meta account needed
+//
+// Builds the real Express app (createApp) with a mock transport and fresh in-memory stores,
+// serves it on a random local port and posts signed webhook payloads to /meta-webhook,
+// exactly like Meta would. Each send() resolves with the replies the bot sent back.
+//
+//   const simulator = await createSimulator();
+//   const { replies, intent } = await simulator.send('fee for gem procurement');
+//   await simulator.tap('show all courses'); // tap a button / list row of the last reply
+//   await simulator.sendMedia('image', { caption: 'fee for SMS' }); // a photo, voice note, location ...
+//   simulator.setToday('2025-11-20');        // pin the clock for "what starts next week"
+//   await simulator.runReminders();          // send due batch reminders (templates) now
+//   await simulator.close();
+
+const http = require('http');
+const metaApi = require('../meta-api');
+const { signPayload } = require('../webhook-signature');
+const { createMockTransport } = require('./mock-transport');
+const { setSessionStore, createMemorySessionStore } = require('../stores/session-store');
+const { setTranscriptStore, createMemoryTranscriptStore, getTranscriptStore } = require('../stores/transcript-store');
+const { setFallbackStore, createMemoryFallbackStore } = require('../stores/fallback-store');
+const { setUserPreferenceStore, createMemoryUserPreferenceStore } = require('../stores/user-preference-store');
+const { setReminderStore, createMemoryReminderStore } = require('../stores/reminder-store');
+const { setEnquiryStore, createMemoryEnquiryStore } = require('../stores/enquiry-store');
+const { setDeliveryStore, createMemoryDeliveryStore } = require('../stores/delivery-store');
+const { setDedupeStore, createMemoryDedupeStore } = require('../stores/dedupe-store');
+const { setOutboundQueueStore, createMemoryOutboundQueueStore } = require('../stores/outbound-queue-store');
+const { setMediaStore, createMemoryMediaStore } = require('../stores/media-store');
+
+const DEFAULT_USER = { phone: '919800000001', name: 'Simulator User' };
+
+// The app refuses unsigned webhooks, so the simulator needs a secret to sign with
+const SIMULATOR_ENV = {
+  META_ACCESS_TOKEN: 'simulator-token',
+  META_PHONE_NUMBER_ID: 'simulator-phone-id',
+  META_WEBHOOK_SECRET: 'simulator-secret',
+  META_VERIFY_TOKEN: 'simulator-verify-token',
+  INTERNAL_STAFF_NUMBERS: '919800000099' // the staff user of the internal course dialogues
+};
+
+// Fresh memory stores so simulated chats never touch MongoDB or each other
+function resetStores() {
+  setSessionStore(createMemorySessionStore());
+  setTranscriptStore(createMemoryTranscriptStore());
+  setFallbackStore(createMemoryFallbackStore());
+  setUserPreferenceStore(createMemoryUserPreferenceStore());
+  setReminderStore(createMemoryReminderStore());
+  setEnquiryStore(createMemoryEnquiryStore());
+  setDeliveryStore(createMemoryDeliveryStore());
+  setDedupeStore(createMemoryDedupeStore());
+  setOutboundQueueStore(createMemoryOutboundQueueStore());
+  setMediaStore(createMemoryMediaStore());
+}
+
+// Readable text of an outbound payload (what the user would see on the phone)
+function renderMessage(payload) {
+  if (payload.type === 'text') {
+    return payload.text.body;
+  }
+  if (payload.type === 'interactive') {
+    const interactive = payload.interactive;
+    const lines = [interactive.body.text];
+    options(payload).forEach((option, idx) => {
+      lines.push(`  [${idx + 1}] ${option.title}${option.description ? ` - ${option.description}` : ''}  (${option.id})`);
+    });
+    return lines.join('\n');
+  }
+  if (payload.type === 'template') {
+    return `[template ${payload.template.name}] ${JSON.stringify(payload.template.components || [])}`;
+  }
+  if (payload.type === 'document' || payload.type === 'image') {
+    const media = payload[payload.type];
+    return [`[${payload.type} ${media.filename || media.link || media.id}]`, media.caption].filter(Boolean).join('\n');
+  }
+  return JSON.stringify(payload);
+}
+
+// Tappable options (list rows or reply buttons) of an interactive payload
+function options(payload) {
+  if (payload.type !== 'interactive') {
+    return [];
+  }
+  const interactive = payload.interactive;
+  if (interactive.type === 'list') {
+    return interactive.action.sections.flatMap(section => section.rows.map(row => ({ ...row, kind: 'list_reply' })));
+  }
+  return interactive.action.buttons.map(button => ({ ...button.reply, kind: 'button_reply' }));
+}
+
+/**
+ * 🏭 CREATE SIMULATOR
+ * options.phone / options.name - the fake WhatsApp user (can be overridden per message)
+ * options.serverless - build the app as on Vercel (replies are sent before the webhook answers)
+ */
+async function createSimulator({ phone = DEFAULT_USER.phone, name = DEFAULT_USER.name, serverless = false } = {}) {
+  Object.entries(SIMULATOR_ENV).forEach(([key, value]) => {
+    if (!process.env[key]) {
+      process.env[key] = value;
+    }
+  });
+
+  const transport = createMockTransport();
+  const previousTransport = metaApi.getTransport();
+  metaApi.setTransport(transport);
+  resetStores();
+
+  // Pinned "today" (YYYY-MM-DD, India time) so date questions give the same answers on any day
+  let today = null;
+
+  // Required here so the environment above is in place before the app module loads
+  const { createApp } = require('../app');
+  // Failed sends are retried at once, so a test never waits for a backoff; every message comes
+  // from 127.0.0.1, so the per-IP rate limits would stop a long test run
+  const app = createApp({
+    now: () => (today ? new Date(`${today}T12:00:00+05:30`) : new Date()),
+    outbound: { backoffMs: 0 },
+    serverless,
+    rateLimits: false
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let messageCount = 0;
+  const lastReplies = new Map(); // phone -> replies to the last message, for tap()
+
+  // Post a webhook payload signed like Meta does; resolves with the HTTP status once the
+  // replies it queued were sent (or dead-lettered)
+  async function postWebhook(payload) {
+    const body = JSON.stringify(payload);
+    const signature = signPayload(body, process.env.META_WEBHOOK_SECRET);
+    const response = await fetch(`${baseUrl}/meta-webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+      body
+    });
+    await app.locals.outboundQueue.drain();
+    return response.status;
+  }
+
+  // Post one inbound WhatsApp message (Meta's webhook format) and collect the replies
+  async function deliver(message, user) {
+    messageCount += 1;
+    const sentBefore = transport.sent.length;
+    const status = await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'simulator',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            contacts: [{ profile: { name: user.name }, wa_id: user.phone }],
+            messages: [{
+              from: user.phone,
+              id: `wamid.sim.${messageCount}`,
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              ...message
+            }]
+          }
+        }]
+      }]
+    });
+
+    const replies = transport.sent.slice(sentBefore)
+      .filter(sent => sent.to === user.phone)
+      .map(sent => ({ type: sent.type, payload: sent.payload, text: renderMessage(sent.payload), options: options(sent.payload) }));
+    lastReplies.set(user.phone, replies);
+
+    // The handler that answered is recorded with the reply in the transcript
+    const { items } = await getTranscriptStore().getTranscript(user.phone, { limit: 1 });
+    const latest = items[0];
+
+    return {
+      status,
+      replies,
+      text: replies.map(reply => reply.text).join('\n\n'),
+      intent: latest && latest.direction === 'outbound' ? latest.handler : null
+    };
+  }
+
+  return {
+    app,
+    transport,
+    baseUrl,
+
+    // 📦 Post a raw webhook payload (batched messages, statuses, ...); resolves with the HTTP status
+    postWebhook,
+
+    // 💬 Type a message
+    send(text, user = {}) {
+      return deliver({ type: 'text', text: { body: text } }, { phone, name, ...user });
+    },
+
+    // 📎 Send a picture, file, voice note, sticker, location ... ("image", { caption: 'fee for SMS' })
+    // fields are the message's content as Meta sends it; a media id is made up when missing
+    sendMedia(kind, fields = {}, user = {}) {
+      const content = kind === 'location' ? { latitude: 28.5355, longitude: 77.1570, ...fields } : { id: `media.sim.${kind}`, ...fields };
+      return deliver({ type: kind, [kind]: content }, { phone, name, ...user });
+    },
+
+    // 👆 Tap an option of the last reply: its id, its title or its number (1-based)
+    tap(choice, user = {}) {
+      const sender = { phone, name, ...user };
+      const available = (lastReplies.get(sender.phone) || []).flatMap(reply => reply.options);
+      const wanted = String(choice).trim();
+      const option = available.find(candidate => candidate.id === wanted)
+        || available.find(candidate => candidate.title.toLowerCase() === wanted.toLowerCase())
+        || (/^\d+$/.test(wanted) ? available[parseInt(wanted, 10) - 1] : null);
+
+      if (!option) {
+        const choices = available.map(candidate => `"${candidate.title}"`).join(', ') || 'none';
+        return Promise.reject(new Error(`No option "${wanted}" in the last reply (options: ${choices})`));
+      }
+
+      return deliver({
+        type: 'interactive',
+        interactive: {
+          type: option.kind,
+          [option.kind]: { id: option.id, title: option.title }
+        }
+      }, sender);
+    },
+
+    // ⏰ Run the reminder scheduler once, as the hourly timer would; resolves like send()
+    // with the templates it sent to this user, plus the scheduler's summary
+    async runReminders(user = {}) {
+      const sender = { phone, name, ...user };
+      const sentBefore = transport.sent.length;
+      const summary = await app.locals.reminderScheduler.runOnce();
+      const replies = transport.sent.slice(sentBefore)
+        .filter(sent => sent.to === sender.phone)
+        .map(sent => ({ type: sent.type, payload: sent.payload, text: renderMessage(sent.payload), options: options(sent.payload) }));
+      return {
+        status: 200,
+        replies,
+        text: replies.map(reply => reply.text).join('\n\n'),
+        intent: replies.length > 0 ? replies[replies.length - 1].payload.template.name : null,
+        summary
+      };
+    },
+
+    // 📅 Pretend today is this date ('2025-11-20'); null goes back to the real clock
+    setToday(date) {
+      if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+        throw new Error(`setToday expects YYYY-MM-DD, got "${date}"`);
+      }
+      today = date;
+    },
+
+    // 🧹 Forget every conversation (fresh stores, no captured messages, real clock)
+    reset() {
+      today = null;
+      resetStores();
+      transport.clear();
+      lastReplies.clear();
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      metaApi.setTransport(previousTransport);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_USER,
+  renderMessage,
+  createSimulator
+};
@@ -0,0 +1,138 @@
+// 🧾 AUDIT STORE - Who changed which course, when, and what changed (admin course API)
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   add(entry)                                -> the saved entry (with id and createdAt)
+//   list({ courseId, user, page, limit })     -> { items, total, page, limit }, newest first
+//
+// An entry looks like:
+// { id, action: 'create' | 'update' | 'delete' | 'add_batch' | 'update_batch' | 'delete_batch',
+//   user, courseId, courseName, changes: { field: { from, to } }, createdAt }
+
+const crypto = require('crypto');
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_ENTRIES = 20000; // 🛡️ Oldest entries are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Clamp paging parameters coming from query strings
+function normalizePaging({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+/**
+ * 🧠 IN-MEMORY AUDIT STORE
+ */
+function createMemoryAuditStore() {
+  const entries = [];
+
+  return {
+    type: 'memory',
+
+    async add(entry) {
+      const saved = { id: crypto.randomUUID(), ...entry, createdAt: new Date() };
+      entries.push(saved);
+      if (entries.length > MAX_MEMORY_ENTRIES) {
+        entries.splice(0, entries.length - MAX_MEMORY_ENTRIES);
+      }
+      return { ...saved };
+    },
+
+    async list({ courseId, user, page, limit } = {}) {
+      const paging = normalizePaging({ page, limit });
+      const matching = entries
+        .filter(entry => (!courseId || entry.courseId === courseId) && (!user || entry.user === user))
+        .reverse();
+      return {
+        items: matching.slice(paging.skip, paging.skip + paging.limit).map(entry => ({ ...entry })),
+        total: matching.length,
+        page: paging.page,
+        limit: paging.limit
+      };
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const auditSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  action: { type: String, required: true },
+  user: { type: String, required: true, index: true },
+  courseId: { type: String, index: true },
+  courseName: String,
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { versionKey: false, minimize: false });
+
+const AuditModel = mongoose.models.CourseAudit || mongoose.model('CourseAudit', auditSchema);
+
+/**
+ * 🍃 MONGODB AUDIT STORE
+ */
+function createMongoAuditStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async add(entry) {
+      await ready();
+      const saved = { id: crypto.randomUUID(), ...entry, createdAt: new Date() };
+      await AuditModel.create(saved);
+      return saved;
+    },
+
+    async list({ courseId, user, page, limit } = {}) {
+      await ready();
+      const paging = normalizePaging({ page, limit });
+      const filter = {};
+      if (courseId) filter.courseId = courseId;
+      if (user) filter.user = user;
+      const [items, total] = await Promise.all([
+        AuditModel.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).select('-_id').lean(),
+        AuditModel.countDocuments(filter)
+      ]);
+      return { items, total, page: paging.page, limit: paging.limit };
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE AUDIT STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * AUDIT_STORE can force 'memory' or 'mongo'
+ */
+function createAuditStore(options = {}) {
+  const type = options.type || process.env.AUDIT_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoAuditStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown AUDIT_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryAuditStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getAuditStore() {
+  if (!sharedStore) {
+    sharedStore = createAuditStore();
+  }
+  return sharedStore;
+}
+
+function setAuditStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryAuditStore,
+  createMongoAuditStore,
+  createAuditStore,
+  getAuditStore,
+  setAuditStore
+};
@@ -0,0 +1,154 @@
+// 📚 COURSE DATA STORE - The course calendar as edited through the admin API (course-editor.js)
+// data/courses.json is read-only on Vercel, and an edit written to one server's disk is not seen by
+// the others, so with MongoDB the edited calendar is kept here instead and every instance reads it
+// (course-repository.js checks for a newer version every COURSE_DATA_REFRESH_SECONDS).
+// Backends follow session-store.js: memory (tests) or MongoDB. Without MongoDB there is no store
+// (getCourseDataStore() returns null) and edits are written to data/courses.json as before.
+//
+// 🔧 INTERFACE (all methods are async):
+//   get()                           -> { rows, version, baseHash, updatedBy, updatedAt } or null when nothing was saved
+//   getVersion()                    -> { version, baseHash } or null (cheap check for edits made elsewhere)
+//   save(record, expectedVersion)   -> saves { rows, baseHash, updatedBy } as version expectedVersion + 1;
+//                                      null when another edit saved that version first
+//
+// rows are the raw spreadsheet rows of courses.json. baseHash is the hash of the courses.json the edits
+// were made on: after a new spreadsheet import the file wins again (see course-repository.js).
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const DOCUMENT_KEY = 'courses';
+
+const copyRows = (rows) => JSON.parse(JSON.stringify(rows));
+
+/**
+ * 🧠 IN-MEMORY COURSE DATA STORE
+ */
+function createMemoryCourseDataStore() {
+  let record = null;
+
+  return {
+    type: 'memory',
+
+    async get() {
+      return record && { ...record, rows: copyRows(record.rows) };
+    },
+
+    async getVersion() {
+      return record && { version: record.version, baseHash: record.baseHash };
+    },
+
+    async save({ rows, baseHash, updatedBy }, expectedVersion) {
+      if ((record ? record.version : 0) !== expectedVersion) {
+        return null;
+      }
+      record = { rows: copyRows(rows), version: expectedVersion + 1, baseHash, updatedBy, updatedAt: new Date() };
+      return { ...record, rows: copyRows(record.rows) };
+    }
+  };
+}
+
+// 📄 MongoDB schema - one document; the rows are kept as JSON text because spreadsheet headers
+// like "Sl No." are not valid MongoDB field names
+const courseDataSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  rowsJson: { type: String, required: true },
+  version: { type: Number, required: true },
+  baseHash: { type: String, default: null },
+  updatedBy: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const CourseDataModel = mongoose.models.CourseData || mongoose.model('CourseData', courseDataSchema);
+
+const fromDocument = (document) => document && {
+  rows: JSON.parse(document.rowsJson),
+  version: document.version,
+  baseHash: document.baseHash,
+  updatedBy: document.updatedBy,
+  updatedAt: document.updatedAt
+};
+
+/**
+ * 🍃 MONGODB COURSE DATA STORE
+ */
+function createMongoCourseDataStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async get() {
+      await ready();
+      return fromDocument(await CourseDataModel.findOne({ key: DOCUMENT_KEY }).lean());
+    },
+
+    async getVersion() {
+      await ready();
+      return CourseDataModel.findOne({ key: DOCUMENT_KEY }).select('-_id version baseHash').lean();
+    },
+
+    async save({ rows, baseHash, updatedBy }, expectedVersion) {
+      await ready();
+      const fields = { rowsJson: JSON.stringify(rows), version: expectedVersion + 1, baseHash, updatedBy, updatedAt: new Date() };
+
+      if (expectedVersion === 0) {
+        try {
+          await CourseDataModel.create({ key: DOCUMENT_KEY, ...fields });
+          return { ...fromDocument(fields), rows: copyRows(rows) };
+        } catch (error) {
+          if (error.code === 11000) {
+            return null; // another instance saved the first version
+          }
+          throw error;
+        }
+      }
+
+      const saved = await CourseDataModel.findOneAndUpdate(
+        { key: DOCUMENT_KEY, version: expectedVersion },
+        { $set: fields },
+        { new: true }
+      ).lean();
+      return fromDocument(saved);
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE COURSE DATA STORE - mongo when MONGODB_URI is configured, null (courses.json) otherwise
+ * COURSE_DATA_STORE can force 'file', 'memory' or 'mongo'
+ */
+function createCourseDataStore(options = {}) {
+  const type = options.type || process.env.COURSE_DATA_STORE || (isDatabaseConfigured() ? 'mongo' : 'file');
+  if (type === 'mongo') {
+    return createMongoCourseDataStore(options);
+  }
+  if (type === 'memory') {
+    return createMemoryCourseDataStore();
+  }
+  if (type !== 'file') {
+    throw new Error(`Unknown COURSE_DATA_STORE "${type}" (expected "file", "memory" or "mongo")`);
+  }
+  return null;
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore;
+
+function getCourseDataStore() {
+  if (sharedStore === undefined) {
+    sharedStore = createCourseDataStore();
+  }
+  return sharedStore;
+}
+
+function setCourseDataStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryCourseDataStore,
+  createMongoCourseDataStore,
+  createCourseDataStore,
+  getCourseDataStore,
+  setCourseDataStore
+};
@@ -0,0 +1,166 @@
+// 🔁 DEDUPE STORE - WhatsApp message ids we have already taken on, so a redelivered webhook
+// (Meta retries on slow or non-200 responses, for up to 7 days) is never answered twice.
+// Backends follow session-store.js: memory (a Map with expiry) or MongoDB (TTL index).
+//
+// 🔧 INTERFACE (all methods are async):
+//   claim(messageId)  -> true the first time, false for a duplicate (which is counted)
+//   release(messageId) -> forget the id (the message could not be answered, so Meta's retry may try again)
+//   stats()           -> { since, tracked, suppressed } for the ids still remembered
+//
+// A record looks like: { messageId, duplicates, createdAt, expiresAt }
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const DEFAULT_DEDUPE_TTL = (Number(process.env.DEDUPE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000; // Meta's retry window
+const MAX_MEMORY_IDS = 100000; // 🛡️ Oldest ids are dropped beyond this
+
+/**
+ * 🧠 IN-MEMORY DEDUPE STORE
+ */
+function createMemoryDedupeStore({ ttlMs = DEFAULT_DEDUPE_TTL } = {}) {
+  const records = new Map(); // messageId -> record (Map keeps insertion order, oldest first)
+
+  // Remove expired ids (called when the map grows large)
+  function sweepExpired() {
+    const now = Date.now();
+    for (const [messageId, record] of records) {
+      if (record.expiresAt.getTime() > now) break; // same TTL for all, so the rest are newer
+      records.delete(messageId);
+    }
+    while (records.size >= MAX_MEMORY_IDS) {
+      records.delete(records.keys().next().value);
+    }
+  }
+
+  const isLive = (record) => record && record.expiresAt.getTime() > Date.now();
+
+  return {
+    type: 'memory',
+
+    async claim(messageId) {
+      const existing = records.get(messageId);
+      if (isLive(existing)) {
+        existing.duplicates += 1;
+        return false;
+      }
+      if (records.size >= MAX_MEMORY_IDS) sweepExpired();
+      records.delete(messageId);
+      const now = Date.now();
+      records.set(messageId, { messageId, duplicates: 0, createdAt: new Date(now), expiresAt: new Date(now + ttlMs) });
+      return true;
+    },
+
+    async release(messageId) {
+      records.delete(messageId);
+    },
+
+    async stats() {
+      const live = Array.from(records.values()).filter(isLive);
+      return {
+        since: new Date(Date.now() - ttlMs),
+        tracked: live.length,
+        suppressed: live.reduce((sum, record) => sum + record.duplicates, 0)
+      };
+    }
+  };
+}
+
+// 📄 MongoDB schema - the TTL index lets MongoDB delete expired ids by itself
+const processedMessageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  duplicates: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, { versionKey: false });
+
+const ProcessedMessageModel = mongoose.models.ProcessedMessage || mongoose.model('ProcessedMessage', processedMessageSchema);
+
+/**
+ * 🍃 MONGODB DEDUPE STORE
+ * Claims are a single upsert, so two instances receiving the same retry can't both answer it
+ * (the one that loses the race gets a duplicate key error and counts it as a duplicate).
+ */
+function createMongoDedupeStore({ ttlMs = DEFAULT_DEDUPE_TTL, uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async claim(messageId) {
+      await ready();
+      const now = Date.now();
+      try {
+        const result = await ProcessedMessageModel.updateOne(
+          { messageId },
+          { $setOnInsert: { messageId, createdAt: new Date(now), expiresAt: new Date(now + ttlMs) } },
+          { upsert: true }
+        );
+        if (result.upsertedCount === 1) {
+          return true;
+        }
+      } catch (error) {
+        // Two upserts at the same moment: one inserts, the other hits the unique index - it's a duplicate
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+      await ProcessedMessageModel.updateOne({ messageId }, { $inc: { duplicates: 1 } });
+      return false;
+    },
+
+    async release(messageId) {
+      await ready();
+      await ProcessedMessageModel.deleteOne({ messageId });
+    },
+
+    async stats() {
+      await ready();
+      const [totals] = await ProcessedMessageModel.aggregate([
+        { $match: { expiresAt: { $gt: new Date() } } },
+        { $group: { _id: null, tracked: { $sum: 1 }, suppressed: { $sum: '$duplicates' } } }
+      ]);
+      return {
+        since: new Date(Date.now() - ttlMs),
+        tracked: totals ? totals.tracked : 0,
+        suppressed: totals ? totals.suppressed : 0
+      };
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE DEDUPE STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * DEDUPE_STORE can force 'memory' or 'mongo'
+ */
+function createDedupeStore(options = {}) {
+  const type = options.type || process.env.DEDUPE_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoDedupeStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown DEDUPE_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryDedupeStore(options);
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getDedupeStore() {
+  if (!sharedStore) {
+    sharedStore = createDedupeStore();
+  }
+  return sharedStore;
+}
+
+function setDedupeStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryDedupeStore,
+  createMongoDedupeStore,
+  createDedupeStore,
+  getDedupeStore,
+  setDedupeStore
+};
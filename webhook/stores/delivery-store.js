@@ -0,0 +1,186 @@
+// 📬 DELIVERY STORE - Delivery state of every message we sent, from Meta's "statuses" callbacks
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   record(update)                             -> the message's record after the update
+//   get(messageId)                             -> one record or null
+//   list({ status, recipient, page, limit })   -> { items, total, page, limit }, most recently updated first
+//
+// An update is what metaApi.processWebhookPayload extracts from a status callback:
+// { messageId, status: 'sent' | 'delivered' | 'read' | 'failed', recipient, timestamp, errors, pricingCategory }
+//
+// A record looks like:
+// { messageId, recipient, status, timestamps: { sent, delivered, read, failed }, errors: [...],
+//   pricingCategory, createdAt, updatedAt }
+// Callbacks can arrive out of order ("read" before "delivered"), so the status only moves forward.
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_RECORDS = 50000; // 🛡️ Oldest records are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How far along each status is; "failed" wins over everything
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+const DELIVERY_STATUSES = Object.keys(STATUS_RANK);
+
+// Clamp paging parameters coming from query strings
+function normalizePaging({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+// Apply one status callback to a message's record (null when there is none yet)
+function applyUpdate(record, update) {
+  const at = update.timestamp ? new Date(update.timestamp) : new Date();
+  const current = record || {
+    messageId: update.messageId,
+    recipient: update.recipient || null,
+    status: update.status,
+    timestamps: {},
+    errors: [],
+    pricingCategory: null,
+    createdAt: new Date()
+  };
+
+  return {
+    ...current,
+    recipient: current.recipient || update.recipient || null,
+    status: STATUS_RANK[update.status] >= (STATUS_RANK[current.status] || 0) ? update.status : current.status,
+    timestamps: { ...current.timestamps, [update.status]: current.timestamps[update.status] || at },
+    errors: current.errors.concat(update.errors || []),
+    pricingCategory: update.pricingCategory || current.pricingCategory,
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * 🧠 IN-MEMORY DELIVERY STORE
+ */
+function createMemoryDeliveryStore() {
+  const records = new Map(); // messageId -> record (Map keeps insertion order for trimming)
+
+  const copy = (record) => ({ ...record, timestamps: { ...record.timestamps }, errors: record.errors.slice() });
+
+  return {
+    type: 'memory',
+
+    async record(update) {
+      const next = applyUpdate(records.get(update.messageId) || null, update);
+      records.delete(update.messageId);
+      records.set(update.messageId, next);
+      if (records.size > MAX_MEMORY_RECORDS) {
+        records.delete(records.keys().next().value);
+      }
+      return copy(next);
+    },
+
+    async get(messageId) {
+      const record = records.get(messageId);
+      return record ? copy(record) : null;
+    },
+
+    async list({ status, recipient, page, limit } = {}) {
+      const paging = normalizePaging({ page, limit });
+      const matching = Array.from(records.values())
+        .filter(record => (!status || record.status === status) && (!recipient || record.recipient === recipient))
+        .reverse();
+      return {
+        items: matching.slice(paging.skip, paging.skip + paging.limit).map(copy),
+        total: matching.length,
+        page: paging.page,
+        limit: paging.limit
+      };
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const deliverySchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  recipient: { type: String, index: true },
+  status: { type: String, required: true, index: true },
+  timestamps: { type: mongoose.Schema.Types.Mixed, default: {} },
+  errors: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  pricingCategory: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now, index: true }
+}, { versionKey: false, minimize: false, suppressReservedKeysWarning: true });
+
+const DeliveryModel = mongoose.models.MessageDelivery || mongoose.model('MessageDelivery', deliverySchema);
+
+/**
+ * 🍃 MONGODB DELIVERY STORE
+ */
+function createMongoDeliveryStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async record(update) {
+      await ready();
+      const existing = await DeliveryModel.findOne({ messageId: update.messageId }).select('-_id').lean();
+      const next = applyUpdate(existing, update);
+      await DeliveryModel.updateOne({ messageId: update.messageId }, { $set: next }, { upsert: true });
+      return next;
+    },
+
+    async get(messageId) {
+      await ready();
+      return DeliveryModel.findOne({ messageId }).select('-_id').lean();
+    },
+
+    async list({ status, recipient, page, limit } = {}) {
+      await ready();
+      const paging = normalizePaging({ page, limit });
+      const filter = {};
+      if (status) filter.status = status;
+      if (recipient) filter.recipient = recipient;
+      const [items, total] = await Promise.all([
+        DeliveryModel.find(filter).sort({ updatedAt: -1 }).skip(paging.skip).limit(paging.limit).select('-_id').lean(),
+        DeliveryModel.countDocuments(filter)
+      ]);
+      return { items, total, page: paging.page, limit: paging.limit };
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE DELIVERY STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * DELIVERY_STORE can force 'memory' or 'mongo'
+ */
+function createDeliveryStore(options = {}) {
+  const type = options.type || process.env.DELIVERY_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoDeliveryStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown DELIVERY_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryDeliveryStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getDeliveryStore() {
+  if (!sharedStore) {
+    sharedStore = createDeliveryStore();
+  }
+  return sharedStore;
+}
+
+function setDeliveryStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  createMemoryDeliveryStore,
+  createMongoDeliveryStore,
+  createDeliveryStore,
+  getDeliveryStore,
+  setDeliveryStore
+};
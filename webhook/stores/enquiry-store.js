@@ -0,0 +1,185 @@
+// 📝 ENQUIRY STORE - Nomination / enquiry requests collected in WhatsApp ("enrol in SMS")
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   add(enquiry)                  -> the saved enquiry (its reference must be unique)
+//   getByReference(reference)     -> enquiry or null
+//   list({ status, page, limit }) -> { items, total, page, limit }, newest first
+//   update(reference, patch)      -> the updated enquiry, or null if the reference is unknown
+//
+// An enquiry looks like:
+// { reference, userId, phone, userName, language, courseId, courseName, participantName,
+//   organisation, designation, email, participants, batchStart, batchEnd,
+//   status: 'new' | 'contacted' | 'closed', createdAt, updatedAt }
+// batchStart / batchEnd are null when the user is happy with any batch.
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_ENQUIRIES = 20000; // 🛡️ Oldest enquiries are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ENQUIRY_STATUSES = ['new', 'contacted', 'closed'];
+
+// Clamp paging parameters coming from query strings
+function normalizePaging({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+/**
+ * 🧠 IN-MEMORY ENQUIRY STORE
+ */
+function createMemoryEnquiryStore() {
+  const enquiries = new Map(); // reference -> enquiry, in insertion order
+
+  return {
+    type: 'memory',
+
+    async add(enquiry) {
+      if (enquiries.has(enquiry.reference)) {
+        throw new Error(`Enquiry reference ${enquiry.reference} already exists`);
+      }
+      const now = new Date();
+      const saved = { status: 'new', ...enquiry, createdAt: now, updatedAt: now };
+      enquiries.set(saved.reference, saved);
+      if (enquiries.size > MAX_MEMORY_ENQUIRIES) {
+        enquiries.delete(enquiries.keys().next().value);
+      }
+      return { ...saved };
+    },
+
+    async getByReference(reference) {
+      const stored = enquiries.get(reference);
+      return stored ? { ...stored } : null;
+    },
+
+    async list({ status, page, limit } = {}) {
+      const paging = normalizePaging({ page, limit });
+      const matching = Array.from(enquiries.values())
+        .filter(enquiry => !status || enquiry.status === status)
+        .reverse();
+      return {
+        items: matching.slice(paging.skip, paging.skip + paging.limit).map(enquiry => ({ ...enquiry })),
+        total: matching.length,
+        page: paging.page,
+        limit: paging.limit
+      };
+    },
+
+    async update(reference, patch = {}) {
+      const stored = enquiries.get(reference);
+      if (!stored) {
+        return null;
+      }
+      const next = { ...stored, ...patch, reference, updatedAt: new Date() };
+      enquiries.set(reference, next);
+      return { ...next };
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const enquirySchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  userId: { type: String, required: true, index: true },
+  phone: String,
+  userName: String,
+  language: { type: String, default: 'en' },
+  courseId: String,
+  courseName: String,
+  participantName: String,
+  organisation: String,
+  designation: String,
+  email: String,
+  participants: Number,
+  batchStart: { type: String, default: null },
+  batchEnd: { type: String, default: null },
+  status: { type: String, default: 'new', index: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const EnquiryModel = mongoose.models.Enquiry || mongoose.model('Enquiry', enquirySchema);
+
+/**
+ * 🍃 MONGODB ENQUIRY STORE
+ */
+function createMongoEnquiryStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async add(enquiry) {
+      await ready();
+      const now = new Date();
+      const saved = { status: 'new', ...enquiry, createdAt: now, updatedAt: now };
+      await EnquiryModel.create(saved);
+      return saved;
+    },
+
+    async getByReference(reference) {
+      await ready();
+      return EnquiryModel.findOne({ reference }).select('-_id').lean();
+    },
+
+    async list({ status, page, limit } = {}) {
+      await ready();
+      const paging = normalizePaging({ page, limit });
+      const filter = status ? { status } : {};
+      const [items, total] = await Promise.all([
+        EnquiryModel.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).select('-_id').lean(),
+        EnquiryModel.countDocuments(filter)
+      ]);
+      return { items, total, page: paging.page, limit: paging.limit };
+    },
+
+    async update(reference, patch = {}) {
+      await ready();
+      return EnquiryModel.findOneAndUpdate(
+        { reference },
+        { $set: { ...patch, updatedAt: new Date() } },
+        { new: true }
+      ).select('-_id').lean();
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE ENQUIRY STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * ENQUIRY_STORE can force 'memory' or 'mongo'
+ */
+function createEnquiryStore(options = {}) {
+  const type = options.type || process.env.ENQUIRY_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoEnquiryStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown ENQUIRY_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryEnquiryStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getEnquiryStore() {
+  if (!sharedStore) {
+    sharedStore = createEnquiryStore();
+  }
+  return sharedStore;
+}
+
+function setEnquiryStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  ENQUIRY_STATUSES,
+  createMemoryEnquiryStore,
+  createMongoEnquiryStore,
+  createEnquiryStore,
+  getEnquiryStore,
+  setEnquiryStore
+};
@@ -0,0 +1,113 @@
+// ❓ FALLBACK STORE - Queries the bot could not answer (they ended in getCommonFallbackMessage)
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   add(entry)           -> saves one unanswered query
+//   list({ from, to })   -> entries with from <= createdAt < to, oldest first
+//
+// An entry looks like:
+// { userId, text, normalizedText, attemptedCourse, day: 'YYYY-MM-DD', createdAt }
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_ENTRIES = 20000; // 🛡️ Oldest entries are dropped beyond this
+
+function inRange(date, from, to) {
+  return (!from || date >= from) && (!to || date < to);
+}
+
+/**
+ * 🧠 IN-MEMORY FALLBACK STORE
+ */
+function createMemoryFallbackStore() {
+  const entries = [];
+
+  return {
+    type: 'memory',
+
+    async add(entry) {
+      entries.push({ ...entry, createdAt: entry.createdAt || new Date() });
+      if (entries.length > MAX_MEMORY_ENTRIES) {
+        entries.splice(0, entries.length - MAX_MEMORY_ENTRIES);
+      }
+    },
+
+    async list({ from, to } = {}) {
+      return entries.filter(entry => inRange(entry.createdAt, from, to));
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const fallbackSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  text: { type: String, required: true },
+  normalizedText: { type: String, default: '' },
+  attemptedCourse: { type: String, default: null },
+  day: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { versionKey: false });
+
+const FallbackModel = mongoose.models.FallbackQuery || mongoose.model('FallbackQuery', fallbackSchema);
+
+/**
+ * 🍃 MONGODB FALLBACK STORE
+ */
+function createMongoFallbackStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async add(entry) {
+      await ready();
+      await FallbackModel.create(entry);
+    },
+
+    async list({ from, to } = {}) {
+      await ready();
+      const createdAt = {};
+      if (from) createdAt.$gte = from;
+      if (to) createdAt.$lt = to;
+      const filter = Object.keys(createdAt).length > 0 ? { createdAt } : {};
+      return FallbackModel.find(filter).sort({ createdAt: 1 }).select('-_id').lean();
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE FALLBACK STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * FALLBACK_STORE can force 'memory' or 'mongo'
+ */
+function createFallbackStore(options = {}) {
+  const type = options.type || process.env.FALLBACK_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoFallbackStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown FALLBACK_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryFallbackStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getFallbackStore() {
+  if (!sharedStore) {
+    sharedStore = createFallbackStore();
+  }
+  return sharedStore;
+}
+
+function setFallbackStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryFallbackStore,
+  createMongoFallbackStore,
+  createFallbackStore,
+  getFallbackStore,
+  setFallbackStore
+};
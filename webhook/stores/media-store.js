@@ -0,0 +1,135 @@
+// 📎 MEDIA STORE - Media ids of files we uploaded to Meta (brochures, the training calendar)
+// An uploaded file can be sent by its id for 30 days, so each file is uploaded once, not per message.
+// Backends follow session-store.js: memory (a Map with expiry) or MongoDB (TTL index).
+//
+// 🔧 INTERFACE (all methods are async):
+//   get(key)      -> the record, or null when unknown or expired
+//   set(record)   -> saves { key, mediaId, filename, mimeType } (expiresAt defaults to the TTL)
+//   remove(key)   -> forget a media id (e.g. Meta no longer accepts it)
+//
+// Keys include a hash of the file content (see media-library.js), so a changed file is uploaded again.
+// A record looks like: { key, mediaId, filename, mimeType, uploadedAt, expiresAt }
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MEDIA_TTL = 29 * 24 * 60 * 60 * 1000; // Meta keeps uploads for 30 days; a day of margin
+
+function buildRecord(record, ttlMs) {
+  const uploadedAt = record.uploadedAt || new Date();
+  return {
+    key: record.key,
+    mediaId: record.mediaId,
+    filename: record.filename || null,
+    mimeType: record.mimeType || null,
+    uploadedAt,
+    expiresAt: record.expiresAt || new Date(uploadedAt.getTime() + ttlMs)
+  };
+}
+
+/**
+ * 🧠 IN-MEMORY MEDIA STORE
+ */
+function createMemoryMediaStore({ ttlMs = MEDIA_TTL } = {}) {
+  const records = new Map();
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const record = records.get(key);
+      if (!record) return null;
+      if (record.expiresAt.getTime() <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return { ...record };
+    },
+
+    async set(record) {
+      const saved = buildRecord(record, ttlMs);
+      records.set(saved.key, saved);
+      return { ...saved };
+    },
+
+    async remove(key) {
+      records.delete(key);
+    }
+  };
+}
+
+// 📄 MongoDB schema - the TTL index lets MongoDB delete expired media ids by itself
+const mediaUploadSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  mediaId: { type: String, required: true },
+  filename: { type: String, default: null },
+  mimeType: { type: String, default: null },
+  uploadedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, { versionKey: false });
+
+const MediaUploadModel = mongoose.models.MediaUpload || mongoose.model('MediaUpload', mediaUploadSchema);
+
+/**
+ * 🍃 MONGODB MEDIA STORE
+ */
+function createMongoMediaStore({ ttlMs = MEDIA_TTL, uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async get(key) {
+      await ready();
+      return MediaUploadModel.findOne({ key, expiresAt: { $gt: new Date() } }).select('-_id').lean();
+    },
+
+    async set(record) {
+      await ready();
+      const saved = buildRecord(record, ttlMs);
+      await MediaUploadModel.updateOne({ key: saved.key }, { $set: saved }, { upsert: true });
+      return saved;
+    },
+
+    async remove(key) {
+      await ready();
+      await MediaUploadModel.deleteOne({ key });
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE MEDIA STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * MEDIA_STORE can force 'memory' or 'mongo'
+ */
+function createMediaStore(options = {}) {
+  const type = options.type || process.env.MEDIA_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoMediaStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown MEDIA_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryMediaStore(options);
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getMediaStore() {
+  if (!sharedStore) {
+    sharedStore = createMediaStore();
+  }
+  return sharedStore;
+}
+
+function setMediaStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryMediaStore,
+  createMongoMediaStore,
+  createMediaStore,
+  getMediaStore,
+  setMediaStore
+};
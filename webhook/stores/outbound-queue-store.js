@@ -0,0 +1,285 @@
+// 📮 OUTBOUND QUEUE STORE - Replies waiting to be sent, and the dead-letter list of sends that failed for good
+// Backends follow session-store.js: memory (this process only) or MongoDB (survives restarts and
+// is shared by serverless instances). outbound-queue.js does the sending.
+//
+// 🔧 INTERFACE (all methods are async):
+//   enqueue(job, now)                       -> the saved job (with id, status 'pending', attempts 0, due now)
+//   listDue(now, limit)                     -> the oldest unsent job of each recipient, when it may be sent now
+//   lock(id, lockedUntil, now)              -> the job, now 'sending', or null when another worker has it
+//   update(id, patch)                       -> the updated job or null
+//   remove(id)                              -> sent jobs are not kept (transcripts and delivery statuses are)
+//   get(id)                                 -> one job or null
+//   list({ status, recipient, page, limit }) -> { items, total, page, limit }, newest first
+//   counts()                                -> { pending, sending, dead }
+//
+// A job looks like:
+// { id, recipient, messageType, message, meta: {...}, status: 'pending' | 'sending' | 'dead',
+//   attempts, nextAttemptAt, lockedUntil, lastError, createdAt, updatedAt, deadAt }
+// Jobs of one recipient go out in the order they were queued; dead jobs no longer hold up the rest.
+
+const crypto = require('crypto');
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const JOB_STATUSES = ['pending', 'sending', 'dead'];
+const MAX_MEMORY_JOBS = 20000; // 🛡️ Oldest dead jobs are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Clamp paging parameters coming from query strings
+function normalizePaging({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+function buildJob(job, now = new Date()) {
+  return {
+    id: crypto.randomUUID(),
+    recipient: job.recipient,
+    messageType: job.messageType || 'text',
+    message: job.message,
+    meta: job.meta || {},
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    deadAt: null
+  };
+}
+
+// A head job may be sent when it is due, or when the worker sending it stopped (lock expired)
+const isSendable = (job, now) => (job.status === 'pending' && job.nextAttemptAt <= now)
+  || (job.status === 'sending' && job.lockedUntil && job.lockedUntil <= now);
+
+/**
+ * 🧠 IN-MEMORY OUTBOUND QUEUE STORE
+ */
+function createMemoryOutboundQueueStore() {
+  const jobs = []; // in queue order
+
+  const copy = (job) => ({ ...job, meta: { ...job.meta } });
+  const find = (id) => jobs.find(job => job.id === id);
+
+  return {
+    type: 'memory',
+
+    async enqueue(job, now) {
+      const saved = buildJob(job, now);
+      jobs.push(saved);
+      if (jobs.length > MAX_MEMORY_JOBS) {
+        const oldestDead = jobs.findIndex(candidate => candidate.status === 'dead');
+        if (oldestDead !== -1) jobs.splice(oldestDead, 1);
+      }
+      return copy(saved);
+    },
+
+    async listDue(now, limit = 20) {
+      const heads = new Map();
+      jobs.filter(job => job.status !== 'dead').forEach(job => {
+        if (!heads.has(job.recipient)) heads.set(job.recipient, job);
+      });
+      return Array.from(heads.values()).filter(job => isSendable(job, now)).slice(0, limit).map(copy);
+    },
+
+    async lock(id, lockedUntil, now) {
+      const job = find(id);
+      if (!job || !isSendable(job, now)) {
+        return null;
+      }
+      Object.assign(job, { status: 'sending', lockedUntil, updatedAt: new Date() });
+      return copy(job);
+    },
+
+    async update(id, patch) {
+      const job = find(id);
+      if (!job) return null;
+      Object.assign(job, patch, { updatedAt: new Date() });
+      return copy(job);
+    },
+
+    async remove(id) {
+      const index = jobs.findIndex(job => job.id === id);
+      if (index !== -1) jobs.splice(index, 1);
+    },
+
+    async get(id) {
+      const job = find(id);
+      return job ? copy(job) : null;
+    },
+
+    async list({ status, recipient, page, limit } = {}) {
+      const paging = normalizePaging({ page, limit });
+      const matching = jobs
+        .filter(job => (!status || job.status === status) && (!recipient || job.recipient === recipient))
+        .reverse();
+      return {
+        items: matching.slice(paging.skip, paging.skip + paging.limit).map(copy),
+        total: matching.length,
+        page: paging.page,
+        limit: paging.limit
+      };
+    },
+
+    async counts() {
+      const counts = { pending: 0, sending: 0, dead: 0 };
+      jobs.forEach(job => { counts[job.status] += 1; });
+      return counts;
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const outboundJobSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  recipient: { type: String, required: true, index: true },
+  messageType: { type: String, required: true },
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+  meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: JOB_STATUSES, required: true, index: true },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, required: true },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  deadAt: { type: Date, default: null }
+}, { versionKey: false, minimize: false });
+outboundJobSchema.index({ status: 1, createdAt: 1 });
+
+const OutboundJobModel = mongoose.models.OutboundJob || mongoose.model('OutboundJob', outboundJobSchema);
+
+/**
+ * 🍃 MONGODB OUTBOUND QUEUE STORE
+ * lock() is a single conditional update, so two instances never send the same job.
+ */
+function createMongoOutboundQueueStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+  const sendable = (now) => ({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  });
+
+  return {
+    type: 'mongo',
+
+    async enqueue(job, now) {
+      await ready();
+      const saved = buildJob(job, now);
+      await OutboundJobModel.create(saved);
+      return saved;
+    },
+
+    async listDue(now, limit = 20) {
+      await ready();
+      return OutboundJobModel.aggregate([
+        { $match: { status: { $in: ['pending', 'sending'] } } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $group: { _id: '$recipient', job: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$job' } },
+        { $match: sendable(now) },
+        { $sort: { createdAt: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0 } }
+      ]);
+    },
+
+    async lock(id, lockedUntil, now) {
+      await ready();
+      return OutboundJobModel.findOneAndUpdate(
+        { id, ...sendable(now) },
+        { $set: { status: 'sending', lockedUntil, updatedAt: new Date() } },
+        { new: true }
+      ).select('-_id').lean();
+    },
+
+    async update(id, patch) {
+      await ready();
+      return OutboundJobModel.findOneAndUpdate({ id }, { $set: { ...patch, updatedAt: new Date() } }, { new: true })
+        .select('-_id').lean();
+    },
+
+    async remove(id) {
+      await ready();
+      await OutboundJobModel.deleteOne({ id });
+    },
+
+    async get(id) {
+      await ready();
+      return OutboundJobModel.findOne({ id }).select('-_id').lean();
+    },
+
+    async list({ status, recipient, page, limit } = {}) {
+      await ready();
+      const paging = normalizePaging({ page, limit });
+      const filter = {};
+      if (status) filter.status = status;
+      if (recipient) filter.recipient = recipient;
+      const [items, total] = await Promise.all([
+        OutboundJobModel.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).select('-_id').lean(),
+        OutboundJobModel.countDocuments(filter)
+      ]);
+      return { items, total, page: paging.page, limit: paging.limit };
+    },
+
+    async counts() {
+      await ready();
+      const counts = { pending: 0, sending: 0, dead: 0 };
+      (await OutboundJobModel.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]))
+        .forEach(({ _id, count }) => { counts[_id] = count; });
+      return counts;
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE OUTBOUND QUEUE STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * OUTBOUND_QUEUE_STORE can force 'memory' or 'mongo'
+ * A memory queue loses unsent replies on a restart, so production needs MongoDB (or an explicit
+ * OUTBOUND_QUEUE_STORE=memory), and serverless deployments always do: a function is frozen once it
+ * has answered, and the next run may happen on another instance.
+ */
+function createOutboundQueueStore(options = {}) {
+  const explicitType = options.type || process.env.OUTBOUND_QUEUE_STORE;
+  const type = explicitType || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoOutboundQueueStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown OUTBOUND_QUEUE_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  if (process.env.VERCEL) {
+    throw new Error('The outbound queue needs MongoDB on serverless deployments: set MONGODB_URI');
+  }
+  if (process.env.NODE_ENV === 'production' && !explicitType) {
+    throw new Error('The outbound queue needs MongoDB in production: set MONGODB_URI (or OUTBOUND_QUEUE_STORE=memory to accept losing unsent replies on a restart)');
+  }
+  return createMemoryOutboundQueueStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getOutboundQueueStore() {
+  if (!sharedStore) {
+    sharedStore = createOutboundQueueStore();
+  }
+  return sharedStore;
+}
+
+function setOutboundQueueStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createMemoryOutboundQueueStore,
+  createMongoOutboundQueueStore,
+  createOutboundQueueStore,
+  getOutboundQueueStore,
+  setOutboundQueueStore
+};
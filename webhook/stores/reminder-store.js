@@ -0,0 +1,190 @@
+// 🔔 REMINDER STORE - Batch reminder subscriptions ("remind me" after a course card)
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   subscribe(subscription)  -> { subscription, created } (an active one for the same batch is reused)
+//   listByUser(userId)       -> the user's active subscriptions, earliest batch first
+//   listActive()             -> every active subscription (for the scheduler)
+//   update(id, patch)        -> the updated subscription, or null if the id is unknown
+//
+// A subscription looks like:
+// { id, userId, to, userName, language, courseId, courseName, batchStart, batchEnd,
+//   status: 'active' | 'stopped' | 'cancelled' | 'completed', remindedAt, createdAt, updatedAt }
+// batchStart / batchEnd are 'YYYY-MM-DD'. remindedAt is set once the reminder template was sent.
+// cancelled = the batch left the calendar, completed = the batch has started.
+
+const crypto = require('crypto');
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_SUBSCRIPTIONS = 20000; // 🛡️ Oldest subscriptions are dropped beyond this
+
+const byBatchStart = (a, b) => a.batchStart.localeCompare(b.batchStart) || a.courseName.localeCompare(b.courseName);
+
+function newSubscription(subscription) {
+  const now = new Date();
+  return {
+    remindedAt: null,
+    ...subscription,
+    id: crypto.randomUUID(),
+    status: 'active',
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * 🧠 IN-MEMORY REMINDER STORE
+ */
+function createMemoryReminderStore() {
+  const subscriptions = new Map();
+
+  const isSameBatch = (stored, subscription) => stored.status === 'active'
+    && stored.userId === subscription.userId
+    && stored.courseId === subscription.courseId
+    && stored.batchStart === subscription.batchStart;
+
+  return {
+    type: 'memory',
+
+    async subscribe(subscription) {
+      const existing = Array.from(subscriptions.values()).find(stored => isSameBatch(stored, subscription));
+      if (existing) {
+        return { subscription: { ...existing }, created: false };
+      }
+
+      const created = newSubscription(subscription);
+      subscriptions.set(created.id, created);
+      if (subscriptions.size > MAX_MEMORY_SUBSCRIPTIONS) {
+        subscriptions.delete(subscriptions.keys().next().value);
+      }
+      return { subscription: { ...created }, created: true };
+    },
+
+    async listByUser(userId) {
+      return Array.from(subscriptions.values())
+        .filter(stored => stored.userId === userId && stored.status === 'active')
+        .sort(byBatchStart)
+        .map(stored => ({ ...stored }));
+    },
+
+    async listActive() {
+      return Array.from(subscriptions.values())
+        .filter(stored => stored.status === 'active')
+        .sort(byBatchStart)
+        .map(stored => ({ ...stored }));
+    },
+
+    async update(id, patch = {}) {
+      const stored = subscriptions.get(id);
+      if (!stored) {
+        return null;
+      }
+      const next = { ...stored, ...patch, id, updatedAt: new Date() };
+      subscriptions.set(id, next);
+      return { ...next };
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const reminderSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  userId: { type: String, required: true, index: true },
+  to: { type: String, required: true },
+  userName: String,
+  language: { type: String, default: 'en' },
+  courseId: { type: String, required: true },
+  courseName: String,
+  batchStart: { type: String, required: true },
+  batchEnd: String,
+  status: { type: String, default: 'active', index: true },
+  remindedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const ReminderModel = mongoose.models.ReminderSubscription || mongoose.model('ReminderSubscription', reminderSchema);
+
+/**
+ * 🍃 MONGODB REMINDER STORE
+ */
+function createMongoReminderStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async subscribe(subscription) {
+      await ready();
+      const existing = await ReminderModel.findOne({
+        userId: subscription.userId,
+        courseId: subscription.courseId,
+        batchStart: subscription.batchStart,
+        status: 'active'
+      }).select('-_id').lean();
+      if (existing) {
+        return { subscription: existing, created: false };
+      }
+
+      const created = newSubscription(subscription);
+      await ReminderModel.create(created);
+      return { subscription: created, created: true };
+    },
+
+    async listByUser(userId) {
+      await ready();
+      return ReminderModel.find({ userId, status: 'active' }).sort({ batchStart: 1, courseName: 1 }).select('-_id').lean();
+    },
+
+    async listActive() {
+      await ready();
+      return ReminderModel.find({ status: 'active' }).sort({ batchStart: 1, courseName: 1 }).select('-_id').lean();
+    },
+
+    async update(id, patch = {}) {
+      await ready();
+      return ReminderModel.findOneAndUpdate(
+        { id },
+        { $set: { ...patch, updatedAt: new Date() } },
+        { new: true }
+      ).select('-_id').lean();
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE REMINDER STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * REMINDER_STORE can force 'memory' or 'mongo'
+ */
+function createReminderStore(options = {}) {
+  const type = options.type || process.env.REMINDER_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoReminderStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown REMINDER_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryReminderStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getReminderStore() {
+  if (!sharedStore) {
+    sharedStore = createReminderStore();
+  }
+  return sharedStore;
+}
+
+function setReminderStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryReminderStore,
+  createMongoReminderStore,
+  createReminderStore,
+  getReminderStore,
+  setReminderStore
+};
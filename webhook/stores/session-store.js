@@ -0,0 +1,219 @@
+// 💬 SESSION STORE - Per-user conversation state (domain context, last intent, ...)
+// ==================================================================================
+//
+// On Vercel every invocation may land on a fresh instance, so process-local Maps lose
+// the user's context between messages. The session store hides where sessions live:
+// - memory: a Map in this process (local development, single server)
+// - mongo:  a MongoDB collection with a TTL index (serverless / multiple instances)
+//
+// 🔧 INTERFACE (all methods are async):
+//   get(userId)                 -> session or null (expired sessions are never returned)
+//   set(userId, data, ttlMs?)   -> replaces the session
+//   update(userId, patch, ttlMs?) -> merges patch.context into the context, replaces other fields
+//   delete(userId)
+//
+// A session looks like: { userId, context: {...}, lastIntent, updatedAt, expiresAt }
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const DEFAULT_SESSION_TTL = (Number(process.env.SESSION_TTL_MINUTES) || 24 * 60) * 60 * 1000; // 24 hours
+const MAX_MEMORY_SESSIONS = 10000; // 🛡️ Protect memory if expired sessions pile up
+
+// Build the stored session object from existing data and a patch
+function mergeSession(userId, existing, patch, ttlMs) {
+  const now = Date.now();
+  return {
+    userId,
+    context: { ...(existing && existing.context), ...(patch.context || {}) },
+    lastIntent: patch.lastIntent !== undefined ? patch.lastIntent : (existing ? existing.lastIntent : null),
+    updatedAt: new Date(now),
+    expiresAt: new Date(now + ttlMs)
+  };
+}
+
+/**
+ * 🧠 IN-MEMORY SESSION STORE
+ */
+function createMemorySessionStore({ ttlMs = DEFAULT_SESSION_TTL } = {}) {
+  const sessions = new Map();
+
+  // Remove expired sessions (called when the map grows large)
+  function sweepExpired() {
+    const now = Date.now();
+    for (const [userId, session] of sessions) {
+      if (session.expiresAt.getTime() <= now) {
+        sessions.delete(userId);
+      }
+    }
+    // Still too big: drop the oldest entries (Map keeps insertion order)
+    while (sessions.size >= MAX_MEMORY_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  // The session if it has not expired (synchronous, so update() can't interleave with another update)
+  function findActive(userId) {
+    const session = sessions.get(userId);
+    if (!session) return null;
+    if (session.expiresAt.getTime() <= Date.now()) {
+      sessions.delete(userId);
+      return null;
+    }
+    return session;
+  }
+
+  return {
+    type: 'memory',
+
+    async get(userId) {
+      const session = findActive(userId);
+      return session && { ...session, context: { ...session.context } };
+    },
+
+    async set(userId, data = {}, sessionTtl = ttlMs) {
+      if (sessions.size >= MAX_MEMORY_SESSIONS) sweepExpired();
+      sessions.delete(userId); // re-insert so the Map order reflects recent activity
+      sessions.set(userId, mergeSession(userId, null, data, sessionTtl));
+    },
+
+    async update(userId, patch = {}, sessionTtl = ttlMs) {
+      const existing = findActive(userId);
+      if (sessions.size >= MAX_MEMORY_SESSIONS) sweepExpired();
+      sessions.delete(userId);
+      sessions.set(userId, mergeSession(userId, existing, patch, sessionTtl));
+    },
+
+    async delete(userId) {
+      sessions.delete(userId);
+    }
+  };
+}
+
+// 📄 MongoDB schema - the TTL index lets MongoDB delete expired sessions by itself
+const sessionSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  context: { type: mongoose.Schema.Types.Mixed, default: {} },
+  lastIntent: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, { minimize: false, versionKey: false });
+
+const SessionModel = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+
+/**
+ * 🍃 MONGODB SESSION STORE
+ * options.uri - MongoDB connection string (defaults to MONGODB_URI)
+ * Updates are a single $set on the changed context.* paths, so two messages from the same user
+ * answered by different instances at once can't overwrite each other's context.
+ */
+function createMongoSessionStore({ ttlMs = DEFAULT_SESSION_TTL, uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  // MongoDB removes expired documents about once a minute, so filter on expiresAt as well
+  async function findActive(userId) {
+    await ready();
+    return SessionModel.findOne({ userId, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async function save(session) {
+    await ready();
+    await SessionModel.updateOne({ userId: session.userId }, { $set: session }, { upsert: true });
+  }
+
+  return {
+    type: 'mongo',
+
+    async get(userId) {
+      const session = await findActive(userId);
+      if (!session) return null;
+      delete session._id;
+      return { ...session, context: session.context || {} };
+    },
+
+    async set(userId, data = {}, sessionTtl = ttlMs) {
+      await save(mergeSession(userId, null, data, sessionTtl));
+    },
+
+    async update(userId, patch = {}, sessionTtl = ttlMs) {
+      await ready();
+      const now = Date.now();
+      const fields = { updatedAt: new Date(now), expiresAt: new Date(now + sessionTtl) };
+      Object.entries(patch.context || {}).forEach(([key, value]) => {
+        fields[`context.${key}`] = value;
+      });
+      if (patch.lastIntent !== undefined) {
+        fields.lastIntent = patch.lastIntent;
+      }
+
+      const updated = await SessionModel.findOneAndUpdate(
+        { userId, expiresAt: { $gt: new Date(now) } },
+        { $set: fields },
+        { projection: { _id: 1 } }
+      ).lean();
+      if (updated) {
+        return;
+      }
+
+      // No active session: start a fresh one (replacing an expired document). If another instance
+      // created it in the meantime the insert hits the unique userId index - merge into theirs instead.
+      try {
+        await SessionModel.updateOne(
+          { userId, expiresAt: { $lte: new Date(now) } },
+          { $set: mergeSession(userId, null, patch, sessionTtl) },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        await SessionModel.updateOne({ userId }, { $set: fields });
+      }
+    },
+
+    async delete(userId) {
+      await ready();
+      await SessionModel.deleteOne({ userId });
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE SESSION STORE - Pick the backend from SESSION_STORE ('memory' or 'mongo')
+ * Defaults to mongo when MONGODB_URI is configured, memory otherwise
+ */
+function createSessionStore(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+
+  if (type === 'mongo') {
+    console.log('💬 Using MongoDB session store');
+    return createMongoSessionStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown SESSION_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  console.log('💬 Using in-memory session store');
+  return createMemorySessionStore(options);
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getSessionStore() {
+  if (!sharedStore) {
+    sharedStore = createSessionStore();
+  }
+  return sharedStore;
+}
+
+// Replace the shared store (e.g. with a memory store in the simulator)
+function setSessionStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemorySessionStore,
+  createMongoSessionStore,
+  createSessionStore,
+  getSessionStore,
+  setSessionStore
+};
@@ -0,0 +1,223 @@
+// 📜 TRANSCRIPT STORE - Every inbound message and outbound reply, for support follow-up
+// =====================================================================================
+//
+// Backends (same pattern as session-store.js):
+// - memory: an array in this process (capped, local development)
+// - mongo:  a MongoDB collection
+//
+// 🔧 INTERFACE (all methods are async):
+//   add(entry)                             -> saves one message
+//   listUsers({ page, limit })             -> users with their latest message, newest first
+//   getTranscript(userId, { page, limit }) -> one user's messages, newest first
+//   search(query, { page, limit, userId }) -> messages whose text contains the query
+//
+// An entry looks like:
+// { userId, userName, direction: 'inbound'|'outbound', text, messageType, messageId,
+//   handler, course, latencyMs, sendResult: { success, messageId, error }, createdAt }
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_ENTRIES = 50000; // 🛡️ Oldest entries are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Clamp paging parameters coming from query strings
+function normalizePaging({ page, limit } = {}) {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+// Escape user input before using it in a regular expression
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fill in defaults so every backend stores the same shape
+function buildEntry(entry) {
+  return {
+    userId: entry.userId,
+    userName: entry.userName || null,
+    direction: entry.direction,
+    text: entry.text || '',
+    messageType: entry.messageType || 'text',
+    messageId: entry.messageId || null,
+    handler: entry.handler || null,
+    course: entry.course || null,
+    latencyMs: entry.latencyMs !== undefined ? entry.latencyMs : null,
+    sendResult: entry.sendResult || null,
+    createdAt: entry.createdAt || new Date()
+  };
+}
+
+/**
+ * 🧠 IN-MEMORY TRANSCRIPT STORE
+ */
+function createMemoryTranscriptStore() {
+  const entries = [];
+
+  function pageOf(list, paging) {
+    const { page, limit, skip } = normalizePaging(paging);
+    return { items: list.slice(skip, skip + limit), total: list.length, page, limit };
+  }
+
+  return {
+    type: 'memory',
+
+    async add(entry) {
+      entries.push(buildEntry(entry));
+      if (entries.length > MAX_MEMORY_ENTRIES) {
+        entries.splice(0, entries.length - MAX_MEMORY_ENTRIES);
+      }
+    },
+
+    async listUsers(paging) {
+      const users = new Map();
+      entries.forEach(entry => {
+        const user = users.get(entry.userId) || { userId: entry.userId, userName: null, messageCount: 0 };
+        user.messageCount++;
+        user.userName = entry.userName || user.userName;
+        user.lastMessageAt = entry.createdAt;
+        user.lastText = entry.text;
+        user.lastDirection = entry.direction;
+        users.set(entry.userId, user);
+      });
+      const list = Array.from(users.values()).sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+      return pageOf(list, paging);
+    },
+
+    async getTranscript(userId, paging) {
+      const list = entries.filter(entry => entry.userId === userId).reverse();
+      return pageOf(list, paging);
+    },
+
+    async search(query, { userId, ...paging } = {}) {
+      const pattern = new RegExp(escapeRegExp(query), 'i');
+      const list = entries
+        .filter(entry => (!userId || entry.userId === userId) && pattern.test(entry.text))
+        .reverse();
+      return pageOf(list, paging);
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const transcriptSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  userName: { type: String, default: null },
+  direction: { type: String, enum: ['inbound', 'outbound'], required: true },
+  text: { type: String, default: '' },
+  messageType: { type: String, default: 'text' },
+  messageId: { type: String, default: null },
+  handler: { type: String, default: null },
+  course: { type: String, default: null },
+  latencyMs: { type: Number, default: null },
+  sendResult: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+transcriptSchema.index({ userId: 1, createdAt: -1 });
+transcriptSchema.index({ createdAt: -1 });
+
+const TranscriptModel = mongoose.models.TranscriptEntry || mongoose.model('TranscriptEntry', transcriptSchema);
+
+/**
+ * 🍃 MONGODB TRANSCRIPT STORE
+ */
+function createMongoTranscriptStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  async function pageOf(filter, paging) {
+    await ready();
+    const { page, limit, skip } = normalizePaging(paging);
+    const [items, total] = await Promise.all([
+      TranscriptModel.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-_id').lean(),
+      TranscriptModel.countDocuments(filter)
+    ]);
+    return { items, total, page, limit };
+  }
+
+  return {
+    type: 'mongo',
+
+    async add(entry) {
+      await ready();
+      await TranscriptModel.create(buildEntry(entry));
+    },
+
+    async listUsers(paging) {
+      await ready();
+      const { page, limit, skip } = normalizePaging(paging);
+      const [result] = await TranscriptModel.aggregate([
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$userId',
+            userName: { $last: '$userName' },
+            messageCount: { $sum: 1 },
+            lastMessageAt: { $last: '$createdAt' },
+            lastText: { $last: '$text' },
+            lastDirection: { $last: '$direction' }
+          }
+        },
+        { $sort: { lastMessageAt: -1 } },
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: limit }, { $addFields: { userId: '$_id' } }, { $project: { _id: 0 } }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+      return { items: result.items, total: result.total[0] ? result.total[0].count : 0, page, limit };
+    },
+
+    async getTranscript(userId, paging) {
+      return pageOf({ userId }, paging);
+    },
+
+    async search(query, { userId, ...paging } = {}) {
+      const filter = { text: { $regex: escapeRegExp(query), $options: 'i' } };
+      if (userId) filter.userId = userId;
+      return pageOf(filter, paging);
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE TRANSCRIPT STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * TRANSCRIPT_STORE can force 'memory' or 'mongo'
+ */
+function createTranscriptStore(options = {}) {
+  const type = options.type || process.env.TRANSCRIPT_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoTranscriptStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown TRANSCRIPT_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryTranscriptStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getTranscriptStore() {
+  if (!sharedStore) {
+    sharedStore = createTranscriptStore();
+  }
+  return sharedStore;
+}
+
+function setTranscriptStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  normalizePaging,
+  escapeRegExp,
+  createMemoryTranscriptStore,
+  createMongoTranscriptStore,
+  createTranscriptStore,
+  getTranscriptStore,
+  setTranscriptStore
+};
@@ -0,0 +1,111 @@
+// ⚙️ USER PREFERENCE STORE - Long-lived per-user settings (reply language, ...)
+// Unlike sessions these don't expire after a day of inactivity.
+// Backends follow session-store.js: memory (capped) or MongoDB.
+//
+// 🔧 INTERFACE (all methods are async):
+//   get(userId)            -> preferences or null
+//   update(userId, patch)  -> merges patch into the user's preferences
+//
+// Preferences look like: { userId, language, detectedLanguage, updatedAt }
+// language is the user's explicit choice ("language" command), detectedLanguage the last one we guessed.
+
+const { mongoose, connectDatabase, isDatabaseConfigured } = require('../database');
+
+const MAX_MEMORY_USERS = 50000; // 🛡️ Oldest users are dropped beyond this
+
+/**
+ * 🧠 IN-MEMORY PREFERENCE STORE
+ */
+function createMemoryUserPreferenceStore() {
+  const preferences = new Map();
+
+  return {
+    type: 'memory',
+
+    async get(userId) {
+      const stored = preferences.get(userId);
+      return stored ? { ...stored } : null;
+    },
+
+    async update(userId, patch = {}) {
+      const next = { language: null, detectedLanguage: null, ...preferences.get(userId), ...patch, userId, updatedAt: new Date() };
+      preferences.delete(userId); // re-insert so the Map order reflects recent activity
+      preferences.set(userId, next);
+      if (preferences.size > MAX_MEMORY_USERS) {
+        preferences.delete(preferences.keys().next().value);
+      }
+    }
+  };
+}
+
+// 📄 MongoDB schema
+const preferenceSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  language: { type: String, default: null },
+  detectedLanguage: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const PreferenceModel = mongoose.models.UserPreference || mongoose.model('UserPreference', preferenceSchema);
+
+/**
+ * 🍃 MONGODB PREFERENCE STORE
+ */
+function createMongoUserPreferenceStore({ uri } = {}) {
+  const ready = () => connectDatabase(uri);
+
+  return {
+    type: 'mongo',
+
+    async get(userId) {
+      await ready();
+      return PreferenceModel.findOne({ userId }).select('-_id').lean();
+    },
+
+    async update(userId, patch = {}) {
+      await ready();
+      await PreferenceModel.updateOne(
+        { userId },
+        { $set: { ...patch, userId, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  };
+}
+
+/**
+ * 🏭 CREATE PREFERENCE STORE - mongo when MONGODB_URI is configured, memory otherwise
+ * USER_PREFERENCE_STORE can force 'memory' or 'mongo'
+ */
+function createUserPreferenceStore(options = {}) {
+  const type = options.type || process.env.USER_PREFERENCE_STORE || (isDatabaseConfigured() ? 'mongo' : 'memory');
+  if (type === 'mongo') {
+    return createMongoUserPreferenceStore(options);
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown USER_PREFERENCE_STORE "${type}" (expected "memory" or "mongo")`);
+  }
+  return createMemoryUserPreferenceStore();
+}
+
+// 🌐 SHARED INSTANCE
+let sharedStore = null;
+
+function getUserPreferenceStore() {
+  if (!sharedStore) {
+    sharedStore = createUserPreferenceStore();
+  }
+  return sharedStore;
+}
+
+function setUserPreferenceStore(store) {
+  sharedStore = store;
+}
+
+module.exports = {
+  createMemoryUserPreferenceStore,
+  createMongoUserPreferenceStore,
+  createUserPreferenceStore,
+  getUserPreferenceStore,
+  setUserPreferenceStore
+};
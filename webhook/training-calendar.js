@@ -0,0 +1,67 @@
+// 🗓️ TRAINING CALENDAR - The Excel calendar the bot sends when users ask for it
+// Built from the course data, not copied from the workbook in the repo: that workbook lists internal
+// courses too, while this one only has the courses the asking user may see (course-visibility.js),
+// with the batch dates and fees as edited through the admin API.
+//
+//   const buffer = buildCalendarWorkbook(ctx.courses.getAll());
+
+const XLSX = require('xlsx');
+const { formatDateDMY } = require('./date-utils');
+
+const CALENDAR_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const CALENDAR_FILENAME = 'IAA-Training-Calendar.xlsx';
+const SHEET_NAME = 'Training Calendar';
+
+// Column header -> value of one batch of a course
+const COLUMNS = [
+  ['Sl No.', (course, batch, index) => index + 1],
+  ['Programme', (course) => course.name],
+  ['Level of Participants', (course) => course.level],
+  ['Start date', (course, batch) => (batch ? formatDateDMY(batch.start) : null)],
+  ['End Date', (course, batch) => (batch ? formatDateDMY(batch.end) : null)],
+  ['Number of Days', (course) => course.days],
+  ['Category', (course) => course.category],
+  ['Course Type', (course) => course.courseType],
+  ['Course Fees (Per Day per participant)', (course) => course.feePerDay],
+  ['Course Fees Per Day Per Participant post 20 % group discount', (course) => course.discountedFeePerDay],
+  ['Hostel Charges', (course) => course.hostelCharges],
+  ['Course Coordinator', (course) => course.coordinators.join(', ')],
+  ['Registration Link', (course) => course.registrationLink]
+];
+
+// One row per batch (courses without dates get one row), earliest batch first
+function calendarRows(courses) {
+  const entries = courses.flatMap(course => (course.batches.length > 0
+    ? course.batches.map(batch => ({ course, batch }))
+    : [{ course, batch: null }]));
+
+  entries.sort((a, b) => {
+    const startA = a.batch ? a.batch.start : '9999';
+    const startB = b.batch ? b.batch.start : '9999';
+    return startA.localeCompare(startB) || a.course.name.localeCompare(b.course.name);
+  });
+
+  return entries.map(({ course, batch }, index) => COLUMNS.map(([, value]) => {
+    const cell = value(course, batch, index);
+    return cell === undefined ? null : cell;
+  }));
+}
+
+/**
+ * 📊 BUILD CALENDAR WORKBOOK - .xlsx file contents (a Buffer) for these courses
+ * The same courses always give the same bytes, so the uploaded copy can be reused (media-library.js).
+ */
+function buildCalendarWorkbook(courses) {
+  const sheet = XLSX.utils.aoa_to_sheet([COLUMNS.map(([header]) => header), ...calendarRows(courses)]);
+  sheet['!cols'] = COLUMNS.map(([header]) => ({ wch: header === 'Programme' ? 50 : Math.max(12, Math.min(30, header.length)) }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, SHEET_NAME);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true });
+}
+
+module.exports = {
+  CALENDAR_FILENAME,
+  CALENDAR_MIME_TYPE,
+  calendarRows,
+  buildCalendarWorkbook
+};
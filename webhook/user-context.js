@@ -0,0 +1,54 @@
+// 🎯 USER CONTEXT - What the user is currently looking at (domain list, last course)
+// Stored in the session store (memory or MongoDB) so it survives serverless instances.
+
+const { getSessionStore } = require('./stores/session-store');
+
+const USER_CONTEXT_TTL = 10 * 60 * 1000; // Domain context expires after 10 minutes so stale selections don't hijack later numbers
+
+// Remember which domain (and list page) the user is browsing
+// level: 'domain' while looking at the course list, 'course' after opening a course from it
+async function setUserContext(userId, domainNumber, page = 1, level = 'domain') {
+  await getSessionStore().update(userId, {
+    context: {
+      domain: {
+        domainNumber,
+        page,
+        level,
+        expiresAt: Date.now() + USER_CONTEXT_TTL
+      }
+    }
+  });
+}
+
+// Get the user's domain context, or null if there is none or it has expired
+async function getUserContext(userId) {
+  const session = await getSessionStore().get(userId);
+  const context = session && session.context.domain;
+  if (!context) {
+    return null;
+  }
+  if (context.expiresAt < Date.now()) {
+    console.log('⌛ User context expired:', userId);
+    await clearUserContext(userId);
+    return null;
+  }
+  return context;
+}
+
+// Forget the user's domain context (e.g. when they go back to the main menu)
+async function clearUserContext(userId) {
+  await getSessionStore().update(userId, { context: { domain: null } });
+}
+
+// Remember the last course shown, so follow-ups like "and the fees?" know which course is meant
+async function rememberLastCourse(userId, course) {
+  await getSessionStore().update(userId, { context: { lastCourseId: course.id } });
+}
+
+module.exports = {
+  USER_CONTEXT_TTL,
+  setUserContext,
+  getUserContext,
+  clearUserContext,
+  rememberLastCourse
+};
@@ -0,0 +1,83 @@
+// 🔏 WEBHOOK SIGNATURE - Proves a POST to /meta-webhook really comes from Meta
+// Meta signs the exact bytes it sends with the app secret:
+//   X-Hub-Signature-256: sha256=<hex HMAC-SHA256 of the raw body>
+// so the HMAC must be computed over the raw body, not over JSON.stringify(req.body) - re-serialising
+// changes the bytes whenever Meta escapes unicode (Hindi text arrives as "श...") or spaces keys
+// differently. captureRawBody keeps the bytes while body-parser parses them.
+//
+// Secret rotation: while Meta's app secret is being changed, both secrets are accepted:
+//   META_WEBHOOK_SECRETS=new-secret,old-secret   (and/or the single META_WEBHOOK_SECRET)
+
+const crypto = require('crypto');
+
+// Read the configured app secrets (rotation list first, then the single secret)
+function getWebhookSecrets() {
+  const secrets = (process.env.META_WEBHOOK_SECRETS || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (process.env.META_WEBHOOK_SECRET && !secrets.includes(process.env.META_WEBHOOK_SECRET)) {
+    secrets.push(process.env.META_WEBHOOK_SECRET);
+  }
+  return secrets;
+}
+
+// The X-Hub-Signature-256 header value Meta would send for this body
+function signPayload(rawBody, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// Compare two strings without leaking how much of them matched
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// True when the header matches the body signed with any of the secrets
+function isValidSignature(rawBody, signature, secrets = getWebhookSecrets()) {
+  if (!rawBody || typeof signature !== 'string' || !/^sha256=[0-9a-f]{64}$/i.test(signature.trim())) {
+    return false;
+  }
+  const presented = signature.trim().toLowerCase();
+  // Check every secret (no early exit), so the timing doesn't tell which one matched
+  return secrets.reduce((valid, secret) => safeEqual(signPayload(rawBody, secret), presented) || valid, false);
+}
+
+// 📥 body-parser "verify" hook - keeps the exact request bytes for the signature check
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+// 🛡️ Express middleware - rejects webhooks that are not signed with one of our app secrets
+function verifyWebhookSignature(req, res, next) {
+  try {
+    const secrets = getWebhookSecrets();
+    if (secrets.length === 0) {
+      console.error('❌ META_WEBHOOK_SECRET (or META_WEBHOOK_SECRETS) environment variable is required');
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    // No raw body means body-parser didn't run with captureRawBody - never fall back to the parsed body
+    if (!req.rawBody) {
+      console.error('❌ Webhook raw body missing - is bodyParser.json({ verify: captureRawBody }) installed?');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!isValidSignature(req.rawBody, req.headers['x-hub-signature-256'], secrets)) {
+      console.log('❌ Webhook signature verification failed');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    console.log('✅ Webhook signature verified');
+    next();
+  } catch (error) {
+    console.error('❌ Webhook verification error:', error);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  getWebhookSecrets,
+  isValidSignature,
+  signPayload,
+  verifyWebhookSignature
+};